@@ -30,6 +30,7 @@ let currentUser = null;
 let currentPage = 'dashboard';
 let socket = null;
 let modules = {};
+let globalSearchBar = null;
 // =============================================
 // INITIALISATION DE L'APPLICATION
 // =============================================
@@ -172,6 +173,10 @@ async function initWebSocket() {
             handleRealtimeUpdate('scan', data);
         });
         
+        window.socket.on('marchandise:scanned', (data) => {
+            handleRealtimeUpdate('scan', data);
+        });
+        
         // Gestion des erreurs WebSocket
         window.socket.on('error', (error) => {
             window.electronAPI.log.error('Erreur WebSocket:', error);
@@ -557,40 +562,29 @@ function initializeQuickActions() {
 // RECHERCHE GLOBALE
 // =============================================
 function initializeGlobalSearch() {
-    const searchInput = document.getElementById('global-search');
-    let searchTimeout;
-
-    searchInput.addEventListener('input', (e) => {
-        clearTimeout(searchTimeout);
-        const query = e.target.value.trim();
-
-        if (query.length < 2) return;
-
-        searchTimeout = setTimeout(() => {
-            performGlobalSearch(query);
-        }, 300);
-    });
-
-    searchInput.addEventListener('keypress', (e) => {
-        if (e.key === 'Enter') {
-            performGlobalSearch(e.target.value.trim());
-        }
-    });
-}
-async function performGlobalSearch(query) {
-    try {
-        showLoader('Recherche en cours...');
-
-        const results = await API.get('/search', { q: query });
+    globalSearchBar = new SearchBar({
+        maxResults: 5,
+        onSelect: openSearchResult
+    }).init('global-search-container');
+}
+
+async function openSearchResult(result) {
+    // Page à charger et action du module correspondant pour chaque type de résultat
+    const targets = {
+        client: ['clients', () => window.clientsModule?.viewClient(result.id)],
+        marchandise: ['marchandises', () => window.marchandisesModule?.viewMarchandise(result.id)],
+        conteneur: ['conteneurs', () => window.conteneursModule?.viewConteneur(result.id)],
+        paiement: ['finances', () => window.financesModule?.viewPaiement(result.id)]
+    };
 
-        // TODO: Afficher les résultats dans un dropdown ou modal
-        window.electronAPI.log.info('Résultats de recherche:', results);
+    const target = targets[result.type];
+    if (!target) return;
 
-        hideLoader();
-    } catch (error) {
-        hideLoader();
-        window.electronAPI.log.error('Erreur recherche:', error);
+    const [page, open] = target;
+    if (currentPage !== page) {
+        await loadPage(page);
     }
+    open();
 }
 // =============================================
 // RACCOURCIS CLAVIER
@@ -600,7 +594,7 @@ function initializeKeyboardShortcuts() {
         // Ctrl/Cmd + K : Focus recherche
         if ((e.ctrlKey || e.metaKey) && e.key === 'k') {
             e.preventDefault();
-            document.getElementById('global-search').focus();
+            globalSearchBar?.focus();
         }
 
         // Ctrl/Cmd + N : Nouveau client
@@ -204,12 +204,9 @@ class SearchBar {
     }
     
     async defaultSearch(query) {
-        const response = await API.search({ 
-            q: query, 
-            limit: this.options.maxResults 
-        });
+        const data = await API.search.global(query, this.options.maxResults);
         
-        return this.formatResults(response);
+        return this.formatResults(data);
     }
     
     formatResults(data) {
@@ -260,6 +257,21 @@ class SearchBar {
             });
         }
         
+        // Paiements
+        if (data.paiements && data.paiements.length > 0) {
+            data.paiements.forEach(paiement => {
+                results.push({
+                    type: 'paiement',
+                    id: paiement.id,
+                    title: paiement.numero_recu,
+                    subtitle: `${paiement.client_nom || ''} ${paiement.client_prenom || ''} - ${paiement.montant_paye} ${paiement.devise || 'EUR'}`,
+                    icon: 'fas fa-receipt',
+                    color: 'info',
+                    data: paiement
+                });
+            });
+        }
+        
         return results;
     }
     
@@ -317,7 +329,7 @@ class SearchBar {
     }
     
     highlightMatch(text) {
-        const query = this.input.value.trim();
+        const query = this.input.value.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
         const regex = new RegExp(`(${query})`, 'gi');
         return text.replace(regex, '<mark>$1</mark>');
     }
@@ -339,7 +351,8 @@ class SearchBar {
         const names = {
             client: 'Clients',
             marchandise: 'Marchandises',
-            conteneur: 'Conteneurs'
+            conteneur: 'Conteneurs',
+            paiement: 'Paiements'
         };
         
         return names[type] || type;
@@ -427,6 +440,10 @@ class SearchBar {
             case 'conteneur':
                 window.location.hash = `#conteneurs?id=${result.id}`;
                 break;
+                
+            case 'paiement':
+                window.location.hash = `#finances?id=${result.id}`;
+                break;
         }
     }
     
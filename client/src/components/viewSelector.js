@@ -0,0 +1,375 @@
+/**
+ * Composant ViewSelector
+ * Menu des vues sauvegardées d'une liste (DataTables jQuery) : filtres de l'écran,
+ * tri, colonnes, densité et taille de page, personnelles ou partagées avec un rôle
+ */
+
+class ViewSelector {
+    /**
+     * @param {Object} table - instance DataTables (API)
+     * @param {Object} options
+     * @param {string} options.module - écran des vues (clients, marchandises, conteneurs, finances)
+     * @param {Function} [options.getViewFilters] - filtres propres à l'écran à enregistrer avec la vue
+     * @param {Function} [options.onViewApplied] - appelé avec les filtres de la vue appliquée
+     */
+    constructor(table, options = {}) {
+        this.table = table;
+        this.options = {
+            module: null,
+            getViewFilters: null,
+            onViewApplied: null,
+            ...options
+        };
+
+        this.container = null;
+        this.views = [];
+        this.currentView = null;
+        this.standardState = null;
+    }
+
+    // =============================================
+    // INITIALISATION
+    // =============================================
+
+    init() {
+        // Le menu vit dans l'enveloppe du tableau : il disparaît avec lui quand la liste est recréée
+        this.container = $('<div class="datatable-views-bar d-flex justify-content-end mb-2"></div>');
+        $(this.table.table().container()).prepend(this.container);
+
+        this.container.on('click', '[data-view-action]', (e) => this.handleMenuClick(e));
+
+        this.standardState = { ...this.getViewState(), filtres: {}, colonnes: null };
+        this.render();
+        this.loadViews();
+
+        return this;
+    }
+
+    async loadViews() {
+        try {
+            const [views, defaultView] = await Promise.all([
+                API.views.list(this.options.module),
+                API.views.getDefault(this.options.module)
+            ]);
+
+            this.views = views;
+
+            if (defaultView && !this.currentView) {
+                this.applyView(defaultView);
+            } else {
+                this.render();
+            }
+        } catch (error) {
+            electronAPI.log.error('Erreur chargement vues:', error);
+        }
+    }
+
+    // =============================================
+    // RENDU
+    // =============================================
+
+    render() {
+        const current = this.currentView;
+        const escape = Helpers.escapeHtml;
+
+        const items = this.views.map(view => `
+            <li>
+                <a class="dropdown-item d-flex justify-content-between align-items-center ${current?.id === view.id ? 'active' : ''}"
+                   href="#" data-view-action="apply" data-view-id="${view.id}">
+                    <span>
+                        ${escape(view.nom)}
+                        ${view.role_partage ? `<i class="fas fa-users ms-1 small" title="Partagée avec le rôle ${escape(view.role_partage)}"></i>` : ''}
+                    </span>
+                    ${view.par_defaut ? '<i class="fas fa-star text-warning ms-2" title="Vue par défaut"></i>' : ''}
+                </a>
+            </li>
+        `).join('');
+
+        this.container.html(`
+            <div class="dropdown datatable-views">
+                <button class="btn btn-sm btn-outline-secondary dropdown-toggle" type="button" data-bs-toggle="dropdown">
+                    <i class="fas fa-layer-group"></i> ${current ? escape(current.nom) : 'Vue standard'}
+                </button>
+                <ul class="dropdown-menu dropdown-menu-end">
+                    <li>
+                        <a class="dropdown-item ${current ? '' : 'active'}" href="#" data-view-action="reset">Vue standard</a>
+                    </li>
+                    ${items}
+                    <li><hr class="dropdown-divider"></li>
+                    <li>
+                        <a class="dropdown-item" href="#" data-view-action="columns">
+                            <i class="fas fa-columns me-2"></i>Colonnes...
+                        </a>
+                    </li>
+                    <li>
+                        <a class="dropdown-item" href="#" data-view-action="density">
+                            <i class="fas fa-compress-alt me-2"></i>${this.isCondensed() ? 'Affichage normal' : 'Affichage compact'}
+                        </a>
+                    </li>
+                    <li><hr class="dropdown-divider"></li>
+                    <li>
+                        <a class="dropdown-item" href="#" data-view-action="save">
+                            <i class="fas fa-save me-2"></i>Enregistrer comme nouvelle vue...
+                        </a>
+                    </li>
+                    ${current?.est_proprietaire ? `
+                        <li>
+                            <a class="dropdown-item" href="#" data-view-action="update">
+                                <i class="fas fa-check me-2"></i>Mettre à jour « ${escape(current.nom)} »
+                            </a>
+                        </li>
+                    ` : ''}
+                    ${current ? `
+                        <li>
+                            <a class="dropdown-item" href="#" data-view-action="${current.par_defaut ? 'clear-default' : 'default'}">
+                                <i class="fas fa-star me-2"></i>${current.par_defaut ? 'Ne plus utiliser par défaut' : 'Utiliser par défaut'}
+                            </a>
+                        </li>
+                    ` : ''}
+                    ${current?.est_proprietaire ? `
+                        <li>
+                            <a class="dropdown-item text-danger" href="#" data-view-action="delete">
+                                <i class="fas fa-trash me-2"></i>Supprimer la vue
+                            </a>
+                        </li>
+                    ` : ''}
+                </ul>
+            </div>
+        `);
+    }
+
+    // =============================================
+    // ACTIONS DU MENU
+    // =============================================
+
+    async handleMenuClick(e) {
+        e.preventDefault();
+        const item = e.currentTarget;
+
+        try {
+            switch (item.dataset.viewAction) {
+                case 'apply':
+                    this.applyView(this.views.find(view => view.id === parseInt(item.dataset.viewId, 10)));
+                    break;
+                case 'reset':
+                    this.currentView = null;
+                    this.applyViewState(this.standardState);
+                    break;
+                case 'columns':
+                    await this.chooseColumns();
+                    break;
+                case 'density':
+                    this.applyViewState({ ...this.getViewState(), densite: this.isCondensed() ? 'normale' : 'compacte' });
+                    break;
+                case 'save':
+                    await this.saveView();
+                    break;
+                case 'update':
+                    await this.updateCurrentView();
+                    break;
+                case 'default':
+                    await API.views.setDefault(this.currentView.id);
+                    await this.reloadViews(this.currentView.id);
+                    break;
+                case 'clear-default':
+                    await API.views.clearDefault(this.options.module);
+                    await this.reloadViews(this.currentView.id);
+                    break;
+                case 'delete':
+                    await this.deleteCurrentView();
+                    break;
+            }
+        } catch (error) {
+            electronAPI.log.error('Erreur vue sauvegardée:', error);
+            Helpers.showError('Erreur', error.message || 'Opération sur la vue impossible');
+        }
+    }
+
+    // =============================================
+    // ÉTAT DE LA LISTE
+    // =============================================
+
+    /**
+     * Colonnes de la liste avec leur champ ; les colonnes sans champ (actions) restent affichées
+     */
+    getColumns() {
+        return this.table.settings().init().columns.map((column, index) => ({
+            index,
+            field: typeof column.data === 'string' ? column.data : null,
+            title: column.title || ''
+        }));
+    }
+
+    isCondensed() {
+        return $(this.table.table().node()).hasClass('table-sm');
+    }
+
+    /**
+     * État courant de la liste au format d'une vue sauvegardée
+     */
+    getViewState() {
+        const columns = this.getColumns();
+        const [order] = this.table.order();
+        const sortColumn = order ? columns[order[0]] : null;
+
+        return {
+            filtres: this.options.getViewFilters ? this.options.getViewFilters() : {},
+            tri: sortColumn?.field ? { champ: sortColumn.field, direction: order[1] } : null,
+            colonnes: columns
+                .filter(column => column.field && this.table.column(column.index).visible())
+                .map(column => column.field),
+            densite: this.isCondensed() ? 'compacte' : 'normale',
+            taille_page: this.table.page.len()
+        };
+    }
+
+    applyView(view) {
+        if (!view) return;
+
+        this.currentView = view;
+        this.applyViewState(view);
+    }
+
+    applyViewState(state) {
+        const columns = this.getColumns();
+
+        // Colonnes : celles de la vue, sinon toutes celles de la liste
+        columns
+            .filter(column => column.field)
+            .forEach(column => this.table.column(column.index).visible(
+                !state.colonnes || state.colonnes.includes(column.field), false
+            ));
+        this.table.columns.adjust();
+
+        const sortColumn = state.tri ? columns.find(column => column.field === state.tri.champ) : null;
+        if (sortColumn) {
+            this.table.order([sortColumn.index, state.tri.direction]);
+        }
+
+        $(this.table.table().node()).toggleClass('table-sm', state.densite === 'compacte');
+        this.table.page.len(state.taille_page || this.standardState.taille_page);
+
+        this.render();
+
+        // Les filtres de l'écran redessinent la liste ; sinon le tableau est redessiné ici
+        if (this.options.onViewApplied) {
+            this.options.onViewApplied(state.filtres || {}, this);
+        } else {
+            this.table.draw();
+        }
+    }
+
+    async chooseColumns() {
+        const visible = this.getViewState().colonnes;
+        const columns = this.getColumns().filter(column => column.field);
+
+        const result = await Swal.fire({
+            title: 'Colonnes affichées',
+            html: columns.map(column => `
+                <div class="form-check text-start">
+                    <input class="form-check-input" type="checkbox" id="view-column-${column.index}"
+                           value="${Helpers.escapeHtml(column.field)}" ${visible.includes(column.field) ? 'checked' : ''}>
+                    <label class="form-check-label" for="view-column-${column.index}">${Helpers.escapeHtml(column.title)}</label>
+                </div>
+            `).join(''),
+            showCancelButton: true,
+            confirmButtonText: 'Appliquer',
+            cancelButtonText: 'Annuler',
+            preConfirm: () => {
+                const fields = Array.from(Swal.getPopup().querySelectorAll('input:checked')).map(input => input.value);
+                if (fields.length === 0) {
+                    Swal.showValidationMessage('Sélectionnez au moins une colonne');
+                    return false;
+                }
+                return fields;
+            }
+        });
+
+        if (result.isConfirmed) {
+            this.applyViewState({ ...this.getViewState(), colonnes: result.value });
+        }
+    }
+
+    // =============================================
+    // ENREGISTREMENT
+    // =============================================
+
+    async saveView() {
+        const roles = Object.values(CONSTANTS.ROLES);
+        const roleName = (role) => typeof getRoleName === 'function' ? getRoleName(role) : role;
+
+        const result = await Swal.fire({
+            title: 'Enregistrer la vue',
+            html: `
+                <input id="view-name" class="swal2-input" placeholder="Nom de la vue" maxlength="100">
+                <select id="view-share" class="swal2-select">
+                    <option value="">Vue personnelle</option>
+                    ${roles.map(role => `<option value="${role}">Partagée avec : ${roleName(role)}</option>`).join('')}
+                </select>
+                <div class="form-check d-inline-block mt-3">
+                    <input class="form-check-input" type="checkbox" id="view-default">
+                    <label class="form-check-label" for="view-default">Utiliser par défaut sur cet écran</label>
+                </div>
+            `,
+            showCancelButton: true,
+            confirmButtonText: 'Enregistrer',
+            cancelButtonText: 'Annuler',
+            preConfirm: () => {
+                const nom = document.getElementById('view-name').value.trim();
+                if (!nom) {
+                    Swal.showValidationMessage('Le nom de la vue est requis');
+                    return false;
+                }
+                return {
+                    nom,
+                    role_partage: document.getElementById('view-share').value || null,
+                    par_defaut: document.getElementById('view-default').checked
+                };
+            }
+        });
+
+        if (!result.isConfirmed) return;
+
+        const view = await API.views.create({
+            module: this.options.module,
+            ...this.getViewState(),
+            ...result.value
+        });
+
+        await this.reloadViews(view.id);
+        Helpers.showSuccess('Vue enregistrée', `La vue « ${view.nom} » a été enregistrée`);
+    }
+
+    async updateCurrentView() {
+        await API.views.update(this.currentView.id, this.getViewState());
+        await this.reloadViews(this.currentView.id);
+        Helpers.showSuccess('Vue mise à jour', `La vue « ${this.currentView.nom} » a été mise à jour`);
+    }
+
+    async deleteCurrentView() {
+        const confirmed = await Helpers.confirm(
+            'Supprimer la vue',
+            `Supprimer la vue « ${this.currentView.nom} » ?`
+        );
+        if (!confirmed) return;
+
+        await API.views.delete(this.currentView.id);
+        this.currentView = null;
+        await this.reloadViews();
+    }
+
+    /**
+     * Recharger la liste des vues en conservant la vue sélectionnée
+     */
+    async reloadViews(selectedId = null) {
+        this.views = await API.views.list(this.options.module);
+        this.currentView = this.views.find(view => view.id === selectedId) || null;
+        this.render();
+    }
+}
+
+// =============================================
+// EXPORT
+// =============================================
+
+window.ViewSelector = ViewSelector;
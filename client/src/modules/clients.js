@@ -7,6 +7,38 @@
 let clientsTable = null;
 let currentClients = [];
 let selectedClient = null;
+let availableTags = [];
+let segmentCriteria = null;
+let segmentMemberIds = null;
+
+// Statuts KYC : libellé et couleur du badge
+const KYC_STATUS = {
+    non_verifie: { label: 'Non vérifiée', color: 'secondary', icon: 'fa-question-circle' },
+    en_attente: { label: 'À vérifier', color: 'warning', icon: 'fa-hourglass-half' },
+    verifie: { label: 'Vérifiée', color: 'success', icon: 'fa-check-circle' },
+    expire: { label: 'Pièce expirée', color: 'danger', icon: 'fa-calendar-times' },
+    rejete: { label: 'Rejetée', color: 'danger', icon: 'fa-times-circle' }
+};
+
+// Opérateurs des règles de segment
+const SEGMENT_OPERATORS = {
+    '>': 'supérieur à',
+    '>=': 'au moins',
+    '<': 'inférieur à',
+    '<=': 'au plus',
+    '=': 'égal à',
+    '!=': 'différent de',
+    a: 'possède',
+    na: 'ne possède pas'
+};
+
+const DOCUMENT_TYPES = {
+    passeport: 'Passeport',
+    carte_identite: 'Carte d\'identité',
+    titre_sejour: 'Titre de séjour',
+    permis_conduire: 'Permis de conduire',
+    autre: 'Autre'
+};
 
 // =============================================
 // INITIALISATION DU MODULE
@@ -74,6 +106,20 @@ function initializeUI() {
     }
     
     clientsTable = Helpers.initDataTable('#clients-table', {
+        views: 'clients',
+        getViewFilters: () => ({
+            recherche: $('#search-client').val() || '',
+            statut: $('#filter-status').val() || '',
+            ville: $('#filter-city').val() || '',
+            segment: $('#filter-segment').val() || ''
+        }),
+        onViewApplied: (filtres) => {
+            $('#search-client').val(filtres.recherche || '');
+            $('#filter-status').val(filtres.statut || '').trigger('change.select2');
+            $('#filter-city').val(filtres.ville || '').trigger('change.select2');
+            // Le changement de segment recalcule ses membres puis applique les filtres
+            $('#filter-segment').val(filtres.segment || '').trigger('change');
+        },
         columns: [
             { data: 'code_client', title: 'Code' },
             { data: 'nom', title: 'Nom' },
@@ -81,6 +127,12 @@ function initializeUI() {
             { data: 'telephone_principal', title: 'Téléphone' },
             { data: 'email', title: 'Email' },
             { data: 'ville', title: 'Ville' },
+            {
+                data: 'tags',
+                title: 'Étiquettes',
+                orderable: false,
+                render: renderTags
+            },
             { 
                 data: 'statut', 
                 title: 'Statut',
@@ -111,6 +163,9 @@ function initializeUI() {
     
     // Charger les villes pour le filtre
     loadCitiesForFilter();
+    
+    // Étiquettes et segments pour le filtre
+    loadSegmentFilter();
 }
 
 function renderClientsTable() {
@@ -131,6 +186,14 @@ function renderStatus(statut) {
     </span>`;
 }
 
+function renderKycStatus(statut) {
+    const kyc = KYC_STATUS[statut] || KYC_STATUS.non_verifie;
+    
+    return `<span class="badge bg-${kyc.color}">
+        <i class="fas ${kyc.icon} me-1"></i>${kyc.label}
+    </span>`;
+}
+
 function renderActions(data, type, row) {
     return `
         <div class="btn-group btn-group-sm" role="group">
@@ -146,6 +209,14 @@ function renderActions(data, type, row) {
                 title="Historique">
                 <i class="fas fa-history"></i>
             </button>
+            <button class="btn btn-secondary" onclick="clientsModule.viewFamily('${row.id}')" 
+                title="Famille">
+                <i class="fas fa-users"></i>
+            </button>
+            <button class="btn btn-outline-secondary" onclick="clientsModule.archiveClient('${row.id}')" 
+                title="Archiver">
+                <i class="fas fa-archive"></i>
+            </button>
             <button class="btn btn-danger" onclick="clientsModule.deleteClient('${row.id}')" 
                 title="Supprimer">
                 <i class="fas fa-trash"></i>
@@ -181,8 +252,28 @@ function initializeEventHandlers() {
         showImportModal();
     });
     
+    // Bouton doublons
+    $('#btn-duplicates').on('click', () => {
+        showDuplicates();
+    });
+    
+    // Archives et corbeille
+    $('#btn-archived').on('click', () => {
+        showArchived();
+    });
+    
+    $('#btn-trash').on('click', () => {
+        showTrash();
+    });
+    
+    // Segments et étiquettes
+    $('#btn-segments').on('click', () => {
+        manageSegments();
+    });
+    
     // Filtres
     $('#filter-status, #filter-city').on('change', applyFilters);
+    $('#filter-segment').on('change', onSegmentFilterChange);
     $('#search-client').on('input', Helpers.debounce(applyFilters, 300));
     
     // Formulaire client
@@ -255,6 +346,7 @@ function fillClientForm(client) {
     }
     
     $('#numero_entreprise').val(client.numero_entreprise);
+    $('#remise_tarif').val(parseFloat(client.remise_tarif) || 0);
     $('#commentaires').val(client.commentaires);
     $('#statut').val(client.statut).trigger('change');
 }
@@ -361,6 +453,7 @@ function getClientFormData() {
         ville: $('#ville').val().trim(),
         pays: $('#pays').val(),
         numero_entreprise: $('#numero_entreprise').val().trim(),
+        remise_tarif: parseFloat($('#remise_tarif').val()) || 0,
         commentaires: $('#commentaires').val().trim(),
         statut: $('#statut').val()
     };
@@ -381,7 +474,7 @@ async function deleteClient(clientId) {
     
     const confirmed = await Helpers.confirm(
         'Supprimer le client',
-        `Êtes-vous sûr de vouloir supprimer le client ${client.nom} ${client.prenom} ?`
+        `Le client ${client.nom} ${client.prenom} sera placé dans la corbeille. Il pourra être restauré jusqu'à la purge.`
     );
     
     if (!confirmed) return;
@@ -402,12 +495,456 @@ async function deleteClient(clientId) {
         });
         
         Helpers.hideLoader();
-        Helpers.showSuccess('Succès', 'Client supprimé avec succès');
+        Helpers.showSuccess('Succès', 'Client placé dans la corbeille');
         
     } catch (error) {
         Helpers.hideLoader();
         electronAPI.log.error('Erreur suppression client:', error);
-        Helpers.showError('Erreur', 'Impossible de supprimer le client');
+        Helpers.showError('Erreur', error.message || 'Impossible de supprimer le client');
+    }
+}
+
+// =============================================
+// ARCHIVES ET CORBEILLE
+// =============================================
+
+async function archiveClient(clientId) {
+    const client = currentClients.find(c => c.id == clientId);
+    if (!client) return;
+    
+    const confirmed = await Helpers.confirm(
+        'Archiver le client',
+        `${client.nom} ${client.prenom} sera masqué des listes et recherches. Vous pourrez le désarchiver à tout moment.`
+    );
+    
+    if (!confirmed) return;
+    
+    try {
+        await API.clients.archive(clientId);
+        
+        Storage.invalidateCache('clients');
+        await loadClients();
+        
+        Helpers.showToast('Client archivé', 'success');
+        
+    } catch (error) {
+        electronAPI.log.error('Erreur archivage client:', error);
+        Helpers.showError('Erreur', error.message || 'Impossible d\'archiver le client');
+    }
+}
+
+async function showArchived() {
+    try {
+        Helpers.showLoader('Chargement des archives...');
+        const response = await API.clients.getArchived();
+        Helpers.hideLoader();
+        
+        const clients = response.data || [];
+        
+        if (clients.length === 0) {
+            Helpers.showToast('Aucun client archivé', 'info');
+            return;
+        }
+        
+        const rows = clients.map(client => `
+            <tr>
+                <td>${Helpers.escapeHtml(client.code_client)}</td>
+                <td>${Helpers.escapeHtml(`${client.nom} ${client.prenom}`)}</td>
+                <td>${Helpers.formatDate(client.archive_le)}</td>
+                <td>${client.fusionne_avec_id ? '<span class="badge bg-secondary">Fusionné</span>' : `
+                    <button class="btn btn-sm btn-primary" onclick="clientsModule.unarchiveClient('${client.id}')" title="Désarchiver">
+                        <i class="fas fa-box-open"></i>
+                    </button>`}
+                </td>
+            </tr>
+        `).join('');
+        
+        Swal.fire({
+            title: `${clients.length} client(s) archivé(s)`,
+            html: `
+                <div style="max-height: 500px; overflow-y: auto;">
+                    <table class="table table-sm text-start">
+                        <thead><tr><th>Code</th><th>Client</th><th>Archivé le</th><th></th></tr></thead>
+                        <tbody>${rows}</tbody>
+                    </table>
+                </div>
+            `,
+            width: 800,
+            showConfirmButton: false,
+            showCloseButton: true
+        });
+        
+    } catch (error) {
+        Helpers.hideLoader();
+        electronAPI.log.error('Erreur chargement archives clients:', error);
+        Helpers.showError('Erreur', 'Impossible de charger les clients archivés');
+    }
+}
+
+async function unarchiveClient(clientId) {
+    try {
+        await API.clients.unarchive(clientId);
+        
+        Storage.invalidateCache('clients');
+        await loadClients();
+        
+        Helpers.showToast('Client désarchivé', 'success');
+        showArchived();
+        
+    } catch (error) {
+        electronAPI.log.error('Erreur désarchivage client:', error);
+        Helpers.showError('Erreur', error.message || 'Impossible de désarchiver le client');
+    }
+}
+
+async function showTrash() {
+    try {
+        Helpers.showLoader('Chargement de la corbeille...');
+        const response = await API.clients.getTrash();
+        Helpers.hideLoader();
+        
+        const { clients, retention_jours: retention } = response.data;
+        
+        if (clients.length === 0) {
+            Helpers.showToast('La corbeille est vide', 'info');
+            return;
+        }
+        
+        const rows = clients.map(client => `
+            <tr>
+                <td>${Helpers.escapeHtml(client.code_client)}</td>
+                <td>${Helpers.escapeHtml(`${client.nom} ${client.prenom}`)}</td>
+                <td>${Helpers.formatDate(client.supprime_le)}
+                    <div class="small text-muted">${Helpers.escapeHtml(`${client.supprime_par_prenom || ''} ${client.supprime_par_nom || ''}`)}</div>
+                </td>
+                <td class="small">${client.purgeable
+                    ? Helpers.formatDate(client.purge_prevue_le)
+                    : '<span class="text-muted" title="Marchandises ou paiements enregistrés">Conservé (historique)</span>'}
+                </td>
+                <td>
+                    <button class="btn btn-sm btn-success" onclick="clientsModule.restoreClient('${client.id}')" title="Restaurer">
+                        <i class="fas fa-undo"></i>
+                    </button>
+                </td>
+            </tr>
+        `).join('');
+        
+        Swal.fire({
+            title: `Corbeille (${clients.length})`,
+            html: `
+                <p class="text-muted small">Les clients sans historique sont supprimés définitivement après ${retention} jour(s).</p>
+                <div style="max-height: 500px; overflow-y: auto;">
+                    <table class="table table-sm text-start">
+                        <thead><tr><th>Code</th><th>Client</th><th>Supprimé le</th><th>Purge prévue</th><th></th></tr></thead>
+                        <tbody>${rows}</tbody>
+                    </table>
+                </div>
+            `,
+            width: 900,
+            showConfirmButton: false,
+            showCloseButton: true
+        });
+        
+    } catch (error) {
+        Helpers.hideLoader();
+        electronAPI.log.error('Erreur chargement corbeille clients:', error);
+        Helpers.showError('Erreur', error.message || 'Impossible de charger la corbeille');
+    }
+}
+
+async function restoreClient(clientId) {
+    try {
+        await API.clients.restore(clientId);
+        
+        Storage.invalidateCache('clients');
+        await loadClients();
+        
+        Helpers.showToast('Client restauré', 'success');
+        showTrash();
+        
+    } catch (error) {
+        electronAPI.log.error('Erreur restauration client:', error);
+        Helpers.showError('Erreur', error.message || 'Impossible de restaurer le client');
+    }
+}
+
+// =============================================
+// DOUBLONS ET FUSION
+// =============================================
+
+async function showDuplicates() {
+    try {
+        Helpers.showLoader('Recherche des doublons...');
+        const response = await API.clients.findDuplicates();
+        Helpers.hideLoader();
+        
+        const duplicates = response.data || [];
+        
+        if (duplicates.length === 0) {
+            Helpers.showToast('Aucun doublon probable détecté', 'info');
+            return;
+        }
+        
+        const reasons = {
+            telephone: 'Téléphone',
+            email: 'Email',
+            nom_identique: 'Nom identique',
+            nom_proche: 'Nom proche'
+        };
+        
+        const describe = (client) => `
+            <strong>${Helpers.escapeHtml(`${client.nom} ${client.prenom}`)}</strong>
+            <div class="small text-muted">
+                ${Helpers.escapeHtml(client.code_client)} · ${Helpers.escapeHtml(client.telephone_principal || '')}
+                ${client.email ? `· ${Helpers.escapeHtml(client.email)}` : ''}
+            </div>
+            <div class="small">${client.nombre_envois || 0} envoi(s)</div>
+        `;
+        
+        const rows = duplicates.map(pair => `
+            <tr>
+                <td><span class="badge bg-${pair.score >= 75 ? 'danger' : 'warning'}">${pair.score}</span></td>
+                <td>${describe(pair.client)}</td>
+                <td>${describe(pair.doublon)}</td>
+                <td class="small">${pair.raisons.map(r => reasons[r] || r).join(', ')}</td>
+                <td>
+                    <button class="btn btn-sm btn-primary"
+                        onclick="clientsModule.mergeClients('${pair.client.id}', '${pair.doublon.id}')"
+                        title="Conserver la première fiche">
+                        <i class="fas fa-compress-alt"></i>
+                    </button>
+                </td>
+            </tr>
+        `).join('');
+        
+        Swal.fire({
+            title: `${duplicates.length} doublon(s) probable(s)`,
+            html: `
+                <div style="max-height: 500px; overflow-y: auto;">
+                    <table class="table table-sm text-start">
+                        <thead><tr><th>Score</th><th>Fiche conservée</th><th>Doublon</th><th>Motifs</th><th></th></tr></thead>
+                        <tbody>${rows}</tbody>
+                    </table>
+                </div>
+            `,
+            width: 1000,
+            showConfirmButton: false,
+            showCloseButton: true
+        });
+        
+    } catch (error) {
+        Helpers.hideLoader();
+        electronAPI.log.error('Erreur recherche doublons:', error);
+        Helpers.showError('Erreur', 'Impossible de rechercher les doublons');
+    }
+}
+
+async function mergeClients(targetId, sourceId) {
+    const confirmed = await Helpers.confirm(
+        'Fusionner les clients',
+        'Les marchandises et paiements du doublon seront transférés vers la fiche conservée, puis le doublon sera archivé. Continuer ?'
+    );
+    
+    if (!confirmed) return;
+    
+    try {
+        Helpers.showLoader('Fusion en cours...');
+        
+        const result = await API.clients.merge(targetId, sourceId);
+        
+        Storage.invalidateCache('clients');
+        await loadClients();
+        
+        WebSocketManager.sendUpdate('client', {
+            action: 'merge',
+            data: { id: targetId, source_id: sourceId }
+        });
+        
+        Helpers.hideLoader();
+        Helpers.showSuccess('Succès', result.message || 'Clients fusionnés avec succès');
+        
+    } catch (error) {
+        Helpers.hideLoader();
+        electronAPI.log.error('Erreur fusion clients:', error);
+        Helpers.showError('Erreur', error.message || 'Impossible de fusionner les clients');
+    }
+}
+
+// =============================================
+// FAMILLES
+// =============================================
+
+async function createFamilyMember(clientId) {
+    const source = currentClients.find(c => c.id == clientId);
+    
+    const { value: formData } = await Swal.fire({
+        title: 'Nouveau membre de la famille',
+        html: `
+            <p class="text-muted small">
+                Adresses et téléphones sont recopiés depuis ${Helpers.escapeHtml(source ? `${source.nom} ${source.prenom}` : 'le client')}.
+            </p>
+            <input id="family-nom" class="swal2-input" placeholder="Nom" value="${Helpers.escapeHtml(source?.nom || '')}">
+            <input id="family-prenom" class="swal2-input" placeholder="Prénom *">
+            <input id="family-email" class="swal2-input" type="email" placeholder="Email">
+        `,
+        showCancelButton: true,
+        confirmButtonText: 'Créer',
+        cancelButtonText: 'Annuler',
+        preConfirm: () => {
+            const prenom = document.getElementById('family-prenom').value.trim();
+            if (!prenom) {
+                Swal.showValidationMessage('Le prénom est requis');
+                return false;
+            }
+            return {
+                nom: document.getElementById('family-nom').value.trim(),
+                prenom,
+                email: document.getElementById('family-email').value.trim() || null
+            };
+        }
+    });
+    
+    if (!formData) return;
+    
+    try {
+        const result = await API.clients.createFamilyMember(clientId, formData);
+        
+        Storage.invalidateCache('clients');
+        await loadClients();
+        
+        Helpers.showSuccess('Succès', result.message || 'Membre de la famille créé');
+        
+    } catch (error) {
+        electronAPI.log.error('Erreur création membre de famille:', error);
+        Helpers.showError('Erreur', error.message || 'Impossible de créer le membre de la famille');
+    }
+}
+
+async function viewFamily(clientId) {
+    try {
+        const response = await API.clients.getBalance(clientId);
+        const groupe = response.data.groupe;
+        
+        if (!groupe) {
+            const create = await Helpers.confirm(
+                'Famille',
+                'Ce client n\'appartient à aucune famille. Créer un membre de sa famille ?',
+                'Créer un membre'
+            );
+            if (create) await createFamilyMember(clientId);
+            return;
+        }
+        
+        const group = (await API.clientGroups.getById(groupe.groupe_id)).data;
+        
+        const rows = group.membres.map(membre => `
+            <tr>
+                <td>
+                    ${Helpers.escapeHtml(`${membre.nom} ${membre.prenom}`)}
+                    ${membre.id === group.payeur_id ? '<span class="badge bg-primary ms-1">Payeur</span>' : ''}
+                </td>
+                <td class="text-end">${Helpers.formatCurrency(membre.total_due)}</td>
+                <td class="text-end">${Helpers.formatCurrency(membre.total_paid)}</td>
+                <td class="text-end ${membre.balance > 0 ? 'text-danger' : ''}">${Helpers.formatCurrency(membre.balance)}</td>
+            </tr>
+        `).join('');
+        
+        const result = await Swal.fire({
+            title: Helpers.escapeHtml(group.nom),
+            width: 700,
+            html: `
+                <table class="table table-sm text-start">
+                    <thead>
+                        <tr><th>Membre</th><th class="text-end">Dû</th><th class="text-end">Payé</th><th class="text-end">Solde</th></tr>
+                    </thead>
+                    <tbody>${rows}</tbody>
+                    <tfoot>
+                        <tr class="fw-bold">
+                            <td>Total famille</td>
+                            <td class="text-end">${Helpers.formatCurrency(group.total_due)}</td>
+                            <td class="text-end">${Helpers.formatCurrency(group.total_paid)}</td>
+                            <td class="text-end">${Helpers.formatCurrency(group.balance)}</td>
+                        </tr>
+                    </tfoot>
+                </table>
+            `,
+            showCancelButton: true,
+            showDenyButton: true,
+            confirmButtonText: '<i class="fas fa-money-bill"></i> Paiement groupé',
+            denyButtonText: '<i class="fas fa-user-plus"></i> Ajouter un membre',
+            cancelButtonText: 'Fermer'
+        });
+        
+        if (result.isConfirmed) {
+            await recordGroupPayment(group);
+        } else if (result.isDenied) {
+            await createFamilyMember(clientId);
+        }
+        
+    } catch (error) {
+        electronAPI.log.error('Erreur chargement famille:', error);
+        Helpers.showError('Erreur', error.message || 'Impossible de charger la famille du client');
+    }
+}
+
+async function recordGroupPayment(group) {
+    const payer = group.membres.find(membre => membre.id === group.payeur_id);
+    
+    const { value: formData } = await Swal.fire({
+        title: 'Paiement groupé',
+        html: `
+            <p class="text-muted small">
+                Payé par ${Helpers.escapeHtml(payer ? `${payer.nom} ${payer.prenom}` : 'le payeur du groupe')}.
+                Les membres débiteurs les plus anciens sont réglés en premier, le surplus reste en avoir au payeur.
+            </p>
+            <input id="group-payment-amount" class="swal2-input" type="number" min="0" step="0.01"
+                   value="${Math.max(group.balance, 0)}" placeholder="Montant">
+            <select id="group-payment-mode" class="swal2-select">
+                <option value="especes">Espèces</option>
+                <option value="virement">Virement</option>
+                <option value="cheque">Chèque</option>
+                <option value="carte">Carte</option>
+                <option value="mobile_money">Mobile money</option>
+            </select>
+            <input id="group-payment-reference" class="swal2-input" placeholder="Référence de transaction">
+        `,
+        showCancelButton: true,
+        confirmButtonText: 'Enregistrer',
+        cancelButtonText: 'Annuler',
+        preConfirm: () => {
+            const montant = parseFloat(document.getElementById('group-payment-amount').value);
+            if (!(montant > 0)) {
+                Swal.showValidationMessage('Le montant doit être positif');
+                return false;
+            }
+            return {
+                montant,
+                mode_paiement: document.getElementById('group-payment-mode').value,
+                reference_transaction: document.getElementById('group-payment-reference').value.trim() || null
+            };
+        }
+    });
+    
+    if (!formData) return;
+    
+    try {
+        Helpers.showLoader('Enregistrement du paiement...');
+        
+        const response = await API.clientGroups.recordPayment(group.id, formData);
+        
+        Storage.invalidateCache('clients');
+        await loadClients();
+        
+        Helpers.hideLoader();
+        Helpers.showSuccess(
+            'Paiement groupé enregistré',
+            `${response.data.paiements.length} reçu(s) émis, référence ${response.data.reference}`
+        );
+        
+    } catch (error) {
+        Helpers.hideLoader();
+        electronAPI.log.error('Erreur paiement groupé:', error);
+        Helpers.showError('Erreur', error.message || 'Impossible d\'enregistrer le paiement groupé');
     }
 }
 
@@ -435,6 +972,8 @@ function showClientDetails(client) {
     modal.find('.client-email').text(client.email || 'N/A');
     modal.find('.client-address').html(formatAddress(client));
     modal.find('.client-status').html(renderStatus(client.statut));
+    modal.find('.client-kyc').html(renderKycStatus(client.statut_kyc));
+    modal.find('.client-tags').html(renderTags(client.tags) || '<span class="text-muted">Aucune</span>');
     modal.find('.client-created').text(Helpers.formatDate(client.created_at));
     
     // Statistiques
@@ -453,9 +992,290 @@ function showClientDetails(client) {
         viewHistory(client.id);
     });
     
+    modal.find('.btn-statement').off('click').on('click', () => {
+        modal.modal('hide');
+        showStatementDialog(client);
+    });
+    
+    modal.find('.btn-documents').off('click').on('click', () => {
+        modal.modal('hide');
+        manageDocuments(client);
+    });
+    
+    modal.find('.btn-tags').off('click').on('click', () => {
+        modal.modal('hide');
+        editTags(client);
+    });
+    
+    modal.find('.btn-gdpr').off('click').on('click', () => {
+        modal.modal('hide');
+        showPersonalDataDialog(client);
+    });
+    
     modal.modal('show');
 }
 
+async function showStatementDialog(client) {
+    const today = new Date();
+    const yearAgo = new Date(today.getFullYear() - 1, today.getMonth(), today.getDate() + 1);
+    const toInputDate = (date) => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+    
+    const result = await Swal.fire({
+        title: 'Relevé de compte',
+        html: `
+            <p class="text-muted small">
+                Expéditions, paiements et solde progressif de ${Helpers.escapeHtml(`${client.nom} ${client.prenom}`)},
+                avec la balance âgée à la date de fin.
+            </p>
+            <label for="statement-start" class="form-label">Du</label>
+            <input id="statement-start" class="swal2-input" type="date" value="${toInputDate(yearAgo)}">
+            <label for="statement-end" class="form-label">Au</label>
+            <input id="statement-end" class="swal2-input" type="date" value="${toInputDate(today)}">
+            ${client.email ? '' : '<p class="text-warning small mt-2">Aucune adresse email : envoi impossible.</p>'}
+        `,
+        showCancelButton: true,
+        showDenyButton: Boolean(client.email),
+        confirmButtonText: '<i class="fas fa-download me-2"></i>Télécharger',
+        denyButtonText: '<i class="fas fa-envelope me-2"></i>Envoyer par email',
+        cancelButtonText: 'Annuler',
+        preConfirm: () => readStatementPeriod(),
+        preDeny: () => readStatementPeriod()
+    });
+    
+    if (!result.value) return;
+    
+    const period = result.value;
+    
+    try {
+        if (result.isDenied) {
+            Helpers.showLoader('Envoi du relevé...');
+            const response = await API.clients.emailStatement(client.id, period);
+            Helpers.hideLoader();
+            Helpers.showSuccess('Relevé envoyé', response.message);
+        } else {
+            Helpers.showLoader('Génération du relevé...');
+            await API.clients.downloadStatement(
+                client.id,
+                period,
+                `releve_${client.code_client}_${period.date_debut}_${period.date_fin}.pdf`
+            );
+            Helpers.hideLoader();
+        }
+        
+    } catch (error) {
+        Helpers.hideLoader();
+        electronAPI.log.error('Erreur relevé de compte:', error);
+        Helpers.showError('Erreur', error.message || 'Impossible de générer le relevé de compte');
+    }
+}
+
+// =============================================
+// PIÈCES D'IDENTITÉ (KYC)
+// =============================================
+
+async function manageDocuments(client) {
+    try {
+        Helpers.showLoader('Chargement des pièces d\'identité...');
+        const response = await API.clients.getDocuments(client.id);
+        Helpers.hideLoader();
+        
+        const documents = response.data || [];
+        
+        const rows = documents.map(doc => `
+            <tr>
+                <td>${Helpers.escapeHtml(DOCUMENT_TYPES[doc.type_document] || doc.type_document)}</td>
+                <td>${Helpers.escapeHtml(doc.numero)}</td>
+                <td>${Helpers.escapeHtml(doc.pays_emission)}</td>
+                <td class="${doc.expire ? 'text-danger' : ''}">${doc.date_expiration ? Helpers.formatDate(doc.date_expiration) : '-'}</td>
+                <td>${renderDocumentStatus(doc)}</td>
+                <td class="text-end text-nowrap">
+                    ${doc.fichier ? `<button class="btn btn-sm btn-outline-secondary" data-action="download" data-id="${doc.id}" title="Télécharger le scan"><i class="fas fa-download"></i></button>` : ''}
+                    ${doc.statut !== 'valide' && !doc.expire ? `<button class="btn btn-sm btn-outline-success" data-action="validate" data-id="${doc.id}" title="Valider"><i class="fas fa-check"></i></button>` : ''}
+                    ${doc.statut !== 'rejete' ? `<button class="btn btn-sm btn-outline-warning" data-action="reject" data-id="${doc.id}" title="Rejeter"><i class="fas fa-ban"></i></button>` : ''}
+                    <button class="btn btn-sm btn-outline-danger" data-action="delete" data-id="${doc.id}" title="Supprimer"><i class="fas fa-trash"></i></button>
+                </td>
+            </tr>
+        `).join('');
+        
+        const result = await Swal.fire({
+            title: `Pièces d'identité - ${Helpers.escapeHtml(`${client.nom} ${client.prenom}`)}`,
+            width: 900,
+            html: `
+                <div class="text-start mb-2">Statut KYC : ${renderKycStatus(client.statut_kyc)}</div>
+                ${documents.length ? `
+                    <table class="table table-sm align-middle text-start">
+                        <thead><tr><th>Type</th><th>Numéro</th><th>Pays</th><th>Expiration</th><th>Statut</th><th></th></tr></thead>
+                        <tbody>${rows}</tbody>
+                    </table>
+                ` : '<p class="text-muted">Aucune pièce d\'identité enregistrée.</p>'}
+            `,
+            showCancelButton: true,
+            confirmButtonText: '<i class="fas fa-plus me-2"></i>Ajouter une pièce',
+            cancelButtonText: 'Fermer',
+            didOpen: (popup) => {
+                popup.querySelectorAll('button[data-action]').forEach(button => {
+                    button.addEventListener('click', () => {
+                        const doc = documents.find(d => d.id === parseInt(button.dataset.id));
+                        Swal.close();
+                        handleDocumentAction(client, doc, button.dataset.action);
+                    });
+                });
+            }
+        });
+        
+        if (result.isConfirmed) {
+            await addDocument(client);
+        }
+        
+    } catch (error) {
+        Helpers.hideLoader();
+        electronAPI.log.error('Erreur chargement pièces d\'identité:', error);
+        Helpers.showError('Erreur', error.message || 'Impossible de charger les pièces d\'identité');
+    }
+}
+
+function renderDocumentStatus(doc) {
+    if (doc.statut === 'valide' && doc.expire) {
+        return '<span class="badge bg-danger">Expirée</span>';
+    }
+    
+    const statuses = {
+        en_attente: '<span class="badge bg-warning">À vérifier</span>',
+        valide: '<span class="badge bg-success">Validée</span>',
+        rejete: `<span class="badge bg-danger" title="${Helpers.escapeHtml(doc.motif_rejet || '')}">Rejetée</span>`
+    };
+    
+    return statuses[doc.statut] || doc.statut;
+}
+
+async function addDocument(client) {
+    const typeOptions = Object.entries(DOCUMENT_TYPES)
+        .map(([value, label]) => `<option value="${value}">${label}</option>`)
+        .join('');
+    
+    const { value: formData } = await Swal.fire({
+        title: 'Nouvelle pièce d\'identité',
+        html: `
+            <select id="kyc-type" class="swal2-select">${typeOptions}</select>
+            <input id="kyc-numero" class="swal2-input" placeholder="Numéro du document">
+            <input id="kyc-pays" class="swal2-input" placeholder="Pays d'émission" value="${Helpers.escapeHtml(client.pays || '')}">
+            <label for="kyc-emission" class="form-label">Date d'émission</label>
+            <input id="kyc-emission" class="swal2-input" type="date">
+            <label for="kyc-expiration" class="form-label">Date d'expiration</label>
+            <input id="kyc-expiration" class="swal2-input" type="date">
+            <input id="kyc-fichier" class="swal2-file" type="file" accept="image/*,application/pdf">
+        `,
+        showCancelButton: true,
+        confirmButtonText: 'Enregistrer',
+        cancelButtonText: 'Annuler',
+        preConfirm: () => {
+            const data = {
+                type_document: document.getElementById('kyc-type').value,
+                numero: document.getElementById('kyc-numero').value.trim(),
+                pays_emission: document.getElementById('kyc-pays').value.trim(),
+                date_emission: document.getElementById('kyc-emission').value,
+                date_expiration: document.getElementById('kyc-expiration').value
+            };
+            
+            if (!data.numero || !data.pays_emission) {
+                Swal.showValidationMessage('Le numéro et le pays d\'émission sont obligatoires');
+                return false;
+            }
+            
+            return { data, file: document.getElementById('kyc-fichier').files[0] || null };
+        }
+    });
+    
+    if (!formData) return;
+    
+    try {
+        Helpers.showLoader('Enregistrement de la pièce...');
+        await API.clients.addDocument(client.id, formData.data, formData.file);
+        Helpers.hideLoader();
+        
+        Helpers.showSuccess('Pièce ajoutée', 'La pièce d\'identité est en attente de vérification');
+        await refreshClientAndDocuments(client);
+        
+    } catch (error) {
+        Helpers.hideLoader();
+        electronAPI.log.error('Erreur ajout pièce d\'identité:', error);
+        Helpers.showError('Erreur', error.message || 'Impossible d\'ajouter la pièce d\'identité');
+    }
+}
+
+async function handleDocumentAction(client, doc, action) {
+    try {
+        if (action === 'download') {
+            await API.clients.downloadDocument(client.id, doc.id, doc.nom_original || `piece_${doc.numero}`);
+            return;
+        }
+        
+        if (action === 'validate') {
+            await API.clients.reviewDocument(client.id, doc.id, 'valide');
+        }
+        
+        if (action === 'reject') {
+            const { value: motif } = await Swal.fire({
+                title: 'Rejeter la pièce',
+                input: 'text',
+                inputPlaceholder: 'Motif du rejet (illisible, nom différent...)',
+                showCancelButton: true,
+                confirmButtonText: 'Rejeter',
+                cancelButtonText: 'Annuler',
+                inputValidator: (value) => !value.trim() && 'Le motif est obligatoire'
+            });
+            
+            if (!motif) return manageDocuments(client);
+            
+            await API.clients.reviewDocument(client.id, doc.id, 'rejete', motif.trim());
+        }
+        
+        if (action === 'delete') {
+            const confirmed = await Helpers.confirm(
+                'Supprimer la pièce ?',
+                `${DOCUMENT_TYPES[doc.type_document] || doc.type_document} n° ${doc.numero} et son scan seront supprimés.`
+            );
+            
+            if (!confirmed) return manageDocuments(client);
+            
+            await API.clients.deleteDocument(client.id, doc.id);
+        }
+        
+        await refreshClientAndDocuments(client);
+        
+    } catch (error) {
+        electronAPI.log.error('Erreur action pièce d\'identité:', error);
+        Helpers.showError('Erreur', error.message || 'Opération impossible sur la pièce d\'identité');
+    }
+}
+
+async function refreshClientAndDocuments(client) {
+    const updated = await API.get(`/clients/${client.id}`, { noCache: true });
+    const fresh = updated.data || updated;
+    
+    Storage.invalidateCache('clients');
+    loadClients();
+    
+    return manageDocuments({ ...client, ...fresh });
+}
+
+function readStatementPeriod() {
+    const dateDebut = document.getElementById('statement-start').value;
+    const dateFin = document.getElementById('statement-end').value;
+    
+    if (!dateDebut || !dateFin) {
+        Swal.showValidationMessage('Choisissez une période complète');
+        return false;
+    }
+    
+    if (dateDebut > dateFin) {
+        Swal.showValidationMessage('La date de début doit précéder la date de fin');
+        return false;
+    }
+    
+    return { date_debut: dateDebut, date_fin: dateFin };
+}
+
 async function viewHistory(clientId) {
     try {
         Helpers.showLoader('Chargement de l\'historique...');
@@ -513,6 +1333,595 @@ function showHistoryModal(clientId, shipments, payments) {
     modal.modal('show');
 }
 
+// =============================================
+// ÉTIQUETTES ET SEGMENTS
+// =============================================
+
+function renderTags(tags) {
+    return (tags || []).map(tag =>
+        `<span class="badge bg-${tag.couleur || 'secondary'} me-1">${Helpers.escapeHtml(tag.nom)}</span>`
+    ).join('');
+}
+
+async function loadSegmentFilter() {
+    try {
+        const [tagsResponse, segmentsResponse] = await Promise.all([
+            API.clientSegments.getTags(),
+            API.clientSegments.getAll()
+        ]);
+        
+        availableTags = tagsResponse.data || [];
+        const segments = segmentsResponse.data || [];
+        const current = $('#filter-segment').val();
+        
+        const tagOptions = availableTags.map(tag =>
+            `<option value="tag:${tag.id}">${Helpers.escapeHtml(tag.nom)}</option>`
+        ).join('');
+        const segmentOptions = segments.map(segment =>
+            `<option value="segment:${segment.id}">${Helpers.escapeHtml(segment.nom)} (${segment.nombre_clients})</option>`
+        ).join('');
+        
+        $('#filter-segment').html(`
+            <option value="">Toutes les étiquettes</option>
+            <optgroup label="Étiquettes">${tagOptions}</optgroup>
+            <optgroup label="Segments">${segmentOptions}</optgroup>
+        `).val(current || '');
+        
+    } catch (error) {
+        electronAPI.log.error('Erreur chargement étiquettes et segments:', error);
+    }
+}
+
+async function onSegmentFilterChange() {
+    const [kind, id] = ($('#filter-segment').val() || '').split(':');
+    segmentMemberIds = null;
+    
+    // Segment dynamique : les membres sont recalculés par le serveur
+    if (kind === 'segment') {
+        try {
+            const response = await API.clientSegments.getClients(id);
+            segmentMemberIds = new Set((response.data || []).map(client => client.id));
+        } catch (error) {
+            electronAPI.log.error('Erreur chargement clients du segment:', error);
+            Helpers.showError('Erreur', error.message || 'Impossible de calculer le segment');
+        }
+    }
+    
+    applyFilters();
+}
+
+function filterBySegment(clients) {
+    const [kind, id] = ($('#filter-segment').val() || '').split(':');
+    
+    if (kind === 'tag') {
+        return clients.filter(c => (c.tags || []).some(tag => tag.id == id));
+    }
+    if (kind === 'segment' && segmentMemberIds) {
+        return clients.filter(c => segmentMemberIds.has(c.id));
+    }
+    
+    return clients;
+}
+
+async function editTags(client) {
+    if (availableTags.length === 0) await loadSegmentFilter();
+    
+    const selected = new Set((client.tags || []).map(tag => tag.id));
+    
+    const checkboxes = availableTags.map(tag => `
+        <div class="form-check form-check-inline">
+            <input class="form-check-input tag-choice" type="checkbox" id="tag-${tag.id}" value="${tag.id}"
+                ${selected.has(tag.id) ? 'checked' : ''}>
+            <label class="form-check-label" for="tag-${tag.id}">${renderTags([tag])}</label>
+        </div>
+    `).join('');
+    
+    const { value: tags } = await Swal.fire({
+        title: `Étiquettes - ${Helpers.escapeHtml(client.code_client)}`,
+        html: `
+            <div class="text-start mb-3">${checkboxes || '<p class="text-muted">Aucune étiquette</p>'}</div>
+            <input id="tags-new" class="swal2-input" placeholder="Nouvelles étiquettes, séparées par des virgules">
+        `,
+        showCancelButton: true,
+        confirmButtonText: 'Enregistrer',
+        cancelButtonText: 'Annuler',
+        preConfirm: () => [
+            ...$('.tag-choice:checked').map((i, el) => parseInt(el.value, 10)).get(),
+            ...$('#tags-new').val().split(',').map(name => name.trim()).filter(Boolean)
+        ]
+    });
+    
+    if (!tags) return;
+    
+    try {
+        const response = await API.clients.setTags(client.id, tags);
+        
+        const row = currentClients.find(c => c.id == client.id);
+        if (row) row.tags = response.data;
+        Storage.setCache('clients', currentClients);
+        
+        await loadSegmentFilter();
+        applyFilters();
+        
+        Helpers.showToast('Étiquettes enregistrées', 'success');
+        
+    } catch (error) {
+        electronAPI.log.error('Erreur enregistrement étiquettes:', error);
+        Helpers.showError('Erreur', error.message || 'Impossible d\'enregistrer les étiquettes');
+    }
+}
+
+async function manageSegments() {
+    try {
+        Helpers.showLoader('Calcul des segments...');
+        const response = await API.clientSegments.getAll();
+        Helpers.hideLoader();
+        
+        const segments = response.data || [];
+        
+        const rows = segments.map(segment => `
+            <tr>
+                <td>${Helpers.escapeHtml(segment.nom)}</td>
+                <td class="small text-muted">${Helpers.escapeHtml(segment.description || '')}</td>
+                <td>${segment.nombre_clients}</td>
+                <td class="text-nowrap">
+                    <button class="btn btn-sm btn-outline-primary" onclick="clientsModule.filterBySegmentId(${segment.id})" title="Afficher les clients">
+                        <i class="fas fa-filter"></i>
+                    </button>
+                    <button class="btn btn-sm btn-outline-secondary" onclick="clientsModule.editSegment(${segment.id})" title="Modifier">
+                        <i class="fas fa-edit"></i>
+                    </button>
+                    <button class="btn btn-sm btn-outline-success" onclick="clientsModule.notifyAudience('segment_id', ${segment.id})" title="Envoi groupé">
+                        <i class="fas fa-envelope"></i>
+                    </button>
+                    <button class="btn btn-sm btn-outline-danger" onclick="clientsModule.deleteSegment(${segment.id})" title="Supprimer">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                </td>
+            </tr>
+        `).join('');
+        
+        const result = await Swal.fire({
+            title: 'Segments de clients',
+            html: `
+                <div style="max-height: 500px; overflow-y: auto;">
+                    <table class="table table-sm text-start">
+                        <thead><tr><th>Segment</th><th>Description</th><th>Clients</th><th></th></tr></thead>
+                        <tbody>${rows || '<tr><td colspan="4" class="text-center text-muted">Aucun segment</td></tr>'}</tbody>
+                    </table>
+                </div>
+            `,
+            width: 900,
+            showCloseButton: true,
+            showDenyButton: true,
+            confirmButtonText: '<i class="fas fa-plus me-2"></i>Nouveau segment',
+            denyButtonText: '<i class="fas fa-tags me-2"></i>Étiquettes'
+        });
+        
+        if (result.isConfirmed) {
+            await editSegment();
+        } else if (result.isDenied) {
+            await manageTags();
+        }
+        
+    } catch (error) {
+        Helpers.hideLoader();
+        electronAPI.log.error('Erreur chargement segments:', error);
+        Helpers.showError('Erreur', error.message || 'Impossible de charger les segments');
+    }
+}
+
+function filterBySegmentId(segmentId) {
+    Swal.close();
+    $('#filter-segment').val(`segment:${segmentId}`).trigger('change');
+}
+
+function renderRuleRow(rule = {}) {
+    const criteria = segmentCriteria.map(c =>
+        `<option value="${c.critere}" ${c.critere === rule.critere ? 'selected' : ''}>${c.label}</option>`
+    ).join('');
+    
+    return `
+        <div class="segment-rule d-flex gap-2 mb-2 align-items-center">
+            <select class="form-select form-select-sm rule-critere">${criteria}</select>
+            <select class="form-select form-select-sm rule-operateur"></select>
+            <span class="rule-valeur-container flex-grow-1"></span>
+            <input type="number" min="1" max="120" class="form-control form-control-sm rule-mois" style="width: 90px"
+                placeholder="mois" title="Sur les N derniers mois (vide : depuis toujours)" value="${rule.mois || ''}">
+            <button type="button" class="btn btn-sm btn-outline-danger rule-remove"><i class="fas fa-times"></i></button>
+        </div>
+    `;
+}
+
+// Adapter opérateurs, champ valeur et période au critère choisi
+function updateRuleRow($row, rule = {}) {
+    const criterion = segmentCriteria.find(c => c.critere === $row.find('.rule-critere').val());
+    
+    $row.find('.rule-operateur').html(criterion.operateurs.map(op =>
+        `<option value="${op}" ${op === rule.operateur ? 'selected' : ''}>${SEGMENT_OPERATORS[op]}</option>`
+    ).join(''));
+    
+    let input;
+    if (criterion.type === 'etiquette') {
+        input = `<select class="form-select form-select-sm rule-valeur">${availableTags.map(tag =>
+            `<option value="${tag.id}" ${tag.id == rule.valeur ? 'selected' : ''}>${Helpers.escapeHtml(tag.nom)}</option>`
+        ).join('')}</select>`;
+    } else if (criterion.type === 'liste') {
+        input = `<select class="form-select form-select-sm rule-valeur">${criterion.valeurs.map(value =>
+            `<option value="${value}" ${value === rule.valeur ? 'selected' : ''}>${value}</option>`
+        ).join('')}</select>`;
+    } else {
+        input = `<input type="${criterion.type === 'nombre' ? 'number' : 'text'}" class="form-control form-control-sm rule-valeur"
+            value="${Helpers.escapeHtml(rule.valeur ?? '')}">`;
+    }
+    
+    $row.find('.rule-valeur-container').html(input);
+    $row.find('.rule-mois').toggle(criterion.periode);
+}
+
+function readSegmentForm() {
+    return {
+        nom: $('#segment-nom').val().trim(),
+        description: $('#segment-description').val().trim(),
+        combinaison: $('#segment-combinaison').val(),
+        requete: $('#segment-requete').val().trim(),
+        regles: $('.segment-rule').map((i, el) => {
+            const $row = $(el);
+            const rule = {
+                critere: $row.find('.rule-critere').val(),
+                operateur: $row.find('.rule-operateur').val(),
+                valeur: $row.find('.rule-valeur').val()
+            };
+            if ($row.find('.rule-mois').is(':visible') && $row.find('.rule-mois').val()) {
+                rule.mois = parseInt($row.find('.rule-mois').val(), 10);
+            }
+            return rule;
+        }).get()
+    };
+}
+
+async function editSegment(segmentId = null) {
+    try {
+        if (!segmentCriteria) {
+            segmentCriteria = (await API.clientSegments.getCriteria()).data;
+        }
+        if (availableTags.length === 0) await loadSegmentFilter();
+        
+        let segment = { regles: [{ critere: 'envois', operateur: '>', valeur: 5, mois: 12 }], combinaison: 'toutes' };
+        if (segmentId) {
+            segment = ((await API.clientSegments.getAll()).data || []).find(s => s.id === segmentId) || segment;
+        }
+        
+        const result = await Swal.fire({
+            title: segmentId ? 'Modifier le segment' : 'Nouveau segment',
+            html: `
+                <div class="text-start">
+                    <input id="segment-nom" class="form-control mb-2" placeholder="Nom du segment" value="${Helpers.escapeHtml(segment.nom || '')}">
+                    <input id="segment-description" class="form-control mb-2" placeholder="Description" value="${Helpers.escapeHtml(segment.description || '')}">
+                    <select id="segment-combinaison" class="form-select mb-3">
+                        <option value="toutes" ${segment.combinaison !== 'une' ? 'selected' : ''}>Toutes les règles</option>
+                        <option value="une" ${segment.combinaison === 'une' ? 'selected' : ''}>Au moins une règle</option>
+                    </select>
+                    <div id="segment-rules">${(segment.regles || []).map(rule => renderRuleRow(rule)).join('')}</div>
+                    <button type="button" id="segment-add-rule" class="btn btn-sm btn-outline-primary mb-3">
+                        <i class="fas fa-plus me-1"></i>Ajouter une règle
+                    </button>
+                    <input id="segment-requete" class="form-control mb-2" value="${Helpers.escapeHtml(segment.requete || '')}"
+                        placeholder="Requête complémentaire (ex. ville:Paris -tag:Grossiste)">
+                    <div id="segment-preview" class="small text-muted"></div>
+                </div>
+            `,
+            width: 900,
+            showCancelButton: true,
+            showDenyButton: true,
+            confirmButtonText: 'Enregistrer',
+            denyButtonText: 'Aperçu',
+            cancelButtonText: 'Annuler',
+            didOpen: () => {
+                $('.segment-rule').each((i, el) => updateRuleRow($(el), segment.regles[i]));
+                
+                $('#segment-rules').on('change', '.rule-critere', function() {
+                    updateRuleRow($(this).closest('.segment-rule'));
+                });
+                $('#segment-rules').on('click', '.rule-remove', function() {
+                    $(this).closest('.segment-rule').remove();
+                });
+                $('#segment-add-rule').on('click', () => {
+                    const $row = $(renderRuleRow()).appendTo('#segment-rules');
+                    updateRuleRow($row);
+                });
+            },
+            preDeny: async () => {
+                try {
+                    const preview = (await API.clientSegments.preview(readSegmentForm())).data;
+                    const names = preview.apercu.slice(0, 5).map(c => Helpers.escapeHtml(`${c.nom} ${c.prenom}`)).join(', ');
+                    $('#segment-preview').html(`<strong>${preview.nombre_clients} client(s)</strong>${names ? ` : ${names}${preview.nombre_clients > 5 ? '…' : ''}` : ''}`);
+                } catch (error) {
+                    Swal.showValidationMessage(error.message);
+                }
+                return false;
+            },
+            preConfirm: () => {
+                const data = readSegmentForm();
+                if (!data.nom) {
+                    Swal.showValidationMessage('Le nom du segment est requis');
+                    return false;
+                }
+                return data;
+            }
+        });
+        
+        if (!result.isConfirmed) return;
+        
+        if (segmentId) {
+            await API.clientSegments.update(segmentId, result.value);
+        } else {
+            await API.clientSegments.create(result.value);
+        }
+        
+        await loadSegmentFilter();
+        Helpers.showToast('Segment enregistré', 'success');
+        
+    } catch (error) {
+        electronAPI.log.error('Erreur enregistrement segment:', error);
+        Helpers.showError('Erreur', error.message || 'Impossible d\'enregistrer le segment');
+    }
+}
+
+async function deleteSegment(segmentId) {
+    const confirmed = await Helpers.confirm('Supprimer le segment', 'Les clients du segment ne sont pas modifiés.');
+    if (!confirmed) return;
+    
+    try {
+        await API.clientSegments.delete(segmentId);
+        
+        if ($('#filter-segment').val() === `segment:${segmentId}`) {
+            $('#filter-segment').val('');
+            segmentMemberIds = null;
+        }
+        
+        await loadSegmentFilter();
+        applyFilters();
+        
+        Helpers.showToast('Segment supprimé', 'success');
+        
+    } catch (error) {
+        electronAPI.log.error('Erreur suppression segment:', error);
+        Helpers.showError('Erreur', error.message || 'Impossible de supprimer le segment');
+    }
+}
+
+async function manageTags() {
+    await loadSegmentFilter();
+    
+    const rows = availableTags.map(tag => `
+        <tr>
+            <td>${renderTags([tag])}</td>
+            <td>${tag.nombre_clients}</td>
+            <td class="text-nowrap">
+                <button class="btn btn-sm btn-outline-success" onclick="clientsModule.notifyAudience('tag_id', ${tag.id})" title="Envoi groupé">
+                    <i class="fas fa-envelope"></i>
+                </button>
+                <button class="btn btn-sm btn-outline-secondary" onclick="clientsModule.renameTag(${tag.id})" title="Renommer">
+                    <i class="fas fa-edit"></i>
+                </button>
+                ${tag.predefini ? '' : `
+                <button class="btn btn-sm btn-outline-danger" onclick="clientsModule.deleteTag(${tag.id})" title="Supprimer">
+                    <i class="fas fa-trash"></i>
+                </button>`}
+            </td>
+        </tr>
+    `).join('');
+    
+    const result = await Swal.fire({
+        title: 'Étiquettes',
+        html: `
+            <table class="table table-sm text-start">
+                <thead><tr><th>Étiquette</th><th>Clients</th><th></th></tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `,
+        width: 700,
+        showCloseButton: true,
+        input: 'text',
+        inputPlaceholder: 'Nouvelle étiquette',
+        confirmButtonText: '<i class="fas fa-plus me-2"></i>Créer',
+        inputValidator: (value) => !value.trim() && 'Saisissez le nom de l\'étiquette'
+    });
+    
+    if (!result.isConfirmed) return;
+    
+    try {
+        await API.clientSegments.createTag({ nom: result.value.trim() });
+        Helpers.showToast('Étiquette créée', 'success');
+        await manageTags();
+    } catch (error) {
+        Helpers.showError('Erreur', error.message || 'Impossible de créer l\'étiquette');
+    }
+}
+
+async function renameTag(tagId) {
+    const tag = availableTags.find(t => t.id === tagId);
+    if (!tag) return;
+    
+    const { value: nom } = await Swal.fire({
+        title: 'Renommer l\'étiquette',
+        input: 'text',
+        inputValue: tag.nom,
+        showCancelButton: true,
+        confirmButtonText: 'Renommer',
+        cancelButtonText: 'Annuler',
+        inputValidator: (value) => !value.trim() && 'Le nom est requis'
+    });
+    
+    if (!nom) return;
+    
+    try {
+        await API.clientSegments.updateTag(tagId, { nom: nom.trim() });
+        Storage.invalidateCache('clients');
+        await loadClients();
+        await manageTags();
+    } catch (error) {
+        Helpers.showError('Erreur', error.message || 'Impossible de renommer l\'étiquette');
+    }
+}
+
+async function deleteTag(tagId) {
+    const tag = availableTags.find(t => t.id === tagId);
+    if (!tag) return;
+    
+    const confirmed = await Helpers.confirm(
+        'Supprimer l\'étiquette',
+        `"${tag.nom}" sera retirée de ${tag.nombre_clients} client(s).`
+    );
+    if (!confirmed) return;
+    
+    try {
+        await API.clientSegments.deleteTag(tagId);
+        Storage.invalidateCache('clients');
+        await loadClients();
+        await manageTags();
+    } catch (error) {
+        Helpers.showError('Erreur', error.message || 'Impossible de supprimer l\'étiquette');
+    }
+}
+
+async function notifyAudience(key, id) {
+    const { value: message } = await Swal.fire({
+        title: 'Envoi groupé par email',
+        html: `
+            <input id="bulk-subject" class="swal2-input" placeholder="Sujet">
+            <textarea id="bulk-message" class="swal2-textarea" rows="6" placeholder="Message"></textarea>
+            <p class="small text-muted">Variables : {prenom}, {nom}, {code_client}, {solde}. Les clients sans email sont ignorés.</p>
+        `,
+        showCancelButton: true,
+        confirmButtonText: '<i class="fas fa-paper-plane me-2"></i>Envoyer',
+        cancelButtonText: 'Annuler',
+        preConfirm: () => {
+            const sujet = $('#bulk-subject').val().trim();
+            const texte = $('#bulk-message').val().trim();
+            if (!sujet || !texte) {
+                Swal.showValidationMessage('Le sujet et le message sont requis');
+                return false;
+            }
+            return { sujet, message: texte };
+        }
+    });
+    
+    if (!message) return;
+    
+    try {
+        Helpers.showLoader('Envoi en cours...');
+        const response = await API.clientSegments.notify({ [key]: id, ...message });
+        Helpers.hideLoader();
+        
+        const summary = response.data;
+        Helpers.showSuccess(
+            'Envoi groupé terminé',
+            `${summary.envoyes} email(s) envoyé(s), ${summary.sans_email} client(s) sans email, ${summary.echecs} échec(s)`
+        );
+        
+    } catch (error) {
+        Helpers.hideLoader();
+        electronAPI.log.error('Erreur envoi groupé:', error);
+        Helpers.showError('Erreur', error.message || 'Impossible d\'effectuer l\'envoi groupé');
+    }
+}
+
+// =============================================
+// DONNÉES PERSONNELLES (RGPD)
+// =============================================
+
+async function showPersonalDataDialog(client) {
+    if (client.anonymise_le) {
+        Helpers.showToast(`Client anonymisé le ${Helpers.formatDate(client.anonymise_le)}`, 'info');
+        return;
+    }
+    
+    const result = await Swal.fire({
+        title: 'Données personnelles',
+        html: `
+            <p class="text-start">
+                <strong>Exporter</strong> : archive ZIP de toutes les données détenues sur
+                ${Helpers.escapeHtml(`${client.nom} ${client.prenom}`)} (fiche, envois, paiements,
+                notifications, historique et fichiers téléversés).
+            </p>
+            <p class="text-start">
+                <strong>Anonymiser</strong> : efface définitivement les données personnelles et les pièces d'identité.
+                Les envois et paiements sont conservés pour la comptabilité.
+            </p>
+        `,
+        icon: 'info',
+        showCancelButton: true,
+        showDenyButton: true,
+        confirmButtonText: '<i class="fas fa-file-archive me-2"></i>Exporter',
+        denyButtonText: '<i class="fas fa-user-secret me-2"></i>Anonymiser',
+        cancelButtonText: 'Annuler'
+    });
+    
+    if (result.isConfirmed) {
+        await exportPersonalData(client);
+    } else if (result.isDenied) {
+        await anonymizeClient(client);
+    }
+}
+
+async function exportPersonalData(client) {
+    try {
+        Helpers.showLoader('Préparation de l\'export...');
+        await API.clients.exportPersonalData(
+            client.id,
+            `donnees_${client.code_client}_${new Date().toISOString().split('T')[0]}.zip`
+        );
+        Helpers.hideLoader();
+        Helpers.showToast('Export des données personnelles téléchargé', 'success');
+        
+    } catch (error) {
+        Helpers.hideLoader();
+        electronAPI.log.error('Erreur export RGPD client:', error);
+        Helpers.showError('Erreur', error.message || 'Impossible d\'exporter les données du client');
+    }
+}
+
+async function anonymizeClient(client) {
+    const { value: motif } = await Swal.fire({
+        title: 'Anonymiser le client',
+        html: `
+            <p class="text-danger">
+                Cette opération est irréversible : nom, coordonnées, adresses, commentaires
+                et pièces d'identité de ${Helpers.escapeHtml(client.code_client)} seront effacés.
+            </p>
+        `,
+        input: 'textarea',
+        inputLabel: 'Motif (origine de la demande)',
+        inputPlaceholder: 'Ex : demande d\'effacement reçue par email le ...',
+        icon: 'warning',
+        showCancelButton: true,
+        confirmButtonText: 'Anonymiser',
+        confirmButtonColor: '#d33',
+        cancelButtonText: 'Annuler',
+        inputValidator: (value) => !value.trim() && 'Le motif est obligatoire'
+    });
+    
+    if (!motif) return;
+    
+    try {
+        Helpers.showLoader('Anonymisation...');
+        await API.clients.anonymize(client.id, motif.trim());
+        
+        Storage.invalidateCache('clients');
+        await loadClients();
+        
+        Helpers.hideLoader();
+        Helpers.showSuccess('Client anonymisé', 'Les données personnelles ont été effacées. Le client a été archivé.');
+        
+    } catch (error) {
+        Helpers.hideLoader();
+        electronAPI.log.error('Erreur anonymisation client:', error);
+        Helpers.showError('Erreur', error.message || 'Impossible d\'anonymiser le client');
+    }
+}
+
 // =============================================
 // FONCTIONS D'EXPORT/IMPORT
 // =============================================
@@ -597,34 +2006,153 @@ async function handleImportFile(file) {
             return;
         }
         
+        // 1. Lire les en-têtes et proposer la correspondance des colonnes
+        Helpers.showLoader('Analyse du fichier...');
+        const analysis = (await API.clients.analyzeImport(file)).data;
+        Helpers.hideLoader();
+        
+        const options = await askImportMapping(analysis);
+        if (!options) return;
+        
+        // 2. Simulation : validation ligne par ligne sans écriture
+        Helpers.showLoader('Vérification des données...');
+        const preview = (await API.clients.import(file, { ...options, dryRun: true })).data;
+        Helpers.hideLoader();
+        
+        const confirmed = await Swal.fire({
+            title: 'Aperçu de l\'import',
+            html: renderImportReport(preview),
+            width: 900,
+            showCancelButton: true,
+            confirmButtonText: 'Importer',
+            cancelButtonText: 'Annuler'
+        });
+        
+        if (!confirmed.isConfirmed) return;
+        
+        // 3. Import réel
         Helpers.showLoader('Import en cours...');
+        const result = await API.clients.import(file, { ...options, dryRun: false });
+        Helpers.hideLoader();
         
-        // TODO: Implémenter l'import réel
-        // Pour le moment, simulation
-        setTimeout(() => {
-            Helpers.hideLoader();
-            $('#import-modal').modal('hide');
-            Helpers.showSuccess('Import réussi', 'Les clients ont été importés');
-            loadClients();
-        }, 2000);
+        $('#import-modal').modal('hide');
+        Storage.invalidateCache('clients');
+        await loadClients();
+        
+        Helpers.showSuccess('Import terminé', result.message);
         
     } catch (error) {
         Helpers.hideLoader();
         electronAPI.log.error('Erreur import clients:', error);
-        Helpers.showError('Erreur', 'Impossible d\'importer le fichier');
+        Helpers.showError('Erreur', error.message || 'Impossible d\'importer le fichier');
     }
 }
 
+async function askImportMapping(analysis) {
+    const fieldOptions = (selected) => ['<option value="">— Ignorer —</option>']
+        .concat(analysis.fields.map(field =>
+            `<option value="${field}" ${field === selected ? 'selected' : ''}>${field}</option>`
+        ))
+        .join('');
+    
+    const rows = analysis.headers.map((header, index) => `
+        <tr>
+            <td>${Helpers.escapeHtml(header)}</td>
+            <td class="text-muted small">${Helpers.escapeHtml(analysis.sample[0]?.[index] || '')}</td>
+            <td>
+                <select class="form-select form-select-sm import-mapping" data-header="${Helpers.escapeHtml(header)}">
+                    ${fieldOptions(analysis.mapping[header])}
+                </select>
+            </td>
+        </tr>
+    `).join('');
+    
+    const result = await Swal.fire({
+        title: `Correspondance des colonnes (${analysis.total_rows} lignes)`,
+        html: `
+            <table class="table table-sm text-start">
+                <thead><tr><th>Colonne du fichier</th><th>Exemple</th><th>Champ client</th></tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+            <div class="text-start">
+                <label class="form-label" for="import-on-duplicate">Clients déjà existants (même téléphone ou email)</label>
+                <select class="form-select form-select-sm" id="import-on-duplicate">
+                    <option value="skip">Ignorer la ligne</option>
+                    <option value="update">Mettre à jour le client existant</option>
+                </select>
+            </div>
+        `,
+        width: 800,
+        showCancelButton: true,
+        confirmButtonText: 'Vérifier',
+        cancelButtonText: 'Annuler',
+        preConfirm: () => {
+            const mapping = {};
+            document.querySelectorAll('.import-mapping').forEach(select => {
+                mapping[select.dataset.header] = select.value || null;
+            });
+            return {
+                mapping,
+                onDuplicate: document.getElementById('import-on-duplicate').value
+            };
+        }
+    });
+    
+    return result.isConfirmed ? result.value : null;
+}
+
+function renderImportReport(report) {
+    const labels = { create: 'Création', update: 'Mise à jour', skip: 'Ignoré', error: 'Erreur' };
+    const colors = { create: 'success', update: 'info', skip: 'secondary', error: 'danger' };
+    
+    // N'afficher que les lignes qui demandent l'attention de l'opérateur
+    const lines = report.rows
+        .filter(row => row.action !== 'create')
+        .slice(0, 100)
+        .map(row => `
+            <tr>
+                <td>${row.line}</td>
+                <td>${Helpers.escapeHtml(`${row.data.nom || ''} ${row.data.prenom || ''}`)}</td>
+                <td><span class="badge bg-${colors[row.action]}">${labels[row.action]}</span></td>
+                <td class="small">${Helpers.escapeHtml(
+                    Object.values(row.errors || {}).join(', ') ||
+                    (row.existing ? `Existe déjà: ${row.existing.code_client}` : '')
+                )}</td>
+            </tr>
+        `).join('');
+    
+    return `
+        <p>
+            <span class="badge bg-success">${report.created} à créer</span>
+            <span class="badge bg-info">${report.updated} à mettre à jour</span>
+            <span class="badge bg-secondary">${report.skipped} ignorés</span>
+            <span class="badge bg-danger">${report.errors} en erreur</span>
+        </p>
+        ${lines ? `
+            <div style="max-height: 400px; overflow-y: auto;">
+                <table class="table table-sm text-start">
+                    <thead><tr><th>Ligne</th><th>Client</th><th>Action</th><th>Détail</th></tr></thead>
+                    <tbody>${lines}</tbody>
+                </table>
+            </div>
+        ` : ''}
+    `;
+}
+
 // =============================================
 // FONCTIONS UTILITAIRES
 // =============================================
 
-function applyFilters() {
+async function applyFilters() {
     const status = $('#filter-status').val();
     const city = $('#filter-city').val();
     const search = $('#search-client').val().toLowerCase();
     
-    let filtered = currentClients;
+    // Recherche structurée (ex. "ville:Paris balance>0") : filtrée par le serveur
+    const structured = await Helpers.structuredSearch('clients', search, $('#search-client'));
+    if (search !== $('#search-client').val().toLowerCase()) return; // Saisie modifiée entre-temps
+    
+    let filtered = structured || currentClients;
     
     if (status) {
         filtered = filtered.filter(c => c.statut === status);
@@ -634,7 +2162,9 @@ function applyFilters() {
         filtered = filtered.filter(c => c.ville === city);
     }
     
-    if (search) {
+    filtered = filterBySegment(filtered);
+    
+    if (search && !structured) {
         filtered = Helpers.fuzzySearch(filtered, search, [
             'nom', 'prenom', 'telephone_principal', 'email', 'code_client'
         ]);
@@ -688,6 +2218,15 @@ export function handleRealtimeUpdate(type, data) {
     
     electronAPI.log.info('Mise à jour temps réel client:', data);
     
+    // Compteurs recalculés pour un client : mise à jour de la ligne sans recharger la liste
+    const target = data && (data.compteurs || data.tags) && currentClients.find(client => client.id === data.id);
+    if (target) {
+        Object.assign(target, data.compteurs || { tags: data.tags });
+        Storage.setCache('clients', currentClients);
+        renderClientsTable();
+        return;
+    }
+    
     // Rafraîchir les données
     loadClients();
 }
@@ -701,5 +2240,19 @@ window.clientsModule = {
     viewClient,
     editClient: showClientModal,
     viewHistory,
-    deleteClient
+    deleteClient,
+    mergeClients,
+    viewFamily,
+    createFamilyMember,
+    showStatementDialog,
+    manageDocuments,
+    archiveClient,
+    unarchiveClient,
+    restoreClient,
+    filterBySegmentId,
+    editSegment,
+    deleteSegment,
+    notifyAudience,
+    renameTag,
+    deleteTag
 };
\ No newline at end of file
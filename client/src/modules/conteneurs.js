@@ -101,6 +101,14 @@ function initializeUI() {
     }
     
     conteneursTable = Helpers.initDataTable('#conteneurs-table', {
+        views: 'conteneurs',
+        getViewFilters: () => ({
+            recherche: $('#search-conteneur').val() || ''
+        }),
+        onViewApplied: (filtres) => {
+            $('#search-conteneur').val(filtres.recherche || '');
+            applyFilters();
+        },
         columns: [
             { 
                 data: 'numero_conteneur', 
@@ -583,12 +591,33 @@ async function closeConteneur(conteneurId) {
     try {
         Helpers.showLoader('Clôture en cours...');
         
-        await API.conteneurs.close(conteneurId);
+        const closed = await API.conteneurs.close(conteneurId);
         
         await loadConteneurs();
         
         Helpers.hideLoader();
-        Helpers.showSuccess('Succès', 'Conteneur clôturé avec succès');
+        
+        // Expéditeurs sans pièce d'identité vérifiée (expédition non bloquée par le paramétrage)
+        // et colis dont le chargement n'a pas été scanné
+        const nonVerifies = closed.clients_non_verifies || [];
+        const warnings = [];
+        if (nonVerifies.length > 0) {
+            warnings.push(`Pièce d'identité non vérifiée pour : ${nonVerifies.map(client => `${client.nom} (${client.code_client})`).join(', ')}`);
+        }
+        if (closed.colis_non_charges > 0) {
+            warnings.push(`${closed.colis_non_charges} colis n'avaient pas été scannés au chargement`);
+        }
+        
+        if (warnings.length > 0) {
+            await Swal.fire({
+                icon: 'warning',
+                title: 'Conteneur clôturé',
+                text: warnings.join('. '),
+                confirmButtonText: 'OK'
+            });
+        } else {
+            Helpers.showSuccess('Succès', 'Conteneur clôturé avec succès');
+        }
         
         // Génération automatique des documents
         const generateDocs = await Helpers.confirm(
@@ -603,6 +632,14 @@ async function closeConteneur(conteneurId) {
     } catch (error) {
         Helpers.hideLoader();
         electronAPI.log.error('Erreur clôture conteneur:', error);
+        
+        // Clôture refusée : expéditeurs sans pièce d'identité vérifiée
+        if (error.status === 409 && error.data?.details) {
+            const clients = error.data.details.map(client => `${client.nom} (${client.code_client})`).join(', ');
+            Helpers.showError('Expédition bloquée', `${error.message} : ${clients}`);
+            return;
+        }
+        
         Helpers.showError('Erreur', 'Impossible de clôturer le conteneur');
     }
 }
@@ -808,15 +845,21 @@ function updateCapacityDisplay() {
     `);
 }
 
-function applyFilters() {
-    const search = $('#search-conteneur').val().toLowerCase();
+async function applyFilters() {
+    const search = $('#search-conteneur').val();
     
-    if (!search) {
-        conteneursTable.search('').draw();
-        return;
-    }
+    // Recherche structurée (ex. "destination:Congo depart>2026-09") : filtrée par le serveur
+    const structured = await Helpers.structuredSearch('conteneurs', search, $('#search-conteneur'));
+    if (search !== $('#search-conteneur').val()) return; // Saisie modifiée entre-temps
+    
+    // Conserver les données enrichies (manifeste, remplissage) des conteneurs déjà chargés
+    const rows = structured
+        ? structured.map(row => currentConteneurs.find(c => c.id === row.id) || row)
+        : currentConteneurs;
     
-    conteneursTable.search(search).draw();
+    conteneursTable.clear();
+    conteneursTable.rows.add(rows);
+    conteneursTable.search(structured ? '' : search.toLowerCase()).draw();
 }
 
 function updateStats() {
@@ -125,6 +125,25 @@ function initializeUI() {
     }
     
     paiementsTable = Helpers.initDataTable('#paiements-table', {
+        views: 'finances',
+        getViewFilters: () => ({
+            recherche: $('#search-paiement').val() || '',
+            filtre: currentFilter
+        }),
+        onViewApplied: async (filtres) => {
+            $('#search-paiement').val(filtres.recherche || '');
+            
+            // Autre sélection (en attente, en retard) : les paiements sont rechargés avant la recherche
+            const filtre = filtres.filtre || 'all';
+            if (filtre !== currentFilter) {
+                currentFilter = filtre;
+                $('.filter-btn').removeClass('active');
+                $(`.filter-btn[data-filter="${filtre}"]`).addClass('active');
+                await loadPaiements();
+            }
+            
+            applyFilters();
+        },
         columns: [
             { 
                 data: 'numero_recu', 
@@ -225,7 +244,9 @@ function renderTypePaiement(type) {
         'acompte': { label: 'Acompte', color: 'info' },
         'solde': { label: 'Solde', color: 'success' },
         'total': { label: 'Total', color: 'primary' },
-        'remboursement': { label: 'Remboursement', color: 'warning' }
+        'remboursement': { label: 'Remboursement', color: 'warning' },
+        'avoir': { label: 'Avoir', color: 'secondary' },
+        'indemnisation': { label: 'Indemnisation', color: 'danger' }
     };
     
     const config = types[type] || { label: type, color: 'secondary' };
@@ -954,13 +975,20 @@ function updateTrend(selector, value) {
     }
 }
 
-function applyFilters() {
+async function applyFilters() {
     const search = $('#search-paiement').val();
-    if (search) {
-        paiementsTable.search(search).draw();
-    } else {
-        paiementsTable.search('').draw();
-    }
+    
+    // Recherche structurée (ex. "mode:especes montant>=500") : filtrée par le serveur
+    const structured = await Helpers.structuredSearch('paiements', search, $('#search-paiement'));
+    if (search !== $('#search-paiement').val()) return; // Saisie modifiée entre-temps
+    
+    const rows = structured
+        ? structured.map(row => currentPaiements.find(p => p.id === row.id) || row)
+        : currentPaiements;
+    
+    paiementsTable.clear();
+    paiementsTable.rows.add(rows);
+    paiementsTable.search(structured ? '' : search).draw();
 }
 
 async function exportFinancialReport() {
@@ -9,6 +9,17 @@ let currentMarchandises = [];
 let selectedMarchandise = null;
 let scannerActive = false;
 let currentFilter = 'all';
+let pricingOptions = null;
+let quoteRequestId = 0;
+let signatureDrawn = false;
+
+const LABEL_FORMATS = {
+    thermique: 'Étiquette thermique 100 x 150 mm (PDF)',
+    a4: 'Planche A4 de 8 étiquettes (PDF)',
+    zpl: 'Imprimante Zebra (ZPL)'
+};
+
+const COST_FIELDS = ['cout_transport', 'cout_manutention', 'cout_assurance', 'cout_stockage'];
 
 // =============================================
 // INITIALISATION DU MODULE
@@ -30,6 +41,9 @@ export async function init() {
         // Initialiser le scanner si disponible
         initializeScanner();
         
+        // Destinations de la grille tarifaire
+        loadPricingOptions();
+        
         // Mettre à jour les statistiques
         updateStats();
         
@@ -95,6 +109,18 @@ function initializeUI() {
     }
     
     marchandisesTable = Helpers.initDataTable('#marchandises-table', {
+        views: 'marchandises',
+        getViewFilters: () => ({
+            recherche: $('#search-marchandise').val() || '',
+            type: $('#filter-type').val() || '',
+            etat: $('#filter-etat').val() || ''
+        }),
+        onViewApplied: (filtres) => {
+            $('#search-marchandise').val(filtres.recherche || '');
+            $('#filter-type').val(filtres.type || '').trigger('change.select2');
+            $('#filter-etat').val(filtres.etat || '').trigger('change.select2');
+            applyFilters();
+        },
         columns: [
             { 
                 data: 'code_barre', 
@@ -155,7 +181,7 @@ function initializeUI() {
         placeholder: 'Tous les états'
     });
     
-    Helpers.initSelect2('#select-client', {
+    Helpers.initSelect2('#select-client, #reception-client', {
         placeholder: 'Rechercher un client...',
         ajax: {
             delay: 250,
@@ -210,10 +236,11 @@ function renderEtat(etat) {
     </span>`;
 }
 
-function renderStatut(statut) {
+function renderStatut(statut, type, row) {
     const color = CONSTANTS.STATUS_COLORS[statut] || 'secondary';
     const icon = CONSTANTS.STATUS_ICONS[statut] || 'fa-circle';
-    const label = statut.replace(/_/g, ' ');
+    // Lot partiellement traité : avancement des colis (ex. "Chargé partiellement 9/12")
+    const label = (row && row.statut_lot && row.statut_lot.libelle) || statut.replace(/_/g, ' ');
     
     return `<span class="badge bg-${color}">
         <i class="fas ${icon} me-1"></i>${label}
@@ -228,8 +255,11 @@ function renderConteneur(conteneurId) {
 }
 
 function renderActions(data, type, row) {
-    const canAssign = !row.conteneur_id && row.statut === 'receptionne';
+    // Affectation en suivi normal, selon le cycle de vie partagé avec le serveur
+    const canAssign = !row.conteneur_id
+        && MarchandiseStatus.getTransitionPermission(row.statut, 'affecte') === MarchandiseStatus.PERMISSIONS.SUIVI;
     const canPrint = row.code_barre;
+    const hasStorage = parseFloat(row.stockage_cumule) > 0 || row.stockage_facture_jusquau;
     
     return `
         <div class="btn-group btn-group-sm" role="group">
@@ -251,6 +281,15 @@ function renderActions(data, type, row) {
                 title="Imprimer étiquette">
                 <i class="fas fa-print"></i>
             </button>` : ''}
+            ${hasStorage ? `
+            <button class="btn btn-outline-secondary" onclick="marchandisesModule.openStorage('${row.id}')" 
+                title="Frais de stockage">
+                <i class="fas fa-warehouse"></i>
+            </button>` : ''}
+            <button class="btn btn-warning" onclick="marchandisesModule.openClaim('${row.id}')" 
+                title="Déclarer un litige">
+                <i class="fas fa-exclamation-triangle"></i>
+            </button>
             <button class="btn btn-danger" onclick="marchandisesModule.deleteMarchandise('${row.id}')" 
                 title="Supprimer">
                 <i class="fas fa-trash"></i>
@@ -269,6 +308,25 @@ function initializeEventHandlers() {
         showMarchandiseModal();
     });
     
+    // Étiquettes des marchandises affichées
+    $('#btn-print-labels').on('click', printFilteredLabels);
+    
+    // Réception groupée
+    $('#btn-new-reception').on('click', showReceptionModal);
+    $('#btn-add-reception-article').on('click', addReceptionArticle);
+    $('#reception-articles').on('click', '.btn-remove-article', function() {
+        $(this).closest('tr').remove();
+        updateReceptionSummary();
+    });
+    $('#reception-articles').on('input change', 'input, select', updateReceptionSummary);
+    $('#reception-modal').on('shown.bs.modal', clearSignature);
+    $('#btn-clear-signature').on('click', clearSignature);
+    $('#reception-form').on('submit', async (e) => {
+        e.preventDefault();
+        await saveReception();
+    });
+    initializeSignaturePad();
+    
     // Bouton scanner
     $('#btn-scan-marchandise').on('click', () => {
         toggleScanner();
@@ -308,9 +366,22 @@ function initializeEventHandlers() {
     // Calcul automatique du volume
     $('#longueur, #largeur, #hauteur').on('input', calculateVolume);
     
+    // Tarification : devis recalculé à chaque saisie influant sur le prix
+    const debouncedQuote = Helpers.debounce(refreshQuote, 400);
+    $('#select-client, #type_marchandise, #categorie_vehicule, #pricing-destination, #pricing-type-envoi, #pricing-assurance').on('change', debouncedQuote);
+    $('#nombre_colis, #poids, #longueur, #largeur, #hauteur, #valeur_declaree').on('input', debouncedQuote);
+    $('#tarification_auto').on('change', () => {
+        togglePricingMode();
+        refreshQuote();
+    });
+    $('.pricing-cost').on('input', updateCostTotal);
+    
     // Upload photos
     $('#photos').on('change', handlePhotoUpload);
     
+    // Galerie : photo principale, ordre, légende, suppression
+    $('#photos-gallery').on('click', '[data-photo-action]', handleGalleryAction);
+    
     // Génération code-barres
     $('#btn-generate-barcode').on('click', generateBarcode);
     
@@ -428,8 +499,11 @@ function showMarchandiseModal(marchandiseId = null, barcode = null) {
     $('#marchandise-form')[0].reset();
     $('#marchandise-id').val('');
     $('#photos-preview').empty();
+    $('#photos-gallery').empty();
     $('#vehicle-details').hide();
     $('#tracking-number-group').hide();
+    $('#pricing-breakdown').empty();
+    $('#pricing-destination, #pricing-type-envoi').prop('disabled', false);
     
     if (selectedMarchandise) {
         // Mode édition
@@ -447,6 +521,9 @@ function showMarchandiseModal(marchandiseId = null, barcode = null) {
         }
     }
     
+    togglePricingMode();
+    updateCostTotal();
+    
     $('#marchandise-modal').modal('show');
 }
 
@@ -458,6 +535,7 @@ function fillMarchandiseForm(marchandise) {
     $('#mode_reception').val(marchandise.mode_reception).trigger('change');
     $('#etat_reception').val(marchandise.etat_reception);
     $('#type_marchandise').val(marchandise.type_marchandise).trigger('change');
+    $('#categorie_vehicule').val(marchandise.categorie_vehicule || '');
     $('#designation').val(marchandise.designation);
     $('#description_detaillee').val(marchandise.description_detaillee);
     $('#nombre_colis').val(marchandise.nombre_colis);
@@ -469,12 +547,22 @@ function fillMarchandiseForm(marchandise) {
     $('#emplacement_stockage').val(marchandise.emplacement_stockage);
     $('#commentaires').val(marchandise.commentaires);
     
-    // Afficher les photos existantes
-    if (marchandise.photos && marchandise.photos.length > 0) {
-        marchandise.photos.forEach(photo => {
-            addPhotoPreview(photo);
-        });
+    // Tarification enregistrée : le détail n'existe que pour un calcul automatique
+    COST_FIELDS.forEach(field => $(`#${field}`).val(parseFloat(marchandise[field] || 0).toFixed(2)));
+    const tarification = marchandise.tarification;
+    $('#tarification_auto').prop('checked', Boolean(tarification));
+    if (tarification) {
+        $('#pricing-destination').val(destinationValue(tarification.destination_pays, tarification.destination_port));
+        $('#pricing-type-envoi').val(tarification.type_envoi || 'sans_dedouanement');
+        $('#pricing-assurance').prop('checked', Boolean(tarification.assurance));
+        renderPricingBreakdown(tarification);
     }
+    
+    // Marchandise en conteneur : la destination et le type d'envoi sont ceux du conteneur
+    $('#pricing-destination, #pricing-type-envoi').prop('disabled', Boolean(marchandise.conteneur_id));
+    
+    // Afficher les photos existantes
+    loadPhotoGallery(marchandise.id);
 }
 
 async function saveMarchandise() {
@@ -498,12 +586,13 @@ async function saveMarchandise() {
             response = await API.marchandises.create(formData);
         }
         
-        // Upload des photos si nécessaire
+        // Upload des photos si nécessaire, en un seul envoi
         const photoFiles = $('#photos')[0].files;
         if (photoFiles.length > 0) {
-            for (const file of photoFiles) {
-                await API.marchandises.uploadPhoto(response.id, file);
-            }
+            await API.marchandises.uploadPhotos(response.id, photoFiles, {
+                categorie: $('#photos-categorie').val(),
+                legende: $('#photos-legende').val().trim()
+            });
         }
         
         // Fermer le modal
@@ -581,6 +670,7 @@ function getMarchandiseFormData() {
         mode_reception: $('#mode_reception').val(),
         etat_reception: $('#etat_reception').val(),
         type_marchandise: $('#type_marchandise').val(),
+        categorie_vehicule: $('#type_marchandise').val() === 'vehicule' ? $('#categorie_vehicule').val() || null : null,
         designation: $('#designation').val().trim(),
         description_detaillee: $('#description_detaillee').val().trim(),
         nombre_colis: parseInt($('#nombre_colis').val()) || 1,
@@ -591,12 +681,143 @@ function getMarchandiseFormData() {
         volume: parseFloat($('#volume').val()) || null,
         valeur_declaree: parseFloat($('#valeur_declaree').val()) || null,
         emplacement_stockage: $('#emplacement_stockage').val().trim(),
-        commentaires: $('#commentaires').val().trim()
+        commentaires: $('#commentaires').val().trim(),
+        tarification_auto: $('#tarification_auto').is(':checked'),
+        ...getPricingInput()
     };
     
+    COST_FIELDS.forEach(field => {
+        formData[field] = parseFloat($(`#${field}`).val()) || 0;
+    });
+    
     return formData;
 }
 
+// =============================================
+// TARIFICATION
+// =============================================
+
+async function loadPricingOptions() {
+    try {
+        pricingOptions = await API.marchandises.quoteOptions();
+        
+        const select = $('#pricing-destination');
+        select.find('option:not(:first)').remove();
+        pricingOptions.destinations.forEach(destination => {
+            const label = destination.destination_port
+                ? `${destination.destination_pays} - ${destination.destination_port}`
+                : destination.destination_pays;
+            select.append(new Option(label, destinationValue(destination.destination_pays, destination.destination_port)));
+        });
+        
+        $('#pricing-taux-assurance').text(pricingOptions.taux_assurance);
+        
+    } catch (error) {
+        electronAPI.log.warn('Grille tarifaire indisponible:', error);
+    }
+}
+
+function destinationValue(pays, port) {
+    return pays ? `${pays}|${port || ''}` : '';
+}
+
+/**
+ * Destination, type d'envoi et assurance choisis dans le formulaire
+ */
+function getPricingInput() {
+    const [pays, port] = ($('#pricing-destination').val() || '').split('|');
+    
+    return {
+        destination_pays: pays || null,
+        destination_port: port || null,
+        type_envoi: $('#pricing-type-envoi').val(),
+        assurance: $('#pricing-assurance').is(':checked')
+    };
+}
+
+/**
+ * En calcul automatique, les coûts sont en lecture seule
+ */
+function togglePricingMode() {
+    const auto = $('#tarification_auto').is(':checked');
+    
+    $('.pricing-cost').prop('readonly', auto);
+    $('.pricing-inputs').toggle(auto);
+    
+    if (!auto) {
+        $('#pricing-breakdown').empty();
+    }
+}
+
+async function refreshQuote() {
+    if (!$('#tarification_auto').is(':checked')) return;
+    
+    const input = {
+        client_id: $('#select-client').val() || null,
+        conteneur_id: selectedMarchandise?.conteneur_id || null,
+        // Une marchandise déjà tarifée garde la version de la grille utilisée
+        tarif_id: selectedMarchandise?.tarif_id || null,
+        type_marchandise: $('#type_marchandise').val(),
+        categorie_vehicule: $('#categorie_vehicule').val() || null,
+        nombre_colis: parseInt($('#nombre_colis').val()) || 1,
+        poids: parseFloat($('#poids').val()) || null,
+        longueur: parseFloat($('#longueur').val()) || null,
+        largeur: parseFloat($('#largeur').val()) || null,
+        hauteur: parseFloat($('#hauteur').val()) || null,
+        volume: parseFloat($('#volume').val()) || null,
+        valeur_declaree: parseFloat($('#valeur_declaree').val()) || null,
+        ...getPricingInput()
+    };
+    
+    if (!input.type_marchandise) {
+        $('#pricing-breakdown').html('<em>Sélectionnez le type de marchandise pour calculer le tarif</em>');
+        return;
+    }
+    
+    // Seule la réponse au dernier calcul demandé est affichée
+    const requestId = ++quoteRequestId;
+    
+    try {
+        const quote = await API.marchandises.quote(input);
+        if (requestId !== quoteRequestId) return;
+        
+        COST_FIELDS.forEach(field => $(`#${field}`).val(quote[field].toFixed(2)));
+        updateCostTotal();
+        renderPricingBreakdown(quote.tarification);
+        
+    } catch (error) {
+        if (requestId !== quoteRequestId) return;
+        
+        $('#pricing-breakdown').html(`<span class="text-danger">${Helpers.escapeHtml(error.message)}</span>`);
+    }
+}
+
+function updateCostTotal() {
+    const total = COST_FIELDS.reduce((sum, field) => sum + (parseFloat($(`#${field}`).val()) || 0), 0);
+    $('#cout_total').val(Helpers.formatCurrency(total));
+}
+
+function renderPricingBreakdown(tarification) {
+    const lines = tarification.lignes.map(line => `
+        <tr>
+            <td>${Helpers.escapeHtml(line.libelle)}</td>
+            <td class="text-end ${line.montant < 0 ? 'text-success' : ''}">${Helpers.formatCurrency(line.montant)}</td>
+        </tr>
+    `).join('');
+    
+    $('#pricing-breakdown').html(`
+        <div class="mb-1">
+            ${tarification.tarif ? `Tarif <strong>${Helpers.escapeHtml(tarification.tarif.nom)}</strong>, ligne` : 'Grille'}
+            <strong>${Helpers.escapeHtml(tarification.grille.nom)}</strong>
+            - poids taxable ${tarification.poids_taxable} kg
+            (réel ${tarification.poids_reel} kg, volumétrique ${tarification.poids_volumetrique} kg)
+        </div>
+        <table class="table table-sm mb-0">
+            <tbody>${lines}</tbody>
+        </table>
+    `);
+}
+
 // =============================================
 // FONCTIONS D'AFFECTATION
 // =============================================
@@ -663,7 +884,11 @@ function showAssignModal(marchandiseId, containers) {
         try {
             Helpers.showLoader('Affectation en cours...');
             
-            await API.marchandises.assignToContainer(marchandiseId, containerId);
+            const result = await Helpers.withCreditOverride(motif =>
+                API.marchandises.assignToContainer(marchandiseId, containerId, motif)
+            );
+            
+            if (!result) return;
             
             $('#assign-modal').modal('hide');
             await loadMarchandises();
@@ -674,7 +899,7 @@ function showAssignModal(marchandiseId, containers) {
         } catch (error) {
             Helpers.hideLoader();
             electronAPI.log.error('Erreur affectation:', error);
-            Helpers.showError('Erreur', 'Impossible d\'affecter la marchandise');
+            Helpers.showError('Erreur', error.message || 'Impossible d\'affecter la marchandise');
         }
     });
     
@@ -685,81 +910,226 @@ function showAssignModal(marchandiseId, containers) {
 // FONCTIONS D'IMPRESSION
 // =============================================
 
-async function printLabel(marchandiseId) {
+async function openClaim(marchandiseId) {
+    const marchandise = currentMarchandises.find(m => m.id == marchandiseId);
+    
+    const { value: formData } = await Swal.fire({
+        title: 'Déclarer un litige',
+        html: `
+            <p class="text-muted small">
+                ${Helpers.escapeHtml(marchandise ? `${marchandise.code_barre} - ${marchandise.designation || ''}` : '')}
+            </p>
+            <select id="claim-type" class="swal2-select">
+                <option value="dommage">Dommage</option>
+                <option value="perte">Perte</option>
+                <option value="reclamation">Réclamation</option>
+            </select>
+            <textarea id="claim-description" class="swal2-textarea" placeholder="Description *"></textarea>
+            <input id="claim-amount" class="swal2-input" type="number" min="0" step="0.01" placeholder="Montant réclamé">
+            <input id="claim-photos" class="swal2-file" type="file" accept="image/*" multiple>
+        `,
+        showCancelButton: true,
+        confirmButtonText: 'Ouvrir le litige',
+        cancelButtonText: 'Annuler',
+        preConfirm: () => {
+            const description = document.getElementById('claim-description').value.trim();
+            if (!description) {
+                Swal.showValidationMessage('La description est requise');
+                return false;
+            }
+            const montant = parseFloat(document.getElementById('claim-amount').value);
+            return {
+                type_litige: document.getElementById('claim-type').value,
+                description,
+                montant_reclame: montant >= 0 ? montant : null,
+                photos: document.getElementById('claim-photos').files
+            };
+        }
+    });
+    
+    if (!formData) return;
+    
     try {
-        const marchandise = currentMarchandises.find(m => m.id == marchandiseId);
-        if (!marchandise) return;
+        Helpers.showLoader('Ouverture du litige...');
         
-        // Générer le HTML de l'étiquette
-        const labelHtml = generateLabelHtml(marchandise);
+        const { photos, ...data } = formData;
+        const response = await API.litiges.create({ ...data, marchandise_id: parseInt(marchandiseId, 10) });
         
-        // Créer une fenêtre d'impression
-        const printWindow = window.open('', '_blank', 'width=400,height=600');
-        printWindow.document.write(labelHtml);
-        printWindow.document.close();
+        if (photos.length > 0) {
+            await API.litiges.uploadPhotos(response.data.id, photos);
+        }
         
-        // Lancer l'impression
-        setTimeout(() => {
-            printWindow.print();
-            printWindow.close();
-        }, 500);
+        Helpers.hideLoader();
+        Helpers.showSuccess('Litige ouvert', response.message);
+    } catch (error) {
+        Helpers.hideLoader();
+        Helpers.showError('Erreur', error.message || 'Impossible d\'ouvrir le litige');
+    }
+}
+
+/**
+ * Frais de stockage facturés et leur historique, avec l'exonération réservée aux responsables
+ */
+async function openStorage(marchandiseId) {
+    let stockage;
+    try {
+        stockage = await API.marchandises.getStorage(marchandiseId);
+    } catch (error) {
+        Helpers.showError('Erreur', error.message || 'Impossible de charger les frais de stockage');
+        return;
+    }
+    
+    const rows = stockage.mouvements.map(mouvement => `
+        <tr>
+            <td>${Helpers.formatDate(mouvement.created_at)}</td>
+            <td>${mouvement.type_mouvement === 'facturation'
+                ? `${Helpers.formatDate(mouvement.du)} - ${Helpers.formatDate(mouvement.au)} (${mouvement.jours} j x ${mouvement.base} ${mouvement.mode === 'colis' ? 'colis' : 'm³'})`
+                : `Exonération : ${Helpers.escapeHtml(mouvement.motif || '')}`}</td>
+            <td class="text-end">${Helpers.formatCurrency(mouvement.montant)}</td>
+        </tr>
+    `).join('');
+    
+    const { isDenied } = await Swal.fire({
+        title: 'Frais de stockage',
+        width: 700,
+        html: `
+            <p>Facturé : <strong>${Helpers.formatCurrency(stockage.cumul)}</strong>
+                ${stockage.facture_jusquau ? ` jusqu'au ${Helpers.formatDate(stockage.facture_jusquau)}` : ''}
+                ${stockage.exonere ? '<span class="badge bg-success ms-2">Exonéré</span>' : ''}</p>
+            ${rows ? `
+            <table class="table table-sm text-start">
+                <thead><tr><th>Date</th><th>Détail</th><th class="text-end">Montant</th></tr></thead>
+                <tbody>${rows}</tbody>
+            </table>` : '<p class="text-muted">Aucun frais facturé</p>'}
+        `,
+        showDenyButton: !stockage.exonere,
+        denyButtonText: 'Exonérer',
+        confirmButtonText: 'Fermer'
+    });
+    
+    if (isDenied) {
+        await waiveStorage(marchandiseId, stockage);
+    }
+}
+
+async function waiveStorage(marchandiseId, stockage) {
+    const { value: formData } = await Swal.fire({
+        title: 'Exonérer les frais de stockage',
+        html: `
+            <input id="waiver-amount" class="swal2-input" type="number" min="0" max="${stockage.cumul}" step="0.01"
+                value="${stockage.cumul}" placeholder="Montant exonéré">
+            <textarea id="waiver-reason" class="swal2-textarea" placeholder="Motif *"></textarea>
+            <label class="swal2-checkbox d-flex">
+                <input id="waiver-definitive" type="checkbox">
+                <span class="swal2-label">Arrêter la facturation du stockage</span>
+            </label>
+        `,
+        showCancelButton: true,
+        confirmButtonText: 'Exonérer',
+        cancelButtonText: 'Annuler',
+        preConfirm: () => {
+            const motif = document.getElementById('waiver-reason').value.trim();
+            if (!motif) {
+                Swal.showValidationMessage('Le motif est requis');
+                return false;
+            }
+            const montant = parseFloat(document.getElementById('waiver-amount').value);
+            return {
+                montant: montant >= 0 ? montant : stockage.cumul,
+                motif,
+                definitive: document.getElementById('waiver-definitive').checked
+            };
+        }
+    });
+    
+    if (!formData) return;
+    
+    try {
+        await API.marchandises.waiveStorage(marchandiseId, formData);
+        await loadMarchandises();
+        Helpers.showSuccess('Exonération enregistrée', `${Helpers.formatCurrency(formData.montant)} exonéré(s)`);
+    } catch (error) {
+        Helpers.showError('Erreur', error.message || 'Impossible d\'exonérer les frais de stockage');
+    }
+}
+
+async function printLabel(marchandiseId) {
+    const choice = await askLabelFormat(false);
+    if (!choice) return;
+    
+    try {
+        Helpers.showLoader('Génération des étiquettes...');
+        await API.marchandises.downloadLabel(marchandiseId, choice.format);
+        Helpers.hideLoader();
         
     } catch (error) {
+        Helpers.hideLoader();
         electronAPI.log.error('Erreur impression étiquette:', error);
-        Helpers.showError('Erreur', 'Impossible d\'imprimer l\'étiquette');
+        Helpers.showError('Erreur', 'Impossible de générer l\'étiquette');
     }
 }
 
-function generateLabelHtml(marchandise) {
-    return `
-        <!DOCTYPE html>
-        <html>
-        <head>
-            <title>Étiquette - ${marchandise.code_barre}</title>
-            <style>
-                body {
-                    font-family: Arial, sans-serif;
-                    margin: 0;
-                    padding: 20px;
-                }
-                .label {
-                    border: 2px solid #000;
-                    padding: 20px;
-                    text-align: center;
-                }
-                .barcode {
-                    font-family: 'Libre Barcode 128', monospace;
-                    font-size: 48px;
-                    margin: 20px 0;
-                }
-                .info {
-                    margin: 10px 0;
-                    font-size: 14px;
-                }
-                .client {
-                    font-weight: bold;
-                    font-size: 16px;
-                }
-                @media print {
-                    .no-print { display: none; }
-                }
-            </style>
-            <link href="https://fonts.googleapis.com/css2?family=Libre+Barcode+128&display=swap" rel="stylesheet">
-        </head>
-        <body>
-            <div class="label">
-                <h2>IMPORT EXPORT MARITIME</h2>
-                <div class="barcode">${marchandise.code_barre}</div>
-                <div class="info">
-                    <div class="client">${marchandise.client_nom}</div>
-                    <div>${marchandise.designation}</div>
-                    <div>${marchandise.nombre_colis} colis - ${marchandise.poids || '?'} kg</div>
-                    <div>Reçu le: ${Helpers.formatDate(marchandise.date_reception)}</div>
-                </div>
-            </div>
-        </body>
-        </html>
-    `;
+/**
+ * Étiquettes de toutes les marchandises affichées dans le tableau (filtres appliqués)
+ */
+async function printFilteredLabels() {
+    const ids = marchandisesTable
+        ? marchandisesTable.rows({ search: 'applied' }).data().toArray().map(m => m.id)
+        : [];
+    
+    if (ids.length === 0) {
+        Helpers.showToast('Aucune marchandise affichée', 'warning');
+        return;
+    }
+    
+    const choice = await askLabelFormat(true);
+    if (!choice) return;
+    
+    try {
+        Helpers.showLoader('Génération des étiquettes...');
+        await API.marchandises.downloadLabels(ids, choice.format, choice.position);
+        Helpers.hideLoader();
+        
+    } catch (error) {
+        Helpers.hideLoader();
+        electronAPI.log.error('Erreur impression étiquettes:', error);
+        Helpers.showError('Erreur', 'Impossible de générer les étiquettes');
+    }
+}
+
+/**
+ * Choix du format d'étiquette, mémorisé pour le poste
+ * withPosition : proposer la première case libre d'une planche A4 entamée
+ */
+async function askLabelFormat(withPosition) {
+    const lastFormat = localStorage.getItem('labelFormat') || 'thermique';
+    const options = Object.entries(LABEL_FORMATS)
+        .map(([value, label]) => `<option value="${value}" ${value === lastFormat ? 'selected' : ''}>${label}</option>`)
+        .join('');
+    
+    const { value } = await Swal.fire({
+        title: 'Imprimer les étiquettes',
+        html: `
+            <select id="label-format" class="form-select mb-3">${options}</select>
+            ${withPosition ? `
+            <div class="text-start">
+                <label class="form-label" for="label-position">Première case libre (planche A4 entamée)</label>
+                <input type="number" id="label-position" class="form-control" min="1" max="8" value="1">
+            </div>` : ''}
+        `,
+        showCancelButton: true,
+        confirmButtonText: 'Générer',
+        cancelButtonText: 'Annuler',
+        preConfirm: () => ({
+            format: $('#label-format').val(),
+            position: parseInt($('#label-position').val()) || 1
+        })
+    });
+    
+    if (!value) return null;
+    
+    localStorage.setItem('labelFormat', value.format);
+    return value;
 }
 
 // =============================================
@@ -800,6 +1170,14 @@ function handlePhotoUpload(event) {
         }
     }
     
+    const totalSize = Array.from(files).reduce((sum, file) => sum + file.size, 0);
+    if (totalSize > CONSTANTS.LIMITS.MAX_UPLOAD_SIZE) {
+        Helpers.showError('Envoi trop volumineux',
+            'La taille totale des photos dépasse la limite autorisée par envoi');
+        event.target.value = '';
+        return;
+    }
+    
     // Afficher les aperçus
     $('#photos-preview').empty();
     for (const file of files) {
@@ -826,12 +1204,112 @@ function addPhotoPreview(src, name = '') {
     $('#photos-preview').append(preview);
 }
 
-function applyFilters() {
+async function loadPhotoGallery(marchandiseId) {
+    try {
+        const response = await API.marchandises.getPhotos(marchandiseId);
+        renderPhotoGallery(marchandiseId, response.photos);
+    } catch (error) {
+        electronAPI.log.error('Erreur chargement photos:', error);
+    }
+}
+
+function renderPhotoGallery(marchandiseId, photos) {
+    const categories = {
+        [CONSTANTS.PHOTO_CATEGORIES.RECEPTION]: 'Réception',
+        [CONSTANTS.PHOTO_CATEGORIES.DAMAGE]: 'Dommage',
+        [CONSTANTS.PHOTO_CATEGORIES.LOADING]: 'Chargement'
+    };
+    
+    const html = photos.map((photo, index) => `
+        <div class="col-4 mb-2" data-marchandise-id="${marchandiseId}" data-photo-id="${photo.id}">
+            <div class="position-relative">
+                <a href="${photo.url}" target="_blank" rel="noopener">
+                    <img src="${photo.miniature_url}" class="img-thumbnail" alt="${Helpers.escapeHtml(photo.legende || '')}">
+                </a>
+                <span class="badge ${photo.categorie === CONSTANTS.PHOTO_CATEGORIES.DAMAGE ? 'bg-danger' : 'bg-secondary'} position-absolute top-0 start-0 m-1">
+                    ${categories[photo.categorie] || photo.categorie}
+                </span>
+                <button type="button" class="btn btn-sm btn-danger position-absolute top-0 end-0"
+                        data-photo-action="delete" title="Supprimer">
+                    <i class="fas fa-times"></i>
+                </button>
+            </div>
+            <div class="photo-caption text-muted" title="${Helpers.escapeHtml(photo.legende || '')}">
+                ${Helpers.escapeHtml(photo.legende || '-')}
+            </div>
+            <div class="btn-group btn-group-sm w-100">
+                <button type="button" class="btn btn-outline-secondary" data-photo-action="left"
+                        title="Déplacer avant" ${index === 0 ? 'disabled' : ''}>
+                    <i class="fas fa-arrow-left"></i>
+                </button>
+                <button type="button" class="btn ${photo.is_primary ? 'btn-warning' : 'btn-outline-warning'}"
+                        data-photo-action="primary" title="Photo principale">
+                    <i class="fas fa-star"></i>
+                </button>
+                <button type="button" class="btn btn-outline-secondary" data-photo-action="caption" title="Légende">
+                    <i class="fas fa-pen"></i>
+                </button>
+                <button type="button" class="btn btn-outline-secondary" data-photo-action="right"
+                        title="Déplacer après" ${index === photos.length - 1 ? 'disabled' : ''}>
+                    <i class="fas fa-arrow-right"></i>
+                </button>
+            </div>
+        </div>
+    `).join('');
+    
+    $('#photos-gallery').html(html);
+}
+
+async function handleGalleryAction() {
+    const action = $(this).data('photo-action');
+    const item = $(this).closest('[data-photo-id]');
+    const marchandiseId = item.data('marchandise-id');
+    const photoId = item.data('photo-id');
+    
+    try {
+        if (action === 'delete') {
+            const confirmed = await Helpers.confirm('Supprimer la photo', 'Cette photo sera définitivement supprimée.');
+            if (!confirmed) return;
+            await API.marchandises.deletePhoto(marchandiseId, photoId);
+        } else if (action === 'primary') {
+            await API.marchandises.updatePhoto(marchandiseId, photoId, { is_primary: true });
+        } else if (action === 'caption') {
+            const result = await Swal.fire({
+                title: 'Légende de la photo',
+                input: 'text',
+                inputValue: item.find('.photo-caption').attr('title') || '',
+                showCancelButton: true,
+                confirmButtonText: 'Enregistrer',
+                cancelButtonText: 'Annuler'
+            });
+            if (!result.isConfirmed) return;
+            await API.marchandises.updatePhoto(marchandiseId, photoId, { legende: result.value.trim() });
+        } else {
+            const ids = $('#photos-gallery [data-photo-id]').toArray().map(el => $(el).data('photo-id'));
+            const index = ids.indexOf(photoId);
+            const target = action === 'left' ? index - 1 : index + 1;
+            [ids[index], ids[target]] = [ids[target], ids[index]];
+            const response = await API.marchandises.reorderPhotos(marchandiseId, ids);
+            renderPhotoGallery(marchandiseId, response.photos);
+            return;
+        }
+        
+        await loadPhotoGallery(marchandiseId);
+    } catch (error) {
+        Helpers.showError('Erreur', error.message || 'Impossible de modifier la photo');
+    }
+}
+
+async function applyFilters() {
     const type = $('#filter-type').val();
     const etat = $('#filter-etat').val();
-    const search = $('#search-marchandise').val().toLowerCase();
+    const search = $('#search-marchandise').val();
+    
+    // Recherche structurée (ex. "statut:en_transit poids>50") : filtrée par le serveur
+    const structured = await Helpers.structuredSearch('marchandises', search, $('#search-marchandise'));
+    if (search !== $('#search-marchandise').val()) return; // Saisie modifiée entre-temps
     
-    let filtered = currentMarchandises;
+    let filtered = structured || currentMarchandises;
     
     if (type) {
         filtered = filtered.filter(m => m.type_marchandise === type);
@@ -841,8 +1319,8 @@ function applyFilters() {
         filtered = filtered.filter(m => m.etat_reception === etat);
     }
     
-    if (search) {
-        filtered = Helpers.fuzzySearch(filtered, search, [
+    if (search && !structured) {
+        filtered = Helpers.fuzzySearch(filtered, search.toLowerCase(), [
             'code_barre', 'designation', 'client_nom', 'description_detaillee'
         ]);
     }
@@ -868,6 +1346,199 @@ function updateStats() {
     $('#stat-delivered').text(stats.delivered);
 }
 
+// =============================================
+// RÉCEPTION GROUPÉE
+// =============================================
+
+function showReceptionModal() {
+    $('#reception-form')[0].reset();
+    $('#reception-client').val(null).trigger('change');
+    $('#reception-articles').empty();
+    addReceptionArticle();
+    
+    $('#reception-modal').modal('show');
+}
+
+function addReceptionArticle() {
+    $('#reception-articles').append(`
+        <tr class="reception-article">
+            <td>
+                <select class="form-select form-select-sm article-type">
+                    <option value="colis">Colis</option>
+                    <option value="vehicule">Véhicule</option>
+                    <option value="palette">Palette</option>
+                    <option value="autre">Autre</option>
+                </select>
+            </td>
+            <td><input type="text" class="form-control form-control-sm article-designation" required></td>
+            <td><input type="number" class="form-control form-control-sm article-colis" min="1" value="1"></td>
+            <td><input type="number" class="form-control form-control-sm article-poids" min="0" step="0.01"></td>
+            <td><input type="number" class="form-control form-control-sm article-valeur" min="0" step="0.01"></td>
+            <td>
+                <select class="form-select form-select-sm article-etat">
+                    <option value="bon_etat">Bon état</option>
+                    <option value="endommage">Endommagé</option>
+                    <option value="fragile">Fragile</option>
+                    <option value="manquant">Manquant</option>
+                </select>
+            </td>
+            <td><input type="file" class="form-control form-control-sm article-photos" accept="image/*" multiple></td>
+            <td>
+                <button type="button" class="btn btn-sm btn-outline-danger btn-remove-article" title="Retirer l'article">
+                    <i class="fas fa-times"></i>
+                </button>
+            </td>
+        </tr>
+    `);
+    
+    updateReceptionSummary();
+}
+
+function getReceptionArticles() {
+    // Champs vides ou nuls : non renseignés
+    const number = (value) => parseFloat(value) > 0 ? parseFloat(value) : null;
+    
+    return $('#reception-articles .reception-article').toArray().map(row => {
+        const $row = $(row);
+        return {
+            type_marchandise: $row.find('.article-type').val(),
+            designation: $row.find('.article-designation').val().trim(),
+            nombre_colis: parseInt($row.find('.article-colis').val(), 10) || 1,
+            poids: number($row.find('.article-poids').val()),
+            valeur_declaree: number($row.find('.article-valeur').val()),
+            etat_reception: $row.find('.article-etat').val()
+        };
+    });
+}
+
+function updateReceptionSummary() {
+    const articles = getReceptionArticles();
+    const colis = articles.reduce((sum, article) => sum + article.nombre_colis, 0);
+    const valeur = articles.reduce((sum, article) => sum + (article.valeur_declaree || 0), 0);
+    
+    $('#reception-summary').text(`${articles.length} article(s), ${colis} colis, valeur déclarée ${valeur.toFixed(2)} €`);
+}
+
+async function saveReception() {
+    const clientId = $('#reception-client').val();
+    const articles = getReceptionArticles();
+    
+    if (!clientId) {
+        Helpers.showError('Réception incomplète', 'Sélectionnez le client déposant');
+        return;
+    }
+    
+    if (articles.length === 0 || articles.some(article => !article.designation)) {
+        Helpers.showError('Réception incomplète', 'Chaque article doit avoir une désignation');
+        return;
+    }
+    
+    try {
+        Helpers.showLoader('Enregistrement de la réception...');
+        
+        const photos = $('#reception-articles .article-photos').toArray().map(input => input.files);
+        const signature = signatureDrawn ? await getSignatureBlob() : null;
+        
+        const response = await API.receptions.create({
+            client_id: parseInt(clientId, 10),
+            mode_reception: $('#reception-mode').val(),
+            signataire_nom: $('#reception-signataire').val().trim() || null,
+            observations: $('#reception-observations').val().trim() || null,
+            articles
+        }, photos, signature);
+        const reception = response.data;
+        
+        $('#reception-modal').modal('hide');
+        
+        // Bon de dépôt remis au client
+        await API.receptions.downloadDepositReceipt(reception.id, reception.numero);
+        
+        await loadMarchandises();
+        updateStats();
+        
+        Helpers.hideLoader();
+        Helpers.showSuccess('Réception enregistrée', response.message);
+        
+        const print = await Helpers.confirm(
+            'Imprimer les étiquettes',
+            `Voulez-vous imprimer les étiquettes des ${reception.marchandises.length} marchandise(s) déposée(s) ?`
+        );
+        if (print) {
+            await API.marchandises.downloadLabels(reception.marchandises.map(m => m.id));
+        }
+        
+    } catch (error) {
+        Helpers.hideLoader();
+        electronAPI.log.error('Erreur réception groupée:', error);
+        Helpers.showError('Erreur', error.message || 'Impossible d\'enregistrer la réception');
+    }
+}
+
+// =============================================
+// SIGNATURE DU DÉPOSANT
+// =============================================
+
+function initializeSignaturePad() {
+    const canvas = document.getElementById('reception-signature-pad');
+    if (!canvas) return;
+    
+    const context = canvas.getContext('2d');
+    let drawing = false;
+    
+    // Coordonnées dans le canvas, quelle que soit sa taille affichée
+    const position = (event) => {
+        const rect = canvas.getBoundingClientRect();
+        return {
+            x: (event.clientX - rect.left) * (canvas.width / rect.width),
+            y: (event.clientY - rect.top) * (canvas.height / rect.height)
+        };
+    };
+    
+    canvas.addEventListener('pointerdown', (event) => {
+        drawing = true;
+        canvas.setPointerCapture(event.pointerId);
+        const { x, y } = position(event);
+        context.beginPath();
+        context.moveTo(x, y);
+    });
+    
+    canvas.addEventListener('pointermove', (event) => {
+        if (!drawing) return;
+        const { x, y } = position(event);
+        context.lineTo(x, y);
+        context.stroke();
+        signatureDrawn = true;
+    });
+    
+    ['pointerup', 'pointercancel'].forEach(type => {
+        canvas.addEventListener(type, () => {
+            drawing = false;
+        });
+    });
+}
+
+function clearSignature() {
+    const canvas = document.getElementById('reception-signature-pad');
+    if (!canvas) return;
+    
+    // Résolution du canvas alignée sur sa taille affichée (le modal doit être visible)
+    if (canvas.clientWidth > 0) {
+        canvas.width = canvas.clientWidth;
+    }
+    
+    const context = canvas.getContext('2d');
+    context.clearRect(0, 0, canvas.width, canvas.height);
+    context.lineWidth = 2;
+    context.lineCap = 'round';
+    context.strokeStyle = '#000';
+    signatureDrawn = false;
+}
+
+function getSignatureBlob() {
+    const canvas = document.getElementById('reception-signature-pad');
+    return new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+}
+
 // =============================================
 // GESTION TEMPS RÉEL
 // =============================================
@@ -909,6 +1580,8 @@ window.marchandisesModule = {
     },
     assignToContainer,
     printLabel,
+    openClaim,
+    openStorage,
     viewConteneur: (id) => {
         window.location.hash = '#conteneurs';
         setTimeout(() => window.conteneursModule?.viewContainer(id), 500);
@@ -239,6 +239,13 @@ function initializeUI() {
                                         <p class="text-muted small">KPIs et métriques de performance</p>
                                     </div>
                                 </div>
+                                <div class="col-md-3">
+                                    <div class="report-item" onclick="generateReport('segments')">
+                                        <i class="fas fa-tags fa-3x mb-3"></i>
+                                        <h6>Segments Clients</h6>
+                                        <p class="text-muted small">Activité par segment ou par étiquette</p>
+                                    </div>
+                                </div>
                                 <div class="col-md-3">
                                     <div class="report-item" onclick="generateReport('custom')">
                                         <i class="fas fa-cog fa-3x mb-3"></i>
@@ -517,6 +524,11 @@ window.generateReport = async (type) => {
                 hideLoader();
                 return;
                 
+            case 'segments':
+                hideLoader();
+                await showSegmentReport();
+                return;
+                
             default:
                 throw new Error('Type de rapport invalide');
         }
@@ -643,6 +655,90 @@ async function generateCustomReport(params) {
     }
 }
 
+async function showSegmentReport() {
+    const today = new Date().toISOString().split('T')[0];
+    const yearAgo = new Date(Date.now() - 365 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+    
+    const { value: params } = await Swal.fire({
+        title: 'Rapport par segment',
+        html: `
+            <div class="text-start">
+                <div class="mb-3">
+                    <label class="form-label">Dimension</label>
+                    <select class="form-select" id="swal-dimension">
+                        <option value="segment">Segments</option>
+                        <option value="etiquette">Étiquettes</option>
+                    </select>
+                </div>
+                <div class="row">
+                    <div class="col">
+                        <input type="date" class="form-control" id="swal-date-start" value="${yearAgo}">
+                    </div>
+                    <div class="col">
+                        <input type="date" class="form-control" id="swal-date-end" value="${today}">
+                    </div>
+                </div>
+            </div>
+        `,
+        focusConfirm: false,
+        showCancelButton: true,
+        confirmButtonText: 'Générer',
+        cancelButtonText: 'Annuler',
+        preConfirm: () => ({
+            dimension: document.getElementById('swal-dimension').value,
+            startDate: document.getElementById('swal-date-start').value,
+            endDate: `${document.getElementById('swal-date-end').value} 23:59:59`
+        })
+    });
+    
+    if (!params) return;
+    
+    try {
+        showLoader('Génération du rapport...');
+        const report = await API.rapports.segments(params);
+        hideLoader();
+        
+        const rows = report.rows.map(row => `
+            <tr>
+                <td>${Helpers.escapeHtml(row.libelle)}</td>
+                <td class="text-end">${row.nombre_clients}</td>
+                <td class="text-end">${row.nombre_envois}</td>
+                <td class="text-end">${formatCurrency(row.chiffre_affaires)}</td>
+                <td class="text-end">${formatCurrency(row.encaisse)}</td>
+                <td class="text-end">${formatCurrency(row.solde_du)}</td>
+            </tr>
+        `).join('');
+        
+        Swal.fire({
+            title: params.dimension === 'etiquette' ? 'Activité par étiquette' : 'Activité par segment',
+            html: `
+                <table class="table table-sm text-start">
+                    <thead>
+                        <tr>
+                            <th>${params.dimension === 'etiquette' ? 'Étiquette' : 'Segment'}</th>
+                            <th class="text-end">Clients</th>
+                            <th class="text-end">Envois</th>
+                            <th class="text-end">CA</th>
+                            <th class="text-end">Encaissé</th>
+                            <th class="text-end">Solde dû</th>
+                        </tr>
+                    </thead>
+                    <tbody>${rows || '<tr><td colspan="6" class="text-center text-muted">Aucune donnée</td></tr>'}</tbody>
+                </table>
+                <p class="small text-muted">Un client peut appartenir à plusieurs ${params.dimension === 'etiquette' ? 'étiquettes' : 'segments'}.</p>
+            `,
+            width: 900,
+            showCloseButton: true,
+            showConfirmButton: false
+        });
+        
+    } catch (error) {
+        hideLoader();
+        window.electronAPI.log.error('Erreur rapport segments:', error);
+        Helpers.showError('Erreur', error.message || 'Impossible de générer le rapport par segment');
+    }
+}
+
 // =============================================
 // EXPORT ET TÉLÉCHARGEMENT
 // =============================================
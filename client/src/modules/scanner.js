@@ -10,6 +10,14 @@ let scanHistory = [];
 let scanSound = null;
 let continuousMode = false;
 
+// Actions de scan enregistrées par le serveur
+const SCAN_ACTIONS = {
+    reception: { label: 'Réception', color: 'info', icon: 'fa-inbox' },
+    affectation: { label: 'Affectation', color: 'primary', icon: 'fa-link' },
+    chargement: { label: 'Chargement', color: 'warning', icon: 'fa-truck-loading' },
+    livraison: { label: 'Livraison', color: 'success', icon: 'fa-check' }
+};
+
 // =============================================
 // INITIALISATION DU MODULE
 // =============================================
@@ -184,6 +192,38 @@ function initializeUI() {
                     </div>
                 </div>
             </div>
+
+            <!-- Chronologie des scans enregistrés -->
+            <div class="row mt-4">
+                <div class="col-12">
+                    <div class="card">
+                        <div class="card-header">
+                            <h5 class="mb-0">Chronologie des Scans</h5>
+                        </div>
+                        <div class="card-body">
+                            <div class="row g-2 mb-3">
+                                <div class="col-md-3">
+                                    <input type="date" class="form-control" id="timeline-date">
+                                </div>
+                                <div class="col-md-3">
+                                    <input type="text" class="form-control" id="timeline-user" placeholder="Utilisateur">
+                                </div>
+                                <div class="col-md-3">
+                                    <select class="form-select" id="timeline-action">
+                                        <option value="">Toutes les actions</option>
+                                        ${Object.entries(SCAN_ACTIONS).map(([value, action]) =>
+                                            `<option value="${value}">${action.label}</option>`).join('')}
+                                    </select>
+                                </div>
+                                <div class="col-md-3">
+                                    <input type="text" class="form-control" id="timeline-lieu" placeholder="Lieu">
+                                </div>
+                            </div>
+                            <div id="scan-timeline"></div>
+                        </div>
+                    </div>
+                </div>
+            </div>
         </div>
     `;
     
@@ -384,8 +424,8 @@ async function searchEntityByCode(code) {
             }
         }
         
-        // Code marchandise (format: MA-XXXXXX)
-        if (code.startsWith('MA-')) {
+        // Code marchandise ou d'un de ses colis (format: CBXXXXXXXX ou CBXXXXXXXX-001)
+        if (code.startsWith('CB')) {
             const response = await API.marchandises.scanBarcode(code);
             if (response) {
                 return { type: 'marchandise', data: response };
@@ -439,8 +479,10 @@ function formatEntityInfo(entity) {
                     <div>
                         <strong>Marchandise</strong><br>
                         ${entity.data.designation}<br>
+                        ${entity.data.colis_scanne ? `Colis ${entity.data.colis_scanne.numero} / ${entity.data.nombre_colis}<br>` : ''}
                         <small class="text-muted">
                             Client: ${entity.data.client_nom || 'Non défini'}
+                            ${entity.data.statut_lot && entity.data.statut_lot.libelle ? ` - ${entity.data.statut_lot.libelle}` : ''}
                         </small>
                     </div>
                 </div>
@@ -502,17 +544,94 @@ function openEntity(entity) {
 
 async function loadScanHistory() {
     try {
-        // Charger depuis le localStorage pour cette session
+        // Codes lus sur ce poste, conservés dans le localStorage
         const stored = localStorage.getItem('scan_history');
         if (stored) {
             scanHistory = JSON.parse(stored);
             updateHistoryTable();
         }
+        
+        // Scans enregistrés par le serveur, selon les filtres de la chronologie
+        const response = await API.scans.getAll(getTimelineFilters());
+        renderScanTimeline(response.data || [], response.pagination);
+        
     } catch (error) {
         window.electronAPI.log.error('Erreur chargement historique:', error);
+        document.getElementById('scan-timeline').innerHTML = `
+            <div class="alert alert-danger mb-0">Impossible de charger la chronologie des scans</div>
+        `;
     }
 }
 
+function getTimelineFilters() {
+    const date = document.getElementById('timeline-date').value;
+    const filters = {
+        utilisateur: document.getElementById('timeline-user').value.trim(),
+        action: document.getElementById('timeline-action').value,
+        lieu: document.getElementById('timeline-lieu').value.trim(),
+        date_debut: date,
+        date_fin: date,
+        limit: 200
+    };
+    
+    // Ne pas envoyer les filtres vides
+    return Object.fromEntries(Object.entries(filters).filter(([, value]) => value !== ''));
+}
+
+/**
+ * Chronologie groupée par jour : heure, action, colis, lieu, appareil et utilisateur
+ */
+function renderScanTimeline(scans, pagination) {
+    const container = document.getElementById('scan-timeline');
+    
+    if (scans.length === 0) {
+        container.innerHTML = '<p class="text-center text-muted py-4 mb-0">Aucun scan pour ces critères</p>';
+        return;
+    }
+    
+    const days = new Map();
+    scans.forEach(scan => {
+        const day = Helpers.formatDate(scan.scanne_le, 'long');
+        if (!days.has(day)) days.set(day, []);
+        days.get(day).push(scan);
+    });
+    
+    const escape = Helpers.escapeHtml;
+    
+    container.innerHTML = [...days.entries()].map(([day, dayScans]) => `
+        <h6 class="text-muted text-uppercase small mt-3">${day} (${dayScans.length})</h6>
+        <ul class="list-group list-group-flush">
+            ${dayScans.map(scan => {
+                const action = SCAN_ACTIONS[scan.action] || { label: scan.action || 'Contrôle', color: 'secondary', icon: 'fa-barcode' };
+                const statusChange = scan.statut_avant && scan.statut_avant !== scan.statut_apres
+                    ? `<small class="text-muted">${escape(scan.statut_avant)} → ${escape(scan.statut_apres)}</small>`
+                    : '';
+                
+                return `
+                    <li class="list-group-item d-flex align-items-start">
+                        <span class="text-muted me-3" style="min-width: 3.5rem">${Helpers.formatDate(scan.scanne_le, 'time')}</span>
+                        <span class="badge bg-${action.color} me-3"><i class="fas ${action.icon} me-1"></i>${escape(action.label)}</span>
+                        <div class="flex-grow-1">
+                            <code>${escape(scan.code_scanne)}</code>
+                            ${scan.colis_numero ? `<small class="text-muted">colis ${scan.colis_numero} / ${scan.nombre_colis}</small>` : ''}
+                            - ${escape(scan.designation)} (${escape(`${scan.client_nom} ${scan.client_prenom || ''}`.trim())})
+                            ${statusChange}
+                            <br>
+                            <small class="text-muted">
+                                <i class="fas fa-user me-1"></i>${escape(scan.utilisateur_nom || 'Inconnu')}
+                                ${scan.lieu ? `<i class="fas fa-map-marker-alt ms-2 me-1"></i>${escape(scan.lieu)}` : ''}
+                                ${scan.appareil ? `<i class="fas fa-mobile-alt ms-2 me-1"></i>${escape(scan.appareil)}` : ''}
+                            </small>
+                        </div>
+                    </li>
+                `;
+            }).join('')}
+        </ul>
+    `).join('') + (pagination && pagination.total > scans.length
+        ? `<p class="text-muted small mt-2 mb-0">${scans.length} scans affichés sur ${pagination.total}, affinez les filtres</p>`
+        : '');
+}
+
 function updateHistoryTable() {
     const tbody = document.querySelector('#scan-history-table tbody');
     tbody.innerHTML = '';
@@ -664,6 +783,15 @@ function initializeEventHandlers() {
         }
     });
     
+    // Filtres de la chronologie
+    const reloadTimeline = Helpers.debounce(loadScanHistory, 400);
+    ['timeline-date', 'timeline-action'].forEach(id => {
+        document.getElementById(id).addEventListener('change', reloadTimeline);
+    });
+    ['timeline-user', 'timeline-lieu'].forEach(id => {
+        document.getElementById(id).addEventListener('input', reloadTimeline);
+    });
+    
     // Effacer l'historique
     document.getElementById('btn-clear-history').addEventListener('click', async () => {
         const result = await Helpers.confirmAction(
@@ -685,8 +813,12 @@ function initializeEventHandlers() {
 // =============================================
 
 export function handleRealtimeUpdate(type, data) {
-    // Pas de mise à jour temps réel nécessaire pour le scanner
     window.electronAPI.log.debug('Update reçue dans scanner:', type, data);
+    
+    // Nouveau scan enregistré : rafraîchir la chronologie
+    if (type === 'scan') {
+        loadScanHistory();
+    }
 }
 
 // =============================================
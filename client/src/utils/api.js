@@ -41,6 +41,8 @@ class ApiClient {
 
         // Initialiser les sous-modules
         this.clients = this.createClientsModule();
+        this.clientGroups = this.createClientGroupsModule();
+        this.clientSegments = this.createClientSegmentsModule();
         this.marchandises = this.createMarchandisesModule();
         this.conteneurs = this.createConteneursModule();
         this.paiements = this.createPaiementsModule();
@@ -50,6 +52,10 @@ class ApiClient {
         this.parametres = this.createParametresModule();
         this.notifications = this.createNotificationsModule();
         this.search = this.createSearchModule();
+        this.views = this.createViewsModule();
+        this.scans = this.createScansModule();
+        this.receptions = this.createReceptionsModule();
+        this.litiges = this.createLitigesModule();
         this.logs = this.createLogsModule();
     }
 
@@ -208,10 +214,32 @@ class ApiClient {
         });
     }
 
+    async patch(url, data = {}, options = {}) {
+        return this.request(url, {
+            ...options,
+            method: 'PATCH',
+            body: JSON.stringify(data)
+        });
+    }
+
     async delete(url, options = {}) {
         return this.request(url, { ...options, method: 'DELETE' });
     }
 
+    /**
+     * Envoi multipart (le navigateur définit le Content-Type avec la boundary)
+     */
+    async upload(url, formData, options = {}) {
+        return this.request(url, {
+            ...options,
+            method: 'POST',
+            headers: {
+                'Authorization': this.token ? `Bearer ${this.token}` : undefined
+            },
+            body: formData
+        });
+    }
+
     /**
      * Requête avec debounce (pour les recherches)
      */
@@ -435,48 +463,158 @@ class ApiClient {
     createClientsModule() {
         return {
             getAll: (params = {}) => this.get('/clients', params),
+            filter: (query) => this.get(`/clients?${new URLSearchParams({ q: query, limit: 1000 })}`, { noCache: true }),
             getById: (id) => this.get(`/clients/${id}`),
             create: (data) => this.post('/clients', data),
             update: (id, data) => this.put(`/clients/${id}`, data),
             delete: (id) => this.delete(`/clients/${id}`),
-            search: (query) => this.get('/clients/search', { q: query }),
+            search: (query, limit = 10) => this.get(`/clients/search/quick?${new URLSearchParams({ q: query, limit })}`),
             count: () => this.get('/clients/count'),
             getHistory: (id) => this.get(`/clients/${id}/history`),
             getPayments: (id) => this.get(`/clients/${id}/payments`),
             getShipments: (id) => this.get(`/clients/${id}/shipments`),
-            getBalance: (id) => this.get(`/clients/${id}/balance`)
+            getBalance: (id) => this.get(`/clients/${id}/balance`),
+            analyzeImport: (file) => {
+                const formData = new FormData();
+                formData.append('file', file);
+                return this.upload('/clients/import/analyze', formData);
+            },
+            import: (file, { mapping, dryRun = true, onDuplicate = 'skip' } = {}) => {
+                const formData = new FormData();
+                formData.append('file', file);
+                formData.append('mapping', JSON.stringify(mapping || {}));
+                formData.append('dry_run', String(dryRun));
+                formData.append('on_duplicate', onDuplicate);
+                return this.upload('/clients/import', formData);
+            },
+            findDuplicates: (params = {}) => this.get(`/clients/duplicates?${new URLSearchParams(params)}`, { noCache: true }),
+            merge: (id, sourceId) => this.post(`/clients/${id}/merge`, { source_id: sourceId }),
+            createFamilyMember: (id, data) => this.post(`/clients/${id}/family-member`, data),
+            getStatement: (id, params = {}) => this.get(`/clients/${id}/statement?${new URLSearchParams(params)}`, { noCache: true }),
+            downloadStatement: (id, params = {}, filename = `releve_${id}.pdf`) =>
+                this.downloadFile(`/clients/${id}/statement/pdf?${new URLSearchParams(params)}`, filename),
+            emailStatement: (id, params = {}) => this.post(`/clients/${id}/statement/email`, params),
+            recalculateCounters: (dryRun = false) => this.post('/clients/counters/recalculate', { dry_run: dryRun }),
+            getArchived: () => this.get(`/clients?${new URLSearchParams({ archives: 'seulement', limit: 1000 })}`, { noCache: true }),
+            archive: (id) => this.post(`/clients/${id}/archive`),
+            unarchive: (id) => this.post(`/clients/${id}/unarchive`),
+            getTrash: () => this.get('/clients/trash', { noCache: true }),
+            restore: (id) => this.post(`/clients/${id}/restore`),
+            purgeTrash: () => this.post('/clients/trash/purge'),
+            exportPersonalData: (id, filename = `donnees_client_${id}.zip`) =>
+                this.downloadFile(`/clients/${id}/gdpr-export`, filename),
+            anonymize: (id, motif) => this.post(`/clients/${id}/anonymize`, { motif }),
+            setTags: (id, tags) => this.put(`/clients/${id}/tags`, { tags }),
+            getDocuments: (id) => this.get(`/clients/${id}/documents`, { noCache: true }),
+            addDocument: (id, data, file = null) => {
+                const formData = new FormData();
+                Object.entries(data).forEach(([key, value]) => {
+                    if (value !== null && value !== undefined && value !== '') formData.append(key, value);
+                });
+                if (file) formData.append('fichier', file);
+                return this.upload(`/clients/${id}/documents`, formData);
+            },
+            reviewDocument: (id, documentId, statut, motif = null) =>
+                this.put(`/clients/${id}/documents/${documentId}/review`, { statut, motif }),
+            deleteDocument: (id, documentId) => this.delete(`/clients/${id}/documents/${documentId}`),
+            downloadDocument: (id, documentId, filename) =>
+                this.downloadFile(`/clients/${id}/documents/${documentId}/file`, filename),
+            getExpiringDocuments: (days = null) =>
+                this.get(`/clients/kyc/expiring${days !== null ? `?${new URLSearchParams({ days })}` : ''}`, { noCache: true })
+        };
+    }
+
+    createClientGroupsModule() {
+        return {
+            getAll: () => this.get('/client-groups', { noCache: true }),
+            getById: (id) => this.get(`/client-groups/${id}`, { noCache: true }),
+            getBalance: (id) => this.get(`/client-groups/${id}/balance`, { noCache: true }),
+            create: (data) => this.post('/client-groups', data),
+            update: (id, data) => this.put(`/client-groups/${id}`, data),
+            delete: (id) => this.delete(`/client-groups/${id}`),
+            addMember: (id, clientId) => this.post(`/client-groups/${id}/members`, { client_id: clientId }),
+            removeMember: (id, clientId) => this.delete(`/client-groups/${id}/members/${clientId}`),
+            recordPayment: (id, data) => this.post(`/client-groups/${id}/payments`, data)
+        };
+    }
+
+    createClientSegmentsModule() {
+        return {
+            getCriteria: () => this.get('/client-segments/criteria'),
+            getTags: () => this.get('/client-segments/tags', { noCache: true }),
+            createTag: (data) => this.post('/client-segments/tags', data),
+            updateTag: (id, data) => this.put(`/client-segments/tags/${id}`, data),
+            deleteTag: (id) => this.delete(`/client-segments/tags/${id}`),
+            getAll: () => this.get('/client-segments', { noCache: true }),
+            getClients: (id) => this.get(`/client-segments/${id}/clients`, { noCache: true }),
+            preview: (data) => this.post('/client-segments/preview', data),
+            create: (data) => this.post('/client-segments', data),
+            update: (id, data) => this.put(`/client-segments/${id}`, data),
+            delete: (id) => this.delete(`/client-segments/${id}`),
+            notify: (data) => this.post('/client-segments/notify', data)
         };
     }
 
     createMarchandisesModule() {
         return {
             getAll: (params = {}) => this.get('/marchandises', params),
+            filter: (query) => this.get(`/marchandises?${new URLSearchParams({ q: query, limit: 1000 })}`, { noCache: true }),
             getById: (id) => this.get(`/marchandises/${id}`),
             create: (data) => this.post('/marchandises', data),
             update: (id, data) => this.put(`/marchandises/${id}`, data),
             delete: (id) => this.delete(`/marchandises/${id}`),
+            quote: (data) => this.post('/marchandises/quote', data),
+            quoteOptions: () => this.get('/marchandises/quote/options'),
+            downloadLabel: (id, format = 'thermique') =>
+                this.downloadFile(`/marchandises/${id}/label?${new URLSearchParams({ format })}`,
+                    `etiquette_${id}.${format === 'zpl' ? 'zpl' : 'pdf'}`),
+            downloadLabels: (ids, format = 'thermique', position = 1) =>
+                this.downloadFile(`/marchandises/labels?${new URLSearchParams({ ids: ids.join(','), format, position })}`,
+                    `etiquettes_${Date.now()}.${format === 'zpl' ? 'zpl' : 'pdf'}`),
             count: () => this.get('/marchandises/count'),
-            scanBarcode: (code) => this.get(`/marchandises/scan/${code}`),
-            assignToContainer: (id, containerId) => this.post(`/marchandises/${id}/assign`, { containerId }),
-            updateStatus: (id, status) => this.patch(`/marchandises/${id}/status`, { status }),
-            uploadPhoto: async (id, file) => {
+            scanBarcode: (code) => this.get(`/marchandises/barcode/${encodeURIComponent(code)}`),
+            getParcels: (id) => this.get(`/marchandises/${id}/colis`),
+            getScans: (id) => this.get(`/marchandises/${id}/scans`, { noCache: true }),
+            assignToContainer: (id, containerId, motifDerogation = null) =>
+                this.post(`/conteneurs/${containerId}/assign-marchandises`, {
+                    marchandise_ids: [id],
+                    motif_derogation: motifDerogation
+                }),
+            scan: (id, data) => this.post(`/marchandises/${id}/scan`, data),
+            updateStatus: (id, statut) => this.patch(`/marchandises/${id}/status`, { statut }),
+            getPhotos: (id, params = {}) =>
+                this.get(`/marchandises/${id}/photos?${new URLSearchParams(params)}`, { noCache: true }),
+            // options : categorie (reception, dommage, chargement), legende
+            uploadPhotos: (id, files, options = {}) => {
                 const formData = new FormData();
-                formData.append('photo', file);
-                return this.request('POST', `/marchandises/${id}/photo`, formData, {
-                    headers: {} // Laisser le navigateur définir le Content-Type
-                });
-            }
+                Array.from(files).forEach(file => formData.append('photos', file));
+                if (options.categorie) formData.append('categorie', options.categorie);
+                if (options.legende) formData.append('legende', options.legende);
+                return this.upload(`/marchandises/${id}/photos`, formData);
+            },
+            updatePhoto: (id, photoId, data) => this.patch(`/marchandises/${id}/photos/${photoId}`, data),
+            deletePhoto: (id, photoId) => this.delete(`/marchandises/${id}/photos/${photoId}`),
+            reorderPhotos: (id, ids) => this.put(`/marchandises/${id}/photos/order`, { ids }),
+            getStorage: (id) => this.get(`/marchandises/${id}/stockage`, { noCache: true }),
+            // data : montant (défaut : tout le cumul facturé), motif, definitive
+            waiveStorage: (id, data) => this.post(`/marchandises/${id}/stockage/exoneration`, data)
         };
     }
 
     createConteneursModule() {
         return {
             getAll: (params) => this.get('/conteneurs', params),
+            filter: (query) => this.get(`/conteneurs?${new URLSearchParams({ q: query, limit: 1000 })}`, { noCache: true }),
             getById: (id) => this.get(`/conteneurs/${id}`),
             create: (data) => this.post('/conteneurs', data),
             update: (id, data) => this.put(`/conteneurs/${id}`, data),
             delete: (id) => this.delete(`/conteneurs/${id}`),
             getActive: () => this.get('/conteneurs/active'),
+            assignMarchandises: (id, marchandiseIds, motifDerogation = null) =>
+                this.post(`/conteneurs/${id}/assign-marchandises`, {
+                    marchandise_ids: marchandiseIds,
+                    motif_derogation: motifDerogation
+                }),
             getManifest: (id) => this.get(`/conteneurs/${id}/manifest`),
             close: (id) => this.post(`/conteneurs/${id}/close`),
             reopen: (id) => this.post(`/conteneurs/${id}/reopen`),
@@ -488,6 +626,7 @@ class ApiClient {
     createPaiementsModule() {
         return {
             getAll: (params) => this.get('/finances', params),
+            filter: (query) => this.get(`/finances?${new URLSearchParams({ q: query, limit: 1000 })}`, { noCache: true }),
             getById: (id) => this.get(`/finances/${id}`),
             create: (data) => this.post('/finances', data),
             update: (id, data) => this.put(`/finances/${id}`, data),
@@ -515,7 +654,8 @@ class ApiClient {
             getDashboard: () => this.get('/dashboard/stats'),
             getActivity: (period) => this.get(`/dashboard/activity?period=${period}`),
             exportPDF: (type, params) => this.post(`/rapports/export/${type}`, params),
-            getCustom: (params) => this.post('/rapports/custom', params)
+            getCustom: (params) => this.post('/rapports/custom', params),
+            segments: (params) => this.post('/rapports/segments', params)
         };
     }
 
@@ -558,12 +698,81 @@ class ApiClient {
     }
 
     createSearchModule() {
+        // Les résultats de recherche ne sont pas mis en cache et sont renvoyés sans enveloppe
+        const search = (url, params) => this.get(`${url}?${new URLSearchParams(params)}`, { noCache: true })
+            .then(response => response.data);
+
+        return {
+            global: (query, limit = 5) => search('/search', { q: query, limit }),
+            clients: (query) => search('/search/clients', { q: query }),
+            marchandises: (query) => search('/search/marchandises', { q: query }),
+            conteneurs: (query) => search('/search/conteneurs', { q: query }),
+            paiements: (query) => search('/search/paiements', { q: query }),
+            barcode: (code) => search('/search/barcode', { code: code })
+        };
+    }
+
+    createScansModule() {
+        return {
+            getAll: (params = {}) => this.get(`/scans?${new URLSearchParams(params)}`, { noCache: true }),
+            getMissing: (params = {}) => this.get(`/scans/missing?${new URLSearchParams(params)}`, { noCache: true }),
+            getDurations: (params = {}) => this.get(`/scans/durations?${new URLSearchParams(params)}`, { noCache: true })
+        };
+    }
+
+    createReceptionsModule() {
+        return {
+            getAll: (params = {}) => this.get(`/receptions?${new URLSearchParams(params)}`, { noCache: true }),
+            getById: (id) => this.get(`/receptions/${id}`, { noCache: true }),
+            // photos : un tableau de fichiers par article, signature : image PNG du déposant
+            create: (data, photos = [], signature = null) => {
+                const formData = new FormData();
+                formData.append('data', JSON.stringify(data));
+                photos.forEach((files, index) => {
+                    Array.from(files || []).forEach(file => formData.append(`photos_${index}`, file));
+                });
+                if (signature) formData.append('signature', signature, 'signature.png');
+                return this.upload('/receptions', formData);
+            },
+            downloadDepositReceipt: (id, numero) =>
+                this.downloadFile(`/receptions/${id}/bon-depot`, `bon_depot_${numero || id}.pdf`)
+        };
+    }
+
+    createLitigesModule() {
+        return {
+            getAll: (params = {}) => this.get(`/litiges?${new URLSearchParams(params)}`, { noCache: true }),
+            getById: (id) => this.get(`/litiges/${id}`, { noCache: true }),
+            create: (data) => this.post('/litiges', data),
+            update: (id, data) => this.put(`/litiges/${id}`, data),
+            // statut : en_instruction, indemnisation_proposee, rejete, clos
+            changeStatus: (id, data) => this.post(`/litiges/${id}/statut`, data),
+            // mode_resolution : remboursement, avoir ou aucune
+            resolve: (id, data) => this.post(`/litiges/${id}/resoudre`, data),
+            uploadPhotos: (id, files, options = {}) => {
+                const formData = new FormData();
+                Array.from(files).forEach(file => formData.append('photos', file));
+                if (options.categorie) formData.append('categorie', options.categorie);
+                if (options.legende) formData.append('legende', options.legende);
+                return this.upload(`/litiges/${id}/photos`, formData);
+            },
+            getOpenByContainer: (params = {}) =>
+                this.get(`/litiges/rapport/conteneurs?${new URLSearchParams(params)}`, { noCache: true })
+        };
+    }
+
+    createViewsModule() {
+        // Les vues ne sont pas mises en cache : elles changent à chaque enregistrement
+        const unwrap = (response) => response.data;
+
         return {
-            global: (query) => this.get('/search', { q: query }),
-            clients: (query) => this.get('/search/clients', { q: query }),
-            marchandises: (query) => this.get('/search/marchandises', { q: query }),
-            conteneurs: (query) => this.get('/search/conteneurs', { q: query }),
-            barcode: (code) => this.get('/search/barcode', { code: code })
+            list: (module) => this.get(`/views?${new URLSearchParams({ module })}`, { noCache: true }).then(unwrap),
+            getDefault: (module) => this.get(`/views/default?${new URLSearchParams({ module })}`, { noCache: true }).then(unwrap),
+            create: (data) => this.post('/views', data).then(unwrap),
+            update: (id, data) => this.put(`/views/${id}`, data).then(unwrap),
+            delete: (id) => this.delete(`/views/${id}`),
+            setDefault: (id) => this.post(`/views/${id}/default`).then(unwrap),
+            clearDefault: (module) => this.delete(`/views/default?${new URLSearchParams({ module })}`)
         };
     }
 
@@ -47,6 +47,13 @@ window.CONSTANTS = {
         COURIER: 'coursier'
     },
     
+    // Catégories de photos
+    PHOTO_CATEGORIES: {
+        RECEPTION: 'reception',
+        DAMAGE: 'dommage',
+        LOADING: 'chargement'
+    },
+    
     // Types de marchandises
     GOODS_TYPES: {
         PACKAGE: 'colis',
@@ -176,6 +183,7 @@ window.CONSTANTS = {
     LIMITS: {
         MAX_FILE_SIZE: 10 * 1024 * 1024, // 10 MB
         MAX_PHOTOS_PER_ITEM: 5,
+        MAX_UPLOAD_SIZE: 30 * 1024 * 1024, // 30 MB par envoi
         MIN_PASSWORD_LENGTH: 8,
         MAX_SEARCH_RESULTS: 100,
         CACHE_DURATION: 5 * 60 * 1000, // 5 minutes
@@ -118,6 +118,54 @@ window.Helpers = (function() {
         return result.isConfirmed;
     }
 
+    /**
+     * Exécuter une opération soumise à la politique de crédit
+     * Si le serveur la bloque (409), affiche les dépassements et demande un motif de dérogation,
+     * puis relance l'opération avec ce motif. Retourne null si l'utilisateur renonce.
+     */
+    async function withCreditOverride(operation) {
+        let result;
+
+        try {
+            result = await operation(null);
+        } catch (error) {
+            if (error.status !== 409 || !Array.isArray(error.data?.details)) throw error;
+
+            hideLoader();
+
+            const { value: motif } = await Swal.fire({
+                icon: 'warning',
+                title: 'Limite de crédit dépassée',
+                html: `
+                    <ul class="text-start">
+                        ${error.data.details.map(d => `
+                            <li>${escapeHtml(d.nom)} : encours ${formatCurrency(d.encours)}
+                                pour une limite de ${formatCurrency(d.credit_limite)}</li>
+                        `).join('')}
+                    </ul>
+                    <p class="small text-muted">Une dérogation motivée d'un gestionnaire est nécessaire.</p>
+                `,
+                input: 'textarea',
+                inputPlaceholder: 'Motif de la dérogation',
+                showCancelButton: true,
+                confirmButtonText: 'Déroger',
+                cancelButtonText: 'Annuler',
+                inputValidator: (value) => !value.trim() && 'Le motif est requis'
+            });
+
+            if (!motif) return null;
+
+            result = await operation(motif.trim());
+        }
+
+        if (result?.avertissements_credit?.length > 0) {
+            const names = result.avertissements_credit.map(d => d.nom).join(', ');
+            showToast(`Limite de crédit dépassée : ${names}`, 'warning', 6000);
+        }
+
+        return result;
+    }
+
     // =============================================
     // FORMATAGE DES DONNÉES
     // =============================================
@@ -390,6 +438,33 @@ window.Helpers = (function() {
         });
     }
 
+    /**
+     * Recherche structurée côté serveur (ex. "statut:en_transit poids>50")
+     * Retourne null pour une recherche simple, sinon les lignes renvoyées par l'API
+     * Les erreurs de syntaxe sont signalées sur le champ de saisie
+     */
+    async function structuredSearch(entity, query, $input) {
+        if (!window.QueryLanguage || !QueryLanguage.isStructuredQuery(query, entity)) {
+            $input.removeClass('is-invalid').removeAttr('title');
+            return null;
+        }
+
+        let errors = QueryLanguage.parseQuery(query, entity).errors;
+        let rows = [];
+
+        if (errors.length === 0) {
+            try {
+                const response = await API[entity].filter(query);
+                rows = response.data || response;
+            } catch (error) {
+                errors = error.data?.details || [error.message];
+            }
+        }
+
+        $input.toggleClass('is-invalid', errors.length > 0).attr('title', errors.join('\n'));
+        return rows;
+    }
+
     /**
      * Paginer un tableau
      */
@@ -444,8 +519,12 @@ window.Helpers = (function() {
 
     /**
      * Initialiser un DataTable
+     * Options propres à l'application : views (écran des vues sauvegardées),
+     * getViewFilters et onViewApplied (filtres de l'écran enregistrés avec la vue)
      */
     function initDataTable(selector, options = {}) {
+        const { views, getViewFilters, onViewApplied, ...tableOptions } = options;
+
         const defaultOptions = {
             language: {
                 url: '//cdn.datatables.net/plug-ins/1.13.7/i18n/fr-FR.json'
@@ -454,10 +533,16 @@ window.Helpers = (function() {
             pageLength: 25,
             dom: 'Bfrtip',
             buttons: ['copy', 'excel', 'pdf', 'print'],
-            ...options
+            ...tableOptions
         };
 
-        return $(selector).DataTable(defaultOptions);
+        const table = $(selector).DataTable(defaultOptions);
+
+        if (views) {
+            new ViewSelector(table, { module: views, getViewFilters, onViewApplied }).init();
+        }
+
+        return table;
     }
 
     // =============================================
@@ -509,6 +594,18 @@ window.Helpers = (function() {
     // UTILITAIRES DIVERS
     // =============================================
 
+    /**
+     * Échappe une chaîne pour l'insérer dans du HTML
+     */
+    function escapeHtml(value) {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
     /**
      * Debounce une fonction
      */
@@ -615,6 +712,7 @@ window.Helpers = (function() {
         showError,
         showWarning,
         confirm,
+        withCreditOverride,
 
         // Formatage
         formatCurrency,
@@ -641,6 +739,7 @@ window.Helpers = (function() {
         groupBy,
         sortBy,
         fuzzySearch,
+        structuredSearch,
         paginate,
 
         // Interface utilisateur
@@ -654,6 +753,7 @@ window.Helpers = (function() {
         calculateShippingCost,
 
         // Utilitaires
+        escapeHtml,
         debounce,
         throttle,
         copyToClipboard,
@@ -107,6 +107,18 @@ module.exports = {
             directory: process.env.BACKUP_DIR || './backups',
             maxBackups: 30,
             schedule: '0 2 * * *' // Tous les jours à 2h du matin
+        },
+        kyc: {
+            // Scans des pièces d'identité : hors du dossier /uploads servi publiquement
+            directory: process.env.KYC_DIR || './storage/kyc'
+        },
+        signatures: {
+            // Signatures des bons de dépôt : hors du dossier /uploads servi publiquement
+            directory: process.env.SIGNATURE_DIR || './storage/signatures'
+        },
+        depositReceipts: {
+            // Bons de dépôt (nom et signature du déposant) : servis par la route authentifiée des réceptions
+            directory: process.env.DEPOSIT_RECEIPT_DIR || './storage/bons_depot'
         }
     },
     
@@ -207,6 +219,48 @@ module.exports = {
             methods: ['especes', 'cheque', 'virement', 'carte', 'mobile'],
             terms: [0, 30, 60, 90], // Délais de paiement en jours
             reminderDays: [7, 3, 0, -7] // Rappels avant/après échéance
+        },
+        credit: {
+            // Mode par défaut si le paramètre POLITIQUE_CREDIT est absent : desactive, avertir ou bloquer
+            policy: process.env.CREDIT_POLICY || 'avertir',
+            overrideRoles: ['admin', 'gestionnaire'] // Rôles autorisés à forcer une opération bloquée
+        },
+        kyc: {
+            // Valeurs par défaut si les paramètres KYC_* sont absents
+            expiryAlertDays: 30,
+            blockShipment: process.env.KYC_BLOCK_SHIPMENT === 'true',
+            verifierRoles: ['admin', 'gestionnaire'], // Rôles autorisés à valider ou rejeter un document
+            alertRoles: ['admin', 'gestionnaire'],
+            schedule: '0 7 * * *' // Contrôle des expirations tous les jours à 7h
+        },
+        alerts: {
+            // Valeurs par défaut si les paramètres ALERTE_* sont absents
+            unassignedDays: 7, // Marchandise toujours non affectée après réception
+            highValue: 1000, // Valeur déclarée signalée (0 : pas d'alerte)
+            roles: ['admin', 'gestionnaire', 'operateur'],
+            schedule: '0 * * * *' // Contrôle toutes les heures, chaque marchandise n'est signalée qu'une fois
+        },
+        trash: {
+            // Valeur par défaut si le paramètre CORBEILLE_RETENTION_JOURS est absent
+            retentionDays: 30,
+            schedule: '30 3 * * *' // Purge de la corbeille tous les jours à 3h30
+        },
+        pricing: {
+            // Valeurs par défaut si les paramètres TARIF_* sont absents
+            volumetricFactor: 250, // kg par m³
+            insuranceRate: 2 // % de la valeur déclarée
+        },
+        storage: {
+            // Valeurs par défaut si les paramètres STOCKAGE_* sont absents
+            freeDays: 14, // Franchise après la réception
+            dailyRate: 0.5, // Tarif journalier au-delà de la franchise (0 : pas de facturation)
+            mode: 'm3', // Base du tarif : m3 (volume) ou colis (nombre de colis)
+            schedule: '0 1 * * *' // Facturation des jours écoulés tous les jours à 1h
+        },
+        labels: {
+            maxPerRequest: 500, // Étiquettes par document (un colis = une étiquette)
+            sheet: { columns: 2, rows: 4 }, // Planche A4 de 8 étiquettes 105 x 74 mm
+            thermal: { width: 100, height: 150, dpmm: 8 } // Étiquette thermique en mm, imprimante 203 dpi
         }
     },
     
@@ -247,12 +247,13 @@ const db = {
         const result = await query(sql, values);
         return result.rows[0];
     },
-    async update(table, id, data) {
+    // client : client de transaction facultatif
+    async update(table, id, data, client = null) {
         const keys = Object.keys(data);
         const values = Object.values(data);
         const setClause = keys.map((key, i) => `"${key}" = $${i + 1}`).join(', ');
         const sql = `UPDATE "${table}" SET ${setClause} WHERE id = $${keys.length + 1} RETURNING *`;
-        const result = await query(sql, [...values, id]);
+        const result = client ? await client.query(sql, [...values, id]) : await query(sql, [...values, id]);
         return result.rows[0];
     },
     async delete(table, id) {
@@ -0,0 +1,17 @@
+-- =============================================
+-- Migration 002: Fusion des clients en double
+-- =============================================
+
+-- Colonnes utilisées par les routes clients mais absentes du schéma initial
+ALTER TABLE clients ADD COLUMN IF NOT EXISTS actif BOOLEAN DEFAULT true;
+ALTER TABLE clients ADD COLUMN IF NOT EXISTS notes TEXT;
+ALTER TABLE clients ADD COLUMN IF NOT EXISTS updated_by INTEGER REFERENCES utilisateurs(id);
+
+-- Traçabilité de la fusion : le client absorbé pointe vers le client conservé
+ALTER TABLE clients ADD COLUMN IF NOT EXISTS fusionne_avec_id INTEGER REFERENCES clients(id);
+ALTER TABLE clients ADD COLUMN IF NOT EXISTS archive_le TIMESTAMP;
+
+-- Index pour la détection des doublons
+CREATE INDEX IF NOT EXISTS idx_clients_telephone_secondaire ON clients(telephone_secondaire);
+CREATE INDEX IF NOT EXISTS idx_clients_email_lower ON clients(LOWER(email));
+CREATE INDEX IF NOT EXISTS idx_clients_fusionne_avec ON clients(fusionne_avec_id);
@@ -0,0 +1,47 @@
+-- =============================================
+-- Migration 003: Recherche approximative des clients
+-- Insensible aux accents, apostrophes et fautes de frappe (trigrammes)
+-- =============================================
+
+CREATE EXTENSION IF NOT EXISTS unaccent;
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+-- unaccent() n'est que STABLE : cette enveloppe IMMUTABLE permet de l'utiliser
+-- dans des colonnes générées et des index
+CREATE OR REPLACE FUNCTION immutable_unaccent(texte TEXT)
+RETURNS TEXT AS $$
+    SELECT public.unaccent('public.unaccent'::regdictionary, texte)
+$$ LANGUAGE sql IMMUTABLE PARALLEL SAFE STRICT;
+
+-- Normalisation commune : minuscules, sans accents, apostrophes supprimées
+-- ("M'Bemba" -> "mbemba", "Émile" -> "emile", "Jean-Pierre" -> "jean pierre")
+CREATE OR REPLACE FUNCTION normaliser_recherche(texte TEXT)
+RETURNS TEXT AS $$
+    SELECT btrim(regexp_replace(
+        regexp_replace(lower(immutable_unaccent(COALESCE(texte, ''))), '[''’`]', '', 'g'),
+        '[^a-z0-9]+', ' ', 'g'
+    ))
+$$ LANGUAGE sql IMMUTABLE PARALLEL SAFE;
+
+-- Texte de recherche précalculé : nom, prénom, code client et ville
+ALTER TABLE clients ADD COLUMN IF NOT EXISTS recherche_texte TEXT
+    GENERATED ALWAYS AS (
+        normaliser_recherche(
+            COALESCE(nom, '') || ' ' || COALESCE(prenom, '') || ' ' ||
+            COALESCE(code_client, '') || ' ' || COALESCE(ville, '')
+        )
+    ) STORED;
+
+-- Téléphones réduits à leurs chiffres
+ALTER TABLE clients ADD COLUMN IF NOT EXISTS recherche_telephones TEXT
+    GENERATED ALWAYS AS (
+        regexp_replace(COALESCE(telephone_principal, ''), '[^0-9]', '', 'g') || ' ' ||
+        regexp_replace(COALESCE(telephone_secondaire, ''), '[^0-9]', '', 'g')
+    ) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_clients_recherche_texte_trgm
+    ON clients USING GIN (recherche_texte gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_clients_recherche_telephones_trgm
+    ON clients USING GIN (recherche_telephones gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_conteneurs_numero_trgm
+    ON conteneurs USING GIN (UPPER(numero_conteneur) gin_trgm_ops);
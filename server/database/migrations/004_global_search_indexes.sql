@@ -0,0 +1,23 @@
+-- =============================================
+-- Migration 004: Index de la recherche globale
+-- Index trigrammes pour les recherches partielles (LIKE '%...%')
+-- =============================================
+
+CREATE INDEX IF NOT EXISTS idx_marchandises_code_barre_trgm
+    ON marchandises USING GIN (UPPER(code_barre) gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_marchandises_designation_trgm
+    ON marchandises USING GIN (normaliser_recherche(designation) gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_marchandises_suivi_postal_trgm
+    ON marchandises USING GIN (UPPER(numero_suivi_postal) gin_trgm_ops);
+
+CREATE INDEX IF NOT EXISTS idx_conteneurs_dossier_trgm
+    ON conteneurs USING GIN (UPPER(numero_dossier) gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_conteneurs_plomb_trgm
+    ON conteneurs USING GIN (UPPER(numero_plomb) gin_trgm_ops);
+
+CREATE INDEX IF NOT EXISTS idx_paiements_numero_recu_trgm
+    ON paiements USING GIN (UPPER(numero_recu) gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_paiements_reference_transaction_trgm
+    ON paiements USING GIN (UPPER(reference_transaction) gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_paiements_reference_paiement_trgm
+    ON paiements USING GIN (UPPER(reference_paiement) gin_trgm_ops);
@@ -0,0 +1,37 @@
+-- =============================================
+-- Migration 005: Vues sauvegardées des listes
+-- Filtres, tri, colonnes et densité enregistrés par utilisateur et par écran
+-- =============================================
+
+CREATE TABLE IF NOT EXISTS vues_sauvegardees (
+    id SERIAL PRIMARY KEY,
+    utilisateur_id INTEGER NOT NULL REFERENCES utilisateurs(id) ON DELETE CASCADE,
+    module VARCHAR(50) NOT NULL,
+    nom VARCHAR(100) NOT NULL,
+    -- Rôle avec lequel la vue est partagée (NULL : vue personnelle)
+    role_partage VARCHAR(50),
+    filtres JSONB NOT NULL DEFAULT '{}',
+    tri JSONB,
+    colonnes JSONB,
+    densite VARCHAR(20) NOT NULL DEFAULT 'normale' CHECK (densite IN ('normale', 'compacte')),
+    taille_page INTEGER,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (utilisateur_id, module, nom)
+);
+
+CREATE INDEX IF NOT EXISTS idx_vues_sauvegardees_module ON vues_sauvegardees(module, utilisateur_id);
+CREATE INDEX IF NOT EXISTS idx_vues_sauvegardees_partage ON vues_sauvegardees(module, role_partage)
+    WHERE role_partage IS NOT NULL;
+
+-- Vue par défaut de chaque utilisateur pour un écran (peut être une vue partagée)
+CREATE TABLE IF NOT EXISTS vues_par_defaut (
+    utilisateur_id INTEGER NOT NULL REFERENCES utilisateurs(id) ON DELETE CASCADE,
+    module VARCHAR(50) NOT NULL,
+    vue_id INTEGER NOT NULL REFERENCES vues_sauvegardees(id) ON DELETE CASCADE,
+    PRIMARY KEY (utilisateur_id, module)
+);
+
+DROP TRIGGER IF EXISTS update_vues_sauvegardees_updated_at ON vues_sauvegardees;
+CREATE TRIGGER update_vues_sauvegardees_updated_at BEFORE UPDATE ON vues_sauvegardees
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
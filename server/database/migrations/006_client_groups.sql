@@ -0,0 +1,27 @@
+-- =============================================
+-- Migration 006: Groupes de clients (familles)
+-- Plusieurs clients rattachés à un groupe, dont un payeur désigné
+-- =============================================
+
+CREATE TABLE IF NOT EXISTS clients_groupes (
+    id SERIAL PRIMARY KEY,
+    nom VARCHAR(150) NOT NULL,
+    payeur_id INTEGER REFERENCES clients(id) ON DELETE SET NULL,
+    notes TEXT,
+    created_by INTEGER REFERENCES utilisateurs(id),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Un client appartient à un seul groupe
+ALTER TABLE clients ADD COLUMN IF NOT EXISTS groupe_id INTEGER REFERENCES clients_groupes(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS idx_clients_groupe ON clients(groupe_id);
+
+-- Paiement groupé : une ligne par membre réglé, liées par le groupe et le payeur
+ALTER TABLE paiements ADD COLUMN IF NOT EXISTS groupe_id INTEGER REFERENCES clients_groupes(id) ON DELETE SET NULL;
+ALTER TABLE paiements ADD COLUMN IF NOT EXISTS payeur_id INTEGER REFERENCES clients(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS idx_paiements_groupe ON paiements(groupe_id);
+
+DROP TRIGGER IF EXISTS update_clients_groupes_updated_at ON clients_groupes;
+CREATE TRIGGER update_clients_groupes_updated_at BEFORE UPDATE ON clients_groupes
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,13 @@
+-- =============================================
+-- Migration 007: Politique de limite de crédit
+-- =============================================
+
+-- Mode appliqué quand le solde d'un client dépasse sa limite de crédit :
+-- 'desactive' (aucun contrôle), 'avertir' (opération acceptée avec avertissement)
+-- ou 'bloquer' (dérogation d'un gestionnaire requise)
+INSERT INTO parametres_systeme (cle, valeur, description) VALUES
+('POLITIQUE_CREDIT', 'avertir', 'Dépassement de limite de crédit : desactive, avertir ou bloquer')
+ON CONFLICT (cle) DO NOTHING;
+
+-- Une limite à 0 ou NULL signifie "pas de limite"
+COMMENT ON COLUMN clients.credit_limite IS 'Encours maximum autorisé (0 ou NULL : pas de limite)';
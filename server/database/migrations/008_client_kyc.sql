@@ -0,0 +1,53 @@
+-- =============================================
+-- Migration 008: Pièces d'identité des clients et statut KYC
+-- Plusieurs documents par client, vérifiés par un gestionnaire,
+-- remplacent le champ unique clients.photo_identite
+-- =============================================
+
+CREATE TABLE IF NOT EXISTS documents_identite (
+    id SERIAL PRIMARY KEY,
+    client_id INTEGER NOT NULL REFERENCES clients(id) ON DELETE CASCADE,
+    type_document VARCHAR(30) NOT NULL CHECK (type_document IN ('passeport', 'carte_identite', 'titre_sejour', 'permis_conduire', 'autre')),
+    numero VARCHAR(100) NOT NULL,
+    pays_emission VARCHAR(100) NOT NULL,
+    date_emission DATE,
+    date_expiration DATE,
+
+    -- Scan stocké hors du dossier public, servi par une route authentifiée
+    fichier VARCHAR(255),
+    nom_original VARCHAR(255),
+    mime_type VARCHAR(100),
+    taille INTEGER,
+
+    statut VARCHAR(20) DEFAULT 'en_attente' CHECK (statut IN ('en_attente', 'valide', 'rejete')),
+    motif_rejet TEXT,
+    verifie_par INTEGER REFERENCES utilisateurs(id),
+    verifie_le TIMESTAMP,
+    alerte_expiration_le TIMESTAMP,
+
+    created_by INTEGER REFERENCES utilisateurs(id),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_documents_identite_client ON documents_identite(client_id);
+CREATE INDEX IF NOT EXISTS idx_documents_identite_expiration ON documents_identite(date_expiration)
+    WHERE statut = 'valide';
+
+DROP TRIGGER IF EXISTS update_documents_identite_updated_at ON documents_identite;
+CREATE TRIGGER update_documents_identite_updated_at BEFORE UPDATE ON documents_identite
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Statut KYC du client, recalculé à chaque changement de ses documents
+ALTER TABLE clients ADD COLUMN IF NOT EXISTS statut_kyc VARCHAR(20) DEFAULT 'non_verifie';
+ALTER TABLE clients DROP CONSTRAINT IF EXISTS clients_statut_kyc_check;
+ALTER TABLE clients ADD CONSTRAINT clients_statut_kyc_check
+    CHECK (statut_kyc IN ('non_verifie', 'en_attente', 'verifie', 'expire', 'rejete'));
+ALTER TABLE clients ADD COLUMN IF NOT EXISTS kyc_verifie_le TIMESTAMP;
+CREATE INDEX IF NOT EXISTS idx_clients_statut_kyc ON clients(statut_kyc);
+
+-- Alerte d'expiration et blocage optionnel de l'expédition des conteneurs
+INSERT INTO parametres_systeme (cle, valeur, description) VALUES
+('KYC_ALERTE_EXPIRATION_JOURS', '30', 'Nombre de jours avant expiration d''une pièce d''identité pour alerter'),
+('KYC_BLOQUER_EXPEDITION', 'false', 'Refuser l''expédition d''un conteneur contenant des marchandises de clients non vérifiés')
+ON CONFLICT (cle) DO NOTHING;
@@ -0,0 +1,19 @@
+-- =============================================
+-- Migration 009: Archivage, corbeille et purge des clients
+-- Un client archivé est masqué des listes et recherches par défaut ;
+-- un client supprimé passe en corbeille jusqu'à la purge définitive
+-- =============================================
+
+-- archive_le existe depuis la migration 002 (clients fusionnés)
+ALTER TABLE clients ADD COLUMN IF NOT EXISTS archive_le TIMESTAMP;
+ALTER TABLE clients ADD COLUMN IF NOT EXISTS archive_par INTEGER REFERENCES utilisateurs(id);
+ALTER TABLE clients ADD COLUMN IF NOT EXISTS supprime_le TIMESTAMP;
+ALTER TABLE clients ADD COLUMN IF NOT EXISTS supprime_par INTEGER REFERENCES utilisateurs(id);
+
+CREATE INDEX IF NOT EXISTS idx_clients_archive ON clients(archive_le) WHERE archive_le IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_clients_corbeille ON clients(supprime_le) WHERE supprime_le IS NOT NULL;
+
+-- Durée de conservation en corbeille avant purge définitive
+INSERT INTO parametres_systeme (cle, valeur, description) VALUES
+('CORBEILLE_RETENTION_JOURS', '30', 'Nombre de jours avant la purge définitive des clients supprimés')
+ON CONFLICT (cle) DO NOTHING;
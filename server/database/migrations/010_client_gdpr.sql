@@ -0,0 +1,10 @@
+-- =============================================
+-- Migration 010: Droits RGPD des clients
+-- Un client anonymisé conserve ses marchandises et paiements pour la comptabilité,
+-- ses données personnelles sont remplacées et ne peuvent plus être restaurées
+-- =============================================
+
+ALTER TABLE clients ADD COLUMN IF NOT EXISTS anonymise_le TIMESTAMP;
+ALTER TABLE clients ADD COLUMN IF NOT EXISTS anonymise_par INTEGER REFERENCES utilisateurs(id);
+
+CREATE INDEX IF NOT EXISTS idx_clients_anonymise ON clients(anonymise_le) WHERE anonymise_le IS NOT NULL;
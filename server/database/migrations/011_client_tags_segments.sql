@@ -0,0 +1,60 @@
+-- =============================================
+-- Migration 011: Étiquettes et segments de clients
+-- Étiquettes prédéfinies ou libres posées sur les clients, segments dynamiques
+-- définis par des règles et recalculés à chaque utilisation
+-- =============================================
+
+CREATE TABLE IF NOT EXISTS tags (
+    id SERIAL PRIMARY KEY,
+    nom VARCHAR(50) NOT NULL,
+    couleur VARCHAR(20) NOT NULL DEFAULT 'secondary',
+    -- Étiquettes prédéfinies : proposées par défaut, non supprimables
+    predefini BOOLEAN NOT NULL DEFAULT false,
+    created_by INTEGER REFERENCES utilisateurs(id),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Une étiquette libre saisie avec une autre casse réutilise l'étiquette existante
+CREATE UNIQUE INDEX IF NOT EXISTS idx_tags_nom ON tags(LOWER(nom));
+
+CREATE TABLE IF NOT EXISTS clients_tags (
+    client_id INTEGER NOT NULL REFERENCES clients(id) ON DELETE CASCADE,
+    tag_id INTEGER NOT NULL REFERENCES tags(id) ON DELETE CASCADE,
+    created_by INTEGER REFERENCES utilisateurs(id),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (client_id, tag_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_clients_tags_tag ON clients_tags(tag_id);
+
+INSERT INTO tags (nom, couleur, predefini) VALUES
+('VIP', 'warning', true),
+('Grossiste', 'primary', true),
+('Habitué Pointe-Noire', 'info', true),
+('Mauvais payeur', 'danger', true)
+ON CONFLICT DO NOTHING;
+
+-- Segments dynamiques : règles JSON combinées (toutes ou au moins une)
+-- et requête structurée facultative (langage de recherche des listes)
+CREATE TABLE IF NOT EXISTS segments_clients (
+    id SERIAL PRIMARY KEY,
+    nom VARCHAR(100) NOT NULL UNIQUE,
+    description TEXT,
+    regles JSONB NOT NULL DEFAULT '[]',
+    combinaison VARCHAR(10) NOT NULL DEFAULT 'toutes' CHECK (combinaison IN ('toutes', 'une')),
+    requete TEXT,
+    created_by INTEGER REFERENCES utilisateurs(id),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+DROP TRIGGER IF EXISTS update_segments_clients_updated_at ON segments_clients;
+CREATE TRIGGER update_segments_clients_updated_at BEFORE UPDATE ON segments_clients
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+INSERT INTO segments_clients (nom, description, regles) VALUES
+('Clients réguliers', 'Plus de 5 envois sur les 12 derniers mois',
+ '[{"critere": "envois", "operateur": ">", "valeur": 5, "mois": 12}]'),
+('Encours élevé', 'Solde dû supérieur à 500 EUR',
+ '[{"critere": "solde", "operateur": ">", "valeur": 500}]')
+ON CONFLICT (nom) DO NOTHING;
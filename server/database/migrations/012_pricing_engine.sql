@@ -0,0 +1,66 @@
+-- =============================================
+-- Migration 012: Moteur de tarification des marchandises
+-- Grille tarifaire par destination, type de marchandise et type d'envoi,
+-- remise par client et détail du calcul conservé sur chaque marchandise
+-- =============================================
+
+-- Une ligne s'applique quand chacun de ses critères renseignés correspond ;
+-- un critère NULL vaut pour toutes les valeurs. La ligne la plus spécifique
+-- (port > pays > type de marchandise > type d'envoi) l'emporte, puis la priorité
+CREATE TABLE IF NOT EXISTS grilles_tarifaires (
+    id SERIAL PRIMARY KEY,
+    nom VARCHAR(100) NOT NULL,
+    destination_pays VARCHAR(100),
+    destination_port VARCHAR(100),
+    type_marchandise VARCHAR(50) CHECK (type_marchandise IN ('colis', 'vehicule', 'palette', 'autre')),
+    type_envoi VARCHAR(50) CHECK (type_envoi IN ('avec_dedouanement', 'sans_dedouanement')),
+
+    -- Transport : poids taxable x prix au kg + forfait par colis, avec minimum de perception
+    prix_kg DECIMAL(10,2) NOT NULL DEFAULT 0,
+    prix_forfait DECIMAL(10,2) NOT NULL DEFAULT 0,
+    minimum_perception DECIMAL(10,2) NOT NULL DEFAULT 0,
+
+    -- Frais annexes
+    frais_manutention DECIMAL(10,2) NOT NULL DEFAULT 0,  -- par colis
+    frais_dedouanement DECIMAL(10,2) NOT NULL DEFAULT 0, -- par envoi, ajouté au transport
+    frais_stockage DECIMAL(10,2) NOT NULL DEFAULT 0,     -- forfait par envoi
+
+    -- Taux d'assurance propre à la ligne (NULL : paramètre TARIF_TAUX_ASSURANCE)
+    taux_assurance DECIMAL(5,2),
+
+    priorite INTEGER NOT NULL DEFAULT 0,
+    actif BOOLEAN NOT NULL DEFAULT true,
+    created_by INTEGER REFERENCES utilisateurs(id),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_grilles_tarifaires_destination ON grilles_tarifaires(LOWER(destination_pays)) WHERE actif = true;
+
+DROP TRIGGER IF EXISTS update_grilles_tarifaires_updated_at ON grilles_tarifaires;
+CREATE TRIGGER update_grilles_tarifaires_updated_at BEFORE UPDATE ON grilles_tarifaires
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+INSERT INTO grilles_tarifaires (nom, destination_pays, destination_port, type_marchandise, type_envoi,
+    prix_kg, prix_forfait, minimum_perception, frais_manutention, frais_dedouanement, frais_stockage)
+SELECT * FROM (VALUES
+    ('Tarif général', NULL, NULL, NULL, NULL, 3.50, 0, 25, 5, 0, 0),
+    ('Congo - colis', 'Congo', NULL, 'colis', NULL, 2.80, 0, 20, 3, 0, 0),
+    ('Congo - dédouanement', 'Congo', NULL, NULL, 'avec_dedouanement', 2.80, 0, 20, 3, 45, 0),
+    ('Congo - véhicules', 'Congo', NULL, 'vehicule', NULL, 0, 1200, 1200, 150, 0, 50),
+    ('Pointe-Noire - palettes', 'Congo', 'Pointe-Noire', 'palette', NULL, 1.90, 0, 150, 25, 0, 20)
+) AS seed(nom, destination_pays, destination_port, type_marchandise, type_envoi,
+    prix_kg, prix_forfait, minimum_perception, frais_manutention, frais_dedouanement, frais_stockage)
+WHERE NOT EXISTS (SELECT 1 FROM grilles_tarifaires);
+
+-- Remise tarifaire accordée au client, en pourcentage du transport et de la manutention
+ALTER TABLE clients ADD COLUMN IF NOT EXISTS remise_tarif DECIMAL(5,2) NOT NULL DEFAULT 0
+    CHECK (remise_tarif >= 0 AND remise_tarif <= 100);
+
+-- Détail du calcul automatique (NULL quand les coûts ont été saisis à la main)
+ALTER TABLE marchandises ADD COLUMN IF NOT EXISTS tarification JSONB;
+
+INSERT INTO parametres_systeme (cle, valeur, description) VALUES
+('TARIF_FACTEUR_VOLUMETRIQUE', '250', 'Poids volumétrique en kg par m³ (poids taxable = max(poids réel, volume x facteur))'),
+('TARIF_TAUX_ASSURANCE', '2', 'Assurance facultative en pourcentage de la valeur déclarée')
+ON CONFLICT (cle) DO NOTHING;
@@ -0,0 +1,87 @@
+-- =============================================
+-- Migration 013: Versions de la grille tarifaire
+-- Les lignes de tarif et les surcharges appartiennent à une version (brouillon ou publiée)
+-- avec dates de validité ; chaque marchandise garde la version qui a servi à son calcul
+-- =============================================
+
+-- Une version publiée entre en vigueur à date_debut ; date_fin est déduite
+-- de la version publiée suivante. Seuls les brouillons sont modifiables
+CREATE TABLE IF NOT EXISTS tarifs (
+    id SERIAL PRIMARY KEY,
+    nom VARCHAR(100) NOT NULL,
+    description TEXT,
+    statut VARCHAR(20) NOT NULL DEFAULT 'brouillon' CHECK (statut IN ('brouillon', 'publie')),
+    date_debut DATE,
+    date_fin DATE,
+    publie_par INTEGER REFERENCES utilisateurs(id),
+    publie_le TIMESTAMP,
+    created_by INTEGER REFERENCES utilisateurs(id),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK (statut = 'brouillon' OR date_debut IS NOT NULL)
+);
+
+-- Deux versions publiées ne peuvent pas entrer en vigueur le même jour
+CREATE UNIQUE INDEX IF NOT EXISTS idx_tarifs_date_debut ON tarifs(date_debut) WHERE statut = 'publie';
+
+DROP TRIGGER IF EXISTS update_tarifs_updated_at ON tarifs;
+CREATE TRIGGER update_tarifs_updated_at BEFORE UPDATE ON tarifs
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Les lignes existantes forment la première version, en vigueur depuis toujours
+INSERT INTO tarifs (nom, description, statut, date_debut, publie_le)
+SELECT 'Grille initiale', 'Reprise de la grille tarifaire existante', 'publie', DATE '2000-01-01', CURRENT_TIMESTAMP
+WHERE NOT EXISTS (SELECT 1 FROM tarifs);
+
+ALTER TABLE grilles_tarifaires ADD COLUMN IF NOT EXISTS tarif_id INTEGER REFERENCES tarifs(id) ON DELETE CASCADE;
+UPDATE grilles_tarifaires SET tarif_id = (SELECT MIN(id) FROM tarifs) WHERE tarif_id IS NULL;
+ALTER TABLE grilles_tarifaires ALTER COLUMN tarif_id SET NOT NULL;
+
+ALTER TABLE grilles_tarifaires ADD COLUMN IF NOT EXISTS prix_m3 DECIMAL(10,2) NOT NULL DEFAULT 0;
+
+-- Forfait véhicule par catégorie : critère supplémentaire des lignes 'vehicule'
+ALTER TABLE grilles_tarifaires ADD COLUMN IF NOT EXISTS categorie_vehicule VARCHAR(50)
+    CHECK (categorie_vehicule IN ('moto', 'citadine', 'berline', 'suv', 'utilitaire', 'camion'));
+
+CREATE INDEX IF NOT EXISTS idx_grilles_tarifaires_tarif ON grilles_tarifaires(tarif_id);
+
+INSERT INTO grilles_tarifaires (tarif_id, nom, destination_pays, type_marchandise, categorie_vehicule,
+    prix_forfait, minimum_perception, frais_manutention, frais_stockage)
+SELECT t.id, seed.nom, 'Congo', 'vehicule', seed.categorie, seed.forfait, seed.forfait, seed.manutention, 50
+FROM (VALUES
+    ('Congo - moto', 'moto', 450, 60),
+    ('Congo - citadine', 'citadine', 1100, 150),
+    ('Congo - berline', 'berline', 1350, 150),
+    ('Congo - SUV / 4x4', 'suv', 1600, 180),
+    ('Congo - utilitaire', 'utilitaire', 1900, 200)
+) AS seed(nom, categorie, forfait, manutention)
+CROSS JOIN (SELECT MIN(id) AS id FROM tarifs) t
+WHERE NOT EXISTS (SELECT 1 FROM grilles_tarifaires WHERE categorie_vehicule IS NOT NULL);
+
+-- Surcharges d'une version : pourcentage du transport ou forfait par envoi,
+-- limitées éventuellement à une destination ou un type de marchandise
+CREATE TABLE IF NOT EXISTS tarifs_surcharges (
+    id SERIAL PRIMARY KEY,
+    tarif_id INTEGER NOT NULL REFERENCES tarifs(id) ON DELETE CASCADE,
+    code VARCHAR(30) NOT NULL,
+    libelle VARCHAR(100) NOT NULL,
+    mode VARCHAR(20) NOT NULL CHECK (mode IN ('pourcentage', 'forfait')),
+    valeur DECIMAL(10,2) NOT NULL DEFAULT 0,
+    destination_pays VARCHAR(100),
+    type_marchandise VARCHAR(50) CHECK (type_marchandise IN ('colis', 'vehicule', 'palette', 'autre')),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (tarif_id, code)
+);
+
+INSERT INTO tarifs_surcharges (tarif_id, code, libelle, mode, valeur)
+SELECT MIN(id), 'BAF', 'Surcharge carburant', 'pourcentage', 0 FROM tarifs
+ON CONFLICT (tarif_id, code) DO NOTHING;
+
+-- Version de la grille utilisée pour le calcul automatique des coûts
+ALTER TABLE marchandises ADD COLUMN IF NOT EXISTS tarif_id INTEGER REFERENCES tarifs(id) ON DELETE RESTRICT;
+ALTER TABLE marchandises ADD COLUMN IF NOT EXISTS categorie_vehicule VARCHAR(50);
+
+UPDATE marchandises SET tarif_id = (SELECT MIN(id) FROM tarifs)
+WHERE tarification IS NOT NULL AND tarif_id IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_marchandises_tarif ON marchandises(tarif_id);
@@ -0,0 +1,39 @@
+-- =============================================
+-- Migration 014: Colis individuels d'une marchandise
+-- Chaque colis d'un lot porte son propre code-barres (code du lot suivi de -001, -002...)
+-- et son propre statut ; le statut du lot est déduit de ceux de ses colis
+-- =============================================
+
+CREATE TABLE IF NOT EXISTS marchandises_colis (
+    id SERIAL PRIMARY KEY,
+    marchandise_id INTEGER NOT NULL REFERENCES marchandises(id) ON DELETE CASCADE,
+    numero INTEGER NOT NULL CHECK (numero > 0),
+    code_barre VARCHAR(100) UNIQUE NOT NULL,
+    statut VARCHAR(50) NOT NULL DEFAULT 'en_attente' CHECK (statut IN ('receptionne', 'en_attente', 'affecte', 'en_conteneur', 'en_transit', 'arrive', 'livre', 'probleme', 'perdu', 'endommage')),
+    dernier_scan_le TIMESTAMP,
+    dernier_scan_action VARCHAR(50),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (marchandise_id, numero)
+);
+
+CREATE INDEX IF NOT EXISTS idx_marchandises_colis_marchandise ON marchandises_colis(marchandise_id);
+CREATE INDEX IF NOT EXISTS idx_marchandises_colis_statut ON marchandises_colis(statut);
+
+DROP TRIGGER IF EXISTS update_marchandises_colis_updated_at ON marchandises_colis;
+CREATE TRIGGER update_marchandises_colis_updated_at BEFORE UPDATE ON marchandises_colis
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Avancement du lot : nombre de colis par statut (ex. {"en_conteneur": 9, "affecte": 3})
+ALTER TABLE marchandises ADD COLUMN IF NOT EXISTS colis_avancement JSONB DEFAULT '{}';
+
+-- Colis des marchandises existantes, au statut actuel du lot
+INSERT INTO marchandises_colis (marchandise_id, numero, code_barre, statut)
+SELECT m.id, n, m.code_barre || '-' || LPAD(n::text, GREATEST(3, LENGTH(n::text)), '0'), m.statut
+FROM marchandises m
+CROSS JOIN LATERAL generate_series(1, GREATEST(COALESCE(m.nombre_colis, 1), 1)) AS n
+ON CONFLICT (marchandise_id, numero) DO NOTHING;
+
+UPDATE marchandises m
+SET colis_avancement = jsonb_build_object(m.statut, GREATEST(COALESCE(m.nombre_colis, 1), 1))
+WHERE colis_avancement IS NULL OR colis_avancement = '{}'::jsonb;
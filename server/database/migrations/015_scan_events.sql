@@ -0,0 +1,54 @@
+-- =============================================
+-- Migration 015: Événements de scan
+-- Un événement par colis scanné (qui, quand, où, avec quel appareil, quelle action),
+-- repris de marchandises.scan_history qui est ensuite supprimée
+-- =============================================
+
+CREATE TABLE IF NOT EXISTS evenements_scan (
+    id SERIAL PRIMARY KEY,
+    marchandise_id INTEGER NOT NULL REFERENCES marchandises(id) ON DELETE CASCADE,
+    colis_id INTEGER REFERENCES marchandises_colis(id) ON DELETE SET NULL,
+    code_scanne VARCHAR(100),
+    action VARCHAR(50),
+    lieu VARCHAR(255),
+    appareil VARCHAR(255),
+    statut_avant VARCHAR(50),
+    statut_apres VARCHAR(50),
+    utilisateur_id INTEGER REFERENCES utilisateurs(id) ON DELETE SET NULL,
+    -- Nom au moment du scan, conservé si l'utilisateur est supprimé
+    utilisateur_nom VARCHAR(255),
+    scanne_le TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_evenements_scan_marchandise ON evenements_scan(marchandise_id, scanne_le);
+CREATE INDEX IF NOT EXISTS idx_evenements_scan_colis ON evenements_scan(colis_id, action);
+CREATE INDEX IF NOT EXISTS idx_evenements_scan_utilisateur ON evenements_scan(utilisateur_id, scanne_le);
+CREATE INDEX IF NOT EXISTS idx_evenements_scan_action ON evenements_scan(action, scanne_le);
+
+-- Reprise de l'historique JSONB : un événement par colis désigné,
+-- ou par colis du lot quand le scan portait sur toute la marchandise
+DO $$
+BEGIN
+    IF EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_name = 'marchandises' AND column_name = 'scan_history'
+    ) THEN
+        INSERT INTO evenements_scan (marchandise_id, colis_id, code_scanne, action, lieu,
+            utilisateur_id, utilisateur_nom, scanne_le)
+        SELECT m.id, mc.id, mc.code_barre, entry->>'action', entry->>'location',
+               u.id, entry->>'user_name',
+               COALESCE((entry->>'timestamp')::timestamp, m.updated_at)
+        FROM marchandises m
+        CROSS JOIN LATERAL jsonb_array_elements(COALESCE(m.scan_history, '[]'::jsonb)) AS entry
+        JOIN marchandises_colis mc ON mc.marchandise_id = m.id
+            AND (
+                jsonb_typeof(entry->'colis') IS DISTINCT FROM 'array'
+                OR entry->'colis' ? mc.code_barre
+            )
+        LEFT JOIN utilisateurs u ON u.id = (entry->>'user_id')::int
+        WHERE jsonb_typeof(m.scan_history) = 'array';
+
+        ALTER TABLE marchandises DROP COLUMN scan_history;
+    END IF;
+END $$;
@@ -0,0 +1,38 @@
+-- =============================================
+-- Migration 016: Sessions de réception
+-- Plusieurs marchandises déposées par un client en une fois, enregistrées dans une seule
+-- transaction et récapitulées sur un bon de dépôt signé
+-- =============================================
+
+CREATE TABLE IF NOT EXISTS receptions (
+    id SERIAL PRIMARY KEY,
+    -- Numéro du bon de dépôt (ex. BD241015001)
+    numero VARCHAR(50) UNIQUE NOT NULL,
+    client_id INTEGER NOT NULL REFERENCES clients(id) ON DELETE RESTRICT,
+    mode_reception VARCHAR(50) DEFAULT 'depot_client' CHECK (mode_reception IN ('poste', 'depot_client', 'coursier')),
+    provenance VARCHAR(50) DEFAULT 'depot' CHECK (provenance IN ('poste', 'depot', 'domicile')),
+    observations TEXT,
+    -- Personne qui dépose et signe (le client ou un proche)
+    signataire_nom VARCHAR(255),
+    -- Signature manuscrite capturée au comptoir, hors du dossier /uploads servi publiquement
+    signature_fichier VARCHAR(255),
+    signe_le TIMESTAMP,
+    bon_depot_fichier VARCHAR(255),
+    nombre_articles INTEGER NOT NULL DEFAULT 0,
+    nombre_colis INTEGER NOT NULL DEFAULT 0,
+    valeur_declaree_totale DECIMAL(12,2) NOT NULL DEFAULT 0,
+    created_by INTEGER REFERENCES utilisateurs(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_receptions_client ON receptions(client_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_receptions_created_at ON receptions(created_at);
+
+DROP TRIGGER IF EXISTS update_receptions_updated_at ON receptions;
+CREATE TRIGGER update_receptions_updated_at BEFORE UPDATE ON receptions
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE marchandises ADD COLUMN IF NOT EXISTS reception_id INTEGER REFERENCES receptions(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_marchandises_reception ON marchandises(reception_id);
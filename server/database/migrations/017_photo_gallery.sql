@@ -0,0 +1,72 @@
+-- =============================================
+-- Migration 017: Galerie de photos des marchandises
+-- Les photos sont enregistrées dans la table photos (miniature, catégorie, légende, ordre)
+-- et reprises de marchandises.photos qui est ensuite supprimée
+-- =============================================
+
+-- Table créée par la migration 001, qui ne s'applique qu'une fois
+CREATE TABLE IF NOT EXISTS photos (
+    id SERIAL PRIMARY KEY,
+    marchandise_id INTEGER NOT NULL REFERENCES marchandises(id) ON DELETE CASCADE,
+    filename VARCHAR(255) NOT NULL,
+    original_name VARCHAR(255),
+    mime_type VARCHAR(100),
+    size_bytes INTEGER,
+    width INTEGER,
+    height INTEGER,
+    is_primary BOOLEAN DEFAULT FALSE,
+    description TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    created_by INTEGER REFERENCES utilisateurs(id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_photos_marchandise ON photos(marchandise_id);
+
+-- Miniature générée à l'envoi, catégorie (photo de réception, de dommage ou de chargement)
+-- et ordre d'affichage dans la galerie ; la légende est la colonne description
+ALTER TABLE photos ADD COLUMN IF NOT EXISTS miniature VARCHAR(255);
+ALTER TABLE photos ADD COLUMN IF NOT EXISTS categorie VARCHAR(20) NOT NULL DEFAULT 'reception'
+    CHECK (categorie IN ('reception', 'dommage', 'chargement'));
+ALTER TABLE photos ADD COLUMN IF NOT EXISTS position INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE photos ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_photos_marchandise_position ON photos(marchandise_id, position);
+
+DROP TRIGGER IF EXISTS update_photos_updated_at ON photos;
+CREATE TRIGGER update_photos_updated_at BEFORE UPDATE ON photos
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Reprise des photos JSONB, à la suite des photos déjà présentes dans la table
+DO $$
+BEGIN
+    IF EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_name = 'marchandises' AND column_name = 'photos'
+    ) THEN
+        INSERT INTO photos (marchandise_id, filename, original_name, size_bytes, categorie, position,
+            created_at, created_by)
+        SELECT m.id, regexp_replace(p.entry->>'filename', '^.*/', ''), p.entry->>'originalname',
+               (p.entry->>'size')::int, 'reception', 1000 + p.ordre,
+               COALESCE((p.entry->>'uploadedAt')::timestamptz, m.created_at), m.created_by
+        FROM marchandises m
+        CROSS JOIN LATERAL jsonb_array_elements(m.photos) WITH ORDINALITY AS p(entry, ordre)
+        WHERE jsonb_typeof(m.photos) = 'array'
+        AND p.entry->>'filename' IS NOT NULL
+        AND NOT EXISTS (
+            SELECT 1 FROM photos existing
+            WHERE existing.marchandise_id = m.id
+            AND existing.filename = regexp_replace(p.entry->>'filename', '^.*/', '')
+        );
+
+        ALTER TABLE marchandises DROP COLUMN photos;
+    END IF;
+END $$;
+
+-- Ordre de la galerie : 1, 2, 3... par marchandise
+UPDATE photos
+SET position = ordered.rang
+FROM (
+    SELECT id, ROW_NUMBER() OVER (PARTITION BY marchandise_id ORDER BY position, created_at, id) as rang
+    FROM photos
+) ordered
+WHERE photos.id = ordered.id;
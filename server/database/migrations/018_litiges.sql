@@ -0,0 +1,56 @@
+-- =============================================
+-- Migration 018: Litiges (dommages, pertes, réclamations)
+-- Dossier de réclamation rattaché à une marchandise et à son client : description,
+-- photos à l'appui, responsable, indemnisation proposée, suivi du statut et résolution
+-- =============================================
+
+CREATE TABLE IF NOT EXISTS litiges (
+    id SERIAL PRIMARY KEY,
+    -- Numéro du dossier (ex. LT241015001)
+    numero VARCHAR(50) UNIQUE NOT NULL,
+    marchandise_id INTEGER NOT NULL REFERENCES marchandises(id) ON DELETE RESTRICT,
+    client_id INTEGER NOT NULL REFERENCES clients(id) ON DELETE RESTRICT,
+    -- Conteneur de la marchandise à l'ouverture, pour le suivi par conteneur
+    conteneur_id INTEGER REFERENCES conteneurs(id) ON DELETE SET NULL,
+    type_litige VARCHAR(20) NOT NULL CHECK (type_litige IN ('dommage', 'perte', 'reclamation')),
+    description TEXT NOT NULL,
+    responsable VARCHAR(30) CHECK (responsable IN ('entrepot', 'transporteur', 'agent_destination')),
+    montant_reclame DECIMAL(12,2),
+    indemnisation_proposee DECIMAL(12,2),
+    statut VARCHAR(30) NOT NULL DEFAULT 'ouvert'
+        CHECK (statut IN ('ouvert', 'en_instruction', 'indemnisation_proposee', 'resolu', 'rejete', 'clos')),
+    -- Résolution : remboursement (sortie de caisse), avoir (crédit sur le compte du client) ou sans indemnisation
+    resolution TEXT,
+    mode_resolution VARCHAR(20) CHECK (mode_resolution IN ('remboursement', 'avoir', 'aucune')),
+    montant_indemnise DECIMAL(12,2),
+    paiement_id INTEGER REFERENCES paiements(id) ON DELETE SET NULL,
+    resolu_le TIMESTAMP,
+    resolu_par INTEGER REFERENCES utilisateurs(id) ON DELETE SET NULL,
+    clos_le TIMESTAMP,
+    created_by INTEGER REFERENCES utilisateurs(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_litiges_marchandise ON litiges(marchandise_id);
+CREATE INDEX IF NOT EXISTS idx_litiges_client ON litiges(client_id);
+CREATE INDEX IF NOT EXISTS idx_litiges_conteneur_statut ON litiges(conteneur_id, statut);
+
+DROP TRIGGER IF EXISTS update_litiges_updated_at ON litiges;
+CREATE TRIGGER update_litiges_updated_at BEFORE UPDATE ON litiges
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Photos à l'appui d'un litige : photos de la marchandise rattachées au dossier
+ALTER TABLE photos ADD COLUMN IF NOT EXISTS litige_id INTEGER REFERENCES litiges(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_photos_litige ON photos(litige_id) WHERE litige_id IS NOT NULL;
+
+-- Avoir : indemnisation portée au crédit du compte client, sans mouvement de caisse
+-- Indemnisation : versement au client qui ne modifie pas son solde (ni dette, ni règlement)
+ALTER TABLE paiements DROP CONSTRAINT IF EXISTS paiements_type_paiement_check;
+ALTER TABLE paiements ADD CONSTRAINT paiements_type_paiement_check
+    CHECK (type_paiement IN ('especes', 'virement', 'cheque', 'mobile_money', 'carte', 'acompte', 'solde', 'total', 'remboursement', 'avoir', 'indemnisation'));
+
+ALTER TABLE paiements DROP CONSTRAINT IF EXISTS paiements_mode_paiement_check;
+ALTER TABLE paiements ADD CONSTRAINT paiements_mode_paiement_check
+    CHECK (mode_paiement IN ('especes', 'virement', 'cheque', 'carte', 'mobile_money', 'avoir'));
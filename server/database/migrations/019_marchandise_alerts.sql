@@ -0,0 +1,22 @@
+-- =============================================
+-- Migration 019: Alertes automatiques sur les marchandises
+-- Marchandises non affectées au-delà d'un délai, marchandises fragiles ou de valeur élevée ;
+-- chaque alerte n'est envoyée qu'une fois par marchandise
+-- =============================================
+
+CREATE TABLE IF NOT EXISTS alertes_marchandises (
+    id SERIAL PRIMARY KEY,
+    marchandise_id INTEGER NOT NULL REFERENCES marchandises(id) ON DELETE CASCADE,
+    -- non_affecte : en attente ou réceptionnée depuis trop longtemps ; sensible : fragile ou valeur élevée
+    type_alerte VARCHAR(20) NOT NULL CHECK (type_alerte IN ('non_affecte', 'sensible')),
+    details JSONB DEFAULT '{}',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (marchandise_id, type_alerte)
+);
+
+CREATE INDEX IF NOT EXISTS idx_marchandises_statut_reception ON marchandises(statut, date_reception);
+
+INSERT INTO parametres_systeme (cle, valeur, description) VALUES
+('ALERTE_NON_AFFECTE_JOURS', '7', 'Nombre de jours après la réception pour alerter d''une marchandise toujours non affectée'),
+('ALERTE_VALEUR_ELEVEE', '1000', 'Valeur déclarée à partir de laquelle une marchandise est signalée (0 : pas d''alerte)')
+ON CONFLICT (cle) DO NOTHING;
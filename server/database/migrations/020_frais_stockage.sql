@@ -0,0 +1,37 @@
+-- =============================================
+-- Migration 020: Frais de stockage
+-- Au-delà d'une franchise après la réception, les marchandises encore à l'entrepôt
+-- sont facturées chaque nuit au m³ ou au colis ; historique des facturations et exonérations
+-- =============================================
+
+-- Cumul net des frais facturés (déjà compris dans cout_stockage), dernier jour facturé,
+-- exonération définitive accordée par un responsable
+ALTER TABLE marchandises ADD COLUMN IF NOT EXISTS stockage_cumule DECIMAL(10,2) DEFAULT 0;
+ALTER TABLE marchandises ADD COLUMN IF NOT EXISTS stockage_facture_jusquau DATE;
+ALTER TABLE marchandises ADD COLUMN IF NOT EXISTS stockage_exonere BOOLEAN DEFAULT FALSE;
+
+CREATE TABLE IF NOT EXISTS marchandises_stockage (
+    id SERIAL PRIMARY KEY,
+    marchandise_id INTEGER NOT NULL REFERENCES marchandises(id) ON DELETE CASCADE,
+    -- facturation : jours facturés par le traitement de nuit ; exoneration : montant remis (négatif)
+    type_mouvement VARCHAR(20) NOT NULL CHECK (type_mouvement IN ('facturation', 'exoneration')),
+    du DATE,
+    au DATE,
+    jours INTEGER,
+    -- Base de calcul : m³ ou nombre de colis selon le mode, et tarif journalier appliqué
+    mode VARCHAR(10) CHECK (mode IN ('m3', 'colis')),
+    base DECIMAL(10,3),
+    tarif_jour DECIMAL(10,2),
+    montant DECIMAL(10,2) NOT NULL,
+    motif TEXT,
+    created_by INTEGER REFERENCES utilisateurs(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_marchandises_stockage_marchandise ON marchandises_stockage(marchandise_id, created_at);
+
+INSERT INTO parametres_systeme (cle, valeur, description) VALUES
+('STOCKAGE_JOURS_GRATUITS', '14', 'Nombre de jours de stockage gratuits après la réception'),
+('STOCKAGE_TARIF_JOUR', '0.50', 'Tarif journalier du stockage au-delà de la franchise (0 : pas de facturation)'),
+('STOCKAGE_MODE', 'm3', 'Base du tarif journalier de stockage : m3 (volume) ou colis (nombre de colis)')
+ON CONFLICT (cle) DO NOTHING;
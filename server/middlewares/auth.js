@@ -115,6 +115,7 @@ function getRolePermissions(role) {
         gestionnaire: [
             'client.*', 
             'marchandise.*', 
+            'marchandise.statut', 'marchandise.incident', 'marchandise.correction',
             'conteneur.*', 
             'paiement.*', 
             'rapport.*'
@@ -122,6 +123,7 @@ function getRolePermissions(role) {
         operateur: [
             'client.view', 'client.create', 'client.update',
             'marchandise.*',
+            'marchandise.statut', 'marchandise.incident',
             'conteneur.view', 'conteneur.update',
             'paiement.view', 'paiement.create'
         ],
@@ -211,4 +213,5 @@ async function optionalAuth(req, res, next) {
 module.exports = authMiddleware;
 module.exports.requireRole = requireRole;
 module.exports.requirePermission = requirePermission;
-module.exports.optionalAuth = optionalAuth;
\ No newline at end of file
+module.exports.optionalAuth = optionalAuth;
+module.exports.getRolePermissions = getRolePermissions;
\ No newline at end of file
@@ -2,6 +2,14 @@
  * Middleware de gestion des erreurs globales
  */
 const { logger } = require('../../shared/logger');
+const { LIMITES } = require('../../shared/constants');
+
+// Messages des limites d'envoi de fichiers (multer)
+const UPLOAD_ERRORS = {
+    LIMIT_FILE_SIZE: `Fichier trop volumineux (${LIMITES.UPLOAD.MAX_FILE_SIZE / 1024 / 1024} Mo maximum par fichier)`,
+    LIMIT_FILE_COUNT: 'Trop de fichiers dans un même envoi',
+    LIMIT_UNEXPECTED_FILE: 'Champ de fichier inattendu'
+};
 
 /**
  * Gestionnaire d'erreurs 404
@@ -50,6 +58,13 @@ function errorHandler(err, req, res, next) {
         });
     }
 
+    // Limites d'envoi de fichiers
+    if (err.name === 'MulterError') {
+        return res.status(err.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({
+            error: UPLOAD_ERRORS[err.code] || err.message
+        });
+    }
+
     // Erreurs de base de données
     if (err.code === '23505') { // Violation de contrainte unique PostgreSQL
         return res.status(409).json({
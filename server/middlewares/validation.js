@@ -51,6 +51,7 @@ const clientSchema = Joi.object({
     code_postal: Joi.string().allow(null, '').max(20),
     pays: Joi.string().required().max(100),
     notes: Joi.string().allow(null, ''),
+    remise_tarif: Joi.number().min(0).max(100),
     type_client: Joi.string().valid('particulier', 'entreprise').default('particulier'),
     statut: Joi.string().valid('actif', 'inactif', 'suspendu').default('actif')
 });
@@ -62,6 +63,7 @@ const marchandiseSchema = Joi.object({
     mode_reception: Joi.string().valid('poste', 'depot_client', 'coursier').default('depot_client'),
     etat_reception: Joi.string().valid('bon_etat', 'endommage', 'fragile', 'manquant').default('bon_etat'),
     type_marchandise: Joi.string().valid('colis', 'vehicule', 'palette', 'autre').required(),
+    categorie_vehicule: Joi.string().valid('moto', 'citadine', 'berline', 'suv', 'utilitaire', 'camion').allow(null, ''),
     designation: Joi.string().required(),
     description_detaillee: Joi.string().allow(null, ''),
     nombre_colis: Joi.number().integer().min(1).default(1),
@@ -74,18 +76,60 @@ const marchandiseSchema = Joi.object({
     provenance: Joi.string().valid('poste', 'depot', 'domicile').default('depot'),
     numero_suivi_postal: Joi.string().allow(null, '').max(100),
     position_conteneur: Joi.string().allow(null, '').max(50),
+    // Sans valeur : en_attente à la création, statut inchangé à la modification
     statut: Joi.string().valid(
         'receptionne', 'en_attente', 'affecte', 'en_conteneur', 
         'en_transit', 'arrive', 'livre', 'probleme', 'perdu', 'endommage'
-    ).default('en_attente'),
+    ),
     cout_transport: Joi.number().min(0).default(0),
     cout_manutention: Joi.number().min(0).default(0),
     cout_assurance: Joi.number().min(0).default(0),
     cout_stockage: Joi.number().min(0).default(0),
+    // Tarification automatique : les coûts saisis sont remplacés par le calcul de la grille
+    tarification_auto: Joi.boolean().default(false),
+    assurance: Joi.boolean().default(false),
+    type_envoi: Joi.string().valid('avec_dedouanement', 'sans_dedouanement').allow(null, ''),
+    destination_pays: Joi.string().allow(null, '').max(100),
+    destination_port: Joi.string().allow(null, '').max(100),
     commentaires: Joi.string().allow(null, ''),
     notes: Joi.string().allow(null, '')
 });
 
+// Réception groupée : les articles déposés par un même client, tous réceptionnés
+const receptionSchema = Joi.object({
+    client_id: Joi.number().required(),
+    mode_reception: Joi.string().valid('poste', 'depot_client', 'coursier').default('depot_client'),
+    provenance: Joi.string().valid('poste', 'depot', 'domicile').default('depot'),
+    signataire_nom: Joi.string().allow(null, '').max(255),
+    observations: Joi.string().allow(null, ''),
+    articles: Joi.array().items(
+        marchandiseSchema.fork(
+            ['client_id', 'conteneur_id', 'statut', 'mode_reception', 'provenance'],
+            () => Joi.any().strip()
+        )
+    ).min(1).max(50).required()
+});
+
+// Devis de tarification (formulaire en cours de saisie)
+const quoteSchema = Joi.object({
+    client_id: Joi.number().allow(null),
+    conteneur_id: Joi.number().allow(null),
+    type_marchandise: Joi.string().valid('colis', 'vehicule', 'palette', 'autre').required(),
+    categorie_vehicule: Joi.string().valid('moto', 'citadine', 'berline', 'suv', 'utilitaire', 'camion').allow(null, ''),
+    tarif_id: Joi.number().allow(null),
+    nombre_colis: Joi.number().integer().min(1).default(1),
+    poids: Joi.number().min(0).allow(null),
+    longueur: Joi.number().min(0).allow(null),
+    largeur: Joi.number().min(0).allow(null),
+    hauteur: Joi.number().min(0).allow(null),
+    volume: Joi.number().min(0).allow(null),
+    valeur_declaree: Joi.number().min(0).allow(null),
+    assurance: Joi.boolean().default(false),
+    type_envoi: Joi.string().valid('avec_dedouanement', 'sans_dedouanement').allow(null, ''),
+    destination_pays: Joi.string().allow(null, '').max(100),
+    destination_port: Joi.string().allow(null, '').max(100)
+});
+
 // Conteneur
 const conteneurSchema = Joi.object({
     numero_conteneur: Joi.string().required().max(50),
@@ -126,6 +170,44 @@ const paiementSchema = Joi.object({
     commentaires: Joi.string().allow(null, '')
 });
 
+// Litige : ouverture et modification d'un dossier
+const litigeSchema = Joi.object({
+    marchandise_id: Joi.number().required(),
+    type_litige: Joi.string().valid('dommage', 'perte', 'reclamation').required(),
+    description: Joi.string().required(),
+    responsable: Joi.string().valid('entrepot', 'transporteur', 'agent_destination').allow(null, ''),
+    montant_reclame: Joi.number().min(0).allow(null),
+    indemnisation_proposee: Joi.number().min(0).allow(null)
+});
+
+const litigeUpdateSchema = litigeSchema
+    .fork(['marchandise_id'], () => Joi.any().strip())
+    .fork(['type_litige', 'description'], schema => schema.optional());
+
+// Litige : changement de statut (la résolution a son propre schéma)
+const litigeStatusSchema = Joi.object({
+    statut: Joi.string().valid('en_instruction', 'indemnisation_proposee', 'rejete', 'clos').required(),
+    indemnisation_proposee: Joi.number().positive(),
+    responsable: Joi.string().valid('entrepot', 'transporteur', 'agent_destination'),
+    commentaire: Joi.string().allow('')
+});
+
+// Litige : résolution et indemnisation
+const litigeResolutionSchema = Joi.object({
+    mode_resolution: Joi.string().valid('remboursement', 'avoir', 'aucune').required(),
+    montant: Joi.number().positive(),
+    mode_paiement: Joi.string().valid('especes', 'virement', 'cheque', 'carte', 'mobile_money')
+        .when('mode_resolution', { is: 'remboursement', then: Joi.required() }),
+    resolution: Joi.string().allow(null, '')
+});
+
+// Exonération des frais de stockage (montant par défaut : tout le cumul facturé)
+const stockageExonerationSchema = Joi.object({
+    montant: Joi.number().min(0),
+    motif: Joi.string().trim().required().max(500),
+    definitive: Joi.boolean().default(false)
+});
+
 // Authentification
 const loginSchema = Joi.object({
     email: Joi.string().email().required(),
@@ -153,8 +235,15 @@ module.exports = {
     validate,
     validateClient: validate(clientSchema),
     validateMarchandise: validate(marchandiseSchema),
+    validateQuote: validate(quoteSchema),
+    validateReception: validate(receptionSchema),
     validateConteneur: validate(conteneurSchema),
     validatePaiement: validate(paiementSchema),
+    validateLitige: validate(litigeSchema),
+    validateLitigeUpdate: validate(litigeUpdateSchema),
+    validateLitigeStatus: validate(litigeStatusSchema),
+    validateLitigeResolution: validate(litigeResolutionSchema),
+    validateStockageExoneration: validate(stockageExonerationSchema),
     validateLogin: validate(loginSchema),
     validateRegister: validate(registerSchema),
     validateChangePassword: validate(changePasswordSchema)
@@ -0,0 +1,217 @@
+/**
+ * Routes API pour les groupes de clients (familles)
+ */
+
+const express = require('express');
+const router = express.Router();
+const { logger } = require('../../shared/logger');
+const authMiddleware = require('../middlewares/auth');
+const clientGroupService = require('../services/clientGroupService');
+const clientService = require('../services/clientService');
+
+// Appliquer l'authentification à toutes les routes
+router.use(authMiddleware);
+
+/**
+ * Répondre avec le statut porté par l'erreur métier, sinon 500
+ */
+function handleError(res, error, message) {
+    if (error.statusCode) {
+        return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
+
+    res.status(500).json({ success: false, error: message });
+}
+
+/**
+ * GET /api/client-groups
+ * Lister les groupes avec leur solde consolidé
+ */
+router.get('/', async (req, res) => {
+    try {
+        const groups = await clientGroupService.list();
+
+        res.json({
+            success: true,
+            data: groups
+        });
+
+    } catch (error) {
+        logger.error('Erreur récupération groupes clients:', error);
+        handleError(res, error, 'Erreur lors de la récupération des groupes');
+    }
+});
+
+/**
+ * GET /api/client-groups/:id
+ * Détail d'un groupe, membres et soldes
+ */
+router.get('/:id', async (req, res) => {
+    try {
+        const group = await clientGroupService.getById(parseInt(req.params.id, 10));
+
+        res.json({
+            success: true,
+            data: group
+        });
+
+    } catch (error) {
+        logger.error('Erreur récupération groupe client:', error);
+        handleError(res, error, 'Erreur lors de la récupération du groupe');
+    }
+});
+
+/**
+ * GET /api/client-groups/:id/balance
+ * Solde consolidé du groupe, détaillé par membre
+ */
+router.get('/:id/balance', async (req, res) => {
+    try {
+        const groupId = parseInt(req.params.id, 10);
+        await clientGroupService.getById(groupId);
+
+        const balance = await clientGroupService.getConsolidatedBalance(groupId);
+
+        res.json({
+            success: true,
+            data: balance
+        });
+
+    } catch (error) {
+        logger.error('Erreur récupération solde groupe:', error);
+        handleError(res, error, 'Erreur lors de la récupération du solde du groupe');
+    }
+});
+
+/**
+ * POST /api/client-groups
+ * Créer un groupe
+ * Body: nom, payeur_id, membres (ids clients), notes
+ */
+router.post('/', authMiddleware.requireRole('admin', 'gestionnaire', 'operateur'), async (req, res) => {
+    try {
+        const group = await clientGroupService.create(req.body, req.user.id);
+
+        res.status(201).json({
+            success: true,
+            data: group,
+            message: 'Groupe créé avec succès'
+        });
+
+    } catch (error) {
+        logger.error('Erreur création groupe client:', error);
+        handleError(res, error, 'Erreur lors de la création du groupe');
+    }
+});
+
+/**
+ * PUT /api/client-groups/:id
+ * Modifier le nom, le payeur ou les notes
+ */
+router.put('/:id', authMiddleware.requireRole('admin', 'gestionnaire', 'operateur'), async (req, res) => {
+    try {
+        const group = await clientGroupService.update(parseInt(req.params.id, 10), req.body, req.user.id);
+
+        res.json({
+            success: true,
+            data: group
+        });
+
+    } catch (error) {
+        logger.error('Erreur modification groupe client:', error);
+        handleError(res, error, 'Erreur lors de la modification du groupe');
+    }
+});
+
+/**
+ * DELETE /api/client-groups/:id
+ * Dissoudre un groupe (les clients sont conservés)
+ */
+router.delete('/:id', authMiddleware.requireRole('admin', 'gestionnaire'), async (req, res) => {
+    try {
+        await clientGroupService.remove(parseInt(req.params.id, 10), req.user.id);
+
+        res.json({
+            success: true,
+            message: 'Groupe dissous'
+        });
+
+    } catch (error) {
+        logger.error('Erreur suppression groupe client:', error);
+        handleError(res, error, 'Erreur lors de la suppression du groupe');
+    }
+});
+
+/**
+ * POST /api/client-groups/:id/members
+ * Rattacher un client existant
+ * Body: client_id
+ */
+router.post('/:id/members', authMiddleware.requireRole('admin', 'gestionnaire', 'operateur'), async (req, res) => {
+    try {
+        const group = await clientGroupService.addMember(
+            parseInt(req.params.id, 10),
+            parseInt(req.body.client_id, 10),
+            req.user.id
+        );
+
+        res.json({
+            success: true,
+            data: group
+        });
+
+    } catch (error) {
+        logger.error('Erreur ajout membre groupe:', error);
+        handleError(res, error, 'Erreur lors de l\'ajout du membre');
+    }
+});
+
+/**
+ * DELETE /api/client-groups/:id/members/:clientId
+ * Retirer un client du groupe
+ */
+router.delete('/:id/members/:clientId', authMiddleware.requireRole('admin', 'gestionnaire', 'operateur'), async (req, res) => {
+    try {
+        const group = await clientGroupService.removeMember(
+            parseInt(req.params.id, 10),
+            parseInt(req.params.clientId, 10),
+            req.user.id
+        );
+
+        res.json({
+            success: true,
+            data: group
+        });
+
+    } catch (error) {
+        logger.error('Erreur retrait membre groupe:', error);
+        handleError(res, error, 'Erreur lors du retrait du membre');
+    }
+});
+
+/**
+ * POST /api/client-groups/:id/payments
+ * Paiement du payeur réglant les dettes de plusieurs membres
+ * Body: montant, mode_paiement, date_paiement, reference_transaction, notes,
+ *       allocations [{ client_id, montant }] (optionnel, sinon répartition automatique)
+ */
+router.post('/:id/payments', authMiddleware.requireRole('admin', 'gestionnaire', 'comptable', 'operateur'), async (req, res) => {
+    try {
+        const result = await clientGroupService.recordPayment(parseInt(req.params.id, 10), req.body, req.user.id);
+
+        result.paiements.forEach(paiement => req.io.emit('paiement:created', paiement));
+        await clientService.refreshCounters(result.paiements.map(paiement => paiement.client_id), req.io);
+
+        res.status(201).json({
+            success: true,
+            data: result,
+            message: 'Paiement groupé enregistré'
+        });
+
+    } catch (error) {
+        logger.error('Erreur paiement groupé:', error);
+        handleError(res, error, 'Erreur lors de l\'enregistrement du paiement groupé');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,261 @@
+/**
+ * Routes API pour les étiquettes et segments de clients
+ */
+
+const express = require('express');
+const router = express.Router();
+const { logger } = require('../../shared/logger');
+const authMiddleware = require('../middlewares/auth');
+const clientSegmentService = require('../services/clientSegmentService');
+
+// Appliquer l'authentification à toutes les routes
+router.use(authMiddleware);
+
+/**
+ * Répondre avec le statut porté par l'erreur métier, sinon 500
+ */
+function handleError(res, error, message) {
+    if (error.statusCode) {
+        return res.status(error.statusCode).json({ success: false, error: error.message, details: error.details });
+    }
+
+    res.status(500).json({ success: false, error: message });
+}
+
+/**
+ * GET /api/client-segments/criteria
+ * Critères et opérateurs utilisables dans les règles
+ */
+router.get('/criteria', (req, res) => {
+    res.json({
+        success: true,
+        data: clientSegmentService.getCriteria()
+    });
+});
+
+// =============================================
+// ÉTIQUETTES
+// =============================================
+
+/**
+ * GET /api/client-segments/tags
+ * Lister les étiquettes et leur nombre de clients
+ */
+router.get('/tags', async (req, res) => {
+    try {
+        const tags = await clientSegmentService.listTags();
+
+        res.json({
+            success: true,
+            data: tags
+        });
+
+    } catch (error) {
+        logger.error('Erreur récupération étiquettes:', error);
+        handleError(res, error, 'Erreur lors de la récupération des étiquettes');
+    }
+});
+
+/**
+ * POST /api/client-segments/tags
+ * Créer une étiquette libre
+ * Body: nom, couleur
+ */
+router.post('/tags', authMiddleware.requireRole('admin', 'gestionnaire'), async (req, res) => {
+    try {
+        const tag = await clientSegmentService.createTag(req.body, req.user.id);
+
+        res.status(201).json({
+            success: true,
+            data: tag,
+            message: 'Étiquette créée'
+        });
+
+    } catch (error) {
+        logger.error('Erreur création étiquette:', error);
+        handleError(res, error, 'Erreur lors de la création de l\'étiquette');
+    }
+});
+
+/**
+ * PUT /api/client-segments/tags/:tagId
+ * Renommer ou recolorer une étiquette
+ */
+router.put('/tags/:tagId', authMiddleware.requireRole('admin', 'gestionnaire'), async (req, res) => {
+    try {
+        const tag = await clientSegmentService.updateTag(parseInt(req.params.tagId, 10), req.body, req.user.id);
+
+        res.json({
+            success: true,
+            data: tag
+        });
+
+    } catch (error) {
+        logger.error('Erreur modification étiquette:', error);
+        handleError(res, error, 'Erreur lors de la modification de l\'étiquette');
+    }
+});
+
+/**
+ * DELETE /api/client-segments/tags/:tagId
+ * Supprimer une étiquette libre
+ */
+router.delete('/tags/:tagId', authMiddleware.requireRole('admin', 'gestionnaire'), async (req, res) => {
+    try {
+        await clientSegmentService.deleteTag(parseInt(req.params.tagId, 10), req.user.id);
+
+        res.json({
+            success: true,
+            message: 'Étiquette supprimée'
+        });
+
+    } catch (error) {
+        logger.error('Erreur suppression étiquette:', error);
+        handleError(res, error, 'Erreur lors de la suppression de l\'étiquette');
+    }
+});
+
+// =============================================
+// SEGMENTS
+// =============================================
+
+/**
+ * POST /api/client-segments/preview
+ * Nombre de clients et aperçu d'une définition non enregistrée
+ * Body: regles, combinaison, requete
+ */
+router.post('/preview', async (req, res) => {
+    try {
+        const preview = await clientSegmentService.preview(req.body);
+
+        res.json({
+            success: true,
+            data: preview
+        });
+
+    } catch (error) {
+        logger.error('Erreur aperçu segment:', error);
+        handleError(res, error, 'Erreur lors du calcul du segment');
+    }
+});
+
+/**
+ * POST /api/client-segments/notify
+ * Envoi groupé d'un email aux clients d'un segment ou d'une étiquette
+ * Body: segment_id ou tag_id, sujet, message ({prenom}, {nom}, {code_client}, {solde})
+ */
+router.post('/notify', authMiddleware.requireRole('admin', 'gestionnaire'), async (req, res) => {
+    try {
+        const summary = await clientSegmentService.notifyAudience(req.body, req.user.id);
+
+        res.json({
+            success: true,
+            data: summary,
+            message: `${summary.envoyes} email(s) envoyé(s) sur ${summary.total} client(s)`
+        });
+
+    } catch (error) {
+        logger.error('Erreur envoi groupé:', error);
+        handleError(res, error, 'Erreur lors de l\'envoi groupé');
+    }
+});
+
+/**
+ * GET /api/client-segments
+ * Lister les segments avec leur nombre de clients actuel
+ */
+router.get('/', async (req, res) => {
+    try {
+        const segments = await clientSegmentService.list();
+
+        res.json({
+            success: true,
+            data: segments
+        });
+
+    } catch (error) {
+        logger.error('Erreur récupération segments:', error);
+        handleError(res, error, 'Erreur lors de la récupération des segments');
+    }
+});
+
+/**
+ * POST /api/client-segments
+ * Créer un segment
+ * Body: nom, description, regles [{ critere, operateur, valeur, mois }], combinaison, requete
+ */
+router.post('/', authMiddleware.requireRole('admin', 'gestionnaire'), async (req, res) => {
+    try {
+        const segment = await clientSegmentService.create(req.body, req.user.id);
+
+        res.status(201).json({
+            success: true,
+            data: segment,
+            message: 'Segment créé'
+        });
+
+    } catch (error) {
+        logger.error('Erreur création segment:', error);
+        handleError(res, error, 'Erreur lors de la création du segment');
+    }
+});
+
+/**
+ * GET /api/client-segments/:id/clients
+ * Clients du segment
+ */
+router.get('/:id/clients', async (req, res) => {
+    try {
+        const segment = await clientSegmentService.getById(parseInt(req.params.id, 10));
+        const clients = await clientSegmentService.getMembers(segment);
+
+        res.json({
+            success: true,
+            data: clients
+        });
+
+    } catch (error) {
+        logger.error('Erreur récupération clients du segment:', error);
+        handleError(res, error, 'Erreur lors de la récupération des clients du segment');
+    }
+});
+
+/**
+ * PUT /api/client-segments/:id
+ * Modifier un segment
+ */
+router.put('/:id', authMiddleware.requireRole('admin', 'gestionnaire'), async (req, res) => {
+    try {
+        const segment = await clientSegmentService.update(parseInt(req.params.id, 10), req.body, req.user.id);
+
+        res.json({
+            success: true,
+            data: segment
+        });
+
+    } catch (error) {
+        logger.error('Erreur modification segment:', error);
+        handleError(res, error, 'Erreur lors de la modification du segment');
+    }
+});
+
+/**
+ * DELETE /api/client-segments/:id
+ * Supprimer un segment (les clients ne sont pas modifiés)
+ */
+router.delete('/:id', authMiddleware.requireRole('admin', 'gestionnaire'), async (req, res) => {
+    try {
+        await clientSegmentService.remove(parseInt(req.params.id, 10), req.user.id);
+
+        res.json({
+            success: true,
+            message: 'Segment supprimé'
+        });
+
+    } catch (error) {
+        logger.error('Erreur suppression segment:', error);
+        handleError(res, error, 'Erreur lors de la suppression du segment');
+    }
+});
+
+module.exports = router;
@@ -4,12 +4,55 @@
  */
 const express = require('express');
 const router = express.Router();
+const multer = require('multer');
+const path = require('path');
 const { query, queryPrepared, transaction } = require('../database/connection');
 const { logger } = require('../../shared/logger');
 const authMiddleware = require('../middlewares/auth');
 const { validateClient } = require('../middlewares/validation');
 const auditService = require('../services/auditService');
 const barcodeService = require('../services/barcodeService');
+const importService = require('../services/importService');
+const clientService = require('../services/clientService');
+const clientGroupService = require('../services/clientGroupService');
+const statementService = require('../services/statementService');
+const pdfService = require('../services/pdfService');
+const notificationService = require('../services/notificationService');
+const kycService = require('../services/kycService');
+const gdprService = require('../services/gdprService');
+const clientSegmentService = require('../services/clientSegmentService');
+const appConfig = require('../config/app');
+const { LIMITES } = require('../../shared/constants');
+const queryLanguageService = require('../services/queryLanguageService');
+
+// Upload en mémoire pour les fichiers d'import (CSV/XLSX)
+const importUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: LIMITES.UPLOAD.MAX_FILE_SIZE }
+});
+
+// Scans des pièces d'identité : écrits dans le dossier KYC, non servi publiquement
+const kycUpload = multer({
+    storage: multer.diskStorage({
+        destination: (req, file, cb) => cb(null, kycService.storageDir),
+        filename: (req, file, cb) => {
+            const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+            cb(null, `client-${req.params.id}-${uniqueSuffix}${path.extname(file.originalname).toLowerCase()}`);
+        }
+    }),
+    limits: { fileSize: LIMITES.UPLOAD.MAX_FILE_SIZE },
+    fileFilter: (req, file, cb) => {
+        const allowedTypes = [...LIMITES.UPLOAD.ALLOWED_IMAGE_TYPES, 'application/pdf'];
+
+        if (allowedTypes.includes(file.mimetype)) {
+            return cb(null, true);
+        }
+
+        const error = new Error('Seuls les images et les PDF sont acceptés pour les pièces d\'identité');
+        error.statusCode = 400;
+        cb(error);
+    }
+});
 
 // Appliquer l'authentification à toutes les routes
 router.use(authMiddleware);
@@ -27,6 +70,10 @@ router.get('/', async (req, res) => {
             statut,
             ville,
             actif,
+            archives = 'exclure',
+            q,
+            tag,
+            segment,
             sort = 'created_at:desc'
         } = req.query;
 
@@ -34,10 +81,18 @@ router.get('/', async (req, res) => {
         const [sortField, sortOrder] = sort.split(':');
 
         // Construire la requête avec les bons noms de colonnes
-        let whereClause = 'WHERE 1=1';
+        // Les clients en corbeille n'apparaissent que dans /trash
+        let whereClause = 'WHERE c.supprime_le IS NULL';
         const params = [];
         let paramIndex = 1;
 
+        // Archivés : masqués par défaut, "inclure" ou "seulement" pour les afficher
+        if (archives === 'seulement') {
+            whereClause += ' AND c.archive_le IS NOT NULL';
+        } else if (archives !== 'inclure') {
+            whereClause += ' AND c.archive_le IS NULL';
+        }
+
         if (search) {
             whereClause += ` AND (
                 LOWER(c.nom) LIKE LOWER($${paramIndex}) OR
@@ -67,6 +122,41 @@ router.get('/', async (req, res) => {
             paramIndex++;
         }
 
+        if (tag) {
+            whereClause += ` AND EXISTS (SELECT 1 FROM clients_tags ct WHERE ct.client_id = c.id AND ct.tag_id = $${paramIndex})`;
+            params.push(parseInt(tag));
+            paramIndex++;
+        }
+
+        // Segment dynamique : ses règles sont recalculées à chaque requête
+        if (segment) {
+            const compiled = clientSegmentService.compile(
+                await clientSegmentService.getById(parseInt(segment)),
+                paramIndex
+            );
+
+            whereClause += compiled.clause;
+            params.push(...compiled.params);
+            paramIndex = compiled.nextIndex;
+        }
+
+        // Requête structurée (ex. ville:Paris balance>0)
+        if (q) {
+            const compiled = queryLanguageService.compile('clients', q, paramIndex);
+
+            if (compiled.errors.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Requête de recherche invalide',
+                    details: compiled.errors
+                });
+            }
+
+            whereClause += compiled.clause;
+            params.push(...compiled.params);
+            paramIndex = compiled.nextIndex;
+        }
+
         // Requête pour le total
         const countQuery = `
             SELECT COUNT(*) as total
@@ -85,7 +175,13 @@ router.get('/', async (req, res) => {
                     SELECT SUM(p.montant_paye)
                     FROM paiements p
                     WHERE p.client_id = c.id AND p.statut = 'valide'
-                ), 0) as total_paye
+                ), 0) as total_paye,
+                COALESCE((
+                    SELECT json_agg(json_build_object('id', t.id, 'nom', t.nom, 'couleur', t.couleur) ORDER BY t.nom)
+                    FROM clients_tags ct
+                    JOIN tags t ON t.id = ct.tag_id
+                    WHERE ct.client_id = c.id
+                ), '[]') as tags
             FROM clients c
             LEFT JOIN marchandises m ON m.client_id = c.id
             ${whereClause}
@@ -117,9 +213,173 @@ router.get('/', async (req, res) => {
 
     } catch (error) {
         logger.error('Erreur récupération clients:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            error: error.statusCode ? error.message : 'Erreur lors de la récupération des clients'
+        });
+    }
+});
+
+/**
+ * GET /api/clients/duplicates
+ * Lister les clients probablement en double (nom, téléphones, email)
+ * Query: min_score (0-100, défaut 50), limit, client_id pour cibler un client
+ */
+router.get('/duplicates', async (req, res) => {
+    try {
+        const { min_score, limit = 100, client_id } = req.query;
+
+        const duplicates = await clientService.findDuplicates({
+            minScore: min_score !== undefined ? parseInt(min_score) : undefined,
+            limit: parseInt(limit),
+            clientId: client_id ? parseInt(client_id) : null
+        });
+
+        res.json({
+            success: true,
+            data: duplicates
+        });
+
+    } catch (error) {
+        logger.error('Erreur détection doublons clients:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Erreur lors de la recherche des doublons'
+        });
+    }
+});
+
+/**
+ * GET /api/clients/trash
+ * Corbeille : clients supprimés, avec la date de purge prévue
+ */
+router.get('/trash', authMiddleware.requireRole('admin', 'gestionnaire'), async (req, res) => {
+    try {
+        const trash = await clientService.listTrash();
+
+        res.json({
+            success: true,
+            data: trash
+        });
+
+    } catch (error) {
+        logger.error('Erreur récupération corbeille clients:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Erreur lors de la récupération de la corbeille'
+        });
+    }
+});
+
+/**
+ * POST /api/clients/trash/purge
+ * Purger immédiatement les clients en corbeille depuis plus longtemps que la rétention
+ */
+router.post('/trash/purge', authMiddleware.requireRole('admin'), async (req, res) => {
+    try {
+        const result = await clientService.purgeTrash({ userId: req.user.id });
+
+        res.json({
+            success: true,
+            data: result,
+            message: `${result.purges.length} client(s) supprimé(s) définitivement`
+        });
+
+    } catch (error) {
+        logger.error('Erreur purge corbeille clients:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Erreur lors de la purge de la corbeille'
+        });
+    }
+});
+
+/**
+ * GET /api/clients/kyc/expiring
+ * Pièces d'identité validées qui expirent bientôt ou ont expiré
+ * Query: days (défaut : paramètre KYC_ALERTE_EXPIRATION_JOURS)
+ */
+router.get('/kyc/expiring', async (req, res) => {
+    try {
+        const days = req.query.days !== undefined ? Math.max(parseInt(req.query.days) || 0, 0) : null;
+
+        const documents = await kycService.getExpiringDocuments(days);
+
+        res.json({
+            success: true,
+            data: documents
+        });
+
+    } catch (error) {
+        logger.error('Erreur récupération pièces expirantes:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Erreur lors de la récupération des pièces d\'identité'
+        });
+    }
+});
+
+/**
+ * POST /api/clients/kyc/check-expirations
+ * Lancer immédiatement le contrôle quotidien des expirations
+ */
+router.post('/kyc/check-expirations', authMiddleware.requireRole('admin'), async (req, res) => {
+    try {
+        const result = await kycService.checkExpirations();
+
+        res.json({
+            success: true,
+            data: result
+        });
+
+    } catch (error) {
+        logger.error('Erreur contrôle expirations KYC:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Erreur lors du contrôle des expirations'
+        });
+    }
+});
+
+/**
+ * POST /api/clients/counters/recalculate
+ * Recalculer les compteurs agrégés de tous les clients et signaler les écarts trouvés
+ * Body: dry_run (signaler sans corriger)
+ */
+router.post('/counters/recalculate', authMiddleware.requireRole('admin'), async (req, res) => {
+    try {
+        const dryRun = req.body.dry_run === true || req.body.dry_run === 'true';
+
+        const report = await clientService.recalculateAllCounters({ dryRun });
+
+        if (!dryRun && report.clients_en_ecart > 0) {
+            await auditService.log({
+                utilisateur_id: req.user.id,
+                action: 'COUNTERS_RECALCULATED',
+                entite: 'clients',
+                nouvelles_valeurs: {
+                    clients_verifies: report.clients_verifies,
+                    clients_corriges: report.ecarts.map(ecart => ecart.client_id)
+                }
+            });
+
+            req.io.emit('client:updated', { recalcul: true });
+        }
+
+        if (report.clients_en_ecart > 0) {
+            logger.warn(`Compteurs clients: ${report.clients_en_ecart} écart(s) sur ${report.clients_verifies} client(s)${dryRun ? ' (non corrigés)' : ''}`);
+        }
+
+        res.json({
+            success: true,
+            data: report
+        });
+
+    } catch (error) {
+        logger.error('Erreur recalcul compteurs clients:', error);
         res.status(500).json({
             success: false,
-            error: 'Erreur lors de la récupération des clients'
+            error: 'Erreur lors du recalcul des compteurs'
         });
     }
 });
@@ -172,6 +432,8 @@ router.get('/:id', async (req, res) => {
         const paiementsResult = await query(paiementsQuery, [clientId]);
         client.derniers_paiements = paiementsResult.rows;
 
+        client.tags = await clientSegmentService.getClientTags(clientId);
+
         res.json({
             success: true,
             data: client
@@ -205,8 +467,8 @@ router.post('/', validateClient, async (req, res) => {
                     code_client, nom, prenom, telephone_principal,
                     telephone_secondaire, email, adresse_principale,
                     ville, code_postal, pays, notes, statut, actif,
-                    created_by, updated_by
-                ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $14)
+                    remise_tarif, created_by, updated_by
+                ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $15)
                 RETURNING *
             `;
 
@@ -224,6 +486,7 @@ router.post('/', validateClient, async (req, res) => {
                 clientData.notes || null,
                 clientData.statut || 'actif',
                 clientData.actif !== false,
+                clientData.remise_tarif || 0,
                 req.user.id // created_by et updated_by
             ];
 
@@ -301,7 +564,7 @@ router.put('/:id', validateClient, async (req, res) => {
         const allowedFields = [
             'nom', 'prenom', 'telephone_principal', 'telephone_secondaire',
             'email', 'adresse_principale', 'ville', 'code_postal', 'pays',
-            'notes', 'statut', 'actif'
+            'notes', 'statut', 'actif', 'remise_tarif'
         ];
 
         for (const field of allowedFields) {
@@ -392,86 +655,197 @@ router.put('/:id', validateClient, async (req, res) => {
 
 /**
  * DELETE /api/clients/:id
- * Supprimer un client (soft delete)
+ * Placer un client dans la corbeille (restaurable jusqu'à la purge)
  */
 router.delete('/:id', async (req, res) => {
     try {
         const clientId = parseInt(req.params.id);
 
-        // Vérifier s'il y a des marchandises actives
-        const checkQuery = `
-            SELECT COUNT(*) as count
-            FROM marchandises
-            WHERE client_id = $1 AND statut != 'livre'
-        `;
+        const result = await clientService.softDelete(clientId, req.user.id);
+
+        // Émettre l'événement WebSocket si disponible
+        if (req.io) {
+            req.io.emit('client_supprime', {
+                id: result.id
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Client placé dans la corbeille'
+        });
+
+    } catch (error) {
+        logger.error('Erreur suppression client:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            error: error.statusCode ? error.message : 'Erreur lors de la suppression du client'
+        });
+    }
+});
+
+/**
+ * POST /api/clients/:id/restore
+ * Restaurer un client de la corbeille
+ */
+router.post('/:id/restore', authMiddleware.requireRole('admin', 'gestionnaire'), async (req, res) => {
+    try {
+        const result = await clientService.restore(parseInt(req.params.id), req.user.id);
+
+        req.io.emit('client:updated', { id: result.id });
+
+        res.json({
+            success: true,
+            data: result,
+            message: 'Client restauré'
+        });
+
+    } catch (error) {
+        logger.error('Erreur restauration client:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            error: error.statusCode ? error.message : 'Erreur lors de la restauration du client'
+        });
+    }
+});
+
+/**
+ * POST /api/clients/:id/archive
+ * Archiver un client (masqué des listes et recherches par défaut)
+ */
+router.post('/:id/archive', authMiddleware.requireRole('admin', 'gestionnaire'), async (req, res) => {
+    try {
+        const result = await clientService.archive(parseInt(req.params.id), req.user.id);
+
+        req.io.emit('client:updated', { id: result.id });
+
+        res.json({
+            success: true,
+            data: result,
+            message: 'Client archivé'
+        });
+
+    } catch (error) {
+        logger.error('Erreur archivage client:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            error: error.statusCode ? error.message : 'Erreur lors de l\'archivage du client'
+        });
+    }
+});
+
+/**
+ * POST /api/clients/:id/unarchive
+ * Désarchiver un client
+ */
+router.post('/:id/unarchive', authMiddleware.requireRole('admin', 'gestionnaire'), async (req, res) => {
+    try {
+        const result = await clientService.unarchive(parseInt(req.params.id), req.user.id);
 
-        const checkResult = await query(checkQuery, [clientId]);
+        req.io.emit('client:updated', { id: result.id });
 
-        if (parseInt(checkResult.rows[0].count) > 0) {
+        res.json({
+            success: true,
+            data: result,
+            message: 'Client désarchivé'
+        });
+
+    } catch (error) {
+        logger.error('Erreur désarchivage client:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            error: error.statusCode ? error.message : 'Erreur lors du désarchivage du client'
+        });
+    }
+});
+
+/**
+ * POST /api/clients/:id/merge
+ * Fusionner un client en double (source_id) dans ce client
+ * Marchandises et paiements sont transférés, le doublon est archivé
+ */
+router.post('/:id/merge', authMiddleware.requireRole('admin', 'gestionnaire'), async (req, res) => {
+    try {
+        const targetId = parseInt(req.params.id);
+        const sourceId = parseInt(req.body.source_id);
+
+        if (!sourceId) {
             return res.status(400).json({
                 success: false,
-                error: 'Impossible de supprimer un client avec des marchandises actives'
+                error: 'Client à fusionner (source_id) requis'
             });
         }
 
-        // Soft delete
-        const deleteQuery = `
-            UPDATE clients
-            SET actif = false, updated_at = CURRENT_TIMESTAMP, updated_by = $2
-            WHERE id = $1
-            RETURNING id, nom, prenom
-        `;
+        const result = await clientService.merge(targetId, sourceId, req.user.id);
 
-        const result = await transaction(async (client) => {
-            // Récupérer les données avant suppression pour l'audit
-            const oldClientResult = await client.query('SELECT * FROM clients WHERE id = $1', [clientId]);
-            const oldClient = oldClientResult.rows[0];
+        if (req.io) {
+            req.io.emit('client_fusionne', {
+                id: targetId,
+                source_id: sourceId
+            });
+        }
 
-            // Effectuer la suppression logique
-            const deleteResult = await client.query(deleteQuery, [clientId, req.user.id]);
+        res.json({
+            success: true,
+            data: result,
+            message: `Client fusionné: ${result.marchandises_transferees} marchandises et ${result.paiements_transferes} paiements transférés`
+        });
 
-            if (deleteResult.rows.length === 0) {
-                throw new Error('Client non trouvé');
-            }
+    } catch (error) {
+        logger.error('Erreur fusion clients:', error);
 
-            // Enregistrer l'audit
-            await auditService.log({
-                user_id: req.user.id,
-                action: 'DELETE',
-                entity_type: 'client',
-                entity_id: clientId,
-                old_value: oldClient,
-                details: { nom: oldClient.nom, prenom: oldClient.prenom }
-            }, client);
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                error: error.message
+            });
+        }
 
-            return deleteResult.rows[0];
+        res.status(500).json({
+            success: false,
+            error: 'Erreur lors de la fusion des clients'
         });
+    }
+});
+
+/**
+ * POST /api/clients/:id/family-member
+ * Créer un membre de la famille de ce client
+ * Adresses et téléphones sont recopiés, les deux clients sont rattachés au même groupe
+ * Body: prenom (requis), nom, email, notes, et tout champ d'adresse à remplacer
+ */
+router.post('/:id/family-member', authMiddleware.requireRole('admin', 'gestionnaire', 'operateur'), async (req, res) => {
+    try {
+        const result = await clientGroupService.createFamilyMember(parseInt(req.params.id), req.body, req.user.id);
 
-        // Émettre l'événement WebSocket si disponible
         if (req.io) {
-            req.io.emit('client_supprime', {
-                id: result.id
+            req.io.emit('nouveau_client', {
+                id: result.client.id,
+                nom: result.client.nom,
+                prenom: result.client.prenom,
+                statut: result.client.statut
             });
         }
 
-        res.json({
+        res.status(201).json({
             success: true,
-            message: 'Client désactivé avec succès'
+            data: result,
+            message: 'Membre de la famille créé avec succès'
         });
 
     } catch (error) {
-        logger.error('Erreur suppression client:', error);
+        logger.error('Erreur création membre de famille:', error);
 
-        if (error.message === 'Client non trouvé') {
-            return res.status(404).json({
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
                 success: false,
-                error: 'Client non trouvé'
+                error: error.message
             });
         }
 
         res.status(500).json({
             success: false,
-            error: 'Erreur lors de la suppression du client'
+            error: 'Erreur lors de la création du membre de la famille'
         });
     }
 });
@@ -613,31 +987,29 @@ router.get('/:id/paiements', async (req, res) => {
 /**
  * GET /api/clients/:id/balance
  * Récupérer le solde d'un client
+ * Pour un membre de famille, "groupe" contient le solde consolidé de tous les membres
  */
 router.get('/:id/balance', async (req, res) => {
     try {
         const clientId = parseInt(req.params.id);
 
-        const balanceQuery = `
-            SELECT
-                COALESCE(SUM(m.cout_total), 0) as total_due,
-                COALESCE(SUM(p.montant_paye), 0) as total_paid,
-                COALESCE(SUM(m.cout_total), 0) - COALESCE(SUM(p.montant_paye), 0) as balance
-            FROM clients c
-            LEFT JOIN marchandises m ON m.client_id = c.id
-            LEFT JOIN paiements p ON p.client_id = c.id AND p.statut = 'valide'
-            WHERE c.id = $1
-            GROUP BY c.id
-        `;
+        const balance = await clientService.getBalance(clientId);
 
-        const result = await query(balanceQuery, [clientId]);
+        if (!balance) {
+            return res.status(404).json({
+                success: false,
+                error: 'Client non trouvé'
+            });
+        }
+
+        const groupResult = await query('SELECT groupe_id FROM clients WHERE id = $1', [clientId]);
+        const groupId = groupResult.rows[0].groupe_id;
 
         res.json({
             success: true,
-            data: result.rows[0] || {
-                total_due: 0,
-                total_paid: 0,
-                balance: 0
+            data: {
+                ...balance,
+                groupe: groupId ? await clientGroupService.getConsolidatedBalance(groupId) : null
             }
         });
 
@@ -651,37 +1023,349 @@ router.get('/:id/balance', async (req, res) => {
 });
 
 /**
- * GET /api/clients/search/quick
- * Recherche rapide de clients (pour autocomplete)
+ * GET /api/clients/:id/statement
+ * Relevé de compte : mouvements de la période avec solde progressif et balance âgée
+ * Query: date_debut, date_fin (AAAA-MM-JJ, défaut : les 12 derniers mois)
  */
-router.get('/search/quick', async (req, res) => {
+router.get('/:id/statement', async (req, res) => {
+    try {
+        const statement = await statementService.build(parseInt(req.params.id), {
+            dateDebut: req.query.date_debut,
+            dateFin: req.query.date_fin
+        });
+
+        res.json({
+            success: true,
+            data: statement
+        });
+
+    } catch (error) {
+        logger.error('Erreur génération relevé de compte:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            error: error.statusCode ? error.message : 'Erreur lors de la génération du relevé'
+        });
+    }
+});
+
+/**
+ * GET /api/clients/:id/statement/pdf
+ * Télécharger le relevé de compte en PDF
+ * Query: date_debut, date_fin
+ */
+router.get('/:id/statement/pdf', async (req, res) => {
+    try {
+        const statement = await statementService.build(parseInt(req.params.id), {
+            dateDebut: req.query.date_debut,
+            dateFin: req.query.date_fin
+        });
+
+        const pdf = await pdfService.generateStatement(statement);
+
+        res.download(pdf.filepath, pdf.filename);
+
+    } catch (error) {
+        logger.error('Erreur génération relevé PDF:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            error: error.statusCode ? error.message : 'Erreur lors de la génération du relevé'
+        });
+    }
+});
+
+/**
+ * POST /api/clients/:id/statement/email
+ * Envoyer le relevé de compte PDF à l'adresse email du client
+ * Body: date_debut, date_fin
+ */
+router.post('/:id/statement/email', async (req, res) => {
     try {
-        const { q } = req.query;
+        const clientId = parseInt(req.params.id);
+
+        const statement = await statementService.build(clientId, {
+            dateDebut: req.body.date_debut,
+            dateFin: req.body.date_fin
+        });
 
-        if (!q || q.length < 2) {
-            return res.json({ success: true, data: [] });
+        if (!statement.client.email) {
+            return res.status(400).json({
+                success: false,
+                error: 'Ce client n\'a pas d\'adresse email'
+            });
         }
 
-        const searchQuery = `
-            SELECT
-                id, code_client, nom, prenom,
-                telephone_principal, email
-            FROM clients
-            WHERE actif = true AND (
-                LOWER(nom) LIKE LOWER($1) OR
-                LOWER(prenom) LIKE LOWER($1) OR
-                code_client LIKE $1 OR
-                telephone_principal LIKE $1
-            )
-            ORDER BY nom, prenom
-            LIMIT 10
-        `;
+        const pdf = await pdfService.generateStatement(statement);
+        const sent = await notificationService.sendStatementOfAccount(statement, pdf);
+
+        if (!sent) {
+            return res.status(503).json({
+                success: false,
+                error: 'L\'envoi d\'emails n\'est pas configuré'
+            });
+        }
+
+        await auditService.log({
+            utilisateur_id: req.user.id,
+            action: 'STATEMENT_SENT',
+            entite: 'clients',
+            entite_id: clientId,
+            nouvelles_valeurs: {
+                email: statement.client.email,
+                date_debut: statement.periode.debut,
+                date_fin: statement.periode.fin,
+                solde_cloture: statement.solde_cloture
+            }
+        });
+
+        res.json({
+            success: true,
+            message: `Relevé envoyé à ${statement.client.email}`
+        });
 
-        const result = await queryPrepared('quickSearchClients', searchQuery, [`%${q}%`]);
+    } catch (error) {
+        logger.error('Erreur envoi relevé de compte:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            error: error.statusCode ? error.message : 'Erreur lors de l\'envoi du relevé'
+        });
+    }
+});
+
+/**
+ * GET /api/clients/:id/documents
+ * Pièces d'identité du client
+ */
+router.get('/:id/documents', async (req, res) => {
+    try {
+        const documents = await kycService.listDocuments(parseInt(req.params.id));
 
         res.json({
             success: true,
-            data: result.rows
+            data: documents
+        });
+
+    } catch (error) {
+        logger.error('Erreur récupération pièces d\'identité:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Erreur lors de la récupération des pièces d\'identité'
+        });
+    }
+});
+
+/**
+ * POST /api/clients/:id/documents
+ * Ajouter une pièce d'identité (multipart, scan dans le champ "fichier")
+ * Body: type_document, numero, pays_emission, date_emission, date_expiration
+ */
+router.post('/:id/documents', kycUpload.single('fichier'), async (req, res) => {
+    try {
+        const clientId = parseInt(req.params.id);
+
+        const document = await kycService.addDocument(clientId, req.body, req.file, req.user.id);
+
+        req.io.emit('client:updated', { id: clientId });
+
+        res.status(201).json({
+            success: true,
+            data: document,
+            message: 'Pièce d\'identité ajoutée, en attente de vérification'
+        });
+
+    } catch (error) {
+        logger.error('Erreur ajout pièce d\'identité:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            error: error.statusCode ? error.message : 'Erreur lors de l\'ajout de la pièce d\'identité'
+        });
+    }
+});
+
+/**
+ * GET /api/clients/:id/documents/:documentId/file
+ * Télécharger le scan d'une pièce d'identité
+ */
+router.get('/:id/documents/:documentId/file', async (req, res) => {
+    try {
+        const document = await kycService.getDocument(parseInt(req.params.id), parseInt(req.params.documentId));
+        const filepath = kycService.getFilePath(document);
+
+        if (!filepath) {
+            return res.status(404).json({
+                success: false,
+                error: 'Aucun scan pour ce document'
+            });
+        }
+
+        res.download(filepath, document.nom_original || path.basename(filepath));
+
+    } catch (error) {
+        logger.error('Erreur téléchargement pièce d\'identité:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            error: error.statusCode ? error.message : 'Erreur lors du téléchargement du scan'
+        });
+    }
+});
+
+/**
+ * PUT /api/clients/:id/documents/:documentId/review
+ * Valider ou rejeter une pièce d'identité
+ * Body: statut ('valide' ou 'rejete'), motif (obligatoire pour un rejet)
+ */
+router.put('/:id/documents/:documentId/review', authMiddleware.requireRole(...appConfig.business.kyc.verifierRoles), async (req, res) => {
+    try {
+        const clientId = parseInt(req.params.id);
+
+        const document = await kycService.reviewDocument(
+            clientId,
+            parseInt(req.params.documentId),
+            req.body,
+            req.user.id
+        );
+
+        req.io.emit('client:updated', { id: clientId });
+
+        res.json({
+            success: true,
+            data: document
+        });
+
+    } catch (error) {
+        logger.error('Erreur vérification pièce d\'identité:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            error: error.statusCode ? error.message : 'Erreur lors de la vérification de la pièce d\'identité'
+        });
+    }
+});
+
+/**
+ * DELETE /api/clients/:id/documents/:documentId
+ * Supprimer une pièce d'identité et son scan
+ */
+router.delete('/:id/documents/:documentId', authMiddleware.requireRole('admin', 'gestionnaire'), async (req, res) => {
+    try {
+        const clientId = parseInt(req.params.id);
+
+        await kycService.removeDocument(clientId, parseInt(req.params.documentId), req.user.id);
+
+        req.io.emit('client:updated', { id: clientId });
+
+        res.json({
+            success: true,
+            message: 'Pièce d\'identité supprimée'
+        });
+
+    } catch (error) {
+        logger.error('Erreur suppression pièce d\'identité:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            error: error.statusCode ? error.message : 'Erreur lors de la suppression de la pièce d\'identité'
+        });
+    }
+});
+
+/**
+ * PUT /api/clients/:id/tags
+ * Remplacer les étiquettes du client
+ * Body: tags (ids d'étiquettes existantes ou noms ; un nom inconnu crée une étiquette libre)
+ */
+router.put('/:id/tags', async (req, res) => {
+    try {
+        const clientId = parseInt(req.params.id);
+        const tags = await clientSegmentService.setClientTags(clientId, req.body.tags, req.user.id);
+
+        req.io.emit('client:updated', { id: clientId, tags });
+
+        res.json({
+            success: true,
+            data: tags
+        });
+
+    } catch (error) {
+        logger.error('Erreur mise à jour étiquettes client:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            error: error.statusCode ? error.message : 'Erreur lors de la mise à jour des étiquettes'
+        });
+    }
+});
+
+/**
+ * GET /api/clients/:id/gdpr-export
+ * Export RGPD : archive ZIP de toutes les données détenues sur le client
+ * (fiche, marchandises, paiements, notifications, audit et fichiers téléversés)
+ */
+router.get('/:id/gdpr-export', authMiddleware.requireRole('admin', 'gestionnaire'), async (req, res) => {
+    try {
+        const clientId = parseInt(req.params.id);
+        const exportData = await gdprService.collect(clientId);
+
+        await gdprService.logExport(clientId, req.user.id, exportData);
+
+        const filename = `donnees_${exportData.client.code_client}_${new Date().toISOString().split('T')[0]}.zip`;
+        res.setHeader('Content-Type', 'application/zip');
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+        await gdprService.writeArchive(exportData, res);
+
+    } catch (error) {
+        logger.error('Erreur export RGPD client:', error);
+
+        // L'archive a pu commencer à être envoyée : la réponse ne peut plus être une erreur JSON
+        if (res.headersSent) {
+            return res.end();
+        }
+
+        res.status(error.statusCode || 500).json({
+            success: false,
+            error: error.statusCode ? error.message : 'Erreur lors de l\'export des données du client'
+        });
+    }
+});
+
+/**
+ * POST /api/clients/:id/anonymize
+ * Anonymiser un client (droit à l'effacement)
+ * Body: motif (obligatoire)
+ */
+router.post('/:id/anonymize', authMiddleware.requireRole('admin'), async (req, res) => {
+    try {
+        const result = await gdprService.anonymize(parseInt(req.params.id), req.user.id, req.body.motif);
+
+        req.io.emit('client:updated', { id: result.client_id });
+
+        res.json({
+            success: true,
+            data: result,
+            message: 'Client anonymisé'
+        });
+
+    } catch (error) {
+        logger.error('Erreur anonymisation client:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            error: error.statusCode ? error.message : 'Erreur lors de l\'anonymisation du client'
+        });
+    }
+});
+
+/**
+ * GET /api/clients/search/quick
+ * Recherche rapide de clients (pour autocomplete)
+ * Insensible aux accents et tolérante aux fautes, triée par pertinence
+ * Query: q (2 caractères minimum), limit (défaut 10)
+ */
+router.get('/search/quick', async (req, res) => {
+    try {
+        const { q, limit = 10 } = req.query;
+
+        const results = await clientService.quickSearch(q, { limit });
+
+        res.json({
+            success: true,
+            data: results
         });
 
     } catch (error) {
@@ -694,115 +1378,117 @@ router.get('/search/quick', async (req, res) => {
 });
 
 /**
- * POST /api/clients/import
- * Importer des clients depuis un fichier CSV
+ * POST /api/clients/import/analyze
+ * Lire les en-têtes d'un fichier CSV/XLSX et proposer une correspondance des colonnes
  */
-router.post('/import', async (req, res) => {
+router.post('/import/analyze', importUpload.single('file'), async (req, res) => {
     try {
-        // Vérifier si un fichier a été envoyé
-        if (!req.files || !req.files.file) {
+        if (!req.file) {
             return res.status(400).json({
                 success: false,
                 error: 'Aucun fichier Uploadé'
             });
         }
 
-        const file = req.files.file;
-        const results = [];
+        const analysis = await importService.analyze(req.file.buffer, req.file.originalname);
 
-        // Lire et parser le fichier CSV
-        const csvData = file.data.toString('utf8');
-        const lines = csvData.split('\n');
-        const headers = lines[0].split(',');
+        res.json({
+            success: true,
+            data: analysis
+        });
 
-        // Valider les en-têtes
-        const requiredHeaders = ['nom', 'prenom', 'telephone', 'email'];
-        if (!requiredHeaders.every(h => headers.includes(h))) {
+    } catch (error) {
+        logger.error('Erreur analyse fichier import clients:', error);
+        res.status(400).json({
+            success: false,
+            error: error.message || 'Fichier illisible'
+        });
+    }
+});
+
+/**
+ * POST /api/clients/import
+ * Importer des clients depuis un fichier CSV ou XLSX
+ * Champs multipart: file, mapping (JSON en-tête -> champ), dry_run (défaut true),
+ * on_duplicate ('skip' ou 'update' pour les clients déjà connus par téléphone/email)
+ */
+router.post('/import', importUpload.single('file'), async (req, res) => {
+    try {
+        if (!req.file) {
             return res.status(400).json({
                 success: false,
-                error: 'Format de fichier CSV invalide'
+                error: 'Aucun fichier Uploadé'
             });
         }
 
-        // Préparer les données
-        const clientsData = [];
-        for (let i = 1; i < lines.length; i++) {
-            if (!lines[i].trim()) continue;
-
-            const values = lines[i].split(',');
-            const client = {};
+        let mapping = null;
+        if (req.body.mapping) {
+            try {
+                mapping = typeof req.body.mapping === 'string'
+                    ? JSON.parse(req.body.mapping)
+                    : req.body.mapping;
+            } catch (parseError) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Correspondance des colonnes illisible'
+                });
+            }
+        }
 
-            headers.forEach((header, index) => {
-                client[header.toLowerCase()] = values[index]?.trim();
-            });
+        const dryRun = req.body.dry_run !== 'false' && req.body.dry_run !== false;
+        const onDuplicate = req.body.on_duplicate || 'skip';
 
-            // Ajouter les champs par défaut
-            client.code_client = `IMP-${Date.now()}-${i}`;
-            client.actif = true;
-            client.statut = 'actif';
-            client.created_by = req.user.id;
-            client.updated_by = req.user.id;
-            client.adresse_principale = client.adresse_principale || '';
-            client.ville = client.ville || '';
-            client.code_postal = client.code_postal || '';
-            client.pays = 'France'; // Valeur par défaut
+        const report = await importService.importClients({
+            buffer: req.file.buffer,
+            filename: req.file.originalname,
+            mapping,
+            dryRun,
+            onDuplicate,
+            userId: req.user.id
+        });
 
-            clientsData.push(client);
-        }
+        if (!dryRun) {
+            await auditService.log({
+                utilisateur_id: req.user.id,
+                action: 'IMPORT',
+                entite: 'clients',
+                entite_id: null,
+                nouvelles_valeurs: {
+                    fichier: req.file.originalname,
+                    created: report.created,
+                    updated: report.updated,
+                    skipped: report.skipped,
+                    errors: report.errors
+                }
+            });
 
-        // Transaction pour l'importation
-        const result = await transaction(async (client) => {
-            // Insérer tous les clients
-            for (const clientData of clientsData) {
-                const insertQuery = `
-                    INSERT INTO clients (
-                        code_client, nom, prenom, telephone_principal,
-                        telephone_secondaire, email, adresse_principale,
-                        ville, code_postal, pays, statut, actif,
-                        created_by, updated_by
-                    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
-                    RETURNING *
-                `;
-
-                const values = [
-                    clientData.code_client,
-                    clientData.nom,
-                    clientData.prenom,
-                    clientData.telephone,
-                    clientData.telephone_secondaire || null,
-                    clientData.email || null,
-                    clientData.adresse_principale || '',
-                    clientData.ville || '',
-                    clientData.code_postal || null,
-                    clientData.pays || 'France',
-                    clientData.statut || 'actif',
-                    clientData.actif !== false,
-                    req.user.id, // created_by
-                    req.user.id  // updated_by
-                ];
-
-                const result = await client.query(insertQuery, values);
-                results.push(result.rows[0]);
-
-                // Générer un code-barres pour le client
-                await barcodeService.generateBarcode(
-                    'CLIENT',
-                    result.rows[0].id,
-                    clientData.code_client
-                );
+            if (req.io && (report.created > 0 || report.updated > 0)) {
+                req.io.emit('clients_importes', {
+                    created: report.created,
+                    updated: report.updated
+                });
             }
+        }
 
-            return results;
-        });
-
-        res.status(201).json({
+        res.status(dryRun ? 200 : 201).json({
             success: true,
-            data: results,
-            message: `${results.length} clients importés avec succès`
+            data: report,
+            message: dryRun
+                ? `Simulation: ${report.created} à créer, ${report.updated} à mettre à jour, ${report.skipped} ignorés, ${report.errors} en erreur`
+                : `${report.created} clients créés, ${report.updated} mis à jour, ${report.skipped} ignorés, ${report.errors} en erreur`
         });
 
     } catch (error) {
         logger.error('Erreur importation clients:', error);
+
+        if (error.statusCode === 400) {
+            return res.status(400).json({
+                success: false,
+                error: error.message,
+                details: error.details
+            });
+        }
+
         res.status(500).json({
             success: false,
             error: 'Erreur lors de l\'importation des clients'
@@ -4,13 +4,18 @@
 
 const express = require('express');
 const router = express.Router();
-const { db, query } = require('../database/connection');
+const { db, query, transaction } = require('../database/connection');
 const { logger } = require('../../shared/logger');
 const authMiddleware = require('../middlewares/auth');
 const { validateConteneur } = require('../middlewares/validation');
 const auditService = require('../services/auditService');
 const barcodeService = require('../services/barcodeService');
 const pdfService = require('../services/pdfService');
+const queryLanguageService = require('../services/queryLanguageService');
+const creditPolicyService = require('../services/creditPolicyService');
+const kycService = require('../services/kycService');
+const parcelService = require('../services/parcelService');
+const MarchandiseStatus = require('../../shared/marchandiseStatus');
 
 // Appliquer l'authentification à toutes les routes
 router.use(authMiddleware);
@@ -30,6 +35,7 @@ router.get('/', async (req, res) => {
             type_envoi,
             date_debut,
             date_fin,
+            q,
             sort = 'created_at:desc' 
         } = req.query;
         
@@ -83,6 +89,23 @@ router.get('/', async (req, res) => {
             params.push(date_fin);
             paramIndex++;
         }
+
+        // Requête structurée (ex. statut:en_transit destination:Congo depart>2026-09)
+        if (q) {
+            const compiled = queryLanguageService.compile('conteneurs', q, paramIndex);
+
+            if (compiled.errors.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Requête de recherche invalide',
+                    details: compiled.errors
+                });
+            }
+
+            queryText += compiled.clause;
+            params.push(...compiled.params);
+            paramIndex = compiled.nextIndex;
+        }
         
         // Grouper par conteneur
         queryText += ' GROUP BY c.id';
@@ -244,6 +267,12 @@ router.put('/:id', validateConteneur, async (req, res) => {
         // Interdire la modification du numéro de dossier
         delete req.body.numero_dossier;
         
+        // Départ du conteneur : contrôle des pièces d'identité des expéditeurs
+        let kyc = { clients_non_verifies: [] };
+        if (req.body.statut === 'en_transit' && oldConteneur.statut !== 'en_transit') {
+            kyc = await kycService.checkShipment(req.params.id);
+        }
+        
         const updatedConteneur = await db.update('conteneurs', req.params.id, req.body);
         
         // Log d'audit
@@ -259,10 +288,18 @@ router.put('/:id', validateConteneur, async (req, res) => {
         // Notification temps réel
         req.io.emit('conteneur:updated', updatedConteneur);
         
-        res.json(updatedConteneur);
+        res.json({
+            ...updatedConteneur,
+            clients_non_verifies: kyc.clients_non_verifies
+        });
         
     } catch (error) {
         logger.error('Erreur mise à jour conteneur:', error);
+        
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message, details: error.details });
+        }
+        
         res.status(500).json({ error: 'Erreur serveur' });
     }
 });
@@ -363,19 +400,37 @@ router.post('/:id/close', async (req, res) => {
             return res.status(400).json({ error: 'Impossible de clôturer un conteneur vide' });
         }
         
-        // Mettre à jour le statut
-        const updatedConteneur = await db.update('conteneurs', req.params.id, {
-            statut: 'cloture',
-            date_cloture: new Date()
-        });
+        // Les marchandises partent en transit : contrôle des pièces d'identité des expéditeurs
+        const kyc = await kycService.checkShipment(req.params.id);
         
-        // Mettre à jour le statut des marchandises
-        await query(`
-            UPDATE marchandises 
-            SET statut = 'en_transit' 
-            WHERE conteneur_id = $1 AND statut NOT IN ('livre', 'probleme')
+        // Colis affectés dont le chargement n'a pas été scanné
+        const notLoaded = await query(`
+            SELECT COUNT(*)::int as nombre
+            FROM marchandises_colis mc
+            JOIN marchandises m ON m.id = mc.marchandise_id
+            WHERE m.conteneur_id = $1 AND mc.statut IN ('en_attente', 'receptionne', 'affecte')
         `, [req.params.id]);
         
+        // Passage en transit des colis (hors livrés et anomalies) et clôture dans une même transaction :
+        // une transition interdite (ex. colis seulement réceptionné) bloque la clôture
+        const updatedConteneur = await transaction(async (client) => {
+            const shipped = await client.query(
+                'SELECT id FROM marchandises WHERE conteneur_id = $1',
+                [req.params.id]
+            );
+            
+            await parcelService.setStatus(shipped.rows.map(row => row.id), 'en_transit', {
+                keep: ['livre', ...MarchandiseStatus.STATUTS_ANOMALIE],
+                permissions: authMiddleware.getRolePermissions(req.user.role)
+            }, client);
+            
+            // Mettre à jour le statut
+            return db.update('conteneurs', req.params.id, {
+                statut: 'cloture',
+                date_cloture: new Date()
+            }, client);
+        });
+        
         // Log d'audit
         await auditService.log({
             utilisateur_id: req.user.id,
@@ -388,10 +443,19 @@ router.post('/:id/close', async (req, res) => {
         // Notification temps réel
         req.io.emit('conteneur:closed', updatedConteneur);
         
-        res.json(updatedConteneur);
+        res.json({
+            ...updatedConteneur,
+            clients_non_verifies: kyc.clients_non_verifies,
+            colis_non_charges: notLoaded.rows[0].nombre
+        });
         
     } catch (error) {
         logger.error('Erreur clôture conteneur:', error);
+        
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message, details: error.details });
+        }
+        
         res.status(500).json({ error: 'Erreur serveur' });
     }
 });
@@ -399,6 +463,7 @@ router.post('/:id/close', async (req, res) => {
 /**
  * POST /api/conteneurs/:id/assign-marchandises
  * Affecter des marchandises à un conteneur
+ * Body: marchandise_ids, motif_derogation (si la politique de crédit bloque l'affectation)
  */
 router.post('/:id/assign-marchandises', async (req, res) => {
     try {
@@ -418,29 +483,69 @@ router.post('/:id/assign-marchandises', async (req, res) => {
             return res.status(400).json({ error: 'Impossible d\'affecter des marchandises à un conteneur clôturé' });
         }
         
-        // Mettre à jour les marchandises
-        await query(`
-            UPDATE marchandises 
-            SET conteneur_id = $1, 
-                statut = 'affecte',
-                date_ajout_conteneur = CURRENT_DATE
-            WHERE id = ANY($2::int[]) 
-            AND conteneur_id IS NULL
-        `, [req.params.id, marchandise_ids]);
+        // Politique de crédit sur les clients des marchandises à affecter
+        const clientsResult = await query(
+            'SELECT DISTINCT client_id FROM marchandises WHERE id = ANY($1::int[]) AND conteneur_id IS NULL',
+            [marchandise_ids]
+        );
+        
+        const credit = await creditPolicyService.check({
+            clientIds: clientsResult.rows.map(row => row.client_id),
+            user: req.user,
+            motif: req.body.motif_derogation
+        });
+        
+        // Statut des colis et affectation dans une même transaction : une transition interdite
+        // refuse toute l'affectation ; le statut des lots est déduit de leurs colis
+        await transaction(async (client) => {
+            const assignable = await client.query(
+                'SELECT id FROM marchandises WHERE id = ANY($1::int[]) AND conteneur_id IS NULL FOR UPDATE',
+                [marchandise_ids]
+            );
+            
+            // Les colis en anomalie (perdus, endommagés...) restent en l'état
+            await parcelService.setStatus(assignable.rows.map(row => row.id), 'affecte', {
+                keep: MarchandiseStatus.STATUTS_ANOMALIE,
+                permissions: authMiddleware.getRolePermissions(req.user.role)
+            }, client);
+            
+            // Mettre à jour les marchandises
+            await client.query(`
+                UPDATE marchandises 
+                SET conteneur_id = $1, 
+                    date_ajout_conteneur = CURRENT_DATE
+                WHERE id = ANY($2::int[]) 
+            `, [req.params.id, assignable.rows.map(row => row.id)]);
+        });
         
         // Mettre à jour la capacité du conteneur
         await updateConteneurCapacite(req.params.id);
         
+        await creditPolicyService.logOverride(credit, {
+            operation: 'affectation',
+            user: req.user,
+            context: { conteneur_id: conteneur.id, marchandise_ids }
+        });
+        
         // Notification temps réel
         req.io.emit('marchandises:assigned', {
             conteneur_id: req.params.id,
             marchandise_ids
         });
         
-        res.json({ success: true });
+        res.json({
+            success: true,
+            avertissements_credit: credit.avertissements,
+            derogation_credit: credit.derogation
+        });
         
     } catch (error) {
         logger.error('Erreur affectation marchandises:', error);
+        
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message, details: error.details });
+        }
+        
         res.status(500).json({ error: 'Erreur serveur' });
     }
 });
@@ -12,6 +12,11 @@ const auditService = require('../services/auditService');
 const barcodeService = require('../services/barcodeService');
 const pdfService = require('../services/pdfService');
 const notificationService = require('../services/notificationService');
+const queryLanguageService = require('../services/queryLanguageService');
+const clientService = require('../services/clientService');
+
+// Mouvements sans encaissement : exclus des statistiques de trésorerie
+const NON_ENCAISSES = ['remboursement', 'avoir', 'indemnisation'];
 
 // Appliquer l'authentification à toutes les routes
 router.use(authMiddleware);
@@ -32,6 +37,7 @@ router.get('/', async (req, res) => {
             conteneur_id,
             date_debut,
             date_fin,
+            q,
             sort = 'date_paiement:desc' 
         } = req.query;
         
@@ -95,6 +101,23 @@ router.get('/', async (req, res) => {
             params.push(date_fin);
             paramIndex++;
         }
+
+        // Requête structurée (ex. mode:especes montant>=500)
+        if (q) {
+            const compiled = queryLanguageService.compile('paiements', q, paramIndex);
+
+            if (compiled.errors.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Requête de recherche invalide',
+                    details: compiled.errors
+                });
+            }
+
+            queryText += compiled.clause;
+            params.push(...compiled.params);
+            paramIndex = compiled.nextIndex;
+        }
         
         // Tri
         const [sortField, sortOrder] = sort.split(':');
@@ -254,6 +277,9 @@ router.post('/', validatePaiement, async (req, res) => {
         // Notification temps réel
         req.io.emit('paiement:created', newPaiement);
         
+        // Compteurs du client
+        await clientService.refreshCounters([newPaiement.client_id], req.io);
+        
         // Notification au client si email disponible
         const client = await db.findOne('clients', { id: newPaiement.client_id });
         if (client.email) {
@@ -305,6 +331,9 @@ router.put('/:id', validatePaiement, async (req, res) => {
         // Notification temps réel
         req.io.emit('paiement:updated', updatedPaiement);
         
+        // Compteurs des clients (ancien et nouveau en cas de réaffectation)
+        await clientService.refreshCounters([oldPaiement.client_id, updatedPaiement.client_id], req.io);
+        
         res.json(updatedPaiement);
         
     } catch (error) {
@@ -345,6 +374,9 @@ router.delete('/:id', async (req, res) => {
         // Notification temps réel
         req.io.emit('paiement:cancelled', updatedPaiement);
         
+        // Compteurs du client
+        await clientService.refreshCounters([updatedPaiement.client_id], req.io);
+        
         res.json({ message: 'Paiement annulé avec succès' });
         
     } catch (error) {
@@ -386,8 +418,8 @@ router.get('/stats/summary', async (req, res) => {
                 COUNT(CASE WHEN date_echeance < CURRENT_DATE AND montant_restant > 0 THEN 1 END) as paiements_retard,
                 SUM(CASE WHEN date_echeance < CURRENT_DATE THEN montant_restant ELSE 0 END) as montant_retard
             FROM paiements
-            WHERE statut = 'valide'
-        `);
+            WHERE statut = 'valide' AND type_paiement <> ALL($1)
+        `, [NON_ENCAISSES]);
         
         // Statistiques par mode de paiement
         const byMode = await query(`
@@ -396,10 +428,10 @@ router.get('/stats/summary', async (req, res) => {
                 COUNT(*) as nombre,
                 SUM(montant_paye) as total
             FROM paiements
-            WHERE statut = 'valide'
+            WHERE statut = 'valide' AND type_paiement <> ALL($1)
             GROUP BY mode_paiement
             ORDER BY total DESC
-        `);
+        `, [NON_ENCAISSES]);
         
         // Évolution mensuelle
         const monthly = await query(`
@@ -407,11 +439,11 @@ router.get('/stats/summary', async (req, res) => {
                 TO_CHAR(date_paiement, 'YYYY-MM') as mois,
                 SUM(montant_paye) as total
             FROM paiements
-            WHERE statut = 'valide'
+            WHERE statut = 'valide' AND type_paiement <> ALL($1)
             AND date_paiement >= CURRENT_DATE - INTERVAL '12 months'
             GROUP BY mois
             ORDER BY mois
-        `);
+        `, [NON_ENCAISSES]);
         
         res.json({
             summary: stats.rows[0],
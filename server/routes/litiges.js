@@ -0,0 +1,307 @@
+/**
+ * Routes API pour les litiges (dommages, pertes, réclamations)
+ */
+
+const express = require('express');
+const router = express.Router();
+const multer = require('multer');
+const path = require('path');
+const { logger } = require('../../shared/logger');
+const authMiddleware = require('../middlewares/auth');
+const {
+    validateLitige,
+    validateLitigeUpdate,
+    validateLitigeStatus,
+    validateLitigeResolution
+} = require('../middlewares/validation');
+const auditService = require('../services/auditService');
+const claimService = require('../services/claimService');
+const clientService = require('../services/clientService');
+const photoService = require('../services/photoService');
+const { LIMITES } = require('../../shared/constants');
+
+// Photos à l'appui : reçues hors du dossier public, puis traitées par le service photos
+const upload = multer({
+    storage: multer.diskStorage({
+        destination: (req, file, cb) => {
+            cb(null, photoService.incomingDir);
+        },
+        filename: (req, file, cb) => {
+            const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+            cb(null, file.fieldname + '-' + uniqueSuffix + path.extname(file.originalname).toLowerCase());
+        }
+    }),
+    limits: { fileSize: LIMITES.UPLOAD.MAX_FILE_SIZE, files: LIMITES.UPLOAD.MAX_FILES },
+    fileFilter: (req, file, cb) => {
+        if (LIMITES.UPLOAD.ALLOWED_IMAGE_TYPES.includes(file.mimetype)) {
+            return cb(null, true);
+        }
+
+        const error = new Error('Seules les images sont autorisées');
+        error.statusCode = 400;
+        cb(error);
+    }
+});
+
+// Appliquer l'authentification à toutes les routes
+router.use(authMiddleware);
+
+// Instruction des dossiers, et résolution qui enregistre un paiement
+const canManage = authMiddleware.requireRole('admin', 'gestionnaire', 'operateur');
+const canResolve = authMiddleware.requireRole('admin', 'gestionnaire', 'comptable');
+
+/**
+ * Répondre avec le statut porté par l'erreur métier, sinon 500
+ */
+function handleError(res, error, message) {
+    if (error.statusCode) {
+        return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
+
+    res.status(500).json({ success: false, error: message });
+}
+
+/**
+ * GET /api/litiges
+ * Litiges du plus récent au plus ancien
+ * Query: statut, ouverts (true), type_litige, responsable, client_id, marchandise_id, conteneur_id, page, limit
+ */
+router.get('/', async (req, res) => {
+    try {
+        const result = await claimService.list(req.query);
+
+        res.json({
+            success: true,
+            ...result
+        });
+
+    } catch (error) {
+        logger.error('Erreur récupération litiges:', error);
+        handleError(res, error, 'Erreur lors de la récupération des litiges');
+    }
+});
+
+/**
+ * GET /api/litiges/rapport/conteneurs
+ * Litiges en cours regroupés par conteneur
+ * Query: conteneur_id, responsable
+ */
+router.get('/rapport/conteneurs', async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            data: await claimService.openByContainer(req.query)
+        });
+
+    } catch (error) {
+        logger.error('Erreur rapport litiges par conteneur:', error);
+        handleError(res, error, 'Erreur lors du rapport des litiges par conteneur');
+    }
+});
+
+/**
+ * POST /api/litiges
+ * Ouvrir un litige sur une marchandise
+ * Body: marchandise_id, type_litige, description, responsable, montant_reclame
+ */
+router.post('/', canManage, validateLitige, async (req, res) => {
+    try {
+        const litige = await claimService.create(req.body, { id: req.user.id });
+
+        await auditService.log({
+            utilisateur_id: req.user.id,
+            action: 'CREATE',
+            entite: 'litiges',
+            entite_id: litige.id,
+            nouvelles_valeurs: litige
+        });
+
+        req.io.emit('litige:created', { id: litige.id, numero: litige.numero, marchandise_id: litige.marchandise_id });
+
+        res.status(201).json({
+            success: true,
+            data: await claimService.get(litige.id),
+            message: `Litige ${litige.numero} ouvert`
+        });
+
+    } catch (error) {
+        logger.error('Erreur ouverture litige:', error);
+        handleError(res, error, 'Erreur lors de l\'ouverture du litige');
+    }
+});
+
+/**
+ * GET /api/litiges/:id
+ * Litige avec sa marchandise, son client, ses photos et son indemnisation
+ */
+router.get('/:id', async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            data: await claimService.get(parseInt(req.params.id, 10))
+        });
+
+    } catch (error) {
+        logger.error('Erreur récupération litige:', error);
+        handleError(res, error, 'Erreur lors de la récupération du litige');
+    }
+});
+
+/**
+ * PUT /api/litiges/:id
+ * Modifier un dossier en cours
+ * Body: type_litige, description, responsable, montant_reclame, indemnisation_proposee
+ */
+router.put('/:id', canManage, validateLitigeUpdate, async (req, res) => {
+    try {
+        const { avant, apres } = await claimService.update(parseInt(req.params.id, 10), req.body);
+
+        await auditService.log({
+            utilisateur_id: req.user.id,
+            action: 'UPDATE',
+            entite: 'litiges',
+            entite_id: apres.id,
+            anciennes_valeurs: avant,
+            nouvelles_valeurs: apres
+        });
+
+        req.io.emit('litige:updated', { id: apres.id, statut: apres.statut });
+
+        res.json({
+            success: true,
+            data: await claimService.get(apres.id)
+        });
+
+    } catch (error) {
+        logger.error('Erreur modification litige:', error);
+        handleError(res, error, 'Erreur lors de la modification du litige');
+    }
+});
+
+/**
+ * POST /api/litiges/:id/statut
+ * Faire avancer le dossier : en_instruction, indemnisation_proposee, rejete, clos
+ * Body: statut, indemnisation_proposee, responsable, commentaire (motif du rejet)
+ */
+router.post('/:id/statut', canManage, validateLitigeStatus, async (req, res) => {
+    try {
+        const { avant, apres } = await claimService.changeStatus(parseInt(req.params.id, 10), req.body);
+
+        await auditService.log({
+            utilisateur_id: req.user.id,
+            action: 'STATUS_CHANGE',
+            entite: 'litiges',
+            entite_id: apres.id,
+            anciennes_valeurs: { statut: avant.statut },
+            nouvelles_valeurs: {
+                statut: apres.statut,
+                indemnisation_proposee: apres.indemnisation_proposee,
+                responsable: apres.responsable,
+                commentaire: req.body.commentaire || null
+            }
+        });
+
+        req.io.emit('litige:updated', { id: apres.id, statut: apres.statut });
+
+        res.json({
+            success: true,
+            data: await claimService.get(apres.id)
+        });
+
+    } catch (error) {
+        logger.error('Erreur changement statut litige:', error);
+        handleError(res, error, 'Erreur lors du changement de statut du litige');
+    }
+});
+
+/**
+ * POST /api/litiges/:id/resoudre
+ * Résoudre le litige et enregistrer l'indemnisation (remboursement ou avoir) dans les paiements
+ * Body: mode_resolution (remboursement, avoir, aucune), montant, mode_paiement, resolution
+ */
+router.post('/:id/resoudre', canResolve, validateLitigeResolution, async (req, res) => {
+    try {
+        const { avant, apres, paiement } = await claimService.resolve(parseInt(req.params.id, 10), req.body, { id: req.user.id });
+
+        await auditService.log({
+            utilisateur_id: req.user.id,
+            action: 'RESOLVE',
+            entite: 'litiges',
+            entite_id: apres.id,
+            anciennes_valeurs: { statut: avant.statut },
+            nouvelles_valeurs: {
+                statut: apres.statut,
+                mode_resolution: apres.mode_resolution,
+                montant_indemnise: apres.montant_indemnise,
+                paiement_id: apres.paiement_id
+            }
+        });
+
+        if (paiement) {
+            await auditService.log({
+                utilisateur_id: req.user.id,
+                action: 'CREATE',
+                entite: 'paiements',
+                entite_id: paiement.id,
+                nouvelles_valeurs: paiement
+            });
+
+            req.io.emit('paiement:created', paiement);
+            await clientService.refreshCounters([paiement.client_id], req.io);
+        }
+
+        req.io.emit('litige:updated', { id: apres.id, statut: apres.statut });
+
+        res.json({
+            success: true,
+            data: await claimService.get(apres.id),
+            message: paiement
+                ? `Litige ${apres.numero} résolu : ${paiement.type_paiement} ${paiement.numero_recu}`
+                : `Litige ${apres.numero} résolu sans indemnisation`
+        });
+
+    } catch (error) {
+        logger.error('Erreur résolution litige:', error);
+        handleError(res, error, 'Erreur lors de la résolution du litige');
+    }
+});
+
+/**
+ * POST /api/litiges/:id/photos
+ * Joindre des photos au dossier (multipart : photos, categorie, legende)
+ */
+router.post('/:id/photos', canManage, upload.array('photos', LIMITES.UPLOAD.MAX_FILES), async (req, res) => {
+    try {
+        if (!req.files || req.files.length === 0) {
+            return res.status(400).json({ success: false, error: 'Aucune photo reçue' });
+        }
+
+        const litigeId = parseInt(req.params.id, 10);
+        const photos = await claimService.addPhotos(litigeId, req.files, {
+            categorie: req.body.categorie,
+            legende: req.body.legende
+        }, req.user.id);
+
+        await auditService.log({
+            utilisateur_id: req.user.id,
+            action: 'PHOTOS_ADDED',
+            entite: 'litiges',
+            entite_id: litigeId,
+            nouvelles_valeurs: { photos: photos.map(photo => ({ id: photo.id, filename: photo.filename, categorie: photo.categorie })) }
+        });
+
+        req.io.emit('marchandise:updated', { id: photos[0].marchandise_id });
+
+        res.status(201).json({
+            success: true,
+            data: photos
+        });
+
+    } catch (error) {
+        photoService.removeIncoming(req.files);
+        logger.error('Erreur ajout photos litige:', error);
+        handleError(res, error, 'Erreur lors de l\'ajout des photos');
+    }
+});
+
+module.exports = router;
@@ -6,37 +6,48 @@ const express = require('express');
 const router = express.Router();
 const multer = require('multer');
 const path = require('path');
-const { db, query } = require('../database/connection');
+const { db, query, transaction } = require('../database/connection');
 const { logger } = require('../../shared/logger');
 const authMiddleware = require('../middlewares/auth');
-const { validateMarchandise } = require('../middlewares/validation');
+const { validateMarchandise, validateQuote, validateStockageExoneration } = require('../middlewares/validation');
 const auditService = require('../services/auditService');
 const barcodeService = require('../services/barcodeService');
+const queryLanguageService = require('../services/queryLanguageService');
+const creditPolicyService = require('../services/creditPolicyService');
+const clientService = require('../services/clientService');
+const pricingService = require('../services/pricingService');
+const labelService = require('../services/labelService');
+const parcelService = require('../services/parcelService');
+const scanEventService = require('../services/scanEventService');
+const photoService = require('../services/photoService');
+const alertService = require('../services/alertService');
+const storageFeeService = require('../services/storageFeeService');
+const MarchandiseStatus = require('../../shared/marchandiseStatus');
+const { LIMITES } = require('../../shared/constants');
 
-// Configuration multer pour l'upload de photos
+// Configuration multer pour l'upload de photos : fichiers reçus hors du dossier public,
+// enregistrés par le service photos après réorientation et suppression des métadonnées
 const storage = multer.diskStorage({
     destination: (req, file, cb) => {
-        cb(null, path.join(__dirname, '../../uploads/photos'));
+        cb(null, photoService.incomingDir);
     },
     filename: (req, file, cb) => {
         const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-        cb(null, file.fieldname + '-' + uniqueSuffix + path.extname(file.originalname));
+        cb(null, file.fieldname + '-' + uniqueSuffix + path.extname(file.originalname).toLowerCase());
     }
 });
 
 const upload = multer({ 
     storage,
-    limits: { fileSize: 10 * 1024 * 1024 }, // 10 MB
+    limits: { fileSize: LIMITES.UPLOAD.MAX_FILE_SIZE, files: LIMITES.UPLOAD.MAX_FILES },
     fileFilter: (req, file, cb) => {
-        const allowedTypes = /jpeg|jpg|png|gif|webp/;
-        const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
-        const mimetype = allowedTypes.test(file.mimetype);
-        
-        if (mimetype && extname) {
+        if (LIMITES.UPLOAD.ALLOWED_IMAGE_TYPES.includes(file.mimetype)) {
             return cb(null, true);
-        } else {
-            cb(new Error('Seules les images sont autorisées'));
         }
+        
+        const error = new Error('Seules les images sont autorisées');
+        error.statusCode = 400;
+        cb(error);
     }
 });
 
@@ -59,6 +70,7 @@ router.get('/', async (req, res) => {
             type_marchandise,
             date_debut,
             date_fin,
+            q,
             sort = 'date_reception:desc' 
         } = req.query;
         
@@ -120,6 +132,23 @@ router.get('/', async (req, res) => {
             params.push(date_fin);
             paramIndex++;
         }
+
+        // Requête structurée (ex. statut:en_transit destination:Congo poids>50)
+        if (q) {
+            const compiled = queryLanguageService.compile('marchandises', q, paramIndex);
+
+            if (compiled.errors.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Requête de recherche invalide',
+                    details: compiled.errors
+                });
+            }
+
+            queryText += compiled.clause;
+            params.push(...compiled.params);
+            paramIndex = compiled.nextIndex;
+        }
         
         // Tri
         const [sortField, sortOrder] = sort.split(':');
@@ -138,7 +167,8 @@ router.get('/', async (req, res) => {
         const total = (countResult.rows && countResult.rows.length > 0) ? parseInt(countResult.rows[0].count) : 0; // ✅ CORRIGÉ
         
         res.json({
-            data: result.rows,
+            // Avancement des lots partiellement traités (ex. "Chargé partiellement 9/12")
+            data: result.rows.map(row => ({ ...row, statut_lot: parcelService.describe(row.colis_avancement) })),
             pagination: {
                 page: parseInt(page),
                 limit: parseInt(limit),
@@ -153,6 +183,99 @@ router.get('/', async (req, res) => {
     }
 });
 
+/**
+ * GET /api/marchandises/quote/options
+ * Destinations de la grille tarifaire et paramètres par défaut du calcul
+ */
+router.get('/quote/options', async (req, res) => {
+    try {
+        res.json(await pricingService.getOptions());
+        
+    } catch (error) {
+        logger.error('Erreur options de tarification:', error);
+        res.status(500).json({ error: 'Erreur serveur' });
+    }
+});
+
+/**
+ * POST /api/marchandises/quote
+ * Calculer les coûts d'une marchandise sans l'enregistrer (devis en direct du formulaire)
+ * Body: client_id, conteneur_id, type_marchandise, categorie_vehicule, nombre_colis, poids, dimensions,
+ *       volume, valeur_declaree, assurance, destination_pays, destination_port, type_envoi,
+ *       tarif_id (version de la grille, sinon celle en vigueur)
+ */
+router.post('/quote', validateQuote, async (req, res) => {
+    try {
+        res.json(await pricingService.quote(req.body));
+        
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        
+        logger.error('Erreur calcul du devis:', error);
+        res.status(500).json({ error: 'Erreur serveur' });
+    }
+});
+
+/**
+ * GET /api/marchandises/labels
+ * Étiquettes de plusieurs marchandises (une par colis)
+ * Query: ids (séparés par des virgules), format (thermique, a4, zpl),
+ *        position (première case libre d'une planche A4 entamée)
+ */
+router.get('/labels', async (req, res) => {
+    try {
+        const format = labelService.resolveFormat(req.query.format);
+        const labels = await labelService.getLabels(String(req.query.ids || '').split(','));
+        
+        await sendLabels(res, labels, format, `etiquettes_${Date.now()}`, { position: req.query.position });
+        
+    } catch (error) {
+        handleLabelError(res, error);
+    }
+});
+
+/**
+ * POST /api/marchandises/alerts/check
+ * Lancer immédiatement le contrôle des marchandises non affectées, fragiles ou de valeur
+ */
+router.post('/alerts/check', authMiddleware.requireRole('admin'), async (req, res) => {
+    try {
+        const result = await alertService.checkAll();
+        
+        res.json({
+            parametres: result.parametres,
+            non_affectees: result.non_affectees.map(row => row.code_barre),
+            sensibles: result.sensibles.map(row => row.code_barre)
+        });
+        
+    } catch (error) {
+        logger.error('Erreur contrôle des alertes marchandises:', error);
+        res.status(500).json({ error: 'Erreur lors du contrôle des alertes' });
+    }
+});
+
+/**
+ * POST /api/marchandises/storage/accrue
+ * Lancer immédiatement la facturation des frais de stockage (jours écoulés jusqu'à la veille)
+ */
+router.post('/storage/accrue', authMiddleware.requireRole('admin'), async (req, res) => {
+    try {
+        const result = await storageFeeService.accrueAll(req.io);
+        
+        if (result.facturees.length > 0) {
+            req.io.emit('marchandises:storage', { ids: result.facturees.map(row => row.id) });
+        }
+        
+        res.json(result);
+        
+    } catch (error) {
+        logger.error('Erreur facturation des frais de stockage:', error);
+        res.status(500).json({ error: 'Erreur lors de la facturation du stockage' });
+    }
+});
+
 /**
  * GET /api/marchandises/:id
  * Récupérer une marchandise par ID
@@ -178,7 +301,17 @@ router.get('/:id', async (req, res) => {
             return res.status(404).json({ error: 'Marchandise non trouvée' });
         }
         
-        res.json(marchandise.rows[0]);
+        // Colis du lot, avancement (ex. "Chargé partiellement 9/12") et statuts accessibles à l'utilisateur
+        res.json({
+            ...marchandise.rows[0],
+            photos: await photoService.list(req.params.id),
+            colis: await parcelService.list(req.params.id),
+            statut_lot: parcelService.describe(marchandise.rows[0].colis_avancement),
+            transitions_possibles: MarchandiseStatus.nextStatuses(
+                marchandise.rows[0].statut,
+                authMiddleware.getRolePermissions(req.user.role)
+            )
+        });
         
     } catch (error) {
         logger.error('Erreur récupération marchandise:', error);
@@ -192,22 +325,29 @@ router.get('/:id', async (req, res) => {
  */
 router.post('/', validateMarchandise, async (req, res) => {
     try {
+        // Une marchandise est créée en attente ou réceptionnée ; la suite passe par les transitions de statut
+        if (req.body.statut && !MarchandiseStatus.STATUTS_INITIAUX.includes(req.body.statut)) {
+            return res.status(400).json({
+                error: `Statut initial invalide (${MarchandiseStatus.STATUTS_INITIAUX.join(', ')})`
+            });
+        }
+        
         // Générer le code-barres
         const code_barre = await barcodeService.generateBarcode('marchandise');
         
-        // Calculer les coûts
-        const cout_total = (req.body.cout_transport || 0) + 
-                          (req.body.cout_manutention || 0) + 
-                          (req.body.cout_assurance || 0) + 
-                          (req.body.cout_stockage || 0);
+        // Coûts calculés par la grille tarifaire ou saisis (cout_total est une colonne calculée)
+        const data = await pricingService.applyTo(req.body);
         
         const newMarchandise = await db.insert('marchandises', {
-            ...req.body,
+            ...data,
             code_barre,
-            cout_total,
             created_by: req.user.id
         });
         
+        // Un colis par unité du lot, chacun avec son code-barres
+        const lot = await parcelService.createParcels(newMarchandise);
+        newMarchandise.colis_avancement = lot.avancement;
+        
         // Log d'audit
         await auditService.log({
             utilisateur_id: req.user.id,
@@ -225,10 +365,18 @@ router.post('/', validateMarchandise, async (req, res) => {
             await updateConteneurCapacite(newMarchandise.conteneur_id);
         }
         
+        // Compteurs du client
+        await clientService.refreshCounters([newMarchandise.client_id], req.io);
+        
         res.status(201).json(newMarchandise);
         
     } catch (error) {
         logger.error('Erreur création marchandise:', error);
+        
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        
         res.status(500).json({ error: 'Erreur serveur' });
     }
 });
@@ -249,7 +397,45 @@ router.put('/:id', validateMarchandise, async (req, res) => {
         // Interdire la modification du code-barres
         delete req.body.code_barre;
         
-        const updatedMarchandise = await db.update('marchandises', req.params.id, req.body);
+        // Recalcul par la grille tarifaire si demandé, avec la destination du conteneur actuel
+        // et la version de tarif d'origine si la marchandise était déjà tarifée
+        const data = await pricingService.applyTo(
+            { conteneur_id: oldMarchandise.conteneur_id, ...req.body },
+            oldMarchandise.tarif_id
+        );
+        
+        // Les frais de stockage déjà facturés s'ajoutent au forfait de la grille ;
+        // en saisie manuelle ils ne peuvent être retirés que par une exonération
+        const stockageCumule = parseFloat(oldMarchandise.stockage_cumule) || 0;
+        data.cout_stockage = req.body.tarification_auto
+            ? Math.round((data.cout_stockage + stockageCumule) * 100) / 100
+            : Math.max(data.cout_stockage || 0, stockageCumule);
+        
+        // Le statut du lot est celui de ses colis : un statut demandé passe par les transitions autorisées
+        const statut = data.statut && data.statut !== oldMarchandise.statut ? data.statut : null;
+        const permissions = authMiddleware.getRolePermissions(req.user.role);
+        delete data.statut;
+        
+        // Colis et lot dans une même transaction : une transition refusée ou un colis déjà scanné
+        // qui ne peut pas être retiré annule toute la modification
+        const { updatedMarchandise, lot } = await transaction(async (client) => {
+            if (data.nombre_colis && data.nombre_colis !== oldMarchandise.nombre_colis) {
+                await parcelService.resize(oldMarchandise, data.nombre_colis, client);
+            }
+            
+            const updated = await db.update('marchandises', req.params.id, data, client);
+            
+            const [refreshed] = statut
+                ? await parcelService.setStatus([updated.id], statut, { permissions }, client)
+                : [await parcelService.refreshLot(updated.id, client)];
+            
+            return { updatedMarchandise: updated, lot: refreshed };
+        });
+        
+        if (lot.total > 0) {
+            updatedMarchandise.statut = lot.statut;
+            updatedMarchandise.colis_avancement = lot.avancement;
+        }
         
         // Log d'audit
         await auditService.log({
@@ -274,10 +460,18 @@ router.put('/:id', validateMarchandise, async (req, res) => {
             }
         }
         
+        // Compteurs des clients (ancien et nouveau en cas de réaffectation)
+        await clientService.refreshCounters([oldMarchandise.client_id, updatedMarchandise.client_id], req.io);
+        
         res.json(updatedMarchandise);
         
     } catch (error) {
         logger.error('Erreur mise à jour marchandise:', error);
+        
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message, details: error.details });
+        }
+        
         res.status(500).json({ error: 'Erreur serveur' });
     }
 });
@@ -301,8 +495,26 @@ router.delete('/:id', async (req, res) => {
             });
         }
         
+        // Les litiges gardent leur marchandise (clé étrangère ON DELETE RESTRICT)
+        const litiges = await query(
+            'SELECT numero FROM litiges WHERE marchandise_id = $1 ORDER BY id',
+            [marchandise.id]
+        );
+        
+        if (litiges.rows.length > 0) {
+            return res.status(409).json({
+                error: `Impossible de supprimer une marchandise liée au litige ${litiges.rows.map(row => row.numero).join(', ')}`
+            });
+        }
+        
+        // Fichiers des photos effacés seulement une fois la marchandise supprimée :
+        // une suppression refusée laisse la galerie intacte
+        const photos = await photoService.findFiles(marchandise.id);
+        
         await db.delete('marchandises', req.params.id);
         
+        photoService.removeFiles(photos);
+        
         // Log d'audit
         await auditService.log({
             utilisateur_id: req.user.id,
@@ -320,6 +532,9 @@ router.delete('/:id', async (req, res) => {
             await updateConteneurCapacite(marchandise.conteneur_id);
         }
         
+        // Compteurs du client
+        await clientService.refreshCounters([marchandise.client_id], req.io);
+        
         res.json({ message: 'Marchandise supprimée avec succès' });
         
     } catch (error) {
@@ -329,43 +544,286 @@ router.delete('/:id', async (req, res) => {
 });
 
 /**
- * POST /api/marchandises/:id/photos
- * Ajouter des photos à une marchandise
+ * PATCH /api/marchandises/:id/status
+ * Changer le statut de tous les colis du lot selon les transitions autorisées
+ * Body: statut
  */
-router.post('/:id/photos', upload.array('photos', 5), async (req, res) => {
+router.patch('/:id/status', async (req, res) => {
     try {
+        const { statut } = req.body;
+        
+        if (!MarchandiseStatus.STATUTS.includes(statut)) {
+            return res.status(400).json({ error: 'Statut invalide' });
+        }
+        
         const marchandise = await db.findOne('marchandises', { id: req.params.id });
         
         if (!marchandise) {
             return res.status(404).json({ error: 'Marchandise non trouvée' });
         }
         
-        // Ajouter les nouvelles photos
-        const photos = marchandise.photos || [];
-        const newPhotos = req.files.map(file => ({
-            filename: file.filename,
-            originalname: file.originalname,
-            path: `/uploads/photos/${file.filename}`,
-            size: file.size,
-            uploadedAt: new Date()
-        }));
+        const [lot] = await parcelService.setStatus([marchandise.id], statut, {
+            permissions: authMiddleware.getRolePermissions(req.user.role)
+        });
+        
+        // Log d'audit
+        await auditService.log({
+            utilisateur_id: req.user.id,
+            action: 'UPDATE',
+            entite: 'marchandises',
+            entite_id: marchandise.id,
+            anciennes_valeurs: { statut: marchandise.statut },
+            nouvelles_valeurs: { statut: lot.statut }
+        });
         
-        photos.push(...newPhotos);
+        // Notification temps réel
+        req.io.emit('marchandise:updated', { ...marchandise, statut: lot.statut, colis_avancement: lot.avancement });
+        
+        res.json({
+            success: true,
+            newStatus: lot.statut,
+            statut_lot: lot
+        });
+        
+    } catch (error) {
+        logger.error('Erreur changement statut marchandise:', error);
+        
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message, details: error.details });
+        }
+        
+        res.status(500).json({ error: 'Erreur serveur' });
+    }
+});
+
+/**
+ * GET /api/marchandises/:id/photos
+ * Galerie de la marchandise, dans l'ordre d'affichage
+ * Query: categorie (reception, dommage, chargement)
+ */
+router.get('/:id/photos', async (req, res) => {
+    try {
+        res.json({ photos: await photoService.list(req.params.id, req.query) });
+        
+    } catch (error) {
+        logger.error('Erreur récupération photos:', error);
+        handleServiceError(res, error);
+    }
+});
+
+/**
+ * POST /api/marchandises/:id/photos
+ * Ajouter des photos à une marchandise (multipart : photos, categorie, legende)
+ */
+router.post('/:id/photos', upload.array('photos', LIMITES.UPLOAD.MAX_FILES), async (req, res) => {
+    try {
+        if (!req.files || req.files.length === 0) {
+            return res.status(400).json({ error: 'Aucune photo reçue' });
+        }
+        
+        const photos = await photoService.add(req.params.id, req.files, {
+            categorie: req.body.categorie,
+            legende: req.body.legende
+        }, req.user.id);
+        
+        await auditService.log({
+            utilisateur_id: req.user.id,
+            action: 'PHOTOS_ADDED',
+            entite: 'marchandises',
+            entite_id: req.params.id,
+            nouvelles_valeurs: { photos: photos.map(photo => ({ id: photo.id, filename: photo.filename, categorie: photo.categorie })) }
+        });
         
-        // Mettre à jour la marchandise
-        await db.update('marchandises', req.params.id, { photos });
+        req.io.emit('marchandise:updated', { id: parseInt(req.params.id, 10) });
         
-        res.json({ photos: newPhotos });
+        res.status(201).json({ photos });
         
     } catch (error) {
+        photoService.removeIncoming(req.files);
         logger.error('Erreur upload photos:', error);
+        handleServiceError(res, error);
+    }
+});
+
+/**
+ * PUT /api/marchandises/:id/photos/order
+ * Réordonner la galerie
+ * Body: ids (toutes les photos de la marchandise, dans le nouvel ordre)
+ */
+router.put('/:id/photos/order', async (req, res) => {
+    try {
+        res.json({ photos: await photoService.reorder(req.params.id, req.body.ids) });
+        
+    } catch (error) {
+        logger.error('Erreur réordonnancement photos:', error);
+        handleServiceError(res, error);
+    }
+});
+
+/**
+ * PATCH /api/marchandises/:id/photos/:photoId
+ * Modifier la légende ou la catégorie d'une photo, ou en faire la photo principale
+ * Body: legende, categorie, is_primary
+ */
+router.patch('/:id/photos/:photoId', async (req, res) => {
+    try {
+        const { avant, apres } = await photoService.update(req.params.id, req.params.photoId, req.body);
+        
+        await auditService.log({
+            utilisateur_id: req.user.id,
+            action: 'PHOTO_UPDATED',
+            entite: 'marchandises',
+            entite_id: req.params.id,
+            anciennes_valeurs: { photo_id: avant.id, legende: avant.legende, categorie: avant.categorie, is_primary: avant.is_primary },
+            nouvelles_valeurs: { photo_id: apres.id, legende: apres.legende, categorie: apres.categorie, is_primary: apres.is_primary }
+        });
+        
+        res.json(apres);
+        
+    } catch (error) {
+        logger.error('Erreur modification photo:', error);
+        handleServiceError(res, error);
+    }
+});
+
+/**
+ * DELETE /api/marchandises/:id/photos/:photoId
+ * Supprimer une photo et sa miniature
+ */
+router.delete('/:id/photos/:photoId', async (req, res) => {
+    try {
+        const photo = await photoService.remove(req.params.id, req.params.photoId);
+        
+        await auditService.log({
+            utilisateur_id: req.user.id,
+            action: 'PHOTO_DELETED',
+            entite: 'marchandises',
+            entite_id: req.params.id,
+            anciennes_valeurs: { photo_id: photo.id, filename: photo.filename, categorie: photo.categorie }
+        });
+        
+        req.io.emit('marchandise:updated', { id: parseInt(req.params.id, 10) });
+        
+        res.json({ message: 'Photo supprimée avec succès' });
+        
+    } catch (error) {
+        logger.error('Erreur suppression photo:', error);
+        handleServiceError(res, error);
+    }
+});
+
+/**
+ * GET /api/marchandises/:id/label
+ * Étiquettes d'une marchandise, une par colis ("n / N")
+ * Query: format (thermique, a4, zpl), colis (numéro du seul colis à réimprimer)
+ */
+router.get('/:id/label', async (req, res) => {
+    try {
+        const format = labelService.resolveFormat(req.query.format);
+        const labels = await labelService.getLabels([req.params.id], { colis: req.query.colis });
+        
+        await sendLabels(res, labels, format, `etiquette_${labels[0].code_lot}`);
+        
+    } catch (error) {
+        handleLabelError(res, error);
+    }
+});
+
+/**
+ * GET /api/marchandises/:id/stockage
+ * Frais de stockage de la marchandise : cumul et historique des facturations et exonérations
+ */
+router.get('/:id/stockage', async (req, res) => {
+    try {
+        res.json(await storageFeeService.history(req.params.id));
+        
+    } catch (error) {
+        logger.error('Erreur récupération frais de stockage:', error);
+        handleServiceError(res, error);
+    }
+});
+
+/**
+ * POST /api/marchandises/:id/stockage/exoneration
+ * Exonérer tout ou partie des frais de stockage facturés, et arrêter la facturation si définitive
+ * Body: montant (défaut : tout le cumul), motif, definitive
+ */
+router.post('/:id/stockage/exoneration', authMiddleware.requireRole('admin', 'gestionnaire'), validateStockageExoneration, async (req, res) => {
+    try {
+        const { mouvement, avant, apres } = await storageFeeService.waive(req.params.id, req.body, req.user);
+        
+        await auditService.log({
+            utilisateur_id: req.user.id,
+            action: 'STORAGE_WAIVER',
+            entite: 'marchandises',
+            entite_id: apres.id,
+            anciennes_valeurs: { stockage_cumule: avant.stockage_cumule, stockage_exonere: avant.stockage_exonere },
+            nouvelles_valeurs: {
+                stockage_cumule: apres.stockage_cumule,
+                stockage_exonere: apres.stockage_exonere,
+                montant: -mouvement.montant,
+                motif: mouvement.motif
+            }
+        });
+        
+        req.io.emit('marchandise:updated', { id: apres.id });
+        await clientService.refreshCounters([apres.client_id], req.io);
+        
+        res.json(await storageFeeService.history(apres.id));
+        
+    } catch (error) {
+        logger.error('Erreur exonération frais de stockage:', error);
+        handleServiceError(res, error);
+    }
+});
+
+/**
+ * GET /api/marchandises/:id/colis
+ * Colis du lot avec leur code-barres, leur statut et leur dernier scan
+ */
+router.get('/:id/colis', async (req, res) => {
+    try {
+        const marchandise = await db.findOne('marchandises', { id: req.params.id });
+        
+        if (!marchandise) {
+            return res.status(404).json({ error: 'Marchandise non trouvée' });
+        }
+        
+        res.json({
+            colis: await parcelService.list(marchandise.id),
+            statut_lot: parcelService.describe(marchandise.colis_avancement)
+        });
+        
+    } catch (error) {
+        logger.error('Erreur récupération colis:', error);
+        res.status(500).json({ error: 'Erreur serveur' });
+    }
+});
+
+/**
+ * GET /api/marchandises/:id/scans
+ * Chronologie des scans de la marchandise et de ses colis
+ */
+router.get('/:id/scans', async (req, res) => {
+    try {
+        const scans = await scanEventService.list({
+            marchandise_id: req.params.id,
+            limit: req.query.limit || 500
+        });
+        
+        res.json(scans);
+        
+    } catch (error) {
+        logger.error('Erreur récupération scans marchandise:', error);
         res.status(500).json({ error: 'Erreur serveur' });
     }
 });
 
 /**
  * POST /api/marchandises/:id/scan
- * Scanner une marchandise
+ * Scanner un colis de la marchandise, ou tout le lot si aucun colis n'est désigné
+ * Body: location, action, appareil, colis_id ou code_colis,
+ *       motif_derogation (chargement bloqué par la politique de crédit)
  */
 router.post('/:id/scan', async (req, res) => {
     try {
@@ -377,36 +835,34 @@ router.post('/:id/scan', async (req, res) => {
             return res.status(404).json({ error: 'Marchandise non trouvée' });
         }
         
-        // Ajouter à l'historique de scan
-        const scan_history = marchandise.scan_history || [];
-        scan_history.push({
-            timestamp: new Date(),
-            location,
+        // Politique de crédit : le chargement engage la marchandise vers le client
+        const credit = action === 'chargement'
+            ? await creditPolicyService.check({
+                clientIds: [marchandise.client_id],
+                user: req.user,
+                motif: req.body.motif_derogation
+            })
+            : { avertissements: [], derogation: false };
+        
+        // Statut des colis scannés selon l'action, statut du lot déduit de ses colis
+        // et un événement de scan par colis (appareil : celui déclaré, sinon le navigateur)
+        const { colis, lot } = await parcelService.scan(marchandise, {
+            colis_id: req.body.colis_id,
+            code_colis: req.body.code_colis,
             action,
-            user_id: req.user.id,
-            user_name: req.user.nom
+            lieu: location,
+            appareil: (req.body.appareil || req.get('User-Agent') || '').substring(0, 255)
+        }, {
+            id: req.user.id,
+            nom: req.user.nom,
+            permissions: authMiddleware.getRolePermissions(req.user.role)
         });
+        const newStatus = lot.statut;
         
-        // Mettre à jour le statut selon l'action
-        let newStatus = marchandise.statut;
-        switch (action) {
-            case 'reception':
-                newStatus = 'receptionne';
-                break;
-            case 'affectation':
-                newStatus = 'affecte';
-                break;
-            case 'chargement':
-                newStatus = 'en_conteneur';
-                break;
-            case 'livraison':
-                newStatus = 'livre';
-                break;
-        }
-        
-        await db.update('marchandises', req.params.id, {
-            scan_history,
-            statut: newStatus
+        await creditPolicyService.logOverride(credit, {
+            operation: 'chargement',
+            user: req.user,
+            context: { marchandise_id: marchandise.id, conteneur_id: marchandise.conteneur_id }
         });
         
         // Notification temps réel
@@ -414,23 +870,39 @@ router.post('/:id/scan', async (req, res) => {
             id: req.params.id,
             action,
             location,
-            newStatus
+            colis: colis.map(parcel => parcel.code_barre),
+            newStatus,
+            statut_lot: lot
         });
         
-        res.json({ success: true, newStatus });
+        res.json({
+            success: true,
+            newStatus,
+            colis,
+            statut_lot: lot,
+            avertissements_credit: credit.avertissements,
+            derogation_credit: credit.derogation
+        });
         
     } catch (error) {
         logger.error('Erreur scan marchandise:', error);
+        
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message, details: error.details });
+        }
+        
         res.status(500).json({ error: 'Erreur serveur' });
     }
 });
 
 /**
  * GET /api/marchandises/barcode/:code
- * Rechercher une marchandise par code-barres
+ * Rechercher une marchandise par le code-barres du lot ou de l'un de ses colis
  */
 router.get('/barcode/:code', async (req, res) => {
     try {
+        const parcel = await parcelService.findByCode(req.params.code);
+        
         const marchandise = await query(`
             SELECT m.*, 
                    c.nom as client_nom, 
@@ -439,14 +911,18 @@ router.get('/barcode/:code', async (req, res) => {
             FROM marchandises m
             LEFT JOIN clients c ON m.client_id = c.id
             LEFT JOIN conteneurs cnt ON m.conteneur_id = cnt.id
-            WHERE m.code_barre = $1
-        `, [req.params.code]);
+            WHERE ${parcel ? 'm.id = $1' : 'm.code_barre = $1'}
+        `, [parcel ? parcel.marchandise_id : req.params.code]);
         
         if (marchandise.rows.length === 0) {
             return res.status(404).json({ error: 'Marchandise non trouvée' });
         }
         
-        res.json(marchandise.rows[0]);
+        res.json({
+            ...marchandise.rows[0],
+            colis_scanne: parcel,
+            statut_lot: parcelService.describe(marchandise.rows[0].colis_avancement)
+        });
         
     } catch (error) {
         logger.error('Erreur recherche par code-barres:', error);
@@ -454,6 +930,49 @@ router.get('/barcode/:code', async (req, res) => {
     }
 });
 
+/**
+ * Envoyer les étiquettes en PDF (planche A4 ou thermique) ou en ZPL
+ */
+async function sendLabels(res, labels, format, basename, options = {}) {
+    if (format === 'zpl') {
+        res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="${basename}.zpl"`);
+        return res.send(labelService.toZpl(labels));
+    }
+    
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${basename}.pdf"`);
+    await labelService.writePdf(labels, format, res, options);
+}
+
+function handleLabelError(res, error) {
+    logger.error('Erreur génération étiquettes:', error);
+    
+    // Le PDF a déjà commencé à partir : on ne peut plus envoyer de JSON
+    if (res.headersSent) {
+        return res.end();
+    }
+    
+    res.removeHeader('Content-Disposition');
+    
+    if (error.statusCode) {
+        return res.status(error.statusCode).json({ error: error.message });
+    }
+    
+    res.status(500).json({ error: 'Erreur lors de la génération des étiquettes' });
+}
+
+/**
+ * Réponse d'erreur des routes de photos : statut porté par l'erreur métier, sinon 500
+ */
+function handleServiceError(res, error) {
+    if (error.statusCode) {
+        return res.status(error.statusCode).json({ error: error.message });
+    }
+    
+    res.status(500).json({ error: 'Erreur serveur' });
+}
+
 /**
  * Fonction utilitaire pour mettre à jour la capacité d'un conteneur
  */
@@ -158,6 +158,42 @@ router.post('/containers', authMiddleware.requirePermission('rapport.view'), asy
     }
 });
 
+/**
+ * POST /api/rapports/segments
+ * Rapport par segment ou par étiquette de clients
+ * Body: startDate, endDate, dimension ('segment' ou 'etiquette'), format
+ */
+router.post('/segments', authMiddleware.requirePermission('rapport.view'), async (req, res) => {
+    try {
+        const { startDate, endDate, dimension = 'segment', format = 'json' } = req.body;
+        
+        if (!startDate || !endDate) {
+            return res.status(400).json({ error: 'Dates requises' });
+        }
+        
+        if (!['segment', 'etiquette'].includes(dimension)) {
+            return res.status(400).json({ error: 'Dimension invalide (segment ou etiquette)' });
+        }
+        
+        const data = await reportService.generateSegmentReport(startDate, endDate, dimension);
+        
+        if (format === 'excel') {
+            const result = await reportService.exportToExcel(data, 'segments');
+            
+            res.json({
+                filename: result.filename,
+                url: `/api/download/${result.filename}`
+            });
+        } else {
+            res.json(data);
+        }
+        
+    } catch (error) {
+        logger.error('Erreur rapport segments:', error);
+        res.status(500).json({ error: 'Erreur serveur' });
+    }
+});
+
 /**
  * GET /api/rapports/stats/clients
  * Statistiques des clients
@@ -0,0 +1,160 @@
+/**
+ * Routes API pour les sessions de réception (dépôt de plusieurs marchandises au comptoir)
+ */
+
+const express = require('express');
+const router = express.Router();
+const multer = require('multer');
+const path = require('path');
+const { logger } = require('../../shared/logger');
+const authMiddleware = require('../middlewares/auth');
+const { validateReception } = require('../middlewares/validation');
+const clientService = require('../services/clientService');
+const photoService = require('../services/photoService');
+const receptionService = require('../services/receptionService');
+const { LIMITES } = require('../../shared/constants');
+
+// Photos des articles (photos_<index>) reçues hors du dossier public, puis traitées par le service photos ;
+// signature du déposant (signature) dans le dossier des signatures, non servi publiquement
+const receptionUpload = multer({
+    storage: multer.diskStorage({
+        destination: (req, file, cb) => {
+            cb(null, file.fieldname === 'signature' ? receptionService.signatureDir : photoService.incomingDir);
+        },
+        filename: (req, file, cb) => {
+            const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+            const prefix = file.fieldname === 'signature' ? 'signature' : 'photos';
+            cb(null, `${prefix}-${uniqueSuffix}${path.extname(file.originalname).toLowerCase()}`);
+        }
+    }),
+    limits: { fileSize: LIMITES.UPLOAD.MAX_FILE_SIZE, files: 200 },
+    fileFilter: (req, file, cb) => {
+        if (LIMITES.UPLOAD.ALLOWED_IMAGE_TYPES.includes(file.mimetype)) {
+            return cb(null, true);
+        }
+
+        const error = new Error('Seules les images sont acceptées pour les photos et la signature');
+        error.statusCode = 400;
+        cb(error);
+    }
+});
+
+// Appliquer l'authentification à toutes les routes
+router.use(authMiddleware);
+
+/**
+ * Répondre avec le statut porté par l'erreur métier, sinon 500
+ */
+function handleError(res, error, message) {
+    if (error.statusCode) {
+        return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
+
+    res.status(500).json({ success: false, error: message });
+}
+
+/**
+ * Lire la réception envoyée en JSON dans le champ data du formulaire multipart
+ * Les fichiers reçus sont supprimés si la requête est refusée
+ */
+function parseReception(req, res, next) {
+    res.on('finish', () => {
+        if (res.statusCode >= 400) {
+            receptionService.removeFiles(req.files);
+        }
+    });
+
+    try {
+        req.body = typeof req.body.data === 'string' ? JSON.parse(req.body.data) : req.body;
+        next();
+    } catch (error) {
+        res.status(400).json({
+            success: false,
+            error: 'Données de réception illisibles'
+        });
+    }
+}
+
+/**
+ * GET /api/receptions
+ * Réceptions de la plus récente à la plus ancienne
+ * Query: client_id, date_debut, date_fin (AAAA-MM-JJ), page, limit
+ */
+router.get('/', async (req, res) => {
+    try {
+        const result = await receptionService.list(req.query);
+
+        res.json({
+            success: true,
+            ...result
+        });
+
+    } catch (error) {
+        logger.error('Erreur récupération réceptions:', error);
+        handleError(res, error, 'Erreur lors de la récupération des réceptions');
+    }
+});
+
+/**
+ * POST /api/receptions
+ * Enregistrer en une transaction les articles déposés par un client
+ * Multipart: data (JSON : client_id, mode_reception, provenance, signataire_nom, observations, articles),
+ *            photos_<index de l'article> (images), signature (image)
+ */
+router.post('/', receptionUpload.any(), parseReception, validateReception, async (req, res) => {
+    try {
+        const reception = await receptionService.create(req.body, req.files || [], { id: req.user.id });
+
+        // Notification temps réel
+        reception.marchandises.forEach(marchandise => req.io.emit('marchandise:created', marchandise));
+        req.io.emit('reception:created', { id: reception.id, numero: reception.numero, client_id: reception.client_id });
+
+        // Compteurs du client
+        await clientService.refreshCounters([reception.client_id], req.io);
+
+        res.status(201).json({
+            success: true,
+            data: reception,
+            message: `Bon de dépôt ${reception.numero} : ${reception.nombre_articles} article(s) réceptionné(s)`
+        });
+
+    } catch (error) {
+        logger.error('Erreur enregistrement réception:', error);
+        handleError(res, error, 'Erreur lors de l\'enregistrement de la réception');
+    }
+});
+
+/**
+ * GET /api/receptions/:id
+ * Réception avec son client et ses marchandises
+ */
+router.get('/:id', async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            data: await receptionService.get(parseInt(req.params.id, 10))
+        });
+
+    } catch (error) {
+        logger.error('Erreur récupération réception:', error);
+        handleError(res, error, 'Erreur lors de la récupération de la réception');
+    }
+});
+
+/**
+ * GET /api/receptions/:id/bon-depot
+ * Télécharger le bon de dépôt signé (PDF)
+ */
+router.get('/:id/bon-depot', async (req, res) => {
+    try {
+        const pdf = await receptionService.getDepositReceipt(parseInt(req.params.id, 10));
+
+        res.download(pdf.filepath, pdf.filename);
+
+    } catch (error) {
+        logger.error('Erreur téléchargement bon de dépôt:', error);
+        handleError(res, error, 'Erreur lors de la génération du bon de dépôt');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,84 @@
+/**
+ * Routes API pour les événements de scan
+ */
+
+const express = require('express');
+const router = express.Router();
+const { logger } = require('../../shared/logger');
+const authMiddleware = require('../middlewares/auth');
+const scanEventService = require('../services/scanEventService');
+
+// Appliquer l'authentification à toutes les routes
+router.use(authMiddleware);
+
+/**
+ * Répondre avec le statut porté par l'erreur métier, sinon 500
+ */
+function handleError(res, error, message) {
+    if (error.statusCode) {
+        return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
+
+    res.status(500).json({ success: false, error: message });
+}
+
+/**
+ * GET /api/scans
+ * Scans du plus récent au plus ancien (ex. scans d'un utilisateur sur une journée)
+ * Query: utilisateur_id, utilisateur (nom), action, lieu, appareil, marchandise_id, colis_id, code,
+ *        date_debut, date_fin (AAAA-MM-JJ), page, limit
+ */
+router.get('/', async (req, res) => {
+    try {
+        const result = await scanEventService.list(req.query);
+
+        res.json({
+            success: true,
+            ...result
+        });
+
+    } catch (error) {
+        logger.error('Erreur récupération scans:', error);
+        handleError(res, error, 'Erreur lors de la récupération des scans');
+    }
+});
+
+/**
+ * GET /api/scans/missing
+ * Colis scannés pour une action mais jamais pour une autre (ex. réceptionnés à l'entrepôt, jamais chargés)
+ * Query: scanne (reception par défaut), manquant (chargement par défaut), lieu, date_debut, date_fin,
+ *        client_id, conteneur_id
+ */
+router.get('/missing', async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            data: await scanEventService.findMissing(req.query)
+        });
+
+    } catch (error) {
+        logger.error('Erreur recherche colis non scannés:', error);
+        handleError(res, error, 'Erreur lors de la recherche des colis non scannés');
+    }
+});
+
+/**
+ * GET /api/scans/durations
+ * Délai par colis entre deux actions (ex. réception -> chargement) et statistiques en heures
+ * Query: de (reception par défaut), a (chargement par défaut), date_debut, date_fin, lieu,
+ *        client_id, conteneur_id
+ */
+router.get('/durations', async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            data: await scanEventService.durations(req.query)
+        });
+
+    } catch (error) {
+        logger.error('Erreur calcul délais entre scans:', error);
+        handleError(res, error, 'Erreur lors du calcul des délais');
+    }
+});
+
+module.exports = router;
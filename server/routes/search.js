@@ -0,0 +1,121 @@
+/**
+ * Routes API pour la recherche globale
+ */
+
+const express = require('express');
+const router = express.Router();
+const { logger } = require('../../shared/logger');
+const authMiddleware = require('../middlewares/auth');
+const searchService = require('../services/searchService');
+
+// Appliquer l'authentification à toutes les routes
+router.use(authMiddleware);
+
+/**
+ * GET /api/search
+ * Recherche multi-entités, résultats regroupés par type
+ * Query: q, types (liste séparée par des virgules), limit (par type)
+ */
+router.get('/', async (req, res) => {
+    try {
+        const { q, types, limit } = req.query;
+
+        const results = await searchService.search(q, {
+            role: req.user.role,
+            types: types ? String(types).split(',').map(type => type.trim()) : null,
+            limit
+        });
+
+        res.json({
+            success: true,
+            data: results
+        });
+
+    } catch (error) {
+        logger.error('Erreur recherche globale:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Erreur lors de la recherche'
+        });
+    }
+});
+
+/**
+ * GET /api/search/barcode
+ * Retrouver une marchandise par son code-barres exact
+ */
+router.get('/barcode', async (req, res) => {
+    try {
+        if (!searchService.canSearch(req.user.role, 'marchandises')) {
+            return res.status(403).json({ success: false, error: 'Permission refusée' });
+        }
+
+        const { code } = req.query;
+
+        if (!code) {
+            return res.status(400).json({
+                success: false,
+                error: 'Code-barres requis'
+            });
+        }
+
+        const marchandise = await searchService.findByBarcode(code);
+
+        if (!marchandise) {
+            return res.status(404).json({
+                success: false,
+                error: 'Code-barres inconnu'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: marchandise
+        });
+
+    } catch (error) {
+        logger.error('Erreur recherche code-barres:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Erreur lors de la recherche'
+        });
+    }
+});
+
+/**
+ * GET /api/search/:type
+ * Recherche dans un seul type (clients, marchandises, conteneurs, paiements)
+ */
+router.get('/:type', async (req, res) => {
+    try {
+        const { type } = req.params;
+        const { q, limit } = req.query;
+
+        if (!searchService.types[type]) {
+            return res.status(404).json({
+                success: false,
+                error: `Type de recherche inconnu: ${type}`
+            });
+        }
+
+        if (!searchService.canSearch(req.user.role, type)) {
+            return res.status(403).json({ success: false, error: 'Permission refusée' });
+        }
+
+        const results = await searchService.searchType(type, q, limit);
+
+        res.json({
+            success: true,
+            data: results
+        });
+
+    } catch (error) {
+        logger.error(`Erreur recherche ${req.params.type}:`, error);
+        res.status(500).json({
+            success: false,
+            error: 'Erreur lors de la recherche'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,326 @@
+/**
+ * Routes API pour les versions de la grille tarifaire
+ */
+
+const express = require('express');
+const router = express.Router();
+const { logger } = require('../../shared/logger');
+const authMiddleware = require('../middlewares/auth');
+const tariffService = require('../services/tariffService');
+
+// Appliquer l'authentification à toutes les routes
+router.use(authMiddleware);
+
+// Préparation des brouillons et publication
+const canEdit = authMiddleware.requireRole('admin', 'gestionnaire');
+const canPublish = authMiddleware.requireRole('admin');
+
+/**
+ * Répondre avec le statut porté par l'erreur métier, sinon 500
+ */
+function handleError(res, error, message) {
+    if (error.statusCode) {
+        return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
+
+    res.status(500).json({ success: false, error: message });
+}
+
+/**
+ * GET /api/tarifs
+ * Lister les versions (brouillon, planifie, en_vigueur, expire)
+ */
+router.get('/', async (req, res) => {
+    try {
+        const tarifs = await tariffService.list();
+
+        res.json({
+            success: true,
+            data: tarifs
+        });
+
+    } catch (error) {
+        logger.error('Erreur récupération tarifs:', error);
+        handleError(res, error, 'Erreur lors de la récupération des tarifs');
+    }
+});
+
+/**
+ * GET /api/tarifs/current
+ * Version en vigueur avec ses lignes et surcharges
+ */
+router.get('/current', async (req, res) => {
+    try {
+        const current = await tariffService.getCurrent();
+
+        if (!current) {
+            return res.status(404).json({ success: false, error: 'Aucune version en vigueur' });
+        }
+
+        res.json({
+            success: true,
+            data: await tariffService.getById(current.id)
+        });
+
+    } catch (error) {
+        logger.error('Erreur récupération tarif en vigueur:', error);
+        handleError(res, error, 'Erreur lors de la récupération du tarif en vigueur');
+    }
+});
+
+/**
+ * POST /api/tarifs
+ * Créer un brouillon
+ * Body: nom, description, copie_de (id de version ; absent : version en vigueur, null : grille vide)
+ */
+router.post('/', canEdit, async (req, res) => {
+    try {
+        const tarif = await tariffService.createDraft(req.body, req.user.id);
+
+        res.status(201).json({
+            success: true,
+            data: tarif,
+            message: 'Brouillon de tarif créé'
+        });
+
+    } catch (error) {
+        logger.error('Erreur création tarif:', error);
+        handleError(res, error, 'Erreur lors de la création du tarif');
+    }
+});
+
+/**
+ * GET /api/tarifs/:id
+ * Version avec ses lignes et surcharges
+ */
+router.get('/:id', async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            data: await tariffService.getById(parseInt(req.params.id, 10))
+        });
+
+    } catch (error) {
+        logger.error('Erreur récupération tarif:', error);
+        handleError(res, error, 'Erreur lors de la récupération du tarif');
+    }
+});
+
+/**
+ * GET /api/tarifs/:id/compare?avec=<id>
+ * Écarts ligne par ligne avec une autre version (par défaut celle en vigueur)
+ */
+router.get('/:id/compare', async (req, res) => {
+    try {
+        const comparison = await tariffService.compare(
+            parseInt(req.params.id, 10),
+            req.query.avec ? parseInt(req.query.avec, 10) : null
+        );
+
+        res.json({
+            success: true,
+            data: comparison
+        });
+
+    } catch (error) {
+        logger.error('Erreur comparaison tarifs:', error);
+        handleError(res, error, 'Erreur lors de la comparaison des tarifs');
+    }
+});
+
+/**
+ * PUT /api/tarifs/:id
+ * Renommer un brouillon
+ */
+router.put('/:id', canEdit, async (req, res) => {
+    try {
+        const tarif = await tariffService.updateDraft(parseInt(req.params.id, 10), req.body, req.user.id);
+
+        res.json({
+            success: true,
+            data: tarif
+        });
+
+    } catch (error) {
+        logger.error('Erreur modification tarif:', error);
+        handleError(res, error, 'Erreur lors de la modification du tarif');
+    }
+});
+
+/**
+ * DELETE /api/tarifs/:id
+ * Supprimer un brouillon
+ */
+router.delete('/:id', canEdit, async (req, res) => {
+    try {
+        await tariffService.deleteDraft(parseInt(req.params.id, 10), req.user.id);
+
+        res.json({
+            success: true,
+            message: 'Brouillon supprimé'
+        });
+
+    } catch (error) {
+        logger.error('Erreur suppression tarif:', error);
+        handleError(res, error, 'Erreur lors de la suppression du tarif');
+    }
+});
+
+/**
+ * POST /api/tarifs/:id/schedule
+ * Publier un brouillon à une date d'effet
+ * Body: date_debut (AAAA-MM-JJ, aujourd'hui ou plus tard)
+ */
+router.post('/:id/schedule', canPublish, async (req, res) => {
+    try {
+        const tarif = await tariffService.schedule(parseInt(req.params.id, 10), req.body.date_debut, req.user.id);
+
+        res.json({
+            success: true,
+            data: tarif,
+            message: `Tarif programmé à partir du ${req.body.date_debut}`
+        });
+
+    } catch (error) {
+        logger.error('Erreur programmation tarif:', error);
+        handleError(res, error, 'Erreur lors de la programmation du tarif');
+    }
+});
+
+/**
+ * POST /api/tarifs/:id/unschedule
+ * Retirer une version programmée pas encore en vigueur (elle redevient un brouillon)
+ */
+router.post('/:id/unschedule', canPublish, async (req, res) => {
+    try {
+        const tarif = await tariffService.unschedule(parseInt(req.params.id, 10), req.user.id);
+
+        res.json({
+            success: true,
+            data: tarif,
+            message: 'Programmation annulée'
+        });
+
+    } catch (error) {
+        logger.error('Erreur annulation programmation tarif:', error);
+        handleError(res, error, 'Erreur lors de l\'annulation de la programmation');
+    }
+});
+
+// =============================================
+// LIGNES D'UN BROUILLON
+// =============================================
+
+/**
+ * POST /api/tarifs/:id/lignes
+ * Body: nom, destination_pays, destination_port, type_marchandise, categorie_vehicule, type_envoi,
+ *       prix_kg, prix_m3, prix_forfait, minimum_perception, frais_manutention, frais_dedouanement,
+ *       frais_stockage, taux_assurance, priorite, actif
+ */
+router.post('/:id/lignes', canEdit, async (req, res) => {
+    try {
+        const line = await tariffService.addLine(parseInt(req.params.id, 10), req.body, req.user.id);
+
+        res.status(201).json({
+            success: true,
+            data: line
+        });
+
+    } catch (error) {
+        logger.error('Erreur ajout ligne de tarif:', error);
+        handleError(res, error, 'Erreur lors de l\'ajout de la ligne');
+    }
+});
+
+router.put('/:id/lignes/:ligneId', canEdit, async (req, res) => {
+    try {
+        const line = await tariffService.updateLine(
+            parseInt(req.params.id, 10),
+            parseInt(req.params.ligneId, 10),
+            req.body
+        );
+
+        res.json({
+            success: true,
+            data: line
+        });
+
+    } catch (error) {
+        logger.error('Erreur modification ligne de tarif:', error);
+        handleError(res, error, 'Erreur lors de la modification de la ligne');
+    }
+});
+
+router.delete('/:id/lignes/:ligneId', canEdit, async (req, res) => {
+    try {
+        await tariffService.deleteLine(parseInt(req.params.id, 10), parseInt(req.params.ligneId, 10));
+
+        res.json({
+            success: true,
+            message: 'Ligne supprimée'
+        });
+
+    } catch (error) {
+        logger.error('Erreur suppression ligne de tarif:', error);
+        handleError(res, error, 'Erreur lors de la suppression de la ligne');
+    }
+});
+
+// =============================================
+// SURCHARGES D'UN BROUILLON
+// =============================================
+
+/**
+ * POST /api/tarifs/:id/surcharges
+ * Body: code, libelle, mode (pourcentage du transport ou forfait), valeur, destination_pays, type_marchandise
+ */
+router.post('/:id/surcharges', canEdit, async (req, res) => {
+    try {
+        const surcharge = await tariffService.addSurcharge(parseInt(req.params.id, 10), req.body);
+
+        res.status(201).json({
+            success: true,
+            data: surcharge
+        });
+
+    } catch (error) {
+        logger.error('Erreur ajout surcharge:', error);
+        handleError(res, error, 'Erreur lors de l\'ajout de la surcharge');
+    }
+});
+
+router.put('/:id/surcharges/:surchargeId', canEdit, async (req, res) => {
+    try {
+        const surcharge = await tariffService.updateSurcharge(
+            parseInt(req.params.id, 10),
+            parseInt(req.params.surchargeId, 10),
+            req.body
+        );
+
+        res.json({
+            success: true,
+            data: surcharge
+        });
+
+    } catch (error) {
+        logger.error('Erreur modification surcharge:', error);
+        handleError(res, error, 'Erreur lors de la modification de la surcharge');
+    }
+});
+
+router.delete('/:id/surcharges/:surchargeId', canEdit, async (req, res) => {
+    try {
+        await tariffService.deleteSurcharge(parseInt(req.params.id, 10), parseInt(req.params.surchargeId, 10));
+
+        res.json({
+            success: true,
+            message: 'Surcharge supprimée'
+        });
+
+    } catch (error) {
+        logger.error('Erreur suppression surcharge:', error);
+        handleError(res, error, 'Erreur lors de la suppression de la surcharge');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,210 @@
+/**
+ * Routes API pour les vues sauvegardées des listes
+ */
+
+const express = require('express');
+const router = express.Router();
+const { logger } = require('../../shared/logger');
+const authMiddleware = require('../middlewares/auth');
+const viewService = require('../services/viewService');
+
+// Appliquer l'authentification à toutes les routes
+router.use(authMiddleware);
+
+/**
+ * GET /api/views
+ * Vues accessibles pour un écran
+ * Query: module (clients, marchandises, conteneurs, finances)
+ */
+router.get('/', async (req, res) => {
+    try {
+        const views = await viewService.list(req.user, req.query.module);
+
+        res.json({
+            success: true,
+            data: views
+        });
+
+    } catch (error) {
+        logger.error('Erreur récupération vues:', error);
+
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ success: false, error: error.message });
+        }
+
+        res.status(500).json({
+            success: false,
+            error: 'Erreur lors de la récupération des vues'
+        });
+    }
+});
+
+/**
+ * GET /api/views/default
+ * Vue par défaut de l'utilisateur pour un écran (data: null si aucune)
+ */
+router.get('/default', async (req, res) => {
+    try {
+        const view = await viewService.getDefault(req.user, req.query.module);
+
+        res.json({
+            success: true,
+            data: view
+        });
+
+    } catch (error) {
+        logger.error('Erreur récupération vue par défaut:', error);
+
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ success: false, error: error.message });
+        }
+
+        res.status(500).json({
+            success: false,
+            error: 'Erreur lors de la récupération de la vue par défaut'
+        });
+    }
+});
+
+/**
+ * DELETE /api/views/default
+ * Revenir à l'affichage standard d'un écran
+ */
+router.delete('/default', async (req, res) => {
+    try {
+        await viewService.clearDefault(req.user, req.query.module);
+
+        res.json({
+            success: true,
+            message: 'Vue par défaut retirée'
+        });
+
+    } catch (error) {
+        logger.error('Erreur suppression vue par défaut:', error);
+
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ success: false, error: error.message });
+        }
+
+        res.status(500).json({
+            success: false,
+            error: 'Erreur lors de la suppression de la vue par défaut'
+        });
+    }
+});
+
+/**
+ * POST /api/views
+ * Enregistrer une vue
+ * Body: module, nom, filtres, tri { champ, direction }, colonnes, densite, taille_page,
+ *       role_partage (optionnel), par_defaut (optionnel)
+ */
+router.post('/', async (req, res) => {
+    try {
+        const view = await viewService.create(req.user, req.body);
+
+        logger.info(`Vue "${view.nom}" enregistrée (${view.module}) par ${req.user.email}`);
+
+        res.status(201).json({
+            success: true,
+            data: view
+        });
+
+    } catch (error) {
+        logger.error('Erreur création vue:', error);
+
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ success: false, error: error.message });
+        }
+
+        res.status(500).json({
+            success: false,
+            error: 'Erreur lors de l\'enregistrement de la vue'
+        });
+    }
+});
+
+/**
+ * PUT /api/views/:id
+ * Modifier une vue (propriétaire ou administrateur)
+ */
+router.put('/:id', async (req, res) => {
+    try {
+        const view = await viewService.update(parseInt(req.params.id, 10), req.user, req.body);
+
+        res.json({
+            success: true,
+            data: view
+        });
+
+    } catch (error) {
+        logger.error('Erreur modification vue:', error);
+
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ success: false, error: error.message });
+        }
+
+        res.status(500).json({
+            success: false,
+            error: 'Erreur lors de la modification de la vue'
+        });
+    }
+});
+
+/**
+ * POST /api/views/:id/default
+ * Marquer une vue comme vue par défaut de son écran
+ */
+router.post('/:id/default', async (req, res) => {
+    try {
+        const view = await viewService.setDefault(parseInt(req.params.id, 10), req.user);
+
+        res.json({
+            success: true,
+            data: view
+        });
+
+    } catch (error) {
+        logger.error('Erreur vue par défaut:', error);
+
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ success: false, error: error.message });
+        }
+
+        res.status(500).json({
+            success: false,
+            error: 'Erreur lors du choix de la vue par défaut'
+        });
+    }
+});
+
+/**
+ * DELETE /api/views/:id
+ * Supprimer une vue (propriétaire ou administrateur)
+ */
+router.delete('/:id', async (req, res) => {
+    try {
+        const view = await viewService.remove(parseInt(req.params.id, 10), req.user);
+
+        logger.info(`Vue "${view.nom}" supprimée par ${req.user.email}`);
+
+        res.json({
+            success: true,
+            message: 'Vue supprimée'
+        });
+
+    } catch (error) {
+        logger.error('Erreur suppression vue:', error);
+
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ success: false, error: error.message });
+        }
+
+        res.status(500).json({
+            success: false,
+            error: 'Erreur lors de la suppression de la vue'
+        });
+    }
+});
+
+module.exports = router;
@@ -19,6 +19,10 @@ const { testConnection, db, query, closePool, pool } = require('./database/conne
 const authService = require('./services/authService');
 const backupService = require('./services/backupService');
 const notificationService = require('./services/notificationService');
+const kycService = require('./services/kycService');
+const alertService = require('./services/alertService');
+const storageFeeService = require('./services/storageFeeService');
+const clientService = require('./services/clientService');
 const { errorHandler, notFoundHandler } = require('./middlewares/errorHandler');
 const authMiddleware = require('./middlewares/auth');
 
@@ -43,6 +47,26 @@ const dashboardRoutes = require('./routes/dashboard');
 // Routes des notifications (nouveau fichier créé)
 const notificationsRoutes = require('./routes/notifications');
 
+// Recherche globale
+const searchRoutes = require('./routes/search');
+
+// Vues sauvegardées des listes
+const viewsRoutes = require('./routes/views');
+
+// Groupes de clients (familles)
+const clientGroupsRoutes = require('./routes/clientGroups');
+const clientSegmentsRoutes = require('./routes/clientSegments');
+
+// Versions de la grille tarifaire
+const tarifsRoutes = require('./routes/tarifs');
+
+// Événements de scan
+const scansRoutes = require('./routes/scans');
+
+// Sessions de réception (bons de dépôt)
+const receptionsRoutes = require('./routes/receptions');
+const litigesRoutes = require('./routes/litiges');
+
 
 // Initialisation
 const app = express();
@@ -102,7 +126,13 @@ app.use('/api/*', authMiddleware);
 // Routes protégées
 app.use('/api/dashboard', dashboardRoutes);
 app.use('/api/clients', clientsRoutes);
+app.use('/api/client-groups', clientGroupsRoutes);
+app.use('/api/client-segments', clientSegmentsRoutes);
 app.use('/api/marchandises', marchandisesRoutes);
+app.use('/api/tarifs', tarifsRoutes);
+app.use('/api/scans', scansRoutes);
+app.use('/api/receptions', receptionsRoutes);
+app.use('/api/litiges', litigesRoutes);
 app.use('/api/conteneurs', conteneursRoutes);
 app.use('/api/finances', financesRoutes);
 
@@ -113,16 +143,10 @@ app.use('/api/rapports', rapportsRoutes);
 app.use('/api/notifications', notificationsRoutes);
 
 // Route de recherche globale
-app.get('/api/search', async (req, res) => {
-    try {
-        const { q, type } = req.query;
-        // Implémenter la logique de recherche
-        res.json({ results: [] });
-    } catch (error) {
-        logger.error('Erreur recherche:', error);
-        res.status(500).json({ error: 'Erreur serveur' });
-    }
-});
+app.use('/api/search', searchRoutes);
+
+// Vues sauvegardées des listes
+app.use('/api/views', viewsRoutes);
 
 app.get('/api/download/:filename', (req, res) => { /* ... logique de téléchargement ... */ });
 
@@ -167,6 +191,10 @@ async function startServer() {
         logger.info('✅ Base de données connectée');
         backupService.scheduleAutoBackup();
         logger.info('✅ Sauvegardes automatiques programmées');
+        kycService.scheduleExpiryCheck();
+        alertService.scheduleChecks();
+        storageFeeService.scheduleAccrual();
+        clientService.schedulePurge();
         
         httpServer.listen(PORT, () => {
             logger.info(`✅ Serveur démarré sur http://localhost:${PORT}`);
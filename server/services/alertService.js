@@ -0,0 +1,219 @@
+/**
+ * Service des alertes automatiques sur les marchandises
+ * Contrôle planifié : marchandises toujours non affectées après un délai,
+ * marchandises fragiles ou de valeur élevée ; chaque marchandise n'est signalée qu'une fois par alerte
+ */
+
+const { query } = require('../database/connection');
+const { logger } = require('../../shared/logger');
+const appConfig = require('../config/app');
+const notificationService = require('./notificationService');
+
+// Marchandises à l'entrepôt, pas encore affectées à un conteneur
+const STATUTS_NON_AFFECTES = ['en_attente', 'receptionne'];
+// Marchandises encore entre nos mains, avant le départ du conteneur
+const STATUTS_AVANT_DEPART = ['en_attente', 'receptionne', 'affecte', 'en_conteneur'];
+// Marchandises citées dans le message d'une alerte groupée
+const MAX_LISTED = 10;
+
+class AlertService {
+    /**
+     * Paramètres des alertes : table parametres_systeme, à défaut configuration
+     */
+    async getSettings() {
+        const settings = {
+            unassignedDays: appConfig.business.alerts.unassignedDays,
+            highValue: appConfig.business.alerts.highValue
+        };
+
+        try {
+            const result = await query(
+                'SELECT cle, valeur FROM parametres_systeme WHERE cle = ANY($1)',
+                [['ALERTE_NON_AFFECTE_JOURS', 'ALERTE_VALEUR_ELEVEE']]
+            );
+
+            for (const row of result.rows) {
+                if (row.cle === 'ALERTE_NON_AFFECTE_JOURS' && parseInt(row.valeur, 10) > 0) {
+                    settings.unassignedDays = parseInt(row.valeur, 10);
+                }
+                if (row.cle === 'ALERTE_VALEUR_ELEVEE' && parseFloat(row.valeur) >= 0) {
+                    settings.highValue = parseFloat(row.valeur);
+                }
+            }
+        } catch (error) {
+            logger.warn('Lecture des paramètres d\'alerte impossible, configuration par défaut utilisée:', error.message);
+        }
+
+        return settings;
+    }
+
+    /**
+     * Lancer tous les contrôles
+     */
+    async checkAll() {
+        const settings = await this.getSettings();
+
+        const nonAffectees = await this.checkUnassigned(settings.unassignedDays);
+        const sensibles = await this.checkSensitiveGoods(settings.highValue);
+
+        logger.info(`Contrôle des marchandises: ${nonAffectees.length} non affectée(s), ${sensibles.length} sensible(s) signalée(s)`);
+
+        return {
+            parametres: settings,
+            non_affectees: nonAffectees,
+            sensibles
+        };
+    }
+
+    /**
+     * Marchandises en attente ou réceptionnées depuis plus de `days` jours sans conteneur
+     * Une marchandise affectée puis revenue à l'entrepôt peut être signalée à nouveau
+     *
+     * @returns {Object[]} marchandises signalées par ce contrôle
+     */
+    async checkUnassigned(days) {
+        await query(`
+            DELETE FROM alertes_marchandises a
+            USING marchandises m
+            WHERE m.id = a.marchandise_id AND a.type_alerte = 'non_affecte'
+              AND (m.statut <> ALL($1) OR m.conteneur_id IS NOT NULL)
+        `, [STATUTS_NON_AFFECTES]);
+
+        const result = await query(`
+            SELECT m.id, m.code_barre, m.designation, m.statut,
+                   COALESCE(m.date_reception, m.created_at) as date_reception,
+                   EXTRACT(DAY FROM CURRENT_TIMESTAMP - COALESCE(m.date_reception, m.created_at))::int as jours,
+                   c.nom as client_nom, c.prenom as client_prenom
+            FROM marchandises m
+            JOIN clients c ON c.id = m.client_id
+            WHERE m.statut = ANY($1) AND m.conteneur_id IS NULL
+              AND COALESCE(m.date_reception, m.created_at) < CURRENT_TIMESTAMP - make_interval(days => $2)
+              AND NOT EXISTS (
+                  SELECT 1 FROM alertes_marchandises a
+                  WHERE a.marchandise_id = m.id AND a.type_alerte = 'non_affecte'
+              )
+            ORDER BY date_reception
+        `, [STATUTS_NON_AFFECTES, days]);
+
+        const signalees = await this.record(result.rows, 'non_affecte', row => ({ jours: row.jours }));
+
+        if (signalees.length > 0) {
+            await this.notify(
+                'Marchandises non affectées',
+                `${signalees.length} marchandise(s) non affectée(s) depuis plus de ${days} jours`,
+                signalees,
+                row => `${row.code_barre} (${row.client_nom} ${row.client_prenom}, ${row.jours} j)`,
+                'non_affecte'
+            );
+        }
+
+        return signalees;
+    }
+
+    /**
+     * Marchandises fragiles ou dont la valeur déclarée atteint `highValue` (0 : pas de seuil),
+     * tant qu'elles n'ont pas quitté l'entrepôt
+     *
+     * @returns {Object[]} marchandises signalées par ce contrôle
+     */
+    async checkSensitiveGoods(highValue) {
+        const result = await query(`
+            SELECT m.id, m.code_barre, m.designation, m.statut, m.valeur_declaree,
+                   (m.etat = 'fragile' OR m.etat_reception = 'fragile') as fragile,
+                   ($2::numeric > 0 AND COALESCE(m.valeur_declaree, 0) >= $2::numeric) as valeur_elevee,
+                   c.nom as client_nom, c.prenom as client_prenom
+            FROM marchandises m
+            JOIN clients c ON c.id = m.client_id
+            WHERE m.statut = ANY($1)
+              AND (m.etat = 'fragile' OR m.etat_reception = 'fragile'
+                   OR ($2::numeric > 0 AND COALESCE(m.valeur_declaree, 0) >= $2::numeric))
+              AND NOT EXISTS (
+                  SELECT 1 FROM alertes_marchandises a
+                  WHERE a.marchandise_id = m.id AND a.type_alerte = 'sensible'
+              )
+            ORDER BY m.created_at
+        `, [STATUTS_AVANT_DEPART, highValue]);
+
+        const signalees = await this.record(result.rows, 'sensible', row => ({
+            fragile: row.fragile,
+            valeur_declaree: row.valeur_declaree !== null ? parseFloat(row.valeur_declaree) : null
+        }));
+
+        if (signalees.length > 0) {
+            const currency = appConfig.business.currency.symbol;
+
+            await this.notify(
+                'Marchandises fragiles ou de valeur',
+                `${signalees.length} marchandise(s) à manipuler avec précaution`,
+                signalees,
+                row => {
+                    const motifs = [];
+                    if (row.fragile) motifs.push('fragile');
+                    if (row.valeur_elevee) motifs.push(`valeur ${parseFloat(row.valeur_declaree).toFixed(2)} ${currency}`);
+                    return `${row.code_barre} (${motifs.join(', ')})`;
+                },
+                'sensible'
+            );
+        }
+
+        return signalees;
+    }
+
+    /**
+     * Enregistrer les alertes ; une marchandise déjà signalée (contrôle concurrent) est écartée
+     *
+     * @returns {Object[]} lignes réellement enregistrées
+     */
+    async record(rows, type, details) {
+        const recorded = [];
+
+        for (const row of rows) {
+            const result = await query(`
+                INSERT INTO alertes_marchandises (marchandise_id, type_alerte, details)
+                VALUES ($1, $2, $3)
+                ON CONFLICT (marchandise_id, type_alerte) DO NOTHING
+                RETURNING id
+            `, [row.id, type, details(row)]);
+
+            if (result.rows.length > 0) {
+                recorded.push(row);
+            }
+        }
+
+        return recorded;
+    }
+
+    /**
+     * Une notification groupée par contrôle, pour chaque rôle alerté
+     */
+    async notify(titre, resume, rows, describe, type) {
+        const listed = rows.slice(0, MAX_LISTED).map(describe).join(', ');
+        const others = rows.length > MAX_LISTED ? ` et ${rows.length - MAX_LISTED} autre(s)` : '';
+
+        for (const role of appConfig.business.alerts.roles) {
+            await notificationService.notifyRole(role, titre, `${resume} : ${listed}${others}`, 'warning', {
+                entite_type: 'marchandises',
+                donnees: { alerte: type, marchandise_ids: rows.map(row => row.id) }
+            });
+        }
+    }
+
+    /**
+     * Planifier le contrôle (toutes les heures par défaut)
+     */
+    scheduleChecks() {
+        const schedule = require('node-schedule');
+
+        schedule.scheduleJob(appConfig.business.alerts.schedule, async () => {
+            try {
+                await this.checkAll();
+            } catch (error) {
+                logger.error('Échec du contrôle des alertes marchandises:', error);
+            }
+        });
+
+        logger.info(`Contrôle des alertes marchandises programmé (${appConfig.business.alerts.schedule})`);
+    }
+}
+
+module.exports = new AlertService();
@@ -35,13 +35,15 @@ class BarcodeService {
     
     /**
      * Générer un code client
+     * Accepte un client de transaction pour voir les clients insérés dans la même transaction
      */
-    async generateClientCode() {
+    async generateClientCode(client = null) {
         const prefix = 'CLI';
         const year = new Date().getFullYear().toString().slice(-2);
+        const runQuery = client ? client.query.bind(client) : query;
         
         // Obtenir le dernier numéro
-        const lastClient = await query(
+        const lastClient = await runQuery(
             `SELECT code_client FROM clients 
              WHERE code_client LIKE $1 
              ORDER BY id DESC LIMIT 1`,
@@ -80,9 +82,11 @@ class BarcodeService {
     
     /**
      * Générer un numéro de reçu
+     * Accepte un client de transaction pour compter les reçus créés dans la même transaction
      */
-    async generateReceiptNumber() {
+    async generateReceiptNumber(client = null) {
         const prefix = 'REC';
+        const runQuery = client ? client.query.bind(client) : query;
         const date = new Date();
         const year = date.getFullYear().toString().slice(-2);
         const month = (date.getMonth() + 1).toString().padStart(2, '0');
@@ -92,7 +96,7 @@ class BarcodeService {
         const today = new Date();
         today.setHours(0, 0, 0, 0);
         
-        const count = await query(
+        const count = await runQuery(
             `SELECT COUNT(*) FROM paiements 
              WHERE created_at >= $1`,
             [today]
@@ -102,6 +106,58 @@ class BarcodeService {
         return `${prefix}${year}${month}${day}${number}`;
     }
     
+    /**
+     * Générer un numéro de bon de dépôt
+     * Accepte un client de transaction pour compter les réceptions créées dans la même transaction
+     */
+    async generateDepositNumber(client = null) {
+        const prefix = 'BD';
+        const runQuery = client ? client.query.bind(client) : query;
+        const date = new Date();
+        const year = date.getFullYear().toString().slice(-2);
+        const month = (date.getMonth() + 1).toString().padStart(2, '0');
+        const day = date.getDate().toString().padStart(2, '0');
+        
+        // Compter les réceptions du jour
+        const today = new Date();
+        today.setHours(0, 0, 0, 0);
+        
+        const count = await runQuery(
+            `SELECT COUNT(*) FROM receptions 
+             WHERE created_at >= $1`,
+            [today]
+        );
+        
+        const number = (parseInt(count.rows[0].count) + 1).toString().padStart(3, '0');
+        return `${prefix}${year}${month}${day}${number}`;
+    }
+    
+    /**
+     * Générer un numéro de dossier de litige
+     * Accepte un client de transaction pour compter les litiges ouverts dans la même transaction
+     */
+    async generateClaimNumber(client = null) {
+        const prefix = 'LT';
+        const runQuery = client ? client.query.bind(client) : query;
+        const date = new Date();
+        const year = date.getFullYear().toString().slice(-2);
+        const month = (date.getMonth() + 1).toString().padStart(2, '0');
+        const day = date.getDate().toString().padStart(2, '0');
+        
+        // Compter les litiges du jour
+        const today = new Date();
+        today.setHours(0, 0, 0, 0);
+        
+        const count = await runQuery(
+            `SELECT COUNT(*) FROM litiges 
+             WHERE created_at >= $1`,
+            [today]
+        );
+        
+        const number = (parseInt(count.rows[0].count) + 1).toString().padStart(3, '0');
+        return `${prefix}${year}${month}${day}${number}`;
+    }
+    
     /**
      * Obtenir le préfixe selon le type
      */
@@ -141,8 +197,9 @@ class BarcodeService {
             return false;
         }
         
-        // Le code ne doit contenir que des lettres majuscules et des chiffres
-        return /^[A-Z0-9]+$/.test(barcode);
+        // Le code ne doit contenir que des lettres majuscules et des chiffres,
+        // suivis du numéro de colis pour le code d'un colis (ex. CB...-003)
+        return /^[A-Z0-9]+(-\d{3,})?$/.test(barcode);
     }
 }
 
@@ -0,0 +1,513 @@
+/**
+ * Service des litiges
+ * Dossiers de dommage, de perte ou de réclamation rattachés à une marchandise et à son client :
+ * photos à l'appui, responsable, indemnisation proposée, suivi du statut et résolution
+ * par un remboursement ou un avoir enregistré dans les paiements
+ */
+
+const { query, transaction } = require('../database/connection');
+const { STATUS, TYPES } = require('../../shared/constants');
+const barcodeService = require('./barcodeService');
+const photoService = require('./photoService');
+
+const TYPES_LITIGE = Object.values(TYPES.LITIGE);
+const RESPONSABLES = Object.values(TYPES.RESPONSABLE_LITIGE);
+const MODES_PAIEMENT = ['especes', 'virement', 'cheque', 'carte', 'mobile_money'];
+const MAX_LIMIT = 100;
+
+const { OUVERT, EN_INSTRUCTION, INDEMNISATION_PROPOSEE, RESOLU, REJETE, CLOS } = STATUS.LITIGE;
+
+// Dossiers en cours de traitement
+const STATUTS_OUVERTS = [OUVERT, EN_INSTRUCTION, INDEMNISATION_PROPOSEE];
+
+// statut actuel -> statuts suivants ; la résolution passe par resolve() qui enregistre l'indemnisation
+const TRANSITIONS = {
+    [OUVERT]: [EN_INSTRUCTION, REJETE],
+    [EN_INSTRUCTION]: [INDEMNISATION_PROPOSEE, RESOLU, REJETE],
+    // Proposition refusée par le client : retour à l'instruction
+    [INDEMNISATION_PROPOSEE]: [EN_INSTRUCTION, RESOLU, REJETE],
+    [RESOLU]: [CLOS],
+    // Réouverture d'un dossier rejeté
+    [REJETE]: [EN_INSTRUCTION, CLOS],
+    [CLOS]: []
+};
+
+class ClaimService {
+    /**
+     * Litiges, du plus récent au plus ancien
+     * Filtres : statut, ouverts (true), type_litige, responsable, client_id, marchandise_id, conteneur_id, page, limit
+     */
+    async list(filters = {}) {
+        const params = [];
+        let paramIndex = 1;
+        let whereClause = 'WHERE 1=1';
+
+        if (filters.statut) {
+            whereClause += ` AND l.statut = $${paramIndex}`;
+            params.push(filters.statut);
+            paramIndex++;
+        }
+
+        if (filters.ouverts === 'true' || filters.ouverts === true) {
+            whereClause += ` AND l.statut = ANY($${paramIndex})`;
+            params.push(STATUTS_OUVERTS);
+            paramIndex++;
+        }
+
+        if (filters.type_litige) {
+            whereClause += ` AND l.type_litige = $${paramIndex}`;
+            params.push(filters.type_litige);
+            paramIndex++;
+        }
+
+        if (filters.responsable) {
+            whereClause += ` AND l.responsable = $${paramIndex}`;
+            params.push(filters.responsable);
+            paramIndex++;
+        }
+
+        ['client_id', 'marchandise_id', 'conteneur_id'].forEach(column => {
+            if (filters[column]) {
+                whereClause += ` AND l.${column} = $${paramIndex}`;
+                params.push(parseInt(filters[column], 10));
+                paramIndex++;
+            }
+        });
+
+        const limit = Math.min(Math.max(parseInt(filters.limit, 10) || 25, 1), MAX_LIMIT);
+        const page = Math.max(parseInt(filters.page, 10) || 1, 1);
+
+        const result = await query(`
+            SELECT l.*, m.code_barre, m.designation,
+                   c.nom as client_nom, c.prenom as client_prenom, c.code_client,
+                   co.numero_conteneur
+            FROM litiges l
+            JOIN marchandises m ON m.id = l.marchandise_id
+            JOIN clients c ON c.id = l.client_id
+            LEFT JOIN conteneurs co ON co.id = l.conteneur_id
+            ${whereClause}
+            ORDER BY l.created_at DESC, l.id DESC
+            LIMIT ${limit} OFFSET ${(page - 1) * limit}
+        `, params);
+
+        const count = await query(`SELECT COUNT(*)::int as total FROM litiges l ${whereClause}`, params);
+
+        return {
+            data: result.rows,
+            pagination: {
+                page,
+                limit,
+                total: count.rows[0].total,
+                pages: Math.ceil(count.rows[0].total / limit)
+            }
+        };
+    }
+
+    /**
+     * Litige avec sa marchandise, son client, ses photos, le paiement d'indemnisation
+     * et les statuts accessibles
+     */
+    async get(litigeId) {
+        const result = await query(`
+            SELECT l.*, co.numero_conteneur,
+                   CONCAT(u.prenom, ' ', u.nom) as createur_nom,
+                   CONCAT(r.prenom, ' ', r.nom) as resolu_par_nom
+            FROM litiges l
+            LEFT JOIN conteneurs co ON co.id = l.conteneur_id
+            LEFT JOIN utilisateurs u ON u.id = l.created_by
+            LEFT JOIN utilisateurs r ON r.id = l.resolu_par
+            WHERE l.id = $1
+        `, [litigeId]);
+
+        if (result.rows.length === 0) {
+            throw this.error('Litige non trouvé', 404);
+        }
+
+        const litige = result.rows[0];
+
+        const marchandise = await query('SELECT * FROM marchandises WHERE id = $1', [litige.marchandise_id]);
+        const client = await query('SELECT * FROM clients WHERE id = $1', [litige.client_id]);
+        const paiement = litige.paiement_id
+            ? await query('SELECT * FROM paiements WHERE id = $1', [litige.paiement_id])
+            : { rows: [] };
+
+        return {
+            ...litige,
+            statuts_suivants: TRANSITIONS[litige.statut] || [],
+            marchandise: marchandise.rows[0],
+            client: client.rows[0],
+            photos: await photoService.list(litige.marchandise_id, { litige_id: litige.id }),
+            paiement: paiement.rows[0] || null
+        };
+    }
+
+    /**
+     * Ouvrir un litige sur une marchandise
+     * Un seul dossier en cours par marchandise ; le conteneur est celui de la marchandise à l'ouverture
+     *
+     * @param {Object} data - marchandise_id, type_litige, description, responsable, montant_reclame
+     * @param {Object} user - id
+     */
+    async create(data, user) {
+        return transaction(async (client) => {
+            const result = await client.query(
+                'SELECT id, client_id, conteneur_id FROM marchandises WHERE id = $1 FOR UPDATE',
+                [data.marchandise_id]
+            );
+
+            const marchandise = result.rows[0];
+            if (!marchandise) {
+                throw this.error('Marchandise non trouvée', 404);
+            }
+
+            const open = await client.query(
+                'SELECT numero FROM litiges WHERE marchandise_id = $1 AND statut = ANY($2)',
+                [marchandise.id, STATUTS_OUVERTS]
+            );
+            if (open.rows.length > 0) {
+                throw this.error(`Le litige ${open.rows[0].numero} est déjà en cours pour cette marchandise`, 409);
+            }
+
+            const numero = await barcodeService.generateClaimNumber(client);
+
+            const inserted = await client.query(`
+                INSERT INTO litiges (
+                    numero, marchandise_id, client_id, conteneur_id, type_litige, description,
+                    responsable, montant_reclame, created_by
+                ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+                RETURNING *
+            `, [
+                numero,
+                marchandise.id,
+                marchandise.client_id,
+                marchandise.conteneur_id,
+                this.type(data.type_litige),
+                data.description,
+                this.responsible(data.responsable),
+                data.montant_reclame ?? null,
+                user.id
+            ]);
+
+            return inserted.rows[0];
+        });
+    }
+
+    /**
+     * Modifier un dossier en cours : type, description, responsable, montants
+     *
+     * @returns {Object} avant, apres
+     */
+    async update(litigeId, changes) {
+        const litige = await this.find(litigeId);
+        this.assertOpen(litige);
+
+        const values = {
+            type_litige: changes.type_litige !== undefined ? this.type(changes.type_litige) : litige.type_litige,
+            description: changes.description !== undefined ? changes.description : litige.description,
+            responsable: changes.responsable !== undefined ? this.responsible(changes.responsable) : litige.responsable,
+            montant_reclame: changes.montant_reclame !== undefined ? changes.montant_reclame : litige.montant_reclame,
+            indemnisation_proposee: changes.indemnisation_proposee !== undefined
+                ? changes.indemnisation_proposee
+                : litige.indemnisation_proposee
+        };
+
+        const result = await query(`
+            UPDATE litiges
+            SET type_litige = $2, description = $3, responsable = $4,
+                montant_reclame = $5, indemnisation_proposee = $6
+            WHERE id = $1
+            RETURNING *
+        `, [litige.id, values.type_litige, values.description, values.responsable,
+            values.montant_reclame, values.indemnisation_proposee]);
+
+        return { avant: litige, apres: result.rows[0] };
+    }
+
+    /**
+     * Faire avancer un dossier dans son circuit (instruction, proposition, rejet, clôture, réouverture)
+     * La proposition exige un montant et un responsable, le rejet un motif
+     *
+     * @param {Object} data - statut, indemnisation_proposee, responsable, commentaire (motif du rejet)
+     * @returns {Object} avant, apres
+     */
+    async changeStatus(litigeId, data) {
+        const litige = await this.find(litigeId);
+        const statut = data.statut;
+
+        if (statut === RESOLU) {
+            throw this.error('La résolution se fait par l\'enregistrement de l\'indemnisation', 400);
+        }
+
+        this.assertTransition(litige, statut);
+
+        const values = {
+            responsable: data.responsable !== undefined ? this.responsible(data.responsable) : litige.responsable,
+            indemnisation_proposee: data.indemnisation_proposee ?? litige.indemnisation_proposee,
+            resolution: litige.resolution
+        };
+
+        if (statut === INDEMNISATION_PROPOSEE) {
+            if (!(parseFloat(values.indemnisation_proposee) > 0)) {
+                throw this.error('Montant de l\'indemnisation proposée requis', 400);
+            }
+            if (!values.responsable) {
+                throw this.error('Responsable du litige requis avant de proposer une indemnisation', 400);
+            }
+        }
+
+        if (statut === REJETE) {
+            if (!data.commentaire) {
+                throw this.error('Motif du rejet requis', 400);
+            }
+            values.resolution = data.commentaire;
+        }
+
+        // Réouverture : le motif du rejet ne vaut plus résolution
+        if (litige.statut === REJETE && statut === EN_INSTRUCTION) {
+            values.resolution = null;
+        }
+
+        const result = await query(`
+            UPDATE litiges
+            SET statut = $2, responsable = $3, indemnisation_proposee = $4, resolution = $5,
+                clos_le = CASE WHEN $2 = '${CLOS}' THEN CURRENT_TIMESTAMP ELSE NULL END
+            WHERE id = $1
+            RETURNING *
+        `, [litige.id, statut, values.responsable, values.indemnisation_proposee, values.resolution]);
+
+        return { avant: litige, apres: result.rows[0] };
+    }
+
+    /**
+     * Résoudre un litige et enregistrer l'indemnisation dans les paiements
+     * - remboursement : versement au client (mode de paiement requis), enregistré comme indemnisation
+     *   sans effet sur son solde
+     * - avoir : montant porté au crédit du compte du client
+     * - aucune : résolution sans indemnisation (marchandise retrouvée, responsabilité écartée...)
+     *
+     * @param {Object} data - mode_resolution, montant (indemnisation proposée par défaut), mode_paiement, resolution
+     * @param {Object} user - id
+     * @returns {Object} avant, apres, paiement
+     */
+    async resolve(litigeId, data, user) {
+        return transaction(async (client) => {
+            const result = await client.query('SELECT * FROM litiges WHERE id = $1 FOR UPDATE', [litigeId]);
+            const litige = result.rows[0];
+
+            if (!litige) {
+                throw this.error('Litige non trouvé', 404);
+            }
+
+            this.assertTransition(litige, RESOLU);
+
+            const mode = data.mode_resolution;
+            const montant = mode === TYPES.RESOLUTION_LITIGE.AUCUNE
+                ? null
+                : Math.round(parseFloat(data.montant ?? litige.indemnisation_proposee) * 100) / 100;
+
+            if (montant !== null && !(montant > 0)) {
+                throw this.error('Montant de l\'indemnisation requis', 400);
+            }
+
+            if (mode === TYPES.RESOLUTION_LITIGE.REMBOURSEMENT && !MODES_PAIEMENT.includes(data.mode_paiement)) {
+                throw this.error('Mode de paiement du remboursement requis', 400);
+            }
+
+            const paiement = montant !== null
+                ? await this.insertPayment(client, litige, mode, montant, data, user)
+                : null;
+
+            const updated = await client.query(`
+                UPDATE litiges
+                SET statut = $2, mode_resolution = $3, montant_indemnise = $4, paiement_id = $5,
+                    resolution = $6, resolu_le = CURRENT_TIMESTAMP, resolu_par = $7
+                WHERE id = $1
+                RETURNING *
+            `, [litige.id, RESOLU, mode, montant, paiement ? paiement.id : null, data.resolution || null, user.id]);
+
+            return { avant: litige, apres: updated.rows[0], paiement };
+        });
+    }
+
+    /**
+     * Paiement d'indemnisation d'un litige (dans la transaction de la résolution)
+     */
+    async insertPayment(client, litige, mode, montant, data, user) {
+        const avoir = mode === TYPES.RESOLUTION_LITIGE.AVOIR;
+        const numeroRecu = await barcodeService.generateReceiptNumber(client);
+
+        const result = await client.query(`
+            INSERT INTO paiements (
+                numero_recu, client_id, conteneur_id, marchandise_id, type_paiement, mode_paiement,
+                montant_paye, montant, reference_paiement, statut, motif, created_by
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $7, $8, 'valide', $9, $10)
+            RETURNING *
+        `, [
+            numeroRecu,
+            litige.client_id,
+            litige.conteneur_id,
+            litige.marchandise_id,
+            avoir ? 'avoir' : 'indemnisation',
+            avoir ? 'avoir' : data.mode_paiement,
+            montant,
+            litige.numero,
+            `${avoir ? 'Avoir' : 'Indemnisation'} suite au litige ${litige.numero}`,
+            user.id
+        ]);
+
+        return result.rows[0];
+    }
+
+    /**
+     * Joindre des photos au dossier : elles rejoignent la galerie de la marchandise (dommage par défaut)
+     *
+     * @param {Object} options - categorie, legende
+     */
+    async addPhotos(litigeId, files, options, userId) {
+        const litige = await this.find(litigeId);
+        this.assertOpen(litige);
+
+        return photoService.add(litige.marchandise_id, files, {
+            categorie: options.categorie || TYPES.PHOTO.DOMMAGE,
+            legende: options.legende,
+            litige_id: litige.id
+        }, userId);
+    }
+
+    /**
+     * Litiges en cours par conteneur : nombre par type, montants réclamés et proposés,
+     * ancienneté du plus ancien dossier ; les marchandises hors conteneur sont regroupées
+     *
+     * @param {Object} filters - conteneur_id, responsable
+     */
+    async openByContainer(filters = {}) {
+        const params = [STATUTS_OUVERTS];
+        let paramIndex = 2;
+        let whereClause = 'WHERE l.statut = ANY($1)';
+
+        if (filters.conteneur_id) {
+            whereClause += ` AND l.conteneur_id = $${paramIndex}`;
+            params.push(parseInt(filters.conteneur_id, 10));
+            paramIndex++;
+        }
+
+        if (filters.responsable) {
+            whereClause += ` AND l.responsable = $${paramIndex}`;
+            params.push(filters.responsable);
+            paramIndex++;
+        }
+
+        const result = await query(`
+            SELECT l.conteneur_id, co.numero_conteneur, co.statut as statut_conteneur,
+                   co.destination_ville, co.destination_pays,
+                   COUNT(*)::int as nombre_litiges,
+                   COUNT(*) FILTER (WHERE l.type_litige = 'dommage')::int as dommages,
+                   COUNT(*) FILTER (WHERE l.type_litige = 'perte')::int as pertes,
+                   COUNT(*) FILTER (WHERE l.type_litige = 'reclamation')::int as reclamations,
+                   COUNT(*) FILTER (WHERE l.statut = '${INDEMNISATION_PROPOSEE}')::int as propositions_en_attente,
+                   COALESCE(SUM(l.montant_reclame), 0) as montant_reclame,
+                   COALESCE(SUM(l.indemnisation_proposee), 0) as indemnisation_proposee,
+                   MIN(l.created_at) as plus_ancien,
+                   json_agg(json_build_object(
+                       'id', l.id, 'numero', l.numero, 'statut', l.statut, 'type_litige', l.type_litige,
+                       'code_barre', m.code_barre, 'client_id', l.client_id
+                   ) ORDER BY l.created_at) as litiges
+            FROM litiges l
+            JOIN marchandises m ON m.id = l.marchandise_id
+            LEFT JOIN conteneurs co ON co.id = l.conteneur_id
+            ${whereClause}
+            GROUP BY l.conteneur_id, co.numero_conteneur, co.statut, co.destination_ville, co.destination_pays
+            ORDER BY nombre_litiges DESC, co.numero_conteneur NULLS LAST
+        `, params);
+
+        const conteneurs = result.rows.map(row => ({
+            ...row,
+            montant_reclame: parseFloat(row.montant_reclame),
+            indemnisation_proposee: parseFloat(row.indemnisation_proposee)
+        }));
+
+        return {
+            total_litiges: conteneurs.reduce((sum, row) => sum + row.nombre_litiges, 0),
+            montant_reclame: this.round(conteneurs.reduce((sum, row) => sum + row.montant_reclame, 0)),
+            indemnisation_proposee: this.round(conteneurs.reduce((sum, row) => sum + row.indemnisation_proposee, 0)),
+            conteneurs
+        };
+    }
+
+    /**
+     * Litige par son identifiant
+     */
+    async find(litigeId) {
+        const result = await query('SELECT * FROM litiges WHERE id = $1', [litigeId]);
+
+        if (result.rows.length === 0) {
+            throw this.error('Litige non trouvé', 404);
+        }
+
+        return result.rows[0];
+    }
+
+    /**
+     * Refuser une transition absente du circuit
+     */
+    assertTransition(litige, statut) {
+        if (!Object.prototype.hasOwnProperty.call(TRANSITIONS, statut)) {
+            throw this.error(`Statut de litige invalide : ${statut}`, 400);
+        }
+
+        if (!TRANSITIONS[litige.statut].includes(statut)) {
+            throw this.error(`Transition interdite pour le litige ${litige.numero} : ${litige.statut} → ${statut}`, 409);
+        }
+    }
+
+    /**
+     * Refuser la modification d'un dossier résolu, rejeté ou clos
+     */
+    assertOpen(litige) {
+        if (!STATUTS_OUVERTS.includes(litige.statut)) {
+            throw this.error(`Le litige ${litige.numero} n'est plus en cours (${litige.statut})`, 409);
+        }
+    }
+
+    /**
+     * Vérifier un type de litige
+     */
+    type(value) {
+        if (!TYPES_LITIGE.includes(value)) {
+            throw this.error(`Type de litige invalide : ${value}`, 400);
+        }
+
+        return value;
+    }
+
+    /**
+     * Vérifier un responsable (vide : non déterminé)
+     */
+    responsible(value) {
+        if (!value) return null;
+
+        if (!RESPONSABLES.includes(value)) {
+            throw this.error(`Responsable invalide : ${value}`, 400);
+        }
+
+        return value;
+    }
+
+    /**
+     * Arrondir un montant au centime
+     */
+    round(value) {
+        return Math.round(value * 100) / 100;
+    }
+
+    /**
+     * Erreur métier portant son statut HTTP
+     */
+    error(message, statusCode) {
+        const error = new Error(message);
+        error.statusCode = statusCode;
+        return error;
+    }
+}
+
+module.exports = new ClaimService();
@@ -0,0 +1,534 @@
+/**
+ * Service des groupes de clients (familles)
+ * Membres, payeur désigné, solde consolidé et paiements répartis entre les membres
+ */
+
+const { query, transaction } = require('../database/connection');
+const { logger } = require('../../shared/logger');
+const auditService = require('./auditService');
+const barcodeService = require('./barcodeService');
+const clientService = require('./clientService');
+
+const PAYMENT_MODES = ['especes', 'virement', 'cheque', 'carte', 'mobile_money'];
+
+// Champs recopiés depuis le client existant lors de la création d'un membre de la famille
+const FAMILY_SHARED_FIELDS = [
+    'telephone_principal', 'telephone_secondaire', 'adresse_principale',
+    'adresse_livraison', 'ville', 'code_postal', 'pays'
+];
+
+const round = (value) => Math.round(value * 100) / 100;
+
+class ClientGroupService {
+    /**
+     * Lister les groupes avec leur payeur, leur nombre de membres et leur solde consolidé
+     */
+    async list() {
+        const result = await query(`
+            SELECT g.*,
+                   p.nom as payeur_nom, p.prenom as payeur_prenom, p.code_client as payeur_code,
+                   COALESCE(array_agg(c.id) FILTER (WHERE c.id IS NOT NULL), '{}') as membres_ids
+            FROM clients_groupes g
+            LEFT JOIN clients p ON p.id = g.payeur_id
+            LEFT JOIN clients c ON c.groupe_id = g.id
+            GROUP BY g.id, p.id
+            ORDER BY g.nom
+        `);
+
+        const memberIds = result.rows.flatMap(row => row.membres_ids);
+        const balances = new Map(
+            (await clientService.getBalances(memberIds)).map(balance => [balance.client_id, balance])
+        );
+
+        return result.rows.map(({ membres_ids: ids, ...group }) => ({
+            ...group,
+            nombre_membres: ids.length,
+            ...this.consolidate(ids.map(id => balances.get(id)).filter(Boolean))
+        }));
+    }
+
+    /**
+     * Détail d'un groupe : membres avec leur solde et solde consolidé
+     */
+    async getById(groupId) {
+        const groupResult = await query(`
+            SELECT g.*, p.nom as payeur_nom, p.prenom as payeur_prenom, p.code_client as payeur_code
+            FROM clients_groupes g
+            LEFT JOIN clients p ON p.id = g.payeur_id
+            WHERE g.id = $1
+        `, [groupId]);
+
+        if (groupResult.rows.length === 0) {
+            throw this.error('Groupe non trouvé', 404);
+        }
+
+        const balance = await this.getConsolidatedBalance(groupId);
+
+        return {
+            ...groupResult.rows[0],
+            ...balance
+        };
+    }
+
+    /**
+     * Solde consolidé d'un groupe, détaillé par membre
+     * Accepte un client de transaction pour travailler sur des données non encore validées
+     */
+    async getConsolidatedBalance(groupId, client = null) {
+        const runQuery = client ? client.query.bind(client) : query;
+
+        const membersResult = await runQuery(`
+            SELECT id, code_client, nom, prenom, telephone_principal, ville
+            FROM clients
+            WHERE groupe_id = $1
+            ORDER BY nom, prenom
+        `, [groupId]);
+
+        const balances = new Map(
+            (await clientService.getBalances(membersResult.rows.map(row => row.id), client))
+                .map(balance => [balance.client_id, balance])
+        );
+
+        const membres = membersResult.rows.map(member => ({
+            ...member,
+            ...balances.get(member.id)
+        }));
+
+        return {
+            groupe_id: groupId,
+            ...this.consolidate(membres),
+            membres
+        };
+    }
+
+    /**
+     * Créer un groupe à partir de clients existants
+     * Le payeur fait obligatoirement partie des membres
+     */
+    async create(data, userId) {
+        const nom = String(data.nom || '').trim();
+        if (!nom) throw this.error('Le nom du groupe est requis', 400);
+
+        const payerId = parseInt(data.payeur_id, 10);
+        if (!payerId) throw this.error('Le payeur du groupe est requis', 400);
+
+        const memberIds = [...new Set([payerId, ...(data.membres || []).map(id => parseInt(id, 10))])];
+
+        const group = await transaction(async (client) => {
+            await this.assertAvailableMembers(client, memberIds);
+
+            const result = await client.query(`
+                INSERT INTO clients_groupes (nom, payeur_id, notes, created_by)
+                VALUES ($1, $2, $3, $4)
+                RETURNING *
+            `, [nom, payerId, data.notes || null, userId]);
+
+            await client.query(
+                'UPDATE clients SET groupe_id = $1, updated_at = CURRENT_TIMESTAMP WHERE id = ANY($2)',
+                [result.rows[0].id, memberIds]
+            );
+
+            return result.rows[0];
+        });
+
+        await auditService.log({
+            utilisateur_id: userId,
+            action: 'CREATE',
+            entite: 'clients_groupes',
+            entite_id: group.id,
+            nouvelles_valeurs: { ...group, membres: memberIds }
+        });
+
+        return this.getById(group.id);
+    }
+
+    /**
+     * Modifier le nom, le payeur ou les notes d'un groupe
+     */
+    async update(groupId, data, userId) {
+        const existing = await this.getById(groupId);
+
+        const nom = data.nom !== undefined ? String(data.nom).trim() : existing.nom;
+        if (!nom) throw this.error('Le nom du groupe est requis', 400);
+
+        const payerId = data.payeur_id !== undefined ? parseInt(data.payeur_id, 10) : existing.payeur_id;
+        if (!existing.membres.some(member => member.id === payerId)) {
+            throw this.error('Le payeur doit être membre du groupe', 400);
+        }
+
+        await query(
+            'UPDATE clients_groupes SET nom = $1, payeur_id = $2, notes = $3 WHERE id = $4',
+            [nom, payerId, data.notes !== undefined ? data.notes : existing.notes, groupId]
+        );
+
+        await auditService.log({
+            utilisateur_id: userId,
+            action: 'UPDATE',
+            entite: 'clients_groupes',
+            entite_id: groupId,
+            anciennes_valeurs: { nom: existing.nom, payeur_id: existing.payeur_id, notes: existing.notes },
+            nouvelles_valeurs: { nom, payeur_id: payerId, notes: data.notes }
+        });
+
+        return this.getById(groupId);
+    }
+
+    /**
+     * Dissoudre un groupe : les clients et leurs paiements sont conservés
+     */
+    async remove(groupId, userId) {
+        const existing = await this.getById(groupId);
+
+        await query('DELETE FROM clients_groupes WHERE id = $1', [groupId]);
+
+        await auditService.log({
+            utilisateur_id: userId,
+            action: 'DELETE',
+            entite: 'clients_groupes',
+            entite_id: groupId,
+            anciennes_valeurs: { nom: existing.nom, payeur_id: existing.payeur_id, membres: existing.membres.map(m => m.id) }
+        });
+
+        logger.info(`Groupe de clients #${groupId} dissous par utilisateur #${userId}`);
+    }
+
+    /**
+     * Rattacher un client existant au groupe
+     */
+    async addMember(groupId, clientId, userId) {
+        await this.getById(groupId);
+
+        await transaction(async (client) => {
+            await this.assertAvailableMembers(client, [clientId]);
+            await client.query(
+                'UPDATE clients SET groupe_id = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+                [groupId, clientId]
+            );
+        });
+
+        await auditService.log({
+            utilisateur_id: userId,
+            action: 'ADD_MEMBER',
+            entite: 'clients_groupes',
+            entite_id: groupId,
+            nouvelles_valeurs: { client_id: clientId }
+        });
+
+        return this.getById(groupId);
+    }
+
+    /**
+     * Retirer un client du groupe (le payeur doit d'abord être remplacé)
+     */
+    async removeMember(groupId, clientId, userId) {
+        const group = await this.getById(groupId);
+
+        if (!group.membres.some(member => member.id === clientId)) {
+            throw this.error('Ce client ne fait pas partie du groupe', 404);
+        }
+
+        if (group.payeur_id === clientId) {
+            throw this.error('Désignez un autre payeur avant de retirer ce client du groupe', 409);
+        }
+
+        await query(
+            'UPDATE clients SET groupe_id = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = $1',
+            [clientId]
+        );
+
+        await auditService.log({
+            utilisateur_id: userId,
+            action: 'REMOVE_MEMBER',
+            entite: 'clients_groupes',
+            entite_id: groupId,
+            anciennes_valeurs: { client_id: clientId }
+        });
+
+        return this.getById(groupId);
+    }
+
+    /**
+     * Enregistrer un paiement du payeur qui règle les dettes de plusieurs membres
+     * Sans répartition explicite, les membres débiteurs les plus anciens sont réglés en premier ;
+     * le surplus éventuel reste en avoir sur le compte du payeur
+     */
+    async recordPayment(groupId, data, userId) {
+        const montant = round(parseFloat(data.montant));
+        if (!(montant > 0)) throw this.error('Le montant du paiement doit être positif', 400);
+
+        if (!PAYMENT_MODES.includes(data.mode_paiement)) {
+            throw this.error(`Mode de paiement invalide. Modes acceptés : ${PAYMENT_MODES.join(', ')}`, 400);
+        }
+
+        const summary = await transaction(async (client) => {
+            const groupResult = await client.query(
+                'SELECT * FROM clients_groupes WHERE id = $1 FOR UPDATE',
+                [groupId]
+            );
+            const group = groupResult.rows[0];
+
+            if (!group) throw this.error('Groupe non trouvé', 404);
+            if (!group.payeur_id) throw this.error('Ce groupe n\'a pas de payeur désigné', 409);
+
+            const before = await this.getConsolidatedBalance(groupId, client);
+            const allocations = data.allocations
+                ? this.validateAllocations(data.allocations, before.membres, montant)
+                : await this.allocateOldestFirst(client, before.membres, group.payeur_id, montant);
+
+            const paiements = [];
+            let reference = null;
+
+            for (const allocation of allocations) {
+                const member = before.membres.find(m => m.id === allocation.client_id);
+                const numeroRecu = await barcodeService.generateReceiptNumber(client);
+                reference = reference || `GRP${groupId}-${numeroRecu}`;
+
+                const result = await client.query(`
+                    INSERT INTO paiements (
+                        numero_recu, client_id, type_paiement, mode_paiement,
+                        montant_total_du, montant_paye, montant, date_paiement,
+                        reference_transaction, reference_paiement, statut, notes,
+                        groupe_id, payeur_id, created_by
+                    ) VALUES ($1, $2, $3, $4, $5, $6, $6, COALESCE($7, CURRENT_TIMESTAMP),
+                              $8, $9, 'valide', $10, $11, $12, $13)
+                    RETURNING *
+                `, [
+                    numeroRecu,
+                    allocation.client_id,
+                    member.balance > 0 && allocation.montant >= member.balance ? 'solde' : 'acompte',
+                    data.mode_paiement,
+                    Math.max(member.balance, 0),
+                    allocation.montant,
+                    data.date_paiement || null,
+                    data.reference_transaction || null,
+                    reference,
+                    data.notes || null,
+                    groupId,
+                    group.payeur_id,
+                    userId
+                ]);
+
+                paiements.push(result.rows[0]);
+                await clientService.recalculateCounters(allocation.client_id, client);
+            }
+
+            const after = await this.getConsolidatedBalance(groupId, client);
+
+            return { group, reference, paiements, before, after };
+        });
+
+        await auditService.log({
+            utilisateur_id: userId,
+            action: 'GROUP_PAYMENT',
+            entite: 'clients_groupes',
+            entite_id: groupId,
+            anciennes_valeurs: { balance: summary.before.balance },
+            nouvelles_valeurs: {
+                montant,
+                payeur_id: summary.group.payeur_id,
+                reference: summary.reference,
+                paiements: summary.paiements.map(p => ({ id: p.id, client_id: p.client_id, montant: p.montant_paye })),
+                balance: summary.after.balance
+            }
+        });
+
+        logger.info(`Paiement groupé ${summary.reference} de ${montant} pour le groupe #${groupId}`);
+
+        return {
+            groupe_id: groupId,
+            montant,
+            reference: summary.reference,
+            paiements: summary.paiements,
+            balance: summary.after
+        };
+    }
+
+    /**
+     * Créer un membre de la famille à partir d'un client existant
+     * Adresses et téléphones sont recopiés ; le groupe est créé si besoin, avec le client existant comme payeur
+     */
+    async createFamilyMember(sourceId, data, userId) {
+        const prenom = String(data.prenom || '').trim();
+        if (!prenom) throw this.error('Le prénom du nouveau membre est requis', 400);
+
+        const result = await transaction(async (client) => {
+            const sourceResult = await client.query(
+                'SELECT * FROM clients WHERE id = $1 FOR UPDATE',
+                [sourceId]
+            );
+            const source = sourceResult.rows[0];
+
+            if (!source || source.fusionne_avec_id) throw this.error('Client non trouvé', 404);
+
+            let groupId = source.groupe_id;
+            if (!groupId) {
+                const groupResult = await client.query(`
+                    INSERT INTO clients_groupes (nom, payeur_id, created_by)
+                    VALUES ($1, $2, $3)
+                    RETURNING id
+                `, [`Famille ${source.nom}`, source.id, userId]);
+
+                groupId = groupResult.rows[0].id;
+                await client.query('UPDATE clients SET groupe_id = $1 WHERE id = $2', [groupId, source.id]);
+            }
+
+            const shared = Object.fromEntries(FAMILY_SHARED_FIELDS.map(field => [
+                field,
+                data[field] !== undefined && data[field] !== '' ? data[field] : source[field]
+            ]));
+
+            const codeClient = await barcodeService.generateClientCode(client);
+
+            const insertResult = await client.query(`
+                INSERT INTO clients (
+                    code_client, nom, prenom, telephone_principal, telephone_secondaire,
+                    email, adresse_principale, adresse_livraison, ville, code_postal, pays,
+                    notes, statut, actif, groupe_id, created_by, updated_by
+                ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, 'actif', true, $13, $14, $14)
+                RETURNING *
+            `, [
+                codeClient,
+                String(data.nom || '').trim() || source.nom,
+                prenom,
+                shared.telephone_principal,
+                shared.telephone_secondaire || null,
+                data.email || null,
+                shared.adresse_principale,
+                shared.adresse_livraison || null,
+                shared.ville || null,
+                shared.code_postal || null,
+                shared.pays || 'France',
+                data.notes || null,
+                groupId,
+                userId
+            ]);
+
+            return { source, groupId, member: insertResult.rows[0] };
+        });
+
+        await auditService.log({
+            utilisateur_id: userId,
+            action: 'CREATE',
+            entite: 'clients',
+            entite_id: result.member.id,
+            nouvelles_valeurs: { ...result.member, copie_de: sourceId }
+        });
+
+        logger.info(`Membre de famille #${result.member.id} créé depuis le client #${sourceId}`);
+
+        return { client: result.member, groupe_id: result.groupId };
+    }
+
+    // =============================================
+    // UTILITAIRES
+    // =============================================
+
+    /**
+     * Totaux consolidés d'une liste de soldes individuels
+     */
+    consolidate(balances) {
+        return {
+            total_due: round(balances.reduce((sum, b) => sum + (b.total_due || 0), 0)),
+            total_paid: round(balances.reduce((sum, b) => sum + (b.total_paid || 0), 0)),
+            balance: round(balances.reduce((sum, b) => sum + (b.balance || 0), 0))
+        };
+    }
+
+    /**
+     * Vérifier que les clients existent et n'appartiennent à aucun autre groupe
+     */
+    async assertAvailableMembers(client, clientIds) {
+        const result = await client.query(
+            'SELECT id, nom, prenom, groupe_id, fusionne_avec_id FROM clients WHERE id = ANY($1) FOR UPDATE',
+            [clientIds]
+        );
+
+        if (result.rows.length !== clientIds.length || result.rows.some(row => row.fusionne_avec_id)) {
+            throw this.error('Client non trouvé', 404);
+        }
+
+        const grouped = result.rows.filter(row => row.groupe_id);
+        if (grouped.length > 0) {
+            const names = grouped.map(row => `${row.nom} ${row.prenom}`).join(', ');
+            throw this.error(`Déjà membre d'un autre groupe : ${names}`, 409);
+        }
+    }
+
+    /**
+     * Répartition explicite : membres du groupe uniquement, total égal au montant payé
+     */
+    validateAllocations(allocations, members, montant) {
+        if (!Array.isArray(allocations) || allocations.length === 0) {
+            throw this.error('La répartition du paiement est vide', 400);
+        }
+
+        const normalized = allocations.map(allocation => ({
+            client_id: parseInt(allocation.client_id, 10),
+            montant: round(parseFloat(allocation.montant))
+        }));
+
+        for (const allocation of normalized) {
+            if (!members.some(member => member.id === allocation.client_id)) {
+                throw this.error(`Le client #${allocation.client_id} ne fait pas partie du groupe`, 400);
+            }
+            if (!(allocation.montant > 0)) {
+                throw this.error('Chaque montant réparti doit être positif', 400);
+            }
+        }
+
+        const total = round(normalized.reduce((sum, allocation) => sum + allocation.montant, 0));
+        if (total !== montant) {
+            throw this.error(`La répartition (${total}) ne correspond pas au montant payé (${montant})`, 400);
+        }
+
+        return normalized;
+    }
+
+    /**
+     * Répartition automatique : les membres débiteurs clients depuis le plus longtemps
+     * (première réception) sont réglés d'abord, le surplus va au payeur
+     */
+    async allocateOldestFirst(client, members, payerId, montant) {
+        const debtors = members.filter(member => member.balance > 0);
+
+        const agesResult = await client.query(`
+            SELECT client_id, MIN(date_reception) as premiere_reception
+            FROM marchandises
+            WHERE client_id = ANY($1)
+            GROUP BY client_id
+        `, [debtors.map(member => member.id)]);
+
+        const ages = new Map(agesResult.rows.map(row => [row.client_id, new Date(row.premiere_reception).getTime() || 0]));
+        debtors.sort((a, b) => (ages.get(a.id) || 0) - (ages.get(b.id) || 0) || a.id - b.id);
+
+        const allocations = [];
+        let remaining = montant;
+
+        for (const member of debtors) {
+            if (remaining <= 0) break;
+
+            const amount = round(Math.min(member.balance, remaining));
+            allocations.push({ client_id: member.id, montant: amount });
+            remaining = round(remaining - amount);
+        }
+
+        if (remaining > 0) {
+            const payerAllocation = allocations.find(allocation => allocation.client_id === payerId);
+            if (payerAllocation) {
+                payerAllocation.montant = round(payerAllocation.montant + remaining);
+            } else {
+                allocations.push({ client_id: payerId, montant: remaining });
+            }
+        }
+
+        return allocations;
+    }
+
+    error(message, statusCode) {
+        const error = new Error(message);
+        error.statusCode = statusCode;
+        return error;
+    }
+}
+
+module.exports = new ClientGroupService();
@@ -0,0 +1,692 @@
+/**
+ * Service des étiquettes et segments de clients
+ * Étiquettes prédéfinies ou libres, segments dynamiques définis par des règles
+ * et utilisés comme filtres, audiences d'envois groupés et dimensions de rapport
+ */
+
+const { query, transaction } = require('../database/connection');
+const { logger } = require('../../shared/logger');
+const auditService = require('./auditService');
+const notificationService = require('./notificationService');
+const queryLanguageService = require('./queryLanguageService');
+
+const TAG_COLORS = ['primary', 'secondary', 'success', 'danger', 'warning', 'info', 'dark'];
+
+const NUMBER_OPERATORS = ['>', '>=', '<', '<=', '='];
+const TEXT_OPERATORS = ['=', '!='];
+const TAG_OPERATORS = ['a', 'na'];
+
+// Sous-requêtes sur les marchandises du client, limitées aux `mois` derniers mois si renseigné
+const shipmentAggregate = (aggregate) => (months) => `(
+    SELECT ${aggregate} FROM marchandises sm
+    WHERE sm.client_id = c.id${months ? ` AND COALESCE(sm.date_reception, sm.created_at) >= CURRENT_DATE - make_interval(months => ${months}::int)` : ''}
+)`;
+
+// Critères disponibles dans les règles de segment
+// nombre : comparaison numérique, periode : fenêtre glissante en mois facultative
+const SEGMENT_CRITERIA = {
+    envois: {
+        label: 'Nombre d\'envois',
+        type: 'nombre',
+        periode: true,
+        sql: shipmentAggregate('COUNT(*)')
+    },
+    chiffre_affaires: {
+        label: 'Chiffre d\'affaires (EUR)',
+        type: 'nombre',
+        periode: true,
+        sql: shipmentAggregate('COALESCE(SUM(sm.cout_total), 0)')
+    },
+    solde: {
+        label: 'Solde dû (EUR)',
+        type: 'nombre',
+        sql: () => 'COALESCE(c.balance_courante, 0)'
+    },
+    jours_sans_envoi: {
+        label: 'Jours depuis le dernier envoi',
+        type: 'nombre',
+        sql: () => `(CURRENT_DATE - (
+            SELECT MAX(COALESCE(sm.date_reception, sm.created_at))::date FROM marchandises sm WHERE sm.client_id = c.id
+        ))`
+    },
+    etiquette: {
+        label: 'Étiquette',
+        type: 'etiquette'
+    },
+    ville: {
+        label: 'Ville',
+        type: 'texte',
+        column: 'c.ville'
+    },
+    pays: {
+        label: 'Pays',
+        type: 'texte',
+        column: 'c.pays'
+    },
+    type_client: {
+        label: 'Type de client',
+        type: 'liste',
+        values: ['particulier', 'entreprise'],
+        column: 'c.type_client'
+    }
+};
+
+const OPERATORS_BY_TYPE = {
+    nombre: NUMBER_OPERATORS,
+    texte: TEXT_OPERATORS,
+    liste: TEXT_OPERATORS,
+    etiquette: TAG_OPERATORS
+};
+
+// Les segments ne portent que sur les clients en activité
+const MEMBER_SCOPE = 'c.supprime_le IS NULL AND c.archive_le IS NULL';
+
+const MAX_PERIOD_MONTHS = 120;
+
+class ClientSegmentService {
+    /**
+     * Catalogue des critères et opérateurs, pour construire les règles côté client
+     */
+    getCriteria() {
+        return Object.entries(SEGMENT_CRITERIA).map(([key, criterion]) => ({
+            critere: key,
+            label: criterion.label,
+            type: criterion.type,
+            periode: Boolean(criterion.periode),
+            valeurs: criterion.values || null,
+            operateurs: OPERATORS_BY_TYPE[criterion.type]
+        }));
+    }
+
+    // =============================================
+    // ÉTIQUETTES
+    // =============================================
+
+    /**
+     * Lister les étiquettes avec leur nombre de clients
+     */
+    async listTags() {
+        const result = await query(`
+            SELECT t.*, COUNT(ct.client_id)::int as nombre_clients
+            FROM tags t
+            LEFT JOIN clients_tags ct ON ct.tag_id = t.id
+            GROUP BY t.id
+            ORDER BY t.predefini DESC, t.nom
+        `);
+
+        return result.rows;
+    }
+
+    /**
+     * Créer une étiquette libre
+     */
+    async createTag(data, userId) {
+        const nom = this.normalizeTagName(data.nom);
+        const couleur = this.normalizeColor(data.couleur);
+
+        const existing = await query('SELECT id FROM tags WHERE LOWER(nom) = LOWER($1)', [nom]);
+        if (existing.rows.length > 0) {
+            throw this.error(`L'étiquette "${nom}" existe déjà`, 409);
+        }
+
+        const result = await query(
+            'INSERT INTO tags (nom, couleur, created_by) VALUES ($1, $2, $3) RETURNING *',
+            [nom, couleur, userId]
+        );
+
+        await auditService.log({
+            utilisateur_id: userId,
+            action: 'CREATE',
+            entite: 'tags',
+            entite_id: result.rows[0].id,
+            nouvelles_valeurs: result.rows[0]
+        });
+
+        return result.rows[0];
+    }
+
+    /**
+     * Renommer ou recolorer une étiquette
+     */
+    async updateTag(tagId, data, userId) {
+        const existing = await this.getTag(tagId);
+
+        const nom = data.nom !== undefined ? this.normalizeTagName(data.nom) : existing.nom;
+        const couleur = data.couleur !== undefined ? this.normalizeColor(data.couleur) : existing.couleur;
+
+        const duplicate = await query(
+            'SELECT id FROM tags WHERE LOWER(nom) = LOWER($1) AND id != $2',
+            [nom, tagId]
+        );
+        if (duplicate.rows.length > 0) {
+            throw this.error(`L'étiquette "${nom}" existe déjà`, 409);
+        }
+
+        const result = await query(
+            'UPDATE tags SET nom = $1, couleur = $2 WHERE id = $3 RETURNING *',
+            [nom, couleur, tagId]
+        );
+
+        await auditService.log({
+            utilisateur_id: userId,
+            action: 'UPDATE',
+            entite: 'tags',
+            entite_id: tagId,
+            anciennes_valeurs: { nom: existing.nom, couleur: existing.couleur },
+            nouvelles_valeurs: { nom, couleur }
+        });
+
+        return result.rows[0];
+    }
+
+    /**
+     * Supprimer une étiquette libre (retirée de tous les clients)
+     */
+    async deleteTag(tagId, userId) {
+        const existing = await this.getTag(tagId);
+
+        if (existing.predefini) {
+            throw this.error('Une étiquette prédéfinie ne peut pas être supprimée', 400);
+        }
+
+        await query('DELETE FROM tags WHERE id = $1', [tagId]);
+
+        await auditService.log({
+            utilisateur_id: userId,
+            action: 'DELETE',
+            entite: 'tags',
+            entite_id: tagId,
+            anciennes_valeurs: existing
+        });
+    }
+
+    async getTag(tagId) {
+        const result = await query('SELECT * FROM tags WHERE id = $1', [tagId]);
+
+        if (result.rows.length === 0) {
+            throw this.error('Étiquette non trouvée', 404);
+        }
+
+        return result.rows[0];
+    }
+
+    /**
+     * Étiquettes d'un client
+     */
+    async getClientTags(clientId) {
+        const result = await query(`
+            SELECT t.id, t.nom, t.couleur, t.predefini
+            FROM clients_tags ct
+            JOIN tags t ON t.id = ct.tag_id
+            WHERE ct.client_id = $1
+            ORDER BY t.nom
+        `, [clientId]);
+
+        return result.rows;
+    }
+
+    /**
+     * Remplacer les étiquettes d'un client
+     * Chaque entrée est l'id d'une étiquette existante ou un nom ; un nom inconnu crée une étiquette libre
+     */
+    async setClientTags(clientId, values, userId) {
+        if (!Array.isArray(values)) {
+            throw this.error('La liste des étiquettes est requise', 400);
+        }
+
+        const before = await this.getClientTags(clientId);
+
+        await transaction(async (client) => {
+            const exists = await client.query('SELECT id FROM clients WHERE id = $1', [clientId]);
+            if (exists.rows.length === 0) {
+                throw this.error('Client non trouvé', 404);
+            }
+
+            const tagIds = await this.resolveTagIds(client, values, userId);
+
+            await client.query(
+                'DELETE FROM clients_tags WHERE client_id = $1 AND NOT (tag_id = ANY($2))',
+                [clientId, tagIds]
+            );
+
+            if (tagIds.length > 0) {
+                await client.query(`
+                    INSERT INTO clients_tags (client_id, tag_id, created_by)
+                    SELECT $1, unnest($2::int[]), $3
+                    ON CONFLICT DO NOTHING
+                `, [clientId, tagIds, userId]);
+            }
+        });
+
+        const after = await this.getClientTags(clientId);
+
+        await auditService.log({
+            utilisateur_id: userId,
+            action: 'UPDATE_TAGS',
+            entite: 'clients',
+            entite_id: clientId,
+            anciennes_valeurs: { etiquettes: before.map(tag => tag.nom) },
+            nouvelles_valeurs: { etiquettes: after.map(tag => tag.nom) }
+        });
+
+        return after;
+    }
+
+    /**
+     * Convertir ids et noms en ids d'étiquettes, en créant les étiquettes libres manquantes
+     */
+    async resolveTagIds(client, values, userId) {
+        const ids = new Set();
+
+        for (const value of values) {
+            if (Number.isInteger(value) || /^\d+$/.test(String(value))) {
+                const tag = await client.query('SELECT id FROM tags WHERE id = $1', [parseInt(value, 10)]);
+                if (tag.rows.length === 0) {
+                    throw this.error(`Étiquette #${value} non trouvée`, 400);
+                }
+                ids.add(tag.rows[0].id);
+                continue;
+            }
+
+            const nom = this.normalizeTagName(value);
+            const result = await client.query(`
+                INSERT INTO tags (nom, created_by) VALUES ($1, $2)
+                ON CONFLICT ((LOWER(nom))) DO UPDATE SET nom = tags.nom
+                RETURNING id
+            `, [nom, userId]);
+            ids.add(result.rows[0].id);
+        }
+
+        return [...ids];
+    }
+
+    normalizeTagName(value) {
+        const nom = String(value || '').trim().replace(/\s+/g, ' ');
+
+        if (!nom) throw this.error('Le nom de l\'étiquette est requis', 400);
+        if (nom.length > 50) throw this.error('Le nom de l\'étiquette ne peut pas dépasser 50 caractères', 400);
+
+        return nom;
+    }
+
+    normalizeColor(value) {
+        if (value === undefined || value === null || value === '') return 'secondary';
+
+        if (!TAG_COLORS.includes(value)) {
+            throw this.error(`Couleur invalide. Couleurs acceptées : ${TAG_COLORS.join(', ')}`, 400);
+        }
+
+        return value;
+    }
+
+    // =============================================
+    // SEGMENTS
+    // =============================================
+
+    /**
+     * Lister les segments avec leur nombre de clients actuel
+     */
+    async list() {
+        const result = await query('SELECT * FROM segments_clients ORDER BY nom');
+
+        const segments = [];
+        for (const segment of result.rows) {
+            segments.push({
+                ...segment,
+                nombre_clients: await this.count(segment)
+            });
+        }
+
+        return segments;
+    }
+
+    async getById(segmentId) {
+        const result = await query('SELECT * FROM segments_clients WHERE id = $1', [segmentId]);
+
+        if (result.rows.length === 0) {
+            throw this.error('Segment non trouvé', 404);
+        }
+
+        return result.rows[0];
+    }
+
+    /**
+     * Créer un segment
+     */
+    async create(data, userId) {
+        const segment = this.validate(data);
+
+        const result = await query(`
+            INSERT INTO segments_clients (nom, description, regles, combinaison, requete, created_by)
+            VALUES ($1, $2, $3, $4, $5, $6)
+            RETURNING *
+        `, [segment.nom, segment.description, JSON.stringify(segment.regles), segment.combinaison, segment.requete, userId]);
+
+        await auditService.log({
+            utilisateur_id: userId,
+            action: 'CREATE',
+            entite: 'segments_clients',
+            entite_id: result.rows[0].id,
+            nouvelles_valeurs: segment
+        });
+
+        return result.rows[0];
+    }
+
+    /**
+     * Modifier un segment
+     */
+    async update(segmentId, data, userId) {
+        const existing = await this.getById(segmentId);
+        const segment = this.validate({ ...existing, ...data });
+
+        const result = await query(`
+            UPDATE segments_clients
+            SET nom = $1, description = $2, regles = $3, combinaison = $4, requete = $5
+            WHERE id = $6
+            RETURNING *
+        `, [segment.nom, segment.description, JSON.stringify(segment.regles), segment.combinaison, segment.requete, segmentId]);
+
+        await auditService.log({
+            utilisateur_id: userId,
+            action: 'UPDATE',
+            entite: 'segments_clients',
+            entite_id: segmentId,
+            anciennes_valeurs: existing,
+            nouvelles_valeurs: segment
+        });
+
+        return result.rows[0];
+    }
+
+    async remove(segmentId, userId) {
+        const existing = await this.getById(segmentId);
+
+        await query('DELETE FROM segments_clients WHERE id = $1', [segmentId]);
+
+        await auditService.log({
+            utilisateur_id: userId,
+            action: 'DELETE',
+            entite: 'segments_clients',
+            entite_id: segmentId,
+            anciennes_valeurs: existing
+        });
+    }
+
+    /**
+     * Valider et normaliser la définition d'un segment
+     */
+    validate(data) {
+        const nom = String(data.nom || '').trim();
+        if (!nom) throw this.error('Le nom du segment est requis', 400);
+
+        const combinaison = data.combinaison || 'toutes';
+        if (!['toutes', 'une'].includes(combinaison)) {
+            throw this.error('Combinaison invalide (toutes ou une)', 400);
+        }
+
+        const regles = (Array.isArray(data.regles) ? data.regles : []).map((rule, index) => this.validateRule(rule, index));
+        const requete = String(data.requete || '').trim() || null;
+
+        if (regles.length === 0 && !requete) {
+            throw this.error('Le segment doit comporter au moins une règle ou une requête', 400);
+        }
+
+        if (requete) {
+            const compiled = queryLanguageService.compile('clients', requete);
+            if (compiled.errors.length > 0) {
+                const error = this.error('Requête du segment invalide', 400);
+                error.details = compiled.errors;
+                throw error;
+            }
+        }
+
+        return {
+            nom,
+            description: String(data.description || '').trim() || null,
+            regles,
+            combinaison,
+            requete
+        };
+    }
+
+    validateRule(rule, index) {
+        const position = `Règle ${index + 1}`;
+        const criterion = SEGMENT_CRITERIA[rule && rule.critere];
+
+        if (!criterion) {
+            throw this.error(`${position} : critère inconnu (${rule && rule.critere})`, 400);
+        }
+
+        const operateur = rule.operateur || OPERATORS_BY_TYPE[criterion.type][0];
+        if (!OPERATORS_BY_TYPE[criterion.type].includes(operateur)) {
+            throw this.error(`${position} : opérateur "${operateur}" non accepté pour ${criterion.label}`, 400);
+        }
+
+        const normalized = { critere: rule.critere, operateur };
+
+        switch (criterion.type) {
+            case 'nombre': {
+                const valeur = parseFloat(rule.valeur);
+                if (!Number.isFinite(valeur)) throw this.error(`${position} : valeur numérique attendue`, 400);
+                normalized.valeur = valeur;
+                break;
+            }
+            case 'etiquette': {
+                const valeur = parseInt(rule.valeur, 10);
+                if (!valeur) throw this.error(`${position} : étiquette requise`, 400);
+                normalized.valeur = valeur;
+                break;
+            }
+            case 'liste':
+                if (!criterion.values.includes(rule.valeur)) {
+                    throw this.error(`${position} : valeur attendue parmi ${criterion.values.join(', ')}`, 400);
+                }
+                normalized.valeur = rule.valeur;
+                break;
+            default: {
+                const valeur = String(rule.valeur || '').trim();
+                if (!valeur) throw this.error(`${position} : valeur requise`, 400);
+                normalized.valeur = valeur;
+            }
+        }
+
+        if (criterion.periode && rule.mois !== undefined && rule.mois !== null && rule.mois !== '') {
+            const mois = parseInt(rule.mois, 10);
+            if (!(mois >= 1 && mois <= MAX_PERIOD_MONTHS)) {
+                throw this.error(`${position} : période entre 1 et ${MAX_PERIOD_MONTHS} mois`, 400);
+            }
+            normalized.mois = mois;
+        }
+
+        return normalized;
+    }
+
+    /**
+     * Compiler un segment en clause SQL sur l'alias "c" de la table clients
+     * Retourne { clause, params, nextIndex } : clause commence par " AND"
+     */
+    compile(segment, paramIndex = 1) {
+        const params = [];
+        const addParam = (value) => {
+            params.push(value);
+            return `$${paramIndex + params.length - 1}`;
+        };
+
+        const conditions = (segment.regles || []).map(rule => this.compileRule(rule, addParam));
+        const joiner = segment.combinaison === 'une' ? ' OR ' : ' AND ';
+
+        let clause = ` AND ${MEMBER_SCOPE}`;
+
+        if (conditions.length > 0) {
+            clause += ` AND (${conditions.map(sql => `(${sql})`).join(joiner)})`;
+        }
+
+        let nextIndex = paramIndex + params.length;
+
+        if (segment.requete) {
+            const compiled = queryLanguageService.compile('clients', segment.requete, nextIndex);
+            clause += compiled.clause;
+            params.push(...compiled.params);
+            nextIndex = compiled.nextIndex;
+        }
+
+        return { clause, params, nextIndex };
+    }
+
+    compileRule(rule, addParam) {
+        const criterion = SEGMENT_CRITERIA[rule.critere];
+
+        switch (criterion.type) {
+            case 'nombre': {
+                const months = rule.mois ? addParam(rule.mois) : null;
+                const value = addParam(rule.valeur);
+                return `${criterion.sql(months)} ${rule.operateur} ${value}::numeric`;
+            }
+            case 'etiquette': {
+                const sql = `EXISTS (SELECT 1 FROM clients_tags sct WHERE sct.client_id = c.id AND sct.tag_id = ${addParam(rule.valeur)})`;
+                return rule.operateur === 'na' ? `NOT ${sql}` : sql;
+            }
+            default: {
+                // Comparaison insensible à la casse et aux accents
+                const sql = `normaliser_recherche(${criterion.column}) = normaliser_recherche(${addParam(rule.valeur)})`;
+                return rule.operateur === '!=' ? `NOT COALESCE(${sql}, false)` : sql;
+            }
+        }
+    }
+
+    /**
+     * Nombre de clients d'un segment
+     */
+    async count(segment) {
+        const compiled = this.compile(segment);
+        const result = await query(
+            `SELECT COUNT(*)::int as total FROM clients c WHERE true${compiled.clause}`,
+            compiled.params
+        );
+
+        return result.rows[0].total;
+    }
+
+    /**
+     * Clients d'un segment (enregistré ou définition non sauvegardée)
+     */
+    async getMembers(segment, { limit = null } = {}) {
+        const compiled = this.compile(segment);
+        const params = [...compiled.params];
+        let limitClause = '';
+
+        if (limit) {
+            params.push(limit);
+            limitClause = `LIMIT $${compiled.nextIndex}`;
+        }
+
+        const result = await query(`
+            SELECT c.id, c.code_client, c.nom, c.prenom, c.email, c.telephone_principal,
+                   c.ville, c.pays, c.nombre_envois, c.balance_courante
+            FROM clients c
+            WHERE true${compiled.clause}
+            ORDER BY c.nom, c.prenom
+            ${limitClause}
+        `, params);
+
+        return result.rows;
+    }
+
+    /**
+     * Aperçu d'une définition avant enregistrement
+     */
+    async preview(data) {
+        const segment = this.validate({ nom: 'apercu', ...data });
+
+        return {
+            nombre_clients: await this.count(segment),
+            apercu: await this.getMembers(segment, { limit: 20 })
+        };
+    }
+
+    // =============================================
+    // AUDIENCES
+    // =============================================
+
+    /**
+     * Clients ciblés par un segment ou une étiquette
+     */
+    async resolveAudience({ segment_id: segmentId, tag_id: tagId }) {
+        if (segmentId) {
+            const segment = await this.getById(parseInt(segmentId, 10));
+            return { libelle: `Segment "${segment.nom}"`, clients: await this.getMembers(segment) };
+        }
+
+        if (tagId) {
+            const tag = await this.getTag(parseInt(tagId, 10));
+            const clients = await this.getMembers({
+                regles: [{ critere: 'etiquette', operateur: 'a', valeur: tag.id }]
+            });
+            return { libelle: `Étiquette "${tag.nom}"`, clients };
+        }
+
+        throw this.error('Audience requise : segment_id ou tag_id', 400);
+    }
+
+    /**
+     * Envoyer un email à tous les clients d'un segment ou d'une étiquette
+     * Le message accepte les variables {prenom}, {nom}, {code_client} et {solde}
+     */
+    async notifyAudience(data, userId) {
+        const sujet = String(data.sujet || '').trim();
+        const message = String(data.message || '').trim();
+
+        if (!sujet || !message) {
+            throw this.error('Le sujet et le message sont requis', 400);
+        }
+
+        if (!notificationService.emailTransporter) {
+            throw this.error('L\'envoi d\'emails n\'est pas configuré', 503);
+        }
+
+        const audience = await this.resolveAudience(data);
+        const recipients = audience.clients.filter(client => client.email);
+
+        let envoyes = 0;
+        for (const client of recipients) {
+            try {
+                await notificationService.sendClientMessage(client, sujet, message);
+                envoyes++;
+            } catch (error) {
+                logger.error(`Erreur envoi groupé au client ${client.code_client}:`, error);
+            }
+        }
+
+        const summary = {
+            audience: audience.libelle,
+            total: audience.clients.length,
+            envoyes,
+            echecs: recipients.length - envoyes,
+            sans_email: audience.clients.length - recipients.length
+        };
+
+        await auditService.log({
+            utilisateur_id: userId,
+            action: 'BULK_NOTIFY',
+            entite: data.segment_id ? 'segments_clients' : 'tags',
+            entite_id: parseInt(data.segment_id || data.tag_id, 10),
+            nouvelles_valeurs: { sujet, ...summary }
+        });
+
+        logger.info(`Envoi groupé "${sujet}" (${audience.libelle}) : ${envoyes}/${audience.clients.length}`);
+
+        return summary;
+    }
+
+    /**
+     * Erreur métier portant son statut HTTP
+     */
+    error(message, statusCode) {
+        const error = new Error(message);
+        error.statusCode = statusCode;
+        return error;
+    }
+}
+
+module.exports = new ClientSegmentService();
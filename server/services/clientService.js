@@ -0,0 +1,896 @@
+/**
+ * Service métier des clients
+ * Compteurs agrégés, recherche approximative, détection des doublons et fusion de fiches
+ */
+
+const { query, queryPrepared, transaction } = require('../database/connection');
+const { logger } = require('../../shared/logger');
+const appConfig = require('../config/app');
+const auditService = require('./auditService');
+const kycService = require('./kycService');
+
+// Pondération du score de similarité (total sur 100)
+const DUPLICATE_WEIGHTS = {
+    telephone: 45,
+    email: 30,
+    nom: 25
+};
+
+// Score minimum par défaut pour signaler un doublon probable
+const DEFAULT_MIN_SCORE = 50;
+
+// Compteurs agrégés dénormalisés dans la table clients
+const COUNTER_FIELDS = ['nombre_envois', 'volume_total', 'chiffre_affaires_total', 'total_achats', 'balance_courante'];
+
+// Valeurs attendues des compteurs pour tous les clients, arrondies à la précision des colonnes
+const EXPECTED_COUNTERS_QUERY = `
+    SELECT
+        c.id as client_id,
+        COALESCE(m.nombre_envois, 0) as nombre_envois,
+        ROUND(COALESCE(m.volume_total, 0), 2) as volume_total,
+        ROUND(COALESCE(m.chiffre_affaires_total, 0), 2) as chiffre_affaires_total,
+        ROUND(COALESCE(p.total_paye, 0), 2) as total_achats,
+        ROUND(COALESCE(m.chiffre_affaires_total, 0) - COALESCE(p.total_paye, 0), 2) as balance_courante
+    FROM clients c
+    LEFT JOIN (
+        SELECT client_id,
+               COUNT(*) as nombre_envois,
+               SUM(volume) as volume_total,
+               SUM(cout_total) as chiffre_affaires_total
+        FROM marchandises
+        GROUP BY client_id
+    ) m ON m.client_id = c.id
+    LEFT JOIN (
+        SELECT client_id, SUM(
+            CASE type_paiement WHEN 'remboursement' THEN -montant_paye WHEN 'indemnisation' THEN 0 ELSE montant_paye END
+        ) as total_paye
+        FROM paiements
+        WHERE statut = 'valide'
+        GROUP BY client_id
+    ) p ON p.client_id = c.id
+`;
+
+// Un client en corbeille n'est purgé que sans historique : les clés étrangères des marchandises,
+// paiements, réceptions et litiges l'interdisent, et un client absorbé par une fusion pointe vers lui
+const PURGEABLE_CONDITION = `(
+    NOT EXISTS (SELECT 1 FROM marchandises m WHERE m.client_id = c.id)
+    AND NOT EXISTS (SELECT 1 FROM paiements p WHERE p.client_id = c.id)
+    AND NOT EXISTS (SELECT 1 FROM receptions r WHERE r.client_id = c.id)
+    AND NOT EXISTS (SELECT 1 FROM litiges l WHERE l.client_id = c.id)
+    AND NOT EXISTS (SELECT 1 FROM clients f WHERE f.fusionne_avec_id = c.id)
+)`;
+
+// Nombre maximum de résultats de la recherche rapide
+const QUICK_SEARCH_MAX_LIMIT = 50;
+
+// Recherche approximative : colonnes générées et index trigrammes de la migration 003
+// Chaque critère alimente la liste des candidats via son propre index, le score trie ensuite
+const QUICK_SEARCH_QUERY = `
+    WITH conteneurs_trouves AS (
+        SELECT m.client_id, array_agg(DISTINCT ct.numero_conteneur) as numeros
+        FROM conteneurs ct
+        JOIN marchandises m ON m.conteneur_id = ct.id
+        WHERE length(regexp_replace($1, '[^A-Za-z0-9]', '', 'g')) >= 4
+          AND UPPER(ct.numero_conteneur) LIKE '%' || UPPER(regexp_replace($1, '[^A-Za-z0-9]', '', 'g')) || '%'
+        GROUP BY m.client_id
+    ),
+    candidats AS (
+        SELECT id FROM clients
+        WHERE normaliser_recherche($1) <> ''
+          AND (normaliser_recherche($1) <% recherche_texte
+               OR recherche_texte LIKE '%' || normaliser_recherche($1) || '%')
+        UNION
+        SELECT id FROM clients
+        WHERE length(regexp_replace($1, '[^0-9]', '', 'g')) >= 4
+          AND recherche_telephones LIKE '%' || regexp_replace($1, '[^0-9]', '', 'g') || '%'
+        UNION
+        SELECT client_id FROM conteneurs_trouves
+    )
+    SELECT
+        c.id, c.code_client, c.nom, c.prenom,
+        c.telephone_principal, c.telephone_secondaire, c.email, c.ville,
+        ctf.numeros as conteneurs,
+        GREATEST(
+            word_similarity(normaliser_recherche($1), c.recherche_texte),
+            CASE WHEN c.recherche_texte LIKE normaliser_recherche($1) || '%' THEN 1 ELSE 0 END,
+            CASE WHEN LOWER(c.code_client) = normaliser_recherche($1) THEN 2 ELSE 0 END,
+            CASE WHEN length(regexp_replace($1, '[^0-9]', '', 'g')) >= 4
+                  AND c.recherche_telephones LIKE '%' || regexp_replace($1, '[^0-9]', '', 'g') || '%'
+                 THEN 0.9 ELSE 0 END,
+            CASE WHEN ctf.client_id IS NOT NULL THEN 0.8 ELSE 0 END
+        ) as score
+    FROM candidats
+    JOIN clients c ON c.id = candidats.id
+    LEFT JOIN conteneurs_trouves ctf ON ctf.client_id = c.id
+    WHERE COALESCE(c.actif, true) = true
+      AND c.fusionne_avec_id IS NULL
+      AND c.archive_le IS NULL
+      AND c.supprime_le IS NULL
+    ORDER BY score DESC, c.nom, c.prenom
+    LIMIT $2
+`;
+
+class ClientService {
+    /**
+     * Recalculer les compteurs agrégés d'un client à partir de ses marchandises et paiements
+     * Accepte un client de transaction pour travailler sur des données non encore validées
+     */
+    async recalculateCounters(clientId, client = null) {
+        const runQuery = client ? client.query.bind(client) : query;
+
+        const result = await runQuery(`
+            WITH m AS (
+                SELECT
+                    COUNT(*) as nombre_envois,
+                    COALESCE(SUM(volume), 0) as volume_total,
+                    COALESCE(SUM(cout_total), 0) as chiffre_affaires_total
+                FROM marchandises
+                WHERE client_id = $1
+            ),
+            p AS (
+                SELECT COALESCE(SUM(
+                    CASE type_paiement WHEN 'remboursement' THEN -montant_paye WHEN 'indemnisation' THEN 0 ELSE montant_paye END
+                ), 0) as total_paye
+                FROM paiements
+                WHERE client_id = $1 AND statut = 'valide'
+            )
+            UPDATE clients c
+            SET nombre_envois = m.nombre_envois,
+                volume_total = m.volume_total,
+                chiffre_affaires_total = m.chiffre_affaires_total,
+                total_achats = p.total_paye,
+                balance_courante = m.chiffre_affaires_total - p.total_paye,
+                updated_at = CURRENT_TIMESTAMP
+            FROM m, p
+            WHERE c.id = $1
+            RETURNING c.id, c.nombre_envois, c.volume_total, c.chiffre_affaires_total,
+                      c.total_achats, c.balance_courante
+        `, [clientId]);
+
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Recalculer les compteurs de plusieurs clients après une écriture et diffuser
+     * les nouvelles valeurs ('client:updated') pour rafraîchir les listes ouvertes
+     * Un échec est journalisé sans faire échouer l'opération : le recalcul global rattrape l'écart
+     *
+     * @param {number[]} clientIds - Clients touchés (doublons et valeurs vides ignorés)
+     * @param {Object} [io] - Instance Socket.IO (req.io)
+     */
+    async refreshCounters(clientIds, io = null) {
+        const ids = [...new Set(clientIds.filter(Boolean).map(id => parseInt(id, 10)))];
+        const refreshed = [];
+
+        for (const id of ids) {
+            try {
+                const counters = await this.recalculateCounters(id);
+                if (!counters) continue;
+
+                refreshed.push(counters);
+
+                if (io) {
+                    io.emit('client:updated', { id: counters.id, compteurs: counters });
+                }
+            } catch (error) {
+                logger.error(`Erreur recalcul compteurs client #${id}:`, error);
+            }
+        }
+
+        return refreshed;
+    }
+
+    /**
+     * Vérifier les compteurs de tous les clients et corriger ceux qui ont dérivé
+     * Retourne le détail des écarts (valeur stockée / valeur calculée) par client
+     *
+     * @param {Object} options
+     * @param {boolean} [options.dryRun] - Signaler les écarts sans les corriger
+     */
+    async recalculateAllCounters({ dryRun = false } = {}) {
+        return transaction(async (client) => {
+            const stored = COUNTER_FIELDS.map(field => `COALESCE(c.${field}, 0)`).join(', ');
+            const expected = COUNTER_FIELDS.map(field => `calcul.${field}`).join(', ');
+
+            const driftResult = await client.query(`
+                WITH calcul AS (${EXPECTED_COUNTERS_QUERY})
+                SELECT c.id, c.code_client, c.nom, c.prenom,
+                       ${COUNTER_FIELDS.map(field => `COALESCE(c.${field}, 0) as stocke_${field}`).join(', ')},
+                       ${COUNTER_FIELDS.map(field => `calcul.${field} as calcule_${field}`).join(', ')}
+                FROM clients c
+                JOIN calcul ON calcul.client_id = c.id
+                WHERE (${stored}) IS DISTINCT FROM (${expected})
+                ORDER BY c.id
+            `);
+
+            const ecarts = driftResult.rows.map(row => ({
+                client_id: row.id,
+                code_client: row.code_client,
+                nom: `${row.nom} ${row.prenom}`,
+                champs: Object.fromEntries(
+                    COUNTER_FIELDS
+                        .filter(field => parseFloat(row[`stocke_${field}`]) !== parseFloat(row[`calcule_${field}`]))
+                        .map(field => [field, {
+                            stocke: parseFloat(row[`stocke_${field}`]),
+                            calcule: parseFloat(row[`calcule_${field}`])
+                        }])
+                )
+            }));
+
+            if (!dryRun && ecarts.length > 0) {
+                await client.query(`
+                    UPDATE clients c
+                    SET ${COUNTER_FIELDS.map(field => `${field} = calcul.${field}`).join(', ')},
+                        updated_at = CURRENT_TIMESTAMP
+                    FROM (${EXPECTED_COUNTERS_QUERY}) calcul
+                    WHERE calcul.client_id = c.id AND c.id = ANY($1)
+                `, [ecarts.map(ecart => ecart.client_id)]);
+            }
+
+            const countResult = await client.query('SELECT COUNT(*) as total FROM clients');
+
+            return {
+                clients_verifies: parseInt(countResult.rows[0].total, 10),
+                clients_en_ecart: ecarts.length,
+                corrige: !dryRun,
+                ecarts
+            };
+        });
+    }
+
+    /**
+     * Soldes de plusieurs clients : total facturé (marchandises), total payé (paiements validés,
+     * remboursements déduits, indemnisations de litige sans effet) et solde restant dû
+     * Accepte un client de transaction pour travailler sur des données non encore validées
+     */
+    async getBalances(clientIds, client = null) {
+        const runQuery = client ? client.query.bind(client) : query;
+
+        // Agrégats calculés séparément : une jointure directe multiplierait les montants
+        const result = await runQuery(`
+            SELECT
+                c.id as client_id,
+                COALESCE(m.total_due, 0) as total_due,
+                COALESCE(p.total_paid, 0) as total_paid,
+                COALESCE(m.total_due, 0) - COALESCE(p.total_paid, 0) as balance
+            FROM clients c
+            LEFT JOIN (
+                SELECT client_id, SUM(cout_total) as total_due
+                FROM marchandises
+                WHERE client_id = ANY($1)
+                GROUP BY client_id
+            ) m ON m.client_id = c.id
+            LEFT JOIN (
+                SELECT client_id, SUM(
+                    CASE type_paiement WHEN 'remboursement' THEN -montant_paye WHEN 'indemnisation' THEN 0 ELSE montant_paye END
+                ) as total_paid
+                FROM paiements
+                WHERE client_id = ANY($1) AND statut = 'valide'
+                GROUP BY client_id
+            ) p ON p.client_id = c.id
+            WHERE c.id = ANY($1)
+            ORDER BY c.id
+        `, [clientIds]);
+
+        return result.rows.map(row => ({
+            client_id: row.client_id,
+            total_due: parseFloat(row.total_due),
+            total_paid: parseFloat(row.total_paid),
+            balance: parseFloat(row.balance)
+        }));
+    }
+
+    /**
+     * Solde d'un client (null si le client n'existe pas)
+     */
+    async getBalance(clientId, client = null) {
+        const [balance] = await this.getBalances([clientId], client);
+        return balance || null;
+    }
+
+    /**
+     * Recherche rapide tolérante aux fautes (autocomplete)
+     * Nom, prénom, code client, ville, téléphones et numéro de conteneur des marchandises
+     */
+    async quickSearch(text, { limit = 10 } = {}) {
+        const term = String(text || '').trim();
+        if (term.length < 2) return [];
+
+        // Les jokers LIKE saisis par l'utilisateur sont neutralisés par la normalisation SQL
+        const max = Math.min(Math.max(parseInt(limit) || 10, 1), QUICK_SEARCH_MAX_LIMIT);
+        const result = await queryPrepared('quickSearchClients', QUICK_SEARCH_QUERY, [term, max]);
+
+        return result.rows.map(row => ({
+            ...row,
+            score: Math.round(parseFloat(row.score) * 100) / 100
+        }));
+    }
+
+    /**
+     * Lister les paires de clients probablement en double
+     */
+    async findDuplicates({ minScore = DEFAULT_MIN_SCORE, limit = 100, clientId = null } = {}) {
+        const result = await query(`
+            SELECT id, code_client, nom, prenom, telephone_principal, telephone_secondaire,
+                   email, ville, nombre_envois, groupe_id, created_at
+            FROM clients
+            WHERE COALESCE(actif, true) = true AND fusionne_avec_id IS NULL
+              AND archive_le IS NULL AND supprime_le IS NULL
+        `);
+
+        const clients = result.rows;
+        const candidates = this.buildCandidatePairs(clients);
+        const duplicates = [];
+
+        for (const [a, b] of candidates) {
+            if (clientId && a.id !== clientId && b.id !== clientId) continue;
+
+            const match = this.scorePair(a, b);
+            if (match.score >= minScore) {
+                // Le client le plus ancien est proposé comme fiche à conserver
+                const [keep, merge] = a.id < b.id ? [a, b] : [b, a];
+                duplicates.push({ score: match.score, raisons: match.reasons, client: keep, doublon: merge });
+            }
+        }
+
+        duplicates.sort((x, y) => y.score - x.score);
+
+        return duplicates.slice(0, limit);
+    }
+
+    /**
+     * Regrouper les clients par clé (téléphone, email, début de nom)
+     * pour éviter de comparer toutes les paires de la table
+     */
+    buildCandidatePairs(clients) {
+        const buckets = new Map();
+        const addToBucket = (key, client) => {
+            if (!key) return;
+            if (!buckets.has(key)) buckets.set(key, []);
+            buckets.get(key).push(client);
+        };
+
+        for (const client of clients) {
+            for (const phone of this.clientPhones(client)) {
+                addToBucket(`tel:${phone}`, client);
+            }
+
+            const email = this.normalizeEmail(client.email);
+            if (email) addToBucket(`email:${email}`, client);
+
+            // Nom et prénom sont parfois inversés à la saisie
+            const nom = this.normalizeName(client.nom);
+            const prenom = this.normalizeName(client.prenom);
+            if (nom.length >= 3) addToBucket(`nom:${nom.slice(0, 3)}`, client);
+            if (prenom.length >= 3) addToBucket(`nom:${prenom.slice(0, 3)}`, client);
+        }
+
+        const seen = new Set();
+        const pairs = [];
+
+        for (const bucket of buckets.values()) {
+            for (let i = 0; i < bucket.length; i++) {
+                for (let j = i + 1; j < bucket.length; j++) {
+                    const a = bucket[i];
+                    const b = bucket[j];
+                    if (a.id === b.id) continue;
+
+                    // Les membres d'une même famille partagent volontairement adresse et téléphones
+                    if (a.groupe_id && a.groupe_id === b.groupe_id) continue;
+
+                    const key = a.id < b.id ? `${a.id}-${b.id}` : `${b.id}-${a.id}`;
+                    if (seen.has(key)) continue;
+
+                    seen.add(key);
+                    pairs.push([a, b]);
+                }
+            }
+        }
+
+        return pairs;
+    }
+
+    /**
+     * Calculer le score de similarité entre deux clients
+     */
+    scorePair(a, b) {
+        const reasons = [];
+        let score = 0;
+
+        const phonesA = this.clientPhones(a);
+        const phonesB = this.clientPhones(b);
+        if (phonesA.some(phone => phonesB.includes(phone))) {
+            score += DUPLICATE_WEIGHTS.telephone;
+            reasons.push('telephone');
+        }
+
+        const emailA = this.normalizeEmail(a.email);
+        if (emailA && emailA === this.normalizeEmail(b.email)) {
+            score += DUPLICATE_WEIGHTS.email;
+            reasons.push('email');
+        }
+
+        const nameA = `${this.normalizeName(a.nom)} ${this.normalizeName(a.prenom)}`;
+        const nameB = `${this.normalizeName(b.nom)} ${this.normalizeName(b.prenom)}`;
+        const nameBSwapped = `${this.normalizeName(b.prenom)} ${this.normalizeName(b.nom)}`;
+        const nameSimilarity = Math.max(this.similarity(nameA, nameB), this.similarity(nameA, nameBSwapped));
+
+        if (nameSimilarity >= 0.5) {
+            score += Math.round(DUPLICATE_WEIGHTS.nom * nameSimilarity);
+            reasons.push(nameSimilarity === 1 ? 'nom_identique' : 'nom_proche');
+        }
+
+        return { score, reasons };
+    }
+
+    /**
+     * Fusionner le client source dans le client cible
+     * Les marchandises et paiements sont transférés, la fiche source est archivée
+     */
+    async merge(targetId, sourceId, userId) {
+        if (targetId === sourceId) {
+            const error = new Error('Impossible de fusionner un client avec lui-même');
+            error.statusCode = 400;
+            throw error;
+        }
+
+        const summary = await transaction(async (client) => {
+            // Verrouiller les deux fiches dans un ordre stable pour éviter les interblocages
+            const lockResult = await client.query(
+                'SELECT * FROM clients WHERE id = ANY($1) ORDER BY id FOR UPDATE',
+                [[targetId, sourceId]]
+            );
+
+            const target = lockResult.rows.find(row => row.id === targetId);
+            const source = lockResult.rows.find(row => row.id === sourceId);
+
+            if (!target || !source) {
+                const error = new Error('Client non trouvé');
+                error.statusCode = 404;
+                throw error;
+            }
+
+            if (source.fusionne_avec_id || target.fusionne_avec_id) {
+                const error = new Error('Ce client a déjà été fusionné');
+                error.statusCode = 409;
+                throw error;
+            }
+
+            const marchandisesResult = await client.query(
+                'UPDATE marchandises SET client_id = $1, updated_at = CURRENT_TIMESTAMP WHERE client_id = $2 RETURNING id',
+                [targetId, sourceId]
+            );
+
+            const paiementsResult = await client.query(
+                'UPDATE paiements SET client_id = $1, updated_at = CURRENT_TIMESTAMP WHERE client_id = $2 RETURNING id',
+                [targetId, sourceId]
+            );
+
+            // Bons de dépôt : rattachés au client conservé avec les marchandises déposées
+            const receptionsResult = await client.query(
+                'UPDATE receptions SET client_id = $1 WHERE client_id = $2 RETURNING id',
+                [targetId, sourceId]
+            );
+
+            // Litiges : ils suivent leur marchandise
+            const litigesResult = await client.query(
+                'UPDATE litiges SET client_id = $1 WHERE client_id = $2 RETURNING id',
+                [targetId, sourceId]
+            );
+
+            const counters = await this.recalculateCounters(targetId, client);
+            await this.recalculateCounters(sourceId, client);
+
+            // Groupe familial : le client conservé reprend la place du client absorbé, et son rôle de payeur
+            // s'il rejoint le groupe ; membre d'un autre groupe, il laisse le groupe sans payeur
+            await client.query(
+                'UPDATE clients SET groupe_id = $2 WHERE id = $1 AND groupe_id IS NULL',
+                [targetId, source.groupe_id]
+            );
+            const joinsGroup = target.groupe_id === null || target.groupe_id === source.groupe_id;
+            await client.query(
+                'UPDATE clients_groupes SET payeur_id = $1 WHERE payeur_id = $2',
+                [joinsGroup ? targetId : null, sourceId]
+            );
+
+            // Étiquettes : le client conservé cumule celles des deux fiches
+            await client.query(`
+                INSERT INTO clients_tags (client_id, tag_id, created_by)
+                SELECT $1, tag_id, created_by FROM clients_tags WHERE client_id = $2
+                ON CONFLICT DO NOTHING
+            `, [targetId, sourceId]);
+
+            await client.query(`
+                UPDATE clients
+                SET actif = false,
+                    statut = 'inactif',
+                    groupe_id = NULL,
+                    fusionne_avec_id = $2,
+                    archive_le = CURRENT_TIMESTAMP,
+                    updated_at = CURRENT_TIMESTAMP,
+                    updated_by = $3
+                WHERE id = $1
+            `, [sourceId, targetId, userId]);
+
+            return {
+                target,
+                source,
+                marchandises: marchandisesResult.rows.map(row => row.id),
+                paiements: paiementsResult.rows.map(row => row.id),
+                receptions: receptionsResult.rows.map(row => row.id),
+                litiges: litigesResult.rows.map(row => row.id),
+                counters
+            };
+        });
+
+        await auditService.log({
+            utilisateur_id: userId,
+            action: 'MERGE',
+            entite: 'clients',
+            entite_id: targetId,
+            anciennes_valeurs: {
+                client_conserve: summary.target,
+                client_fusionne: summary.source
+            },
+            nouvelles_valeurs: {
+                client_fusionne_id: sourceId,
+                marchandises_transferees: summary.marchandises,
+                paiements_transferes: summary.paiements,
+                receptions_transferees: summary.receptions,
+                litiges_transferes: summary.litiges,
+                compteurs: summary.counters
+            }
+        });
+
+        logger.info(`Client #${sourceId} fusionné dans #${targetId} par utilisateur #${userId}`);
+
+        return {
+            client_id: targetId,
+            client_fusionne_id: sourceId,
+            marchandises_transferees: summary.marchandises.length,
+            paiements_transferes: summary.paiements.length,
+            receptions_transferees: summary.receptions.length,
+            litiges_transferes: summary.litiges.length,
+            compteurs: summary.counters
+        };
+    }
+
+    // =============================================
+    // ARCHIVAGE ET CORBEILLE
+    // =============================================
+
+    /**
+     * Archiver un client : conservé et consultable, mais masqué des listes et recherches par défaut
+     */
+    async archive(clientId, userId) {
+        const current = await this.findForLifecycle(clientId);
+
+        if (current.supprime_le) {
+            throw this.error('Ce client est dans la corbeille', 400);
+        }
+        if (current.archive_le) {
+            throw this.error('Ce client est déjà archivé', 400);
+        }
+
+        const result = await query(`
+            UPDATE clients
+            SET archive_le = CURRENT_TIMESTAMP, archive_par = $2, updated_by = $2
+            WHERE id = $1
+            RETURNING id, code_client, nom, prenom, archive_le
+        `, [clientId, userId]);
+
+        await auditService.log({
+            utilisateur_id: userId,
+            action: 'ARCHIVE',
+            entite: 'clients',
+            entite_id: clientId
+        });
+
+        return result.rows[0];
+    }
+
+    /**
+     * Désarchiver un client (impossible pour un client absorbé par une fusion)
+     */
+    async unarchive(clientId, userId) {
+        const current = await this.findForLifecycle(clientId);
+
+        if (!current.archive_le) {
+            throw this.error('Ce client n\'est pas archivé', 400);
+        }
+        if (current.fusionne_avec_id) {
+            throw this.error('Un client fusionné ne peut pas être désarchivé', 400);
+        }
+        if (current.anonymise_le) {
+            throw this.error('Un client anonymisé ne peut pas être désarchivé', 400);
+        }
+
+        const result = await query(`
+            UPDATE clients
+            SET archive_le = NULL, archive_par = NULL, updated_by = $2
+            WHERE id = $1
+            RETURNING id, code_client, nom, prenom
+        `, [clientId, userId]);
+
+        await auditService.log({
+            utilisateur_id: userId,
+            action: 'UNARCHIVE',
+            entite: 'clients',
+            entite_id: clientId,
+            anciennes_valeurs: { archive_le: current.archive_le }
+        });
+
+        return result.rows[0];
+    }
+
+    /**
+     * Supprimer un client : il passe en corbeille et reste restaurable jusqu'à la purge
+     * Refusé tant que le client a des marchandises non livrées
+     */
+    async softDelete(clientId, userId) {
+        const current = await this.findForLifecycle(clientId);
+
+        if (current.supprime_le) {
+            throw this.error('Ce client est déjà dans la corbeille', 400);
+        }
+
+        const activeResult = await query(
+            'SELECT COUNT(*) as count FROM marchandises WHERE client_id = $1 AND statut != \'livre\'',
+            [clientId]
+        );
+
+        if (parseInt(activeResult.rows[0].count, 10) > 0) {
+            throw this.error('Impossible de supprimer un client avec des marchandises actives', 400);
+        }
+
+        const result = await query(`
+            UPDATE clients
+            SET actif = false, supprime_le = CURRENT_TIMESTAMP, supprime_par = $2, updated_by = $2
+            WHERE id = $1
+            RETURNING id, code_client, nom, prenom, supprime_le
+        `, [clientId, userId]);
+
+        await auditService.log({
+            utilisateur_id: userId,
+            action: 'DELETE',
+            entite: 'clients',
+            entite_id: clientId,
+            anciennes_valeurs: current
+        });
+
+        return result.rows[0];
+    }
+
+    /**
+     * Restaurer un client de la corbeille
+     */
+    async restore(clientId, userId) {
+        const current = await this.findForLifecycle(clientId);
+
+        if (!current.supprime_le) {
+            throw this.error('Ce client n\'est pas dans la corbeille', 400);
+        }
+
+        const result = await query(`
+            UPDATE clients
+            SET actif = true, supprime_le = NULL, supprime_par = NULL, updated_by = $2
+            WHERE id = $1
+            RETURNING id, code_client, nom, prenom
+        `, [clientId, userId]);
+
+        await auditService.log({
+            utilisateur_id: userId,
+            action: 'RESTORE',
+            entite: 'clients',
+            entite_id: clientId,
+            anciennes_valeurs: { supprime_le: current.supprime_le }
+        });
+
+        return result.rows[0];
+    }
+
+    /**
+     * Durée de conservation en corbeille : paramètre CORBEILLE_RETENTION_JOURS, sinon configuration
+     */
+    async getRetentionDays() {
+        try {
+            const result = await query(
+                'SELECT valeur FROM parametres_systeme WHERE cle = $1',
+                ['CORBEILLE_RETENTION_JOURS']
+            );
+            const days = result.rows.length > 0 ? parseInt(result.rows[0].valeur, 10) : NaN;
+            if (days >= 0) return days;
+        } catch (error) {
+            logger.warn('Lecture CORBEILLE_RETENTION_JOURS impossible, configuration par défaut utilisée:', error.message);
+        }
+
+        return appConfig.business.trash.retentionDays;
+    }
+
+    /**
+     * Clients en corbeille, les plus récemment supprimés en premier
+     * "purgeable" est faux tant que le client a un historique (marchandises, paiements, fusions) :
+     * la purge le conserve alors en corbeille
+     */
+    async listTrash() {
+        const retentionDays = await this.getRetentionDays();
+
+        const result = await query(`
+            SELECT c.id, c.code_client, c.nom, c.prenom, c.telephone_principal, c.email, c.ville,
+                   c.supprime_le, u.nom as supprime_par_nom, u.prenom as supprime_par_prenom,
+                   c.supprime_le + make_interval(days => $1) as purge_prevue_le,
+                   ${PURGEABLE_CONDITION} as purgeable
+            FROM clients c
+            LEFT JOIN utilisateurs u ON u.id = c.supprime_par
+            WHERE c.supprime_le IS NOT NULL
+            ORDER BY c.supprime_le DESC
+        `, [retentionDays]);
+
+        return {
+            retention_jours: retentionDays,
+            clients: result.rows
+        };
+    }
+
+    /**
+     * Supprimer définitivement les clients en corbeille depuis plus longtemps que la rétention
+     * Les clients ayant un historique comptable sont conservés et signalés
+     *
+     * @param {Object} options
+     * @param {number} [options.retentionDays] - Par défaut : getRetentionDays()
+     * @param {number} [options.userId] - Utilisateur à l'origine de la purge (null pour la tâche planifiée)
+     */
+    async purgeTrash({ retentionDays = null, userId = null } = {}) {
+        const days = retentionDays !== null ? retentionDays : await this.getRetentionDays();
+
+        const summary = await transaction(async (client) => {
+            const expired = await client.query(`
+                SELECT c.id, c.code_client, c.nom, c.prenom, ${PURGEABLE_CONDITION} as purgeable
+                FROM clients c
+                WHERE c.supprime_le IS NOT NULL
+                  AND c.supprime_le < CURRENT_TIMESTAMP - make_interval(days => $1)
+                FOR UPDATE
+            `, [days]);
+
+            const purgeable = expired.rows.filter(row => row.purgeable);
+            const ids = purgeable.map(row => row.id);
+
+            let files = [];
+            if (ids.length > 0) {
+                const filesResult = await client.query(
+                    'SELECT fichier FROM documents_identite WHERE client_id = ANY($1) AND fichier IS NOT NULL',
+                    [ids]
+                );
+                files = filesResult.rows.map(row => row.fichier);
+
+                await client.query('DELETE FROM clients WHERE id = ANY($1)', [ids]);
+            }
+
+            const describe = (row) => ({ id: row.id, code_client: row.code_client, nom: row.nom, prenom: row.prenom });
+
+            return {
+                purges: purgeable.map(describe),
+                conserves: expired.rows.filter(row => !row.purgeable).map(describe),
+                files
+            };
+        });
+
+        // Scans des pièces d'identité supprimés une fois la transaction validée
+        summary.files.forEach(file => kycService.removeFile(file));
+
+        if (summary.purges.length > 0) {
+            await auditService.log({
+                utilisateur_id: userId,
+                action: 'PURGE',
+                entite: 'clients',
+                anciennes_valeurs: { clients: summary.purges, retention_jours: days }
+            });
+        }
+
+        logger.info(`Purge corbeille clients: ${summary.purges.length} supprimé(s), ${summary.conserves.length} conservé(s) avec historique`);
+
+        return {
+            retention_jours: days,
+            purges: summary.purges,
+            conserves: summary.conserves
+        };
+    }
+
+    /**
+     * Planifier la purge quotidienne de la corbeille
+     */
+    schedulePurge() {
+        const schedule = require('node-schedule');
+
+        schedule.scheduleJob(appConfig.business.trash.schedule, async () => {
+            try {
+                await this.purgeTrash();
+            } catch (error) {
+                logger.error('Échec de la purge de la corbeille clients:', error);
+            }
+        });
+
+        logger.info(`Purge de la corbeille clients programmée (${appConfig.business.trash.schedule})`);
+    }
+
+    /**
+     * Client pour les opérations d'archivage et de corbeille (404 s'il n'existe pas)
+     */
+    async findForLifecycle(clientId) {
+        const result = await query(`
+            SELECT id, code_client, nom, prenom, actif, fusionne_avec_id, archive_le, supprime_le, anonymise_le
+            FROM clients
+            WHERE id = $1
+        `, [clientId]);
+
+        if (result.rows.length === 0) {
+            throw this.error('Client non trouvé', 404);
+        }
+
+        return result.rows[0];
+    }
+
+    /**
+     * Erreur métier portant son statut HTTP
+     */
+    error(message, statusCode) {
+        const error = new Error(message);
+        error.statusCode = statusCode;
+        return error;
+    }
+
+    // =============================================
+    // NORMALISATION
+    // =============================================
+
+    /**
+     * Téléphones d'un client réduits à leurs 9 derniers chiffres
+     * (ignore indicatif international, espaces et zéro initial)
+     */
+    clientPhones(client) {
+        return [client.telephone_principal, client.telephone_secondaire]
+            .map(phone => String(phone || '').replace(/\D/g, '').slice(-9))
+            .filter(phone => phone.length === 9);
+    }
+
+    normalizeEmail(email) {
+        return String(email || '').trim().toLowerCase();
+    }
+
+    normalizeName(name) {
+        return String(name || '')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/[^a-z]/g, '');
+    }
+
+    /**
+     * Similarité de Dice sur les bigrammes (0 à 1)
+     */
+    similarity(a, b) {
+        if (!a || !b) return 0;
+        if (a === b) return 1;
+
+        const bigrams = (text) => {
+            const result = new Map();
+            for (let i = 0; i < text.length - 1; i++) {
+                const bigram = text.slice(i, i + 2);
+                result.set(bigram, (result.get(bigram) || 0) + 1);
+            }
+            return result;
+        };
+
+        const bigramsA = bigrams(a);
+        const bigramsB = bigrams(b);
+        let intersection = 0;
+
+        for (const [bigram, count] of bigramsA) {
+            intersection += Math.min(count, bigramsB.get(bigram) || 0);
+        }
+
+        return (2 * intersection) / (a.length - 1 + b.length - 1);
+    }
+}
+
+module.exports = new ClientService();
@@ -0,0 +1,159 @@
+/**
+ * Service de politique de crédit
+ * Compare l'encours des clients à leur limite de crédit avant l'affectation
+ * et le chargement des marchandises, avec dérogation tracée dans l'audit
+ */
+
+const { query } = require('../database/connection');
+const { logger } = require('../../shared/logger');
+const appConfig = require('../config/app');
+const auditService = require('./auditService');
+const clientService = require('./clientService');
+
+const POLICY_MODES = ['desactive', 'avertir', 'bloquer'];
+
+// Le paramètre système est relu au plus toutes les minutes
+const POLICY_CACHE_TTL = 60 * 1000;
+
+class CreditPolicyService {
+    constructor() {
+        this.cachedMode = null;
+        this.cachedAt = 0;
+    }
+
+    /**
+     * Mode de la politique : paramètre POLITIQUE_CREDIT, sinon configuration de l'application
+     */
+    async getMode() {
+        if (this.cachedMode && Date.now() - this.cachedAt < POLICY_CACHE_TTL) {
+            return this.cachedMode;
+        }
+
+        let mode = appConfig.business.credit.policy;
+
+        try {
+            const result = await query(
+                'SELECT valeur FROM parametres_systeme WHERE cle = $1',
+                ['POLITIQUE_CREDIT']
+            );
+            if (result.rows.length > 0) mode = result.rows[0].valeur;
+        } catch (error) {
+            logger.warn('Lecture POLITIQUE_CREDIT impossible, configuration par défaut utilisée:', error.message);
+        }
+
+        this.cachedMode = POLICY_MODES.includes(mode) ? mode : 'avertir';
+        this.cachedAt = Date.now();
+
+        return this.cachedMode;
+    }
+
+    /**
+     * Clients dont l'encours dépasse la limite de crédit
+     * Une limite à 0 ou NULL signifie "pas de limite"
+     */
+    async findViolations(clientIds) {
+        const ids = [...new Set(clientIds.filter(Boolean).map(id => parseInt(id, 10)))];
+        if (ids.length === 0) return [];
+
+        const clientsResult = await query(`
+            SELECT id, code_client, nom, prenom, credit_limite
+            FROM clients
+            WHERE id = ANY($1) AND COALESCE(credit_limite, 0) > 0
+        `, [ids]);
+
+        if (clientsResult.rows.length === 0) return [];
+
+        const balances = new Map(
+            (await clientService.getBalances(clientsResult.rows.map(row => row.id)))
+                .map(balance => [balance.client_id, balance.balance])
+        );
+
+        return clientsResult.rows
+            .map(client => ({
+                client_id: client.id,
+                code_client: client.code_client,
+                nom: `${client.nom} ${client.prenom}`,
+                credit_limite: parseFloat(client.credit_limite),
+                encours: balances.get(client.id) || 0
+            }))
+            .filter(client => client.encours > client.credit_limite)
+            .map(client => ({
+                ...client,
+                depassement: Math.round((client.encours - client.credit_limite) * 100) / 100
+            }));
+    }
+
+    /**
+     * Contrôler une opération sur les marchandises des clients donnés
+     * Retourne { mode, avertissements, derogation, motif } ; en mode "bloquer", lève une erreur 409
+     * sauf dérogation motivée d'un gestionnaire, à tracer par logOverride une fois l'opération faite
+     *
+     * @param {Object} params
+     * @param {number[]} params.clientIds - Clients concernés
+     * @param {Object} params.user - Utilisateur courant (req.user)
+     * @param {string} [params.motif] - Motif de dérogation
+     */
+    async check({ clientIds, user, motif = null }) {
+        const mode = await this.getMode();
+
+        if (mode === 'desactive') {
+            return { mode, avertissements: [], derogation: false };
+        }
+
+        const violations = await this.findViolations(clientIds);
+
+        if (violations.length === 0) {
+            return { mode, avertissements: [], derogation: false };
+        }
+
+        if (mode === 'avertir') {
+            return { mode, avertissements: violations, derogation: false };
+        }
+
+        const reason = String(motif || '').trim();
+
+        if (!reason) {
+            const error = new Error('Limite de crédit dépassée : une dérogation motivée d\'un gestionnaire est requise');
+            error.statusCode = 409;
+            error.details = violations;
+            throw error;
+        }
+
+        if (!appConfig.business.credit.overrideRoles.includes(user.role)) {
+            const error = new Error('Seul un gestionnaire peut déroger à la limite de crédit');
+            error.statusCode = 403;
+            error.details = violations;
+            throw error;
+        }
+
+        return { mode, avertissements: violations, derogation: true, motif: reason };
+    }
+
+    /**
+     * Tracer dans l'audit la dérogation accordée par check, après que l'opération a réussi :
+     * une affectation ou un scan refusé ne laisse pas de dérogation sans effet
+     *
+     * @param {Object} credit - Résultat de check
+     * @param {Object} params
+     * @param {string} params.operation - 'affectation' ou 'chargement'
+     * @param {Object} params.user - Utilisateur courant (req.user)
+     * @param {Object} [params.context] - Données ajoutées à l'audit (conteneur, marchandises)
+     */
+    async logOverride(credit, { operation, user, context = {} }) {
+        if (!credit.derogation) return;
+
+        for (const violation of credit.avertissements) {
+            await auditService.log({
+                utilisateur_id: user.id,
+                action: 'CREDIT_OVERRIDE',
+                entite: 'clients',
+                entite_id: violation.client_id,
+                nouvelles_valeurs: { operation, motif: credit.motif, ...violation, ...context }
+            });
+        }
+
+        logger.warn(`Dérogation crédit (${operation}) par ${user.email} pour ${credit.avertissements.length} client(s): ${credit.motif}`);
+    }
+}
+
+module.exports = new CreditPolicyService();
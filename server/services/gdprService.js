@@ -0,0 +1,452 @@
+/**
+ * Service RGPD des clients
+ * Export de toutes les données détenues sur un client (droit d'accès)
+ * et anonymisation de ses données personnelles (droit à l'effacement)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const archiver = require('archiver');
+const { query, transaction } = require('../database/connection');
+const { logger } = require('../../shared/logger');
+const auditService = require('./auditService');
+const kycService = require('./kycService');
+const receptionService = require('./receptionService');
+
+const PHOTOS_DIR = path.join(__dirname, '../../uploads/photos');
+const UPLOADS_DIR = path.join(__dirname, '../../uploads');
+
+// Colonnes techniques exclues de l'export (dérivées des données personnelles)
+const INTERNAL_COLUMNS = ['recherche_texte', 'recherche_telephones'];
+
+// Valeurs de remplacement des champs personnels ; les colonnes NOT NULL reçoivent un marqueur
+const ANONYMIZED_VALUES = {
+    nom: 'ANONYME',
+    prenom: 'ANONYME',
+    telephone_principal: '0000000000',
+    telephone_secondaire: null,
+    email: null,
+    adresse_principale: 'Adresse supprimée',
+    adresse_livraison: null,
+    ville: null,
+    code_postal: null,
+    nom_entreprise: null,
+    numero_entreprise: null,
+    numero_tva: null,
+    commentaires: null,
+    notes: null,
+    photo_identite: null
+};
+
+// Champs retirés des entrées du journal d'audit et des données des notifications du client
+// (les montants et compteurs restent)
+const HISTORY_PERSONAL_KEYS = [...Object.keys(ANONYMIZED_VALUES), ...INTERNAL_COLUMNS, 'signataire_nom'];
+
+// Valeurs effacées du texte des notifications
+const NOTIFICATION_TEXT_FIELDS = ['nom', 'prenom', 'telephone_principal', 'telephone_secondaire', 'email',
+    'adresse_principale', 'adresse_livraison', 'nom_entreprise', 'numero_entreprise', 'numero_tva'];
+
+class GdprService {
+    /**
+     * Rassembler toutes les données détenues sur un client
+     * Retourne { client, sections, files } : sections = fichiers JSON de l'archive,
+     * files = fichiers téléversés présents sur le disque
+     */
+    async collect(clientId) {
+        const clientResult = await query('SELECT * FROM clients WHERE id = $1', [clientId]);
+
+        if (clientResult.rows.length === 0) {
+            throw this.error('Client non trouvé', 404);
+        }
+
+        const client = { ...clientResult.rows[0] };
+        INTERNAL_COLUMNS.forEach(column => delete client[column]);
+
+        const marchandises = (await query(
+            'SELECT * FROM marchandises WHERE client_id = $1 ORDER BY created_at',
+            [clientId]
+        )).rows;
+
+        const paiements = (await query(
+            'SELECT * FROM paiements WHERE client_id = $1 OR payeur_id = $1 ORDER BY date_paiement',
+            [clientId]
+        )).rows;
+
+        const documents = (await query(
+            'SELECT * FROM documents_identite WHERE client_id = $1 ORDER BY created_at',
+            [clientId]
+        )).rows;
+
+        const etiquettes = (await query(`
+            SELECT t.nom, ct.created_at
+            FROM clients_tags ct
+            JOIN tags t ON t.id = ct.tag_id
+            WHERE ct.client_id = $1
+            ORDER BY t.nom
+        `, [clientId])).rows;
+
+        const groupe = client.groupe_id
+            ? (await query('SELECT id, nom, payeur_id, created_at FROM clients_groupes WHERE id = $1', [client.groupe_id])).rows[0] || null
+            : null;
+
+        const litiges = (await query(
+            'SELECT * FROM litiges WHERE client_id = $1 ORDER BY created_at',
+            [clientId]
+        )).rows;
+
+        const receptions = (await query(
+            'SELECT * FROM receptions WHERE client_id = $1 ORDER BY created_at',
+            [clientId]
+        )).rows;
+
+        const marchandiseIds = marchandises.map(m => m.id);
+        const paiementIds = paiements.map(p => p.id);
+
+        // Notifications internes portant sur le client, ses marchandises ou ses paiements
+        const notifications = (await query(`
+            SELECT id, type, titre, message, entite_type, entite_id, donnees, created_at
+            FROM notifications
+            WHERE (entite_type IN ('client', 'clients') AND entite_id = $1)
+               OR (entite_type IN ('marchandise', 'marchandises') AND entite_id = ANY($2))
+               OR (entite_type IN ('paiement', 'paiements') AND entite_id = ANY($3))
+               OR (donnees->>'client_id') = $1::text
+               OR (donnees->>'paiement_id') = ANY($4)
+            ORDER BY created_at
+        `, [clientId, marchandiseIds, paiementIds, paiementIds.map(String)])).rows;
+
+        const audit = (await query(`
+            SELECT id, utilisateur_id, action, entite, entite_id, anciennes_valeurs, nouvelles_valeurs, created_at
+            FROM logs_audit
+            WHERE (entite = 'clients' AND entite_id = $1)
+               OR (entite = 'marchandises' AND entite_id = ANY($2))
+               OR (entite = 'paiements' AND entite_id = ANY($3))
+               OR (entite = 'litiges' AND entite_id = ANY($4))
+               OR (entite = 'receptions' AND entite_id = ANY($5))
+            ORDER BY created_at
+        `, [clientId, marchandiseIds, paiementIds, litiges.map(l => l.id), receptions.map(r => r.id)])).rows;
+
+        return {
+            client,
+            sections: {
+                'client.json': { ...client, groupe, etiquettes },
+                'marchandises.json': marchandises,
+                'paiements.json': paiements,
+                'litiges.json': litiges,
+                'receptions.json': receptions,
+                'documents_identite.json': documents.map(doc => ({ ...doc, fichier: undefined })),
+                'notifications.json': notifications,
+                'audit.json': audit
+            },
+            files: await this.collectFiles(client, marchandises, documents, receptions)
+        };
+    }
+
+    /**
+     * Fichiers téléversés rattachés au client : scans d'identité, photo d'identité, photos de ses
+     * marchandises, signatures et bons de dépôt de ses réceptions ; les fichiers absents du disque sont ignorés
+     */
+    async collectFiles(client, marchandises, documents, receptions = []) {
+        const files = [];
+        const add = (filepath, name) => {
+            if (filepath && fs.existsSync(filepath)) files.push({ filepath, name });
+        };
+
+        documents
+            .filter(doc => doc.fichier)
+            .forEach(doc => add(path.join(kycService.storageDir, path.basename(doc.fichier)), `pieces_identite/${doc.id}_${path.basename(doc.fichier)}`));
+
+        if (client.photo_identite) {
+            add(this.uploadPath(client.photo_identite), `photo_identite/${path.basename(client.photo_identite)}`);
+        }
+
+        receptions.forEach(reception => {
+            if (reception.signature_fichier) {
+                add(receptionService.signaturePath(reception), `receptions/${reception.numero}/${path.basename(reception.signature_fichier)}`);
+            }
+            if (reception.bon_depot_fichier) {
+                add(receptionService.receiptPath(reception), `receptions/${reception.numero}/${path.basename(reception.bon_depot_fichier)}`);
+            }
+        });
+
+        if (marchandises.length > 0) {
+            const photosResult = await query(
+                'SELECT marchandise_id, filename FROM photos WHERE marchandise_id = ANY($1)',
+                [marchandises.map(m => m.id)]
+            );
+            const codes = new Map(marchandises.map(m => [m.id, m.code_barre]));
+
+            photosResult.rows.forEach(photo => add(
+                path.join(PHOTOS_DIR, path.basename(photo.filename)),
+                `photos/${codes.get(photo.marchandise_id)}/${path.basename(photo.filename)}`
+            ));
+        }
+
+        return files;
+    }
+
+    /**
+     * Écrire l'archive ZIP de l'export dans un flux (réponse HTTP)
+     * La promesse est résolue quand l'archive est entièrement écrite
+     */
+    writeArchive(exportData, output) {
+        return new Promise((resolve, reject) => {
+            const archive = archiver('zip', { zlib: { level: 9 } });
+
+            output.on('close', resolve);
+            output.on('finish', resolve);
+            archive.on('error', reject);
+            archive.on('warning', (warning) => logger.warn('Export RGPD:', warning.message));
+
+            archive.pipe(output);
+
+            for (const [name, content] of Object.entries(exportData.sections)) {
+                archive.append(JSON.stringify(content, null, 2), { name });
+            }
+
+            exportData.files.forEach(file => archive.file(file.filepath, { name: `fichiers/${file.name}` }));
+
+            archive.append(this.readme(exportData), { name: 'LISEZMOI.txt' });
+
+            archive.finalize();
+        });
+    }
+
+    /**
+     * Contenu du fichier LISEZMOI de l'archive
+     */
+    readme(exportData) {
+        const { client, sections, files } = exportData;
+
+        return [
+            `Export des données personnelles - ${client.code_client}`,
+            `Généré le ${new Date().toLocaleString('fr-FR')}`,
+            '',
+            'client.json              Fiche client, groupe familial et étiquettes',
+            `marchandises.json        ${sections['marchandises.json'].length} marchandise(s)`,
+            `paiements.json           ${sections['paiements.json'].length} paiement(s)`,
+            `receptions.json          ${sections['receptions.json'].length} réception(s) et bon(s) de dépôt`,
+            `documents_identite.json  ${sections['documents_identite.json'].length} pièce(s) d'identité`,
+            `notifications.json       ${sections['notifications.json'].length} notification(s)`,
+            `audit.json               ${sections['audit.json'].length} entrée(s) du journal d'audit`,
+            `fichiers/                ${files.length} fichier(s) téléversé(s)`,
+            ''
+        ].join('\r\n');
+    }
+
+    /**
+     * Tracer un export dans le journal d'audit
+     */
+    async logExport(clientId, userId, exportData) {
+        await auditService.log({
+            utilisateur_id: userId,
+            action: 'GDPR_EXPORT',
+            entite: 'clients',
+            entite_id: clientId,
+            nouvelles_valeurs: {
+                marchandises: exportData.sections['marchandises.json'].length,
+                paiements: exportData.sections['paiements.json'].length,
+                fichiers: exportData.files.length
+            }
+        });
+    }
+
+    /**
+     * Anonymiser un client : champs personnels remplacés, pièces d'identité et scans supprimés,
+     * nom du signataire, signatures et bons de dépôt des réceptions effacés, anciennes valeurs
+     * retirées du journal d'audit et des notifications, fiche archivée ;
+     * marchandises et paiements sont conservés pour la comptabilité
+     * Refusé tant que des marchandises du client ne sont pas livrées
+     *
+     * @param {number} clientId
+     * @param {number} userId
+     * @param {string} motif - Origine de la demande (obligatoire)
+     */
+    async anonymize(clientId, userId, motif) {
+        const reason = String(motif || '').trim();
+        if (!reason) {
+            throw this.error('Le motif de l\'anonymisation est obligatoire', 400);
+        }
+
+        const result = await transaction(async (client) => {
+            const current = await client.query('SELECT * FROM clients WHERE id = $1 FOR UPDATE', [clientId]);
+
+            if (current.rows.length === 0) {
+                throw this.error('Client non trouvé', 404);
+            }
+            if (current.rows[0].anonymise_le) {
+                throw this.error('Ce client est déjà anonymisé', 400);
+            }
+
+            const active = await client.query(
+                'SELECT COUNT(*) as count FROM marchandises WHERE client_id = $1 AND statut != \'livre\'',
+                [clientId]
+            );
+
+            if (parseInt(active.rows[0].count, 10) > 0) {
+                throw this.error('Anonymisation impossible : des marchandises du client ne sont pas encore livrées', 409);
+            }
+
+            const fields = Object.keys(ANONYMIZED_VALUES);
+            const assignments = fields.map((field, index) => `${field} = $${index + 2}`).join(', ');
+
+            await client.query(`
+                UPDATE clients
+                SET ${assignments},
+                    statut = 'inactif',
+                    actif = false,
+                    statut_kyc = 'non_verifie',
+                    kyc_verifie_le = NULL,
+                    archive_le = COALESCE(archive_le, CURRENT_TIMESTAMP),
+                    archive_par = COALESCE(archive_par, $${fields.length + 2}),
+                    anonymise_le = CURRENT_TIMESTAMP,
+                    anonymise_par = $${fields.length + 2},
+                    updated_by = $${fields.length + 2}
+                WHERE id = $1
+            `, [clientId, ...fields.map(field => ANONYMIZED_VALUES[field]), userId]);
+
+            const history = await this.scrubHistory(client, current.rows[0]);
+
+            const documents = await client.query(
+                'DELETE FROM documents_identite WHERE client_id = $1 RETURNING fichier',
+                [clientId]
+            );
+
+            const receptions = await client.query(
+                'SELECT id, signature_fichier, bon_depot_fichier FROM receptions WHERE client_id = $1 FOR UPDATE',
+                [clientId]
+            );
+
+            await client.query(`
+                UPDATE receptions
+                SET signataire_nom = NULL, signature_fichier = NULL, bon_depot_fichier = NULL
+                WHERE client_id = $1
+            `, [clientId]);
+
+            return {
+                code_client: current.rows[0].code_client,
+                fields,
+                files: documents.rows.map(row => row.fichier).filter(Boolean),
+                documents: documents.rows.length,
+                photo: current.rows[0].photo_identite,
+                history,
+                receptionFiles: receptions.rows
+                    .flatMap(row => [
+                        receptionService.signaturePath(row),
+                        receptionService.receiptPath(row),
+                        receptionService.publicReceiptPath(row)
+                    ])
+                    .filter(Boolean)
+            };
+        });
+
+        // Scans supprimés une fois la transaction validée
+        result.files.forEach(file => kycService.removeFile(file));
+
+        if (result.photo) {
+            fs.unlink(this.uploadPath(result.photo), (error) => {
+                if (error && error.code !== 'ENOENT') {
+                    logger.warn(`Suppression de la photo d'identité impossible (${result.photo}):`, error.message);
+                }
+            });
+        }
+
+        result.receptionFiles.forEach(filepath => fs.unlink(filepath, (error) => {
+            if (error && error.code !== 'ENOENT') {
+                logger.warn(`Suppression du fichier de réception impossible (${path.basename(filepath)}):`, error.message);
+            }
+        }));
+
+        await auditService.log({
+            utilisateur_id: userId,
+            action: 'GDPR_ANONYMIZE',
+            entite: 'clients',
+            entite_id: clientId,
+            anciennes_valeurs: { champs_anonymises: result.fields },
+            nouvelles_valeurs: {
+                motif: reason,
+                pieces_identite_supprimees: result.documents,
+                fichiers_supprimes: result.files.length + (result.photo ? 1 : 0) + result.receptionFiles.length,
+                entrees_audit_nettoyees: result.history.audit,
+                notifications_nettoyees: result.history.notifications
+            }
+        });
+
+        logger.info(`Client #${clientId} (${result.code_client}) anonymisé par utilisateur #${userId}`);
+
+        return {
+            client_id: clientId,
+            code_client: result.code_client,
+            champs_anonymises: result.fields,
+            pieces_identite_supprimees: result.documents
+        };
+    }
+
+    /**
+     * Retirer les données personnelles de l'historique du client, dans la transaction d'anonymisation :
+     * entrées d'audit de la fiche (création, modifications) et des réceptions,
+     * notifications portant sur le client, ses marchandises ou ses paiements
+     *
+     * @param {Object} client - client de transaction
+     * @param {Object} previous - fiche avant anonymisation
+     * @returns {Object} nombre d'entrées d'audit et de notifications nettoyées
+     */
+    async scrubHistory(client, previous) {
+        const audit = await client.query(`
+            UPDATE logs_audit
+            SET anciennes_valeurs = anciennes_valeurs - $2::text[],
+                nouvelles_valeurs = nouvelles_valeurs - $2::text[]
+            WHERE (entite = 'clients' AND entite_id = $1)
+               OR (entite = 'receptions' AND entite_id IN (SELECT id FROM receptions WHERE client_id = $1))
+        `, [previous.id, HISTORY_PERSONAL_KEYS]);
+
+        const notifications = await client.query(`
+            UPDATE notifications
+            SET donnees = donnees - $2::text[]
+            WHERE (entite_type IN ('client', 'clients') AND entite_id = $1)
+               OR (entite_type IN ('marchandise', 'marchandises')
+                   AND entite_id IN (SELECT id FROM marchandises WHERE client_id = $1))
+               OR (entite_type IN ('paiement', 'paiements')
+                   AND entite_id IN (SELECT id FROM paiements WHERE client_id = $1 OR payeur_id = $1))
+               OR (donnees->>'client_id') = $1::text
+               OR (donnees->>'paiement_id') IN (SELECT id::text FROM paiements WHERE client_id = $1 OR payeur_id = $1)
+            RETURNING id
+        `, [previous.id, HISTORY_PERSONAL_KEYS]);
+
+        // Valeurs effacées du texte comme mots entiers (un nom court ne touche pas les autres mots)
+        const values = [...new Set(NOTIFICATION_TEXT_FIELDS
+            .map(field => String(previous[field] || '').trim())
+            .filter(value => value.length > 1))];
+        const ids = notifications.rows.map(row => row.id);
+
+        for (const value of values) {
+            const pattern = `(?<![[:alnum:]_])${value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(?![[:alnum:]_])`;
+
+            await client.query(`
+                UPDATE notifications
+                SET titre = regexp_replace(titre, $2, '[anonymisé]', 'gi'),
+                    message = regexp_replace(message, $2, '[anonymisé]', 'gi')
+                WHERE id = ANY($1::int[])
+            `, [ids, pattern]);
+        }
+
+        return { audit: audit.rowCount, notifications: ids.length };
+    }
+
+    /**
+     * Chemin sur le disque d'un fichier référencé par son URL /uploads/...
+     */
+    uploadPath(reference) {
+        return path.join(UPLOADS_DIR, path.normalize(reference.replace(/^\/?uploads\//, '')).replace(/^(\.\.[/\\])+/, ''));
+    }
+
+    /**
+     * Erreur métier portant son statut HTTP
+     */
+    error(message, statusCode) {
+        const error = new Error(message);
+        error.statusCode = statusCode;
+        return error;
+    }
+}
+
+module.exports = new GdprService();
@@ -0,0 +1,491 @@
+/**
+ * Service d'import de clients
+ * Lecture des fichiers CSV/XLSX, correspondance des colonnes et import en masse
+ */
+
+const ExcelJS = require('exceljs');
+const path = require('path');
+const { query, transaction } = require('../database/connection');
+const { logger } = require('../../shared/logger');
+const { validateClient } = require('../../shared/validators');
+const barcodeService = require('./barcodeService');
+
+// Champs de la table clients pouvant être alimentés par un import
+const IMPORTABLE_FIELDS = [
+    'nom', 'prenom', 'telephone_principal', 'telephone_secondaire',
+    'email', 'adresse_principale', 'ville', 'code_postal', 'pays', 'notes'
+];
+
+// En-têtes reconnus automatiquement (après normalisation)
+const HEADER_ALIASES = {
+    nom: ['nom', 'nom_de_famille', 'name', 'last_name', 'lastname'],
+    prenom: ['prenom', 'prenoms', 'first_name', 'firstname'],
+    telephone_principal: ['telephone', 'telephone_principal', 'tel', 'tel_1', 'telephone_1', 'portable', 'mobile', 'gsm', 'phone'],
+    telephone_secondaire: ['telephone_secondaire', 'telephone_2', 'tel_2', 'tel2', 'fixe', 'phone_2'],
+    email: ['email', 'e_mail', 'mail', 'courriel', 'adresse_email'],
+    adresse_principale: ['adresse', 'adresse_principale', 'address', 'rue'],
+    ville: ['ville', 'city', 'localite', 'commune'],
+    code_postal: ['code_postal', 'cp', 'zip', 'postal_code', 'code_postale'],
+    pays: ['pays', 'country'],
+    notes: ['notes', 'note', 'commentaire', 'commentaires', 'remarques', 'observations']
+};
+
+const DUPLICATE_MODES = ['skip', 'update'];
+
+class ImportService {
+    /**
+     * Lire un fichier d'import (CSV ou XLSX) en lignes brutes
+     */
+    async parseFile(buffer, filename = '') {
+        const extension = path.extname(filename).toLowerCase();
+
+        if (extension === '.xlsx') {
+            return this.parseXlsx(buffer);
+        }
+
+        if (extension && !['.csv', '.txt'].includes(extension)) {
+            throw this.error('Format de fichier non supporté (CSV ou XLSX attendu)', 400);
+        }
+
+        const text = this.decodeBuffer(buffer);
+        const delimiter = this.detectDelimiter(text);
+        const [headers = [], ...rows] = this.parseCsv(text, delimiter);
+
+        return { format: 'csv', delimiter, headers: headers.map(h => h.trim()), rows };
+    }
+
+    /**
+     * Décoder le contenu texte (UTF-8, sinon Windows-1252/Latin-1 des exports Excel)
+     */
+    decodeBuffer(buffer) {
+        let text = buffer.toString('utf8');
+
+        if (text.includes('\uFFFD')) {
+            text = buffer.toString('latin1');
+        }
+
+        // Retirer le BOM éventuel
+        return text.replace(/^\uFEFF/, '');
+    }
+
+    /**
+     * Détecter le séparateur à partir de la ligne d'en-tête
+     */
+    detectDelimiter(text) {
+        const candidates = [';', ',', '\t'];
+        const firstLine = text.split(/\r?\n/)[0] || '';
+        const counts = candidates.map(candidate => {
+            let count = 0;
+            let inQuotes = false;
+
+            for (const char of firstLine) {
+                if (char === '"') inQuotes = !inQuotes;
+                else if (char === candidate && !inQuotes) count++;
+            }
+
+            return count;
+        });
+
+        const best = counts.indexOf(Math.max(...counts));
+        return counts[best] > 0 ? candidates[best] : ',';
+    }
+
+    /**
+     * Parser un texte CSV (champs entre guillemets, "" échappés, retours à la ligne dans les champs)
+     */
+    parseCsv(text, delimiter = ',') {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let inQuotes = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (inQuotes) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    field += char;
+                }
+                continue;
+            }
+
+            if (char === '"') {
+                inQuotes = true;
+            } else if (char === delimiter) {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+
+        if (field !== '' || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+
+        // Ignorer les lignes entièrement vides
+        return rows.filter(r => r.some(value => value.trim() !== ''));
+    }
+
+    /**
+     * Lire la première feuille d'un classeur XLSX
+     */
+    async parseXlsx(buffer) {
+        const workbook = new ExcelJS.Workbook();
+
+        try {
+            await workbook.xlsx.load(buffer);
+        } catch (error) {
+            logger.warn('Lecture du classeur XLSX impossible:', error.message);
+            throw this.error('Fichier XLSX illisible', 400);
+        }
+
+        const worksheet = workbook.worksheets[0];
+        if (!worksheet) {
+            throw this.error('Le classeur ne contient aucune feuille', 400);
+        }
+
+        const columnCount = worksheet.columnCount;
+        const lines = [];
+
+        worksheet.eachRow({ includeEmpty: false }, (row) => {
+            const values = [];
+            for (let col = 1; col <= columnCount; col++) {
+                values.push(this.cellToString(row.getCell(col)));
+            }
+            lines.push(values);
+        });
+
+        const [headers = [], ...rows] = lines.filter(r => r.some(value => value !== ''));
+
+        return { format: 'xlsx', delimiter: null, headers, rows };
+    }
+
+    /**
+     * Convertir une cellule Excel en texte
+     */
+    cellToString(cell) {
+        const value = cell.value;
+
+        if (value === null || value === undefined) return '';
+        if (value instanceof Date) return value.toISOString().slice(0, 10);
+        if (typeof value === 'object') {
+            if (value.richText) return value.richText.map(part => part.text).join('').trim();
+            if (value.text !== undefined) return String(value.text).trim();
+            if (value.result !== undefined) return String(value.result).trim();
+        }
+
+        return String(value).trim();
+    }
+
+    /**
+     * Normaliser un en-tête pour la reconnaissance automatique
+     */
+    normalizeHeader(header) {
+        return String(header || '')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .trim()
+            .replace(/[^a-z0-9]+/g, '_')
+            .replace(/^_|_$/g, '');
+    }
+
+    /**
+     * Proposer une correspondance en-tête -> champ client
+     */
+    suggestMapping(headers) {
+        const mapping = {};
+        const used = new Set();
+
+        headers.forEach(header => {
+            const normalized = this.normalizeHeader(header);
+            const field = Object.keys(HEADER_ALIASES)
+                .find(key => !used.has(key) && HEADER_ALIASES[key].includes(normalized));
+
+            mapping[header] = field || null;
+            if (field) used.add(field);
+        });
+
+        return mapping;
+    }
+
+    /**
+     * Vérifier une correspondance fournie par l'utilisateur
+     */
+    validateMapping(mapping, headers) {
+        const errors = [];
+        const targets = {};
+
+        Object.entries(mapping || {}).forEach(([header, field]) => {
+            if (!field) return;
+
+            if (!headers.includes(header)) {
+                errors.push(`Colonne inconnue dans le fichier: ${header}`);
+            } else if (!IMPORTABLE_FIELDS.includes(field)) {
+                errors.push(`Champ client inconnu: ${field}`);
+            } else if (targets[field]) {
+                errors.push(`Le champ ${field} est associé à plusieurs colonnes`);
+            }
+
+            targets[field] = header;
+        });
+
+        ['nom', 'prenom', 'telephone_principal'].forEach(field => {
+            if (!targets[field]) {
+                errors.push(`Aucune colonne associée au champ obligatoire ${field}`);
+            }
+        });
+
+        return errors;
+    }
+
+    /**
+     * Construire les données client d'une ligne selon la correspondance
+     */
+    mapRow(headers, values, mapping) {
+        const data = {};
+
+        headers.forEach((header, index) => {
+            const field = mapping[header];
+            if (!field) return;
+
+            let value = (values[index] || '').trim();
+
+            // Excel supprime le 0 initial des numéros français stockés comme nombres
+            if (field.startsWith('telephone') && /^\d{9}$/.test(value)) {
+                value = `0${value}`;
+            }
+
+            data[field] = value;
+        });
+
+        if (data.email) data.email = data.email.toLowerCase();
+
+        return data;
+    }
+
+    /**
+     * Analyser un fichier sans rien importer (étape de correspondance)
+     */
+    async analyze(buffer, filename) {
+        const parsed = await this.parseFile(buffer, filename);
+
+        return {
+            format: parsed.format,
+            delimiter: parsed.delimiter,
+            headers: parsed.headers,
+            mapping: this.suggestMapping(parsed.headers),
+            fields: IMPORTABLE_FIELDS,
+            total_rows: parsed.rows.length,
+            sample: parsed.rows.slice(0, 5)
+        };
+    }
+
+    /**
+     * Rechercher un client existant par téléphone ou email
+     */
+    async findExisting(data, client) {
+        const phones = [data.telephone_principal, data.telephone_secondaire]
+            .map(phone => (phone || '').replace(/\D/g, ''))
+            .filter(phone => phone.length >= 6);
+        const email = data.email || null;
+
+        if (phones.length === 0 && !email) return null;
+
+        const result = await client.query(`
+            SELECT id, code_client, nom, prenom
+            FROM clients
+            WHERE regexp_replace(telephone_principal, '\\D', '', 'g') = ANY($1::text[])
+               OR regexp_replace(COALESCE(telephone_secondaire, ''), '\\D', '', 'g') = ANY($1::text[])
+               OR ($2::text IS NOT NULL AND LOWER(email) = $2)
+            ORDER BY id
+            LIMIT 1
+        `, [phones, email]);
+
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Importer des clients
+     * En mode dry_run, rien n'est écrit : chaque ligne est validée et son action prévue est renvoyée
+     */
+    async importClients({ buffer, filename, mapping, dryRun = true, onDuplicate = 'skip', userId }) {
+        if (!DUPLICATE_MODES.includes(onDuplicate)) {
+            throw this.error(`Mode de doublon invalide: ${onDuplicate}`, 400);
+        }
+
+        const parsed = await this.parseFile(buffer, filename);
+        const effectiveMapping = mapping || this.suggestMapping(parsed.headers);
+
+        const mappingErrors = this.validateMapping(effectiveMapping, parsed.headers);
+        if (mappingErrors.length > 0) {
+            const error = this.error('Correspondance des colonnes invalide', 400);
+            error.details = mappingErrors;
+            throw error;
+        }
+
+        const run = async (client) => {
+            const report = {
+                dry_run: dryRun,
+                on_duplicate: onDuplicate,
+                total: parsed.rows.length,
+                created: 0,
+                updated: 0,
+                skipped: 0,
+                errors: 0,
+                rows: []
+            };
+
+            // Téléphones/emails déjà vus dans le fichier, pour détecter les doublons internes
+            const seen = new Map();
+
+            for (let i = 0; i < parsed.rows.length; i++) {
+                // Ligne 1 = en-têtes
+                const line = i + 2;
+                const data = this.mapRow(parsed.headers, parsed.rows[i], effectiveMapping);
+                const rowReport = { line, data, action: null, errors: {} };
+                report.rows.push(rowReport);
+
+                const validation = validateClient(data);
+                if (!validation.valid) {
+                    rowReport.action = 'error';
+                    rowReport.errors = validation.errors;
+                    report.errors++;
+                    continue;
+                }
+
+                const keys = [data.telephone_principal.replace(/\D/g, ''), data.email].filter(Boolean);
+                const firstLine = keys.map(key => seen.get(key)).find(Boolean);
+                if (firstLine) {
+                    rowReport.action = 'skip';
+                    rowReport.errors = { doublon: `Doublon de la ligne ${firstLine} du fichier` };
+                    report.skipped++;
+                    continue;
+                }
+                keys.forEach(key => seen.set(key, line));
+
+                const existing = await this.findExisting(data, client);
+                if (existing) {
+                    rowReport.existing = existing;
+                    rowReport.action = onDuplicate === 'update' ? 'update' : 'skip';
+                } else {
+                    rowReport.action = 'create';
+                }
+
+                if (dryRun || rowReport.action === 'skip') {
+                    report[rowReport.action === 'skip' ? 'skipped' : `${rowReport.action}d`]++;
+                    continue;
+                }
+
+                // Un point de sauvegarde par ligne : une erreur SQL n'annule pas tout l'import
+                await client.query('SAVEPOINT import_row');
+                try {
+                    const saved = rowReport.action === 'update'
+                        ? await this.updateClient(client, existing.id, data, userId)
+                        : await this.insertClient(client, data, userId);
+
+                    await client.query('RELEASE SAVEPOINT import_row');
+                    rowReport.client_id = saved.id;
+                    rowReport.code_client = saved.code_client;
+                    report[`${rowReport.action}d`]++;
+                } catch (error) {
+                    await client.query('ROLLBACK TO SAVEPOINT import_row');
+                    logger.warn(`Import client ligne ${line} rejetée: ${error.message}`);
+                    rowReport.action = 'error';
+                    rowReport.errors = { base: error.message };
+                    report.errors++;
+                }
+            }
+
+            return report;
+        };
+
+        if (dryRun) {
+            return run({ query });
+        }
+
+        return transaction(run);
+    }
+
+    /**
+     * Insérer un nouveau client importé
+     */
+    async insertClient(client, data, userId) {
+        const codeClient = await barcodeService.generateClientCode(client);
+
+        const result = await client.query(`
+            INSERT INTO clients (
+                code_client, nom, prenom, telephone_principal,
+                telephone_secondaire, email, adresse_principale,
+                ville, code_postal, pays, notes, statut, actif,
+                created_by, updated_by
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, 'actif', true, $12, $12)
+            RETURNING id, code_client
+        `, [
+            codeClient,
+            data.nom,
+            data.prenom,
+            data.telephone_principal,
+            data.telephone_secondaire || null,
+            data.email || null,
+            data.adresse_principale || '',
+            data.ville || null,
+            data.code_postal || null,
+            data.pays || 'France',
+            data.notes || null,
+            userId
+        ]);
+
+        return result.rows[0];
+    }
+
+    /**
+     * Mettre à jour un client existant avec les valeurs non vides de la ligne
+     */
+    async updateClient(client, clientId, data, userId) {
+        const fields = [];
+        const values = [];
+
+        Object.entries(data).forEach(([field, value]) => {
+            if (value === '' || value === null || value === undefined) return;
+            values.push(value);
+            fields.push(`${field} = $${values.length}`);
+        });
+
+        values.push(userId, clientId);
+
+        const result = await client.query(`
+            UPDATE clients
+            SET ${fields.join(', ')}, updated_at = CURRENT_TIMESTAMP, updated_by = $${values.length - 1}
+            WHERE id = $${values.length}
+            RETURNING id, code_client
+        `, values);
+
+        return result.rows[0];
+    }
+
+    /**
+     * Erreur métier portant son statut HTTP
+     */
+    error(message, statusCode) {
+        const error = new Error(message);
+        error.statusCode = statusCode;
+        return error;
+    }
+}
+
+module.exports = new ImportService();
+module.exports.IMPORTABLE_FIELDS = IMPORTABLE_FIELDS;
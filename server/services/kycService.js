@@ -0,0 +1,463 @@
+/**
+ * Service KYC (vérification d'identité des clients)
+ * Pièces d'identité, statut KYC du client, alertes d'expiration
+ * et contrôle optionnel de l'expédition des conteneurs
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { query, transaction } = require('../database/connection');
+const { logger } = require('../../shared/logger');
+const { STATUS, TYPES } = require('../../shared/constants');
+const appConfig = require('../config/app');
+const auditService = require('./auditService');
+const notificationService = require('./notificationService');
+
+const DOCUMENT_TYPES = Object.values(TYPES.PIECE_IDENTITE);
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+class KycService {
+    constructor() {
+        this.storageDir = path.resolve(__dirname, '../..', appConfig.storage.kyc.directory);
+        this.ensureStorageDirectory();
+    }
+
+    /**
+     * Créer le dossier des scans s'il n'existe pas
+     */
+    ensureStorageDirectory() {
+        if (!fs.existsSync(this.storageDir)) {
+            fs.mkdirSync(this.storageDir, { recursive: true });
+        }
+    }
+
+    /**
+     * Paramètres KYC : table parametres_systeme, sinon configuration de l'application
+     */
+    async getSettings() {
+        const settings = {
+            expiryAlertDays: appConfig.business.kyc.expiryAlertDays,
+            blockShipment: appConfig.business.kyc.blockShipment
+        };
+
+        try {
+            const result = await query(
+                'SELECT cle, valeur FROM parametres_systeme WHERE cle = ANY($1)',
+                [['KYC_ALERTE_EXPIRATION_JOURS', 'KYC_BLOQUER_EXPEDITION']]
+            );
+
+            for (const row of result.rows) {
+                if (row.cle === 'KYC_ALERTE_EXPIRATION_JOURS' && parseInt(row.valeur, 10) >= 0) {
+                    settings.expiryAlertDays = parseInt(row.valeur, 10);
+                }
+                if (row.cle === 'KYC_BLOQUER_EXPEDITION') {
+                    settings.blockShipment = row.valeur === 'true';
+                }
+            }
+        } catch (error) {
+            logger.warn('Lecture des paramètres KYC impossible, configuration par défaut utilisée:', error.message);
+        }
+
+        return settings;
+    }
+
+    /**
+     * Documents d'un client, les plus récents en premier
+     */
+    async listDocuments(clientId) {
+        const result = await query(`
+            SELECT d.*, u.nom as verificateur_nom, u.prenom as verificateur_prenom,
+                   (d.date_expiration IS NOT NULL AND d.date_expiration < CURRENT_DATE) as expire
+            FROM documents_identite d
+            LEFT JOIN utilisateurs u ON u.id = d.verifie_par
+            WHERE d.client_id = $1
+            ORDER BY d.created_at DESC
+        `, [clientId]);
+
+        return result.rows;
+    }
+
+    /**
+     * Document d'un client (404 s'il n'existe pas ou appartient à un autre client)
+     */
+    async getDocument(clientId, documentId) {
+        const result = await query(`
+            SELECT *, (date_expiration IS NOT NULL AND date_expiration < CURRENT_DATE) as expire
+            FROM documents_identite
+            WHERE id = $1 AND client_id = $2
+        `, [documentId, clientId]);
+
+        if (result.rows.length === 0) {
+            throw this.error('Document non trouvé', 404);
+        }
+
+        return result.rows[0];
+    }
+
+    /**
+     * Chemin absolu du scan d'un document
+     */
+    getFilePath(document) {
+        return document.fichier ? path.join(this.storageDir, path.basename(document.fichier)) : null;
+    }
+
+    /**
+     * Ajouter une pièce d'identité, en attente de vérification
+     *
+     * @param {number} clientId
+     * @param {Object} data - type_document, numero, pays_emission, date_emission, date_expiration
+     * @param {Object} [file] - Scan reçu par multer (déjà écrit dans le dossier KYC)
+     * @param {number} userId
+     */
+    async addDocument(clientId, data, file, userId) {
+        try {
+            const values = this.normalize(data);
+
+            const document = await transaction(async (client) => {
+                const exists = await client.query('SELECT id FROM clients WHERE id = $1', [clientId]);
+                if (exists.rows.length === 0) {
+                    throw this.error('Client non trouvé', 404);
+                }
+
+                const result = await client.query(`
+                    INSERT INTO documents_identite (
+                        client_id, type_document, numero, pays_emission, date_emission, date_expiration,
+                        fichier, nom_original, mime_type, taille, created_by
+                    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+                    RETURNING *
+                `, [
+                    clientId,
+                    values.type_document,
+                    values.numero,
+                    values.pays_emission,
+                    values.date_emission,
+                    values.date_expiration,
+                    file ? file.filename : null,
+                    file ? file.originalname : null,
+                    file ? file.mimetype : null,
+                    file ? file.size : null,
+                    userId
+                ]);
+
+                await this.refreshStatus(clientId, client);
+
+                return result.rows[0];
+            });
+
+            await auditService.log({
+                utilisateur_id: userId,
+                action: 'KYC_DOCUMENT_ADDED',
+                entite: 'clients',
+                entite_id: clientId,
+                nouvelles_valeurs: { ...document, fichier: undefined }
+            });
+
+            return document;
+
+        } catch (error) {
+            // Ne pas conserver un scan orphelin
+            if (file) this.removeFile(file.filename);
+            throw error;
+        }
+    }
+
+    /**
+     * Valider ou rejeter une pièce d'identité
+     *
+     * @param {Object} decision
+     * @param {string} decision.statut - 'valide' ou 'rejete'
+     * @param {string} [decision.motif] - Obligatoire en cas de rejet
+     */
+    async reviewDocument(clientId, documentId, { statut, motif = null }, userId) {
+        if (!['valide', 'rejete'].includes(statut)) {
+            throw this.error('Décision invalide : valide ou rejete attendu', 400);
+        }
+
+        const reason = String(motif || '').trim();
+        if (statut === 'rejete' && !reason) {
+            throw this.error('Le motif du rejet est obligatoire', 400);
+        }
+
+        const previous = await this.getDocument(clientId, documentId);
+
+        if (statut === 'valide' && previous.expire) {
+            throw this.error('Impossible de valider un document expiré', 400);
+        }
+
+        const document = await transaction(async (client) => {
+            const result = await client.query(`
+                UPDATE documents_identite
+                SET statut = $1, motif_rejet = $2, verifie_par = $3, verifie_le = CURRENT_TIMESTAMP
+                WHERE id = $4
+                RETURNING *
+            `, [statut, statut === 'rejete' ? reason : null, userId, documentId]);
+
+            await this.refreshStatus(clientId, client);
+
+            return result.rows[0];
+        });
+
+        await auditService.log({
+            utilisateur_id: userId,
+            action: statut === 'valide' ? 'KYC_DOCUMENT_VALIDATED' : 'KYC_DOCUMENT_REJECTED',
+            entite: 'clients',
+            entite_id: clientId,
+            anciennes_valeurs: { document_id: documentId, statut: previous.statut },
+            nouvelles_valeurs: { document_id: documentId, statut, motif: reason || null }
+        });
+
+        return document;
+    }
+
+    /**
+     * Supprimer une pièce d'identité et son scan
+     */
+    async removeDocument(clientId, documentId, userId) {
+        const document = await this.getDocument(clientId, documentId);
+
+        await transaction(async (client) => {
+            await client.query('DELETE FROM documents_identite WHERE id = $1', [documentId]);
+            await this.refreshStatus(clientId, client);
+        });
+
+        if (document.fichier) this.removeFile(document.fichier);
+
+        await auditService.log({
+            utilisateur_id: userId,
+            action: 'KYC_DOCUMENT_DELETED',
+            entite: 'clients',
+            entite_id: clientId,
+            anciennes_valeurs: { ...document, fichier: undefined }
+        });
+    }
+
+    /**
+     * Recalculer le statut KYC d'un client à partir de ses documents
+     * verifie : au moins un document validé non expiré ; en_attente : un document à vérifier ;
+     * expire : seuls des documents validés mais expirés ; rejete : uniquement des rejets
+     * Accepte un client de transaction pour travailler sur des données non encore validées
+     */
+    async refreshStatus(clientId, client = null) {
+        const runQuery = client ? client.query.bind(client) : query;
+
+        const result = await runQuery(`
+            WITH d AS (
+                SELECT
+                    COUNT(*) FILTER (WHERE statut = 'valide'
+                        AND (date_expiration IS NULL OR date_expiration >= CURRENT_DATE)) as valides,
+                    COUNT(*) FILTER (WHERE statut = 'valide') as valides_total,
+                    COUNT(*) FILTER (WHERE statut = 'en_attente') as en_attente,
+                    COUNT(*) FILTER (WHERE statut = 'rejete') as rejetes,
+                    MAX(verifie_le) FILTER (WHERE statut = 'valide'
+                        AND (date_expiration IS NULL OR date_expiration >= CURRENT_DATE)) as verifie_le
+                FROM documents_identite
+                WHERE client_id = $1
+            )
+            UPDATE clients c
+            SET statut_kyc = CASE
+                    WHEN d.valides > 0 THEN '${STATUS.KYC.VERIFIE}'
+                    WHEN d.en_attente > 0 THEN '${STATUS.KYC.EN_ATTENTE}'
+                    WHEN d.valides_total > 0 THEN '${STATUS.KYC.EXPIRE}'
+                    WHEN d.rejetes > 0 THEN '${STATUS.KYC.REJETE}'
+                    ELSE '${STATUS.KYC.NON_VERIFIE}'
+                END,
+                kyc_verifie_le = d.verifie_le
+            FROM d
+            WHERE c.id = $1
+            RETURNING c.id, c.statut_kyc, c.kyc_verifie_le
+        `, [clientId]);
+
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Documents validés qui expirent dans les prochains jours (ou déjà expirés si days = 0)
+     */
+    async getExpiringDocuments(days = null) {
+        const horizon = days !== null ? days : (await this.getSettings()).expiryAlertDays;
+
+        const result = await query(`
+            SELECT d.id, d.client_id, d.type_document, d.numero, d.pays_emission, d.date_expiration,
+                   d.alerte_expiration_le, c.code_client, c.nom, c.prenom, c.statut_kyc,
+                   (d.date_expiration - CURRENT_DATE) as jours_restants
+            FROM documents_identite d
+            JOIN clients c ON c.id = d.client_id
+            WHERE d.statut = 'valide'
+              AND d.date_expiration IS NOT NULL
+              AND d.date_expiration <= CURRENT_DATE + $1::integer
+            ORDER BY d.date_expiration
+        `, [horizon]);
+
+        return result.rows;
+    }
+
+    /**
+     * Contrôle quotidien : alerter les gestionnaires des documents proches de l'expiration
+     * (une seule fois par document) et passer en "expire" les clients dont la pièce a expiré
+     */
+    async checkExpirations() {
+        const { expiryAlertDays } = await this.getSettings();
+        const documents = await this.getExpiringDocuments(expiryAlertDays);
+
+        let alertes = 0;
+        for (const document of documents.filter(doc => !doc.alerte_expiration_le)) {
+            const echeance = new Date(document.date_expiration).toLocaleDateString('fr-FR');
+            const message = document.jours_restants < 0
+                ? `La pièce d'identité ${document.numero} de ${document.nom} ${document.prenom} (${document.code_client}) a expiré le ${echeance}`
+                : `La pièce d'identité ${document.numero} de ${document.nom} ${document.prenom} (${document.code_client}) expire le ${echeance}`;
+
+            for (const role of appConfig.business.kyc.alertRoles) {
+                await notificationService.notifyRole(role, 'Pièce d\'identité à renouveler', message, 'kyc');
+            }
+
+            await query(
+                'UPDATE documents_identite SET alerte_expiration_le = CURRENT_TIMESTAMP WHERE id = $1',
+                [document.id]
+            );
+            alertes++;
+        }
+
+        const expiredClients = [...new Set(
+            documents
+                .filter(document => document.jours_restants < 0 && document.statut_kyc === STATUS.KYC.VERIFIE)
+                .map(document => document.client_id)
+        )];
+
+        const statuts = [];
+        for (const clientId of expiredClients) {
+            statuts.push(await this.refreshStatus(clientId));
+        }
+
+        logger.info(`Contrôle KYC: ${alertes} alerte(s) d'expiration, ${statuts.length} client(s) recalculé(s)`);
+
+        return {
+            alertes,
+            clients_mis_a_jour: statuts.filter(Boolean)
+        };
+    }
+
+    /**
+     * Planifier le contrôle quotidien des expirations
+     */
+    scheduleExpiryCheck() {
+        const schedule = require('node-schedule');
+
+        schedule.scheduleJob(appConfig.business.kyc.schedule, async () => {
+            try {
+                await this.checkExpirations();
+            } catch (error) {
+                logger.error('Échec du contrôle des expirations KYC:', error);
+            }
+        });
+
+        logger.info(`Contrôle des pièces d'identité programmé (${appConfig.business.kyc.schedule})`);
+    }
+
+    /**
+     * Contrôler l'expédition d'un conteneur : clients non vérifiés parmi ses marchandises
+     * Lève une erreur 409 si le paramètre KYC_BLOQUER_EXPEDITION est actif
+     */
+    async checkShipment(conteneurId) {
+        const result = await query(`
+            SELECT DISTINCT c.id as client_id, c.code_client, c.nom, c.prenom, c.statut_kyc
+            FROM marchandises m
+            JOIN clients c ON c.id = m.client_id
+            WHERE m.conteneur_id = $1
+              AND COALESCE(c.statut_kyc, '${STATUS.KYC.NON_VERIFIE}') <> '${STATUS.KYC.VERIFIE}'
+            ORDER BY c.nom, c.prenom
+        `, [conteneurId]);
+
+        const nonVerifies = result.rows.map(row => ({
+            client_id: row.client_id,
+            code_client: row.code_client,
+            nom: `${row.nom} ${row.prenom}`,
+            statut_kyc: row.statut_kyc
+        }));
+
+        if (nonVerifies.length === 0) {
+            return { bloque: false, clients_non_verifies: [] };
+        }
+
+        const { blockShipment } = await this.getSettings();
+
+        if (blockShipment) {
+            const error = this.error(
+                `Expédition impossible : ${nonVerifies.length} client(s) sans pièce d'identité vérifiée`,
+                409
+            );
+            error.details = nonVerifies;
+            throw error;
+        }
+
+        return { bloque: false, clients_non_verifies: nonVerifies };
+    }
+
+    /**
+     * Valider et normaliser les champs d'un document
+     */
+    normalize(data) {
+        const values = {
+            type_document: data.type_document,
+            numero: String(data.numero || '').trim().toUpperCase(),
+            pays_emission: String(data.pays_emission || '').trim(),
+            date_emission: data.date_emission || null,
+            date_expiration: data.date_expiration || null
+        };
+
+        if (!DOCUMENT_TYPES.includes(values.type_document)) {
+            throw this.error(`Type de document invalide (${DOCUMENT_TYPES.join(', ')})`, 400);
+        }
+        if (!values.numero) {
+            throw this.error('Le numéro du document est obligatoire', 400);
+        }
+        if (!values.pays_emission) {
+            throw this.error('Le pays d\'émission est obligatoire', 400);
+        }
+
+        for (const field of ['date_emission', 'date_expiration']) {
+            if (values[field] && (!DATE_PATTERN.test(values[field]) || isNaN(new Date(values[field])))) {
+                throw this.error(`Date invalide pour ${field} (format attendu AAAA-MM-JJ)`, 400);
+            }
+        }
+
+        if (values.date_expiration && values.date_expiration < this.today()) {
+            throw this.error('Ce document est déjà expiré', 400);
+        }
+
+        if (values.date_emission && values.date_expiration && values.date_emission > values.date_expiration) {
+            throw this.error('La date d\'émission doit précéder la date d\'expiration', 400);
+        }
+
+        return values;
+    }
+
+    /**
+     * Supprimer un scan du disque sans faire échouer l'opération
+     */
+    removeFile(filename) {
+        fs.unlink(path.join(this.storageDir, path.basename(filename)), (error) => {
+            if (error && error.code !== 'ENOENT') {
+                logger.warn(`Suppression du scan ${filename} impossible:`, error.message);
+            }
+        });
+    }
+
+    /**
+     * Date du jour au format AAAA-MM-JJ, comparable aux dates saisies
+     */
+    today() {
+        const now = new Date();
+        return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+    }
+
+    /**
+     * Erreur métier portant son statut HTTP
+     */
+    error(message, statusCode) {
+        const error = new Error(message);
+        error.statusCode = statusCode;
+        return error;
+    }
+}
+
+module.exports = new KycService();
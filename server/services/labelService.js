@@ -0,0 +1,305 @@
+/**
+ * Service des étiquettes de marchandises
+ * Code-barres Code128 et QR code du code de chaque colis, rendus en PDF (planche A4
+ * ou étiquette thermique 100 x 150 mm) ou en ZPL pour les imprimantes Zebra
+ */
+
+const PDFDocument = require('pdfkit');
+const bwipjs = require('bwip-js');
+const { query } = require('../database/connection');
+const appConfig = require('../config/app');
+
+const MM = 72 / 25.4; // points PDF par millimètre
+const A4_WIDTH = 595.28;
+const A4_HEIGHT = 841.89;
+const FORMATS = ['thermique', 'a4', 'zpl'];
+
+class LabelService {
+    /**
+     * Étiquettes à imprimer : une par colis avec son propre code-barres, numérotées "n / N" dans le lot
+     *
+     * @param {number[]} marchandiseIds
+     * @param {Object} options - colis : numéro du seul colis à réimprimer
+     */
+    async getLabels(marchandiseIds, options = {}) {
+        const ids = [...new Set(marchandiseIds.map(id => parseInt(id, 10)).filter(Boolean))];
+
+        if (ids.length === 0) {
+            throw this.error('Aucune marchandise sélectionnée', 400);
+        }
+
+        const result = await query(`
+            SELECT m.id, m.code_barre, m.designation, m.poids, m.date_reception,
+                   c.code_client, c.nom as client_nom, c.prenom as client_prenom,
+                   cnt.numero_conteneur, cnt.destination_ville, cnt.destination_port, cnt.destination_pays,
+                   m.tarification->>'destination_port' as tarif_port,
+                   m.tarification->>'destination_pays' as tarif_pays
+            FROM marchandises m
+            JOIN clients c ON c.id = m.client_id
+            LEFT JOIN conteneurs cnt ON cnt.id = m.conteneur_id
+            WHERE m.id = ANY($1)
+        `, [ids]);
+
+        if (result.rows.length === 0) {
+            throw this.error('Marchandise non trouvée', 404);
+        }
+
+        const parcelsResult = await query(
+            'SELECT marchandise_id, numero, code_barre FROM marchandises_colis WHERE marchandise_id = ANY($1) ORDER BY numero',
+            [ids]
+        );
+
+        // Conserver l'ordre demandé
+        const rows = ids.map(id => result.rows.find(row => row.id === id)).filter(Boolean);
+        const labels = [];
+
+        for (const row of rows) {
+            const parcels = parcelsResult.rows.filter(parcel => parcel.marchandise_id === row.id);
+            const total = parcels.length;
+            const only = parseInt(options.colis, 10);
+
+            if (only && !parcels.some(parcel => parcel.numero === only)) {
+                throw this.error(`Colis ${only} inexistant : la marchandise ${row.code_barre} compte ${total} colis`, 400);
+            }
+
+            for (const parcel of parcels) {
+                if (only && parcel.numero !== only) continue;
+
+                labels.push({
+                    code_barre: parcel.code_barre,
+                    code_lot: row.code_barre,
+                    client: `${row.client_nom} ${row.client_prenom || ''}`.trim(),
+                    code_client: row.code_client,
+                    destination: this.destination(row),
+                    conteneur: row.numero_conteneur || null,
+                    designation: row.designation,
+                    poids: row.poids ? parseFloat(row.poids) : null,
+                    date_reception: row.date_reception,
+                    colis: parcel.numero,
+                    total
+                });
+            }
+        }
+
+        if (labels.length > appConfig.business.labels.maxPerRequest) {
+            throw this.error(`Trop d'étiquettes (${labels.length}), maximum ${appConfig.business.labels.maxPerRequest} par impression`, 400);
+        }
+
+        return labels;
+    }
+
+    /**
+     * Destination affichée : celle du conteneur, sinon celle retenue pour la tarification
+     */
+    destination(row) {
+        const city = row.destination_ville || row.destination_port || row.tarif_port;
+        const country = row.destination_pays || row.tarif_pays;
+
+        return [city, country].filter(Boolean).join(' - ') || 'Destination à confirmer';
+    }
+
+    /**
+     * Vérifier le format demandé (thermique par défaut)
+     */
+    resolveFormat(format) {
+        const value = format || 'thermique';
+
+        if (!FORMATS.includes(value)) {
+            throw this.error(`Format d'étiquette inconnu (${FORMATS.join(', ')})`, 400);
+        }
+
+        return value;
+    }
+
+    // =============================================
+    // PDF
+    // =============================================
+
+    /**
+     * Écrire le PDF des étiquettes dans un flux (réponse HTTP)
+     *
+     * @param {Object[]} labels
+     * @param {string} format - 'thermique' (une étiquette par page) ou 'a4' (planche)
+     * @param {Stream} output
+     * @param {Object} options - position : première case libre d'une planche entamée (1 par défaut)
+     */
+    async writePdf(labels, format, output, options = {}) {
+        const images = await this.renderImages(labels);
+        const thermal = appConfig.business.labels.thermal;
+        const sheet = appConfig.business.labels.sheet;
+
+        const doc = format === 'a4'
+            ? new PDFDocument({ size: 'A4', margin: 0, autoFirstPage: false })
+            : new PDFDocument({ size: [thermal.width * MM, thermal.height * MM], margin: 0, autoFirstPage: false });
+
+        doc.pipe(output);
+
+        if (format === 'a4') {
+            const perPage = sheet.columns * sheet.rows;
+            const width = A4_WIDTH / sheet.columns;
+            const height = A4_HEIGHT / sheet.rows;
+            const start = Math.min(Math.max(parseInt(options.position, 10) || 1, 1), perPage) - 1;
+
+            labels.forEach((label, index) => {
+                const slot = index + start;
+                if (index === 0 || slot % perPage === 0) doc.addPage();
+
+                const column = (slot % perPage) % sheet.columns;
+                const row = Math.floor((slot % perPage) / sheet.columns);
+
+                this.drawLabel(doc, label, images.get(label.code_barre), {
+                    x: column * width, y: row * height, width, height, compact: true
+                });
+            });
+        } else {
+            labels.forEach(label => {
+                doc.addPage();
+                this.drawLabel(doc, label, images.get(label.code_barre), {
+                    x: 0, y: 0, width: thermal.width * MM, height: thermal.height * MM, compact: false
+                });
+            });
+        }
+
+        return new Promise((resolve, reject) => {
+            output.on('finish', resolve);
+            output.on('error', reject);
+            doc.end();
+        });
+    }
+
+    /**
+     * Code128 et QR code de chaque code_barre (une seule fois par colis)
+     */
+    async renderImages(labels) {
+        const images = new Map();
+
+        for (const code of new Set(labels.map(label => label.code_barre))) {
+            images.set(code, {
+                barcode: await bwipjs.toBuffer({ bcid: 'code128', text: code, scale: 3, height: 12, includetext: false }),
+                qrcode: await bwipjs.toBuffer({ bcid: 'qrcode', text: code, scale: 4, eclevel: 'M' })
+            });
+        }
+
+        return images;
+    }
+
+    /**
+     * Dessiner une étiquette dans le cadre donné (points PDF)
+     * compact : mise en page réduite des planches A4
+     */
+    drawLabel(doc, label, images, frame) {
+        const margin = (frame.compact ? 4 : 6) * MM;
+        const x = frame.x + margin;
+        const width = frame.width - margin * 2;
+        const qrSize = (frame.compact ? 22 : 32) * MM;
+        let y = frame.y + margin;
+
+        doc.save().lineWidth(0.5).strokeColor('#999999')
+            .rect(frame.x + 1, frame.y + 1, frame.width - 2, frame.height - 2).stroke().restore();
+
+        doc.font('Helvetica').fontSize(frame.compact ? 7 : 9).fillColor('#000000')
+            .text(appConfig.app.company.toUpperCase(), x, y, { width, lineBreak: false });
+        y += (frame.compact ? 10 : 14);
+
+        doc.font('Helvetica-Bold').fontSize(frame.compact ? 13 : 20)
+            .text(label.destination.toUpperCase(), x, y, { width, height: frame.compact ? 16 : 48, ellipsis: true });
+        y = doc.y + (frame.compact ? 2 : 6);
+
+        doc.font('Helvetica-Bold').fontSize(frame.compact ? 10 : 14)
+            .text(label.client, x, y, { width, lineBreak: false, ellipsis: true });
+        y = doc.y + 2;
+
+        doc.font('Helvetica').fontSize(frame.compact ? 8 : 10)
+            .text(`${label.code_client}${label.conteneur ? `   Conteneur ${label.conteneur}` : ''}`, x, y, { width, lineBreak: false });
+        y = doc.y + (frame.compact ? 4 : 10);
+
+        // Code-barres Code128 sur toute la largeur, code lisible dessous
+        const barcodeHeight = (frame.compact ? 14 : 28) * MM;
+        doc.image(images.barcode, x, y, { width, height: barcodeHeight });
+        y += barcodeHeight + 2;
+        doc.font('Courier-Bold').fontSize(frame.compact ? 9 : 12)
+            .text(label.code_barre, x, y, { width, align: 'center', lineBreak: false });
+        y = doc.y + (frame.compact ? 3 : 10);
+
+        // Bas de l'étiquette : numéro de colis et détails à gauche, QR code à droite
+        const bottom = frame.y + frame.height - margin;
+        const qrX = frame.x + frame.width - margin - qrSize;
+        const qrY = Math.max(y, bottom - qrSize);
+        doc.image(images.qrcode, qrX, qrY, { width: qrSize, height: qrSize });
+
+        const textWidth = qrX - x - 4;
+        doc.font('Helvetica-Bold').fontSize(frame.compact ? 14 : 26)
+            .text(`Colis ${label.colis} / ${label.total}`, x, qrY, { width: textWidth, lineBreak: false });
+
+        const details = [
+            label.designation,
+            label.poids ? `${label.poids} kg` : null,
+            label.date_reception ? `Reçu le ${new Date(label.date_reception).toLocaleDateString('fr-FR')}` : null
+        ].filter(Boolean);
+
+        doc.font('Helvetica').fontSize(frame.compact ? 7 : 9)
+            .text(details.join('\n'), x, doc.y + 2, {
+                width: textWidth,
+                height: Math.max(bottom - doc.y - 2, 10),
+                ellipsis: true
+            });
+    }
+
+    // =============================================
+    // ZPL (imprimantes Zebra)
+    // =============================================
+
+    /**
+     * Programme ZPL des étiquettes thermiques, une étiquette ^XA...^XZ par colis
+     */
+    toZpl(labels) {
+        const { width, height, dpmm } = appConfig.business.labels.thermal;
+        const dots = mm => Math.round(mm * dpmm);
+        const printWidth = dots(width);
+        const contentWidth = printWidth - dots(10);
+
+        return labels.map(label => {
+            // Largeur de module Code128 : la plus large qui tient dans l'étiquette
+            const modules = 11 * (label.code_barre.length + 3) + 2;
+            const moduleWidth = Math.max(1, Math.min(4, Math.floor(contentWidth / modules)));
+
+            return [
+                '^XA',
+                '^CI28',
+                `^PW${printWidth}`,
+                `^LL${dots(height)}`,
+                `^FO${dots(5)},${dots(5)}^A0N,28,28^FD${this.zplText(appConfig.app.company.toUpperCase())}^FS`,
+                `^FO${dots(5)},${dots(11)}^A0N,60,60^FB${contentWidth},2,0,L^FD${this.zplText(label.destination.toUpperCase())}^FS`,
+                `^FO${dots(5)},${dots(28)}^A0N,45,45^FB${contentWidth},1,0,L^FD${this.zplText(label.client)}^FS`,
+                `^FO${dots(5)},${dots(35)}^A0N,32,32^FD${this.zplText(`${label.code_client}${label.conteneur ? `   Conteneur ${label.conteneur}` : ''}`)}^FS`,
+                `^FO${dots(5)},${dots(44)}^BY${moduleWidth}^BCN,${dots(28)},Y,N,N^FD${this.zplText(label.code_barre)}^FS`,
+                `^FO${dots(5)},${dots(96)}^A0N,80,80^FDColis ${label.colis} / ${label.total}^FS`,
+                `^FO${dots(5)},${dots(110)}^A0N,28,28^FB${dots(55)},3,0,L^FD${this.zplText(label.designation)}^FS`,
+                label.poids ? `^FO${dots(5)},${dots(125)}^A0N,28,28^FD${label.poids} kg^FS` : null,
+                label.date_reception
+                    ? `^FO${dots(5)},${dots(130)}^A0N,28,28^FDReçu le ${new Date(label.date_reception).toLocaleDateString('fr-FR')}^FS`
+                    : null,
+                `^FO${dots(62)},${dots(104)}^BQN,2,7^FDQA,${this.zplText(label.code_barre)}^FS`,
+                '^XZ'
+            ].filter(Boolean).join('\n');
+        }).join('\n');
+    }
+
+    /**
+     * Retirer les caractères de commande ZPL d'un texte
+     */
+    zplText(value) {
+        return String(value || '').replace(/[\^~\r\n]/g, ' ');
+    }
+
+    /**
+     * Erreur métier portant son statut HTTP
+     */
+    error(message, statusCode) {
+        const error = new Error(message);
+        error.statusCode = statusCode;
+        return error;
+    }
+}
+
+module.exports = new LabelService();
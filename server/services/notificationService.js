@@ -78,13 +78,15 @@ class NotificationService {
                 
                 /**
                  * Envoyer une notification à tous les utilisateurs d'un rôle
+                 * extra : entite_type, entite_id, donnees (contexte de la notification)
                  */
-                async notifyRole(role, titre, message, type = 'info') {
+                async notifyRole(role, titre, message, type = 'info', extra = {}) {
                     try {
                         const users = await db.findMany('utilisateurs', { role, actif: true });
                         
                         const notifications = await Promise.all(
                             users.map(user => this.create({
+                                ...extra,
                                 destinataire_id: user.id,
                                 type,
                                 titre,
@@ -270,6 +272,63 @@ class NotificationService {
                     );
                 }
                 
+                /**
+                * Envoyer le relevé de compte en pièce jointe
+                */
+                async sendStatementOfAccount(statement, pdf) {
+                    const { client, periode } = statement;
+                    const debut = new Date(periode.debut).toLocaleDateString('fr-FR');
+                    const fin = new Date(periode.fin).toLocaleDateString('fr-FR');
+                    
+                    const html = `
+                        <h2>Relevé de compte</h2>
+                        <p>Bonjour ${client.prenom} ${client.nom},</p>
+                        <p>Veuillez trouver ci-joint votre relevé de compte pour la période du ${debut} au ${fin}.</p>
+                        <ul>
+                            <li><strong>Solde d'ouverture:</strong> ${statement.solde_ouverture.toFixed(2)} €</li>
+                            <li><strong>Total facturé:</strong> ${statement.total_facture.toFixed(2)} €</li>
+                            <li><strong>Total réglé:</strong> ${statement.total_paye.toFixed(2)} €</li>
+                            <li><strong>Solde de clôture:</strong> ${statement.solde_cloture.toFixed(2)} €</li>
+                        </ul>
+                        <p>Cordialement,<br>L'équipe Import Export Manager</p>
+                    `;
+                    
+                    return this.sendEmail(
+                        client.email,
+                        `Relevé de compte ${client.code_client} - ${debut} au ${fin}`,
+                        html,
+                        [{ filename: pdf.filename, path: pdf.filepath, contentType: 'application/pdf' }]
+                    );
+                }
+                
+                /**
+                * Envoyer un message libre à un client (envoi groupé)
+                * Variables remplacées : {prenom}, {nom}, {code_client}, {solde}
+                */
+                async sendClientMessage(client, sujet, message) {
+                    const escape = (value) => String(value ?? '')
+                        .replace(/&/g, '&amp;')
+                        .replace(/</g, '&lt;')
+                        .replace(/>/g, '&gt;');
+                    
+                    const variables = {
+                        prenom: client.prenom,
+                        nom: client.nom,
+                        code_client: client.code_client,
+                        solde: `${parseFloat(client.balance_courante || 0).toFixed(2)} €`
+                    };
+                    const fill = (text) => text.replace(/\{(\w+)\}/g, (match, key) =>
+                        Object.prototype.hasOwnProperty.call(variables, key) ? variables[key] : match
+                    );
+                    
+                    const html = `
+                        <p>${escape(fill(message)).replace(/\n/g, '<br>')}</p>
+                        <p>Cordialement,<br>L'équipe Import Export Manager</p>
+                    `;
+                    
+                    return this.sendEmail(client.email, fill(sujet), html);
+                }
+                
                 /**
                 * Notifier l'expédition d'un conteneur
                 */
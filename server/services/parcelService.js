@@ -0,0 +1,349 @@
+/**
+ * Service des colis d'une marchandise
+ * Chaque colis d'un lot a son code-barres et son statut ; le statut du lot
+ * est déduit de ses colis (ex. "Chargé partiellement 9/12")
+ */
+
+const { query, transaction } = require('../database/connection');
+const MarchandiseStatus = require('../../shared/marchandiseStatus');
+const scanEventService = require('./scanEventService');
+
+const STATUS_PROGRESSION = MarchandiseStatus.STATUTS_PROGRESSION;
+const ANOMALY_STATUSES = MarchandiseStatus.STATUTS_ANOMALIE;
+
+// Libellé d'un lot dont seule une partie des colis a atteint l'étape
+const PARTIAL_LABELS = {
+    receptionne: 'Réceptionné partiellement',
+    affecte: 'Affecté partiellement',
+    en_conteneur: 'Chargé partiellement',
+    en_transit: 'En transit partiellement',
+    arrive: 'Arrivé partiellement',
+    livre: 'Livré partiellement'
+};
+
+class ParcelService {
+    /**
+     * Code-barres du colis n d'un lot : code du lot suivi du numéro sur 3 chiffres
+     */
+    code(lotCode, numero) {
+        return `${lotCode}-${String(numero).padStart(3, '0')}`;
+    }
+
+    /**
+     * Colis d'une marchandise, par numéro
+     */
+    async list(marchandiseId) {
+        const result = await query(
+            'SELECT * FROM marchandises_colis WHERE marchandise_id = $1 ORDER BY numero',
+            [marchandiseId]
+        );
+
+        return result.rows;
+    }
+
+    /**
+     * Colis par son code-barres
+     */
+    async findByCode(code) {
+        const result = await query('SELECT * FROM marchandises_colis WHERE code_barre = $1', [code]);
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Créer les colis d'une nouvelle marchandise, au statut du lot
+     * Accepte un client de transaction pour créer les colis avec la marchandise
+     */
+    async createParcels(marchandise, client = null) {
+        if (!client) {
+            return transaction(async (transactionClient) => this.createParcels(marchandise, transactionClient));
+        }
+
+        await this.insertParcels(client, marchandise, 1, this.count(marchandise), marchandise.statut);
+        return this.refreshLot(marchandise.id, client);
+    }
+
+    /**
+     * Ajuster le nombre de colis d'un lot
+     * Les colis ajoutés sont au moins réceptionnés ; seuls les derniers colis jamais scannés
+     * peuvent être retirés
+     * Accepte un client de transaction pour ajuster les colis avec la mise à jour de la marchandise
+     */
+    async resize(marchandise, nombreColis, client = null) {
+        if (!client) {
+            return transaction(async (transactionClient) => this.resize(marchandise, nombreColis, transactionClient));
+        }
+
+        const total = Math.max(parseInt(nombreColis, 10) || 1, 1);
+
+        const current = await client.query(
+            'SELECT numero, code_barre, dernier_scan_le FROM marchandises_colis WHERE marchandise_id = $1 ORDER BY numero',
+            [marchandise.id]
+        );
+        const existing = current.rows.length;
+
+        if (total > existing) {
+            const statut = ['en_attente', 'receptionne'].includes(marchandise.statut) ? marchandise.statut : 'receptionne';
+            await this.insertParcels(client, marchandise, existing + 1, total, statut);
+        }
+
+        if (total < existing) {
+            const removed = current.rows.slice(total);
+            const scanned = removed.filter(parcel => parcel.dernier_scan_le);
+
+            if (scanned.length > 0) {
+                throw this.error(
+                    `Impossible de passer à ${total} colis : ${scanned.map(parcel => parcel.code_barre).join(', ')} déjà scanné(s)`,
+                    409
+                );
+            }
+
+            await client.query(
+                'DELETE FROM marchandises_colis WHERE marchandise_id = $1 AND numero > $2',
+                [marchandise.id, total]
+            );
+        }
+
+        return this.refreshLot(marchandise.id, client);
+    }
+
+    /**
+     * Scanner un colis du lot, ou tous ses colis si aucun n'est désigné, et enregistrer
+     * un événement de scan par colis
+     * Le statut visé par l'action doit être accessible depuis celui de chaque colis scanné
+     *
+     * @param {Object} marchandise
+     * @param {Object} scan - colis_id ou code_colis, action (reception, affectation, chargement, livraison
+     *                        ou contrôle sans changement de statut), lieu, appareil
+     * @param {Object} user - id, nom, permissions
+     * @returns {Object} colis scannés et état du lot
+     */
+    async scan(marchandise, scan, user) {
+        const { action } = scan;
+
+        return transaction(async (client) => {
+            const params = [marchandise.id];
+            let whereClause = 'WHERE marchandise_id = $1';
+
+            if (scan.colis_id) {
+                params.push(parseInt(scan.colis_id, 10));
+                whereClause += ' AND id = $2';
+            } else if (scan.code_colis) {
+                params.push(scan.code_colis);
+                whereClause += ' AND code_barre = $2';
+            }
+
+            const parcels = await client.query(
+                `SELECT * FROM marchandises_colis ${whereClause} ORDER BY numero FOR UPDATE`,
+                params
+            );
+
+            if (parcels.rows.length === 0) {
+                throw this.error(
+                    params.length > 1 ? 'Colis non trouvé dans cette marchandise' : 'Aucun colis pour cette marchandise',
+                    404
+                );
+            }
+
+            const statut = MarchandiseStatus.SCAN_ACTIONS[action] || null;
+
+            if (statut) {
+                this.assertTransitions(parcels.rows, statut, user.permissions);
+            }
+
+            const result = await client.query(`
+                UPDATE marchandises_colis
+                SET statut = COALESCE($2, statut),
+                    dernier_scan_le = CURRENT_TIMESTAMP,
+                    dernier_scan_action = $3
+                WHERE id = ANY($1::int[])
+                RETURNING *
+            `, [parcels.rows.map(parcel => parcel.id), statut, action || null]);
+
+            result.rows.sort((a, b) => a.numero - b.numero);
+
+            await scanEventService.record(client, parcels.rows, result.rows, scan, user);
+
+            return {
+                colis: result.rows,
+                lot: await this.refreshLot(marchandise.id, client)
+            };
+        });
+    }
+
+    /**
+     * Appliquer un statut fixé au niveau du lot (formulaire, affectation, clôture de conteneur)
+     * aux colis de ces marchandises, selon les transitions autorisées ; les traitements groupés
+     * d'un conteneur écartent les colis en anomalie par l'option keep
+     *
+     * @param {number[]} marchandiseIds
+     * @param {string} statut
+     * @param {Object} options - permissions de l'utilisateur, keep : statuts des colis laissés tels quels
+     * @param {Object} [client] - client de transaction, pour changer les colis avec le lot ou le conteneur
+     */
+    async setStatus(marchandiseIds, statut, options = {}, client = null) {
+        if (marchandiseIds.length === 0) return [];
+
+        if (!client) {
+            return transaction(async (transactionClient) => this.setStatus(marchandiseIds, statut, options, transactionClient));
+        }
+
+        const parcels = await this.findChanging(client, marchandiseIds, statut, options.keep);
+        this.assertTransitions(parcels, statut, options.permissions);
+
+        await client.query(
+            'UPDATE marchandises_colis SET statut = $2 WHERE id = ANY($1::int[])',
+            [parcels.map(parcel => parcel.id), statut]
+        );
+
+        const lots = [];
+        for (const id of marchandiseIds) {
+            lots.push(await this.refreshLot(id, client));
+        }
+
+        return lots;
+    }
+
+    /**
+     * Colis dont le statut changerait : ni conservés, ni déjà au statut visé (verrouillés)
+     */
+    async findChanging(client, marchandiseIds, statut, keep = []) {
+        const result = await client.query(`
+            SELECT id, code_barre, statut
+            FROM marchandises_colis
+            WHERE marchandise_id = ANY($1::int[])
+            AND statut <> ALL($2::text[])
+            AND statut <> $3
+            ORDER BY marchandise_id, numero
+            FOR UPDATE
+        `, [marchandiseIds, keep, statut]);
+
+        return result.rows;
+    }
+
+    /**
+     * Refuser le changement si un colis ne peut pas passer au statut visé
+     * 409 pour une transition interdite, 403 pour une permission manquante
+     *
+     * @param {Object[]} parcels - colis avec code_barre et statut
+     * @param {string} statut
+     * @param {string[]} permissions
+     */
+    assertTransitions(parcels, statut, permissions = []) {
+        const refusals = parcels
+            .map(parcel => ({ parcel, check: MarchandiseStatus.checkTransition(parcel.statut, statut, permissions) }))
+            .filter(({ check }) => !check.allowed)
+            .map(({ parcel, check }) => ({
+                code_barre: parcel.code_barre,
+                statut: parcel.statut,
+                statut_demande: statut,
+                raison: check.reason,
+                permission: check.permission,
+                message: MarchandiseStatus.describeRefusal(parcel.statut, statut, check, parcel.code_barre)
+            }));
+
+        if (refusals.length === 0) return;
+
+        const forbidden = refusals.filter(refusal => refusal.raison === 'transition');
+        const first = forbidden[0] || refusals[0];
+        const others = refusals.length > 1 ? ` (et ${refusals.length - 1} autre(s) colis)` : '';
+
+        const error = this.error(`${first.message}${others}`, forbidden.length > 0 ? 409 : 403);
+        error.details = refusals;
+        throw error;
+    }
+
+    /**
+     * Recalculer le statut du lot et son avancement à partir des colis
+     */
+    async refreshLot(marchandiseId, client = null) {
+        const runQuery = client ? client.query.bind(client) : query;
+
+        const result = await runQuery(
+            'SELECT statut, COUNT(*)::int as nombre FROM marchandises_colis WHERE marchandise_id = $1 GROUP BY statut',
+            [marchandiseId]
+        );
+
+        const avancement = {};
+        result.rows.forEach(row => {
+            avancement[row.statut] = row.nombre;
+        });
+
+        const lot = this.describe(avancement);
+
+        if (lot.total > 0) {
+            await runQuery(
+                'UPDATE marchandises SET statut = $2, colis_avancement = $3 WHERE id = $1',
+                [marchandiseId, lot.statut, avancement]
+            );
+        }
+
+        return { marchandise_id: marchandiseId, ...lot, avancement };
+    }
+
+    /**
+     * État d'un lot à partir du nombre de colis par statut
+     * - tous les colis au même statut : ce statut
+     * - au moins un colis en anomalie : 'probleme'
+     * - sinon le statut du colis le moins avancé, avec le libellé de l'étape
+     *   la plus avancée atteinte par une partie des colis
+     */
+    describe(avancement = {}) {
+        const statuses = Object.keys(avancement).filter(statut => avancement[statut] > 0);
+        const total = statuses.reduce((sum, statut) => sum + avancement[statut], 0);
+
+        if (statuses.length <= 1) {
+            return { statut: statuses[0] || null, total, libelle: null, partiel: null };
+        }
+
+        const progress = statuses.filter(statut => STATUS_PROGRESSION.includes(statut))
+            .sort((a, b) => STATUS_PROGRESSION.indexOf(a) - STATUS_PROGRESSION.indexOf(b));
+
+        const statut = statuses.some(s => ANOMALY_STATUSES.includes(s)) ? 'probleme' : progress[0];
+
+        // Étape la plus avancée : colis qui l'ont atteinte ou dépassée
+        const furthest = progress[progress.length - 1];
+        const reached = progress.filter(s => STATUS_PROGRESSION.indexOf(s) >= STATUS_PROGRESSION.indexOf(furthest))
+            .reduce((sum, s) => sum + avancement[s], 0);
+
+        const partiel = furthest && PARTIAL_LABELS[furthest]
+            ? { statut: furthest, nombre: reached, total }
+            : null;
+
+        return {
+            statut,
+            total,
+            libelle: partiel ? `${PARTIAL_LABELS[furthest]} ${reached}/${total}` : null,
+            partiel
+        };
+    }
+
+    /**
+     * Nombre de colis déclaré pour une marchandise (au moins 1)
+     */
+    count(marchandise) {
+        return Math.max(parseInt(marchandise.nombre_colis, 10) || 1, 1);
+    }
+
+    /**
+     * Insérer les colis numérotés de from à to
+     */
+    async insertParcels(client, marchandise, from, to, statut) {
+        for (let numero = from; numero <= to; numero++) {
+            await client.query(
+                'INSERT INTO marchandises_colis (marchandise_id, numero, code_barre, statut) VALUES ($1, $2, $3, $4)',
+                [marchandise.id, numero, this.code(marchandise.code_barre, numero), statut]
+            );
+        }
+    }
+
+    /**
+     * Erreur métier portant son statut HTTP
+     */
+    error(message, statusCode) {
+        const error = new Error(message);
+        error.statusCode = statusCode;
+        return error;
+    }
+}
+
+module.exports = new ParcelService();
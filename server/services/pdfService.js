@@ -34,6 +34,14 @@ class PDFService {
             const client = await db.findOne('clients', { id: marchandise.client_id });
             const paiements = await db.findMany('paiements', { marchandise_id: marchandiseId });
             
+            // Jours de stockage facturés au-delà de la franchise
+            const stockage = await query(`
+                SELECT COALESCE(SUM(jours), 0)::int as jours
+                FROM marchandises_stockage
+                WHERE marchandise_id = $1 AND type_mouvement = 'facturation'
+            `, [marchandiseId]);
+            marchandise.stockage_jours = stockage.rows[0].jours;
+            
             const doc = new PDFDocument({
                 size: 'A4',
                 margin: 50
@@ -228,6 +236,160 @@ class PDFService {
         }
     }
     
+    /**
+     * Générer le relevé de compte d'un client
+     * Le relevé est construit par statementService ; la promesse attend l'écriture
+     * complète du fichier pour qu'il puisse être envoyé en pièce jointe
+     */
+    async generateStatement(statement) {
+        try {
+            const { client, periode } = statement;
+            const formatDate = (date) => new Date(date).toLocaleDateString('fr-FR');
+            
+            const doc = new PDFDocument({
+                size: 'A4',
+                margin: 40
+            });
+            
+            const filename = `releve_${client.code_client}_${Date.now()}.pdf`;
+            const filepath = path.join(this.outputDir, filename);
+            
+            const stream = fs.createWriteStream(filepath);
+            const written = new Promise((resolve, reject) => {
+                stream.on('finish', resolve);
+                stream.on('error', reject);
+            });
+            doc.pipe(stream);
+            
+            // En-tête
+            this.addHeader(doc, 'RELEVÉ DE COMPTE');
+            
+            doc.fontSize(10)
+               .text(`Période du ${formatDate(periode.debut)} au ${formatDate(periode.fin)}`, 50, 85, { align: 'center' });
+            
+            // Client
+            doc.fontSize(12)
+               .text(`${client.nom} ${client.prenom} (${client.code_client})`, 50, 115)
+               .fontSize(10)
+               .text(`${client.adresse_principale || ''}`, 50, 133)
+               .text([client.code_postal, client.ville, client.pays].filter(Boolean).join(' '), 50, 147);
+            
+            // Synthèse
+            doc.fontSize(10)
+               .text(`Solde d'ouverture: ${this.formatAmount(statement.solde_ouverture)}`, 350, 115)
+               .text(`Total facturé: ${this.formatAmount(statement.total_facture)}`, 350, 130)
+               .text(`Total réglé: ${this.formatAmount(statement.total_paye)}`, 350, 145)
+               .fontSize(12)
+               .text(`Solde de clôture: ${this.formatAmount(statement.solde_cloture)}`, 350, 163);
+            
+            // Mouvements
+            const endY = this.addStatementTable(doc, statement, 200);
+            
+            // Balance âgée
+            this.addAgingSection(doc, statement.balance_agee, endY + 25);
+            
+            this.addFooter(doc);
+            
+            doc.end();
+            await written;
+            
+            return { filename, filepath };
+            
+        } catch (error) {
+            logger.error('Erreur génération relevé de compte:', error);
+            throw error;
+        }
+    }
+    
+    /**
+     * Générer le bon de dépôt d'une réception : articles déposés avec leurs photos,
+     * valeur déclarée et état à la réception, signés par le déposant
+     *
+     * @param {Object} reception - réception avec client, marchandises (photo_paths),
+     *                             signature_path et createur_nom
+     * @param {string} directory - dossier privé des bons de dépôt (pas output/pdf, servi sous /exports)
+     */
+    async generateDepositReceipt(reception, directory) {
+        try {
+            const { client } = reception;
+            
+            const doc = new PDFDocument({
+                size: 'A4',
+                margin: 40
+            });
+            
+            const filename = `bon_depot_${reception.numero}_${Date.now()}.pdf`;
+            const filepath = path.join(directory, filename);
+            
+            const stream = fs.createWriteStream(filepath);
+            const written = new Promise((resolve, reject) => {
+                stream.on('finish', resolve);
+                stream.on('error', reject);
+            });
+            doc.pipe(stream);
+            
+            // En-tête
+            this.addHeader(doc, 'BON DE DÉPÔT');
+            
+            doc.fontSize(12)
+               .text(`N° ${reception.numero}`, 50, 80, { align: 'center' })
+               .fontSize(10)
+               .text(`Le ${new Date(reception.created_at).toLocaleString('fr-FR')}`, 50, 97, { align: 'center' });
+            
+            // Client déposant
+            doc.fontSize(12)
+               .text(`${client.nom} ${client.prenom} (${client.code_client})`, 50, 125)
+               .fontSize(10)
+               .text(`${client.telephone_principal || ''}`, 50, 143)
+               .text(`${client.adresse_principale || ''}`, 50, 157)
+               .text([client.code_postal, client.ville, client.pays].filter(Boolean).join(' '), 50, 171);
+            
+            // Réception
+            doc.fontSize(10)
+               .text(`Mode de réception: ${this.formatReceptionMode(reception.mode_reception)}`, 330, 125)
+               .text(`Déposé par: ${reception.signataire_nom || `${client.nom} ${client.prenom}`}`, 330, 140)
+               .text(`Reçu par: ${reception.createur_nom || '-'}`, 330, 155)
+               .text(`Articles: ${reception.nombre_articles} - Colis: ${reception.nombre_colis}`, 330, 170);
+            
+            // Articles
+            let y = this.addDepositTable(doc, reception.marchandises, 205);
+            
+            // Total et observations
+            doc.fontSize(11)
+               .text(`Valeur déclarée totale: ${this.formatAmount(parseFloat(reception.valeur_declaree_totale))}`, 50, y + 10, { align: 'right', width: 500 });
+            y += 35;
+            
+            if (reception.observations) {
+                doc.fontSize(10)
+                   .text(`Observations: ${reception.observations}`, 50, y, { width: 500 });
+                y = doc.y + 10;
+            }
+            
+            // Signatures : toujours sur la même page que la mention
+            if (y + 150 > doc.page.height - 80) {
+                doc.addPage();
+                y = 50;
+            }
+            
+            doc.fontSize(9)
+               .text('Le déposant reconnaît avoir remis les marchandises ci-dessus, dans l\'état décrit, '
+                   + 'et certifie l\'exactitude des valeurs déclarées.', 50, y, { width: 500 });
+            
+            this.addDepositSignatures(doc, reception, y + 35);
+            
+            this.addFooter(doc);
+            
+            doc.end();
+            await written;
+            
+            return { filename, filepath };
+            
+        } catch (error) {
+            logger.error('Erreur génération bon de dépôt:', error);
+            throw error;
+        }
+    }
+    
     /**
      * Ajouter l'en-tête du document
      */
@@ -272,11 +434,22 @@ class PDFService {
            .text(`${marchandise.cout_total.toFixed(2)} €`, 450, y);
         
         // Services additionnels
+        let lineY = y + 20;
         if (marchandise.cout_transport > 0) {
-            doc.text('Transport', 50, y + 20)
-               .text('1', 250, y + 20)
-               .text(`${marchandise.cout_transport.toFixed(2)} €`, 350, y + 20)
-               .text(`${marchandise.cout_transport.toFixed(2)} €`, 450, y + 20);
+            doc.text('Transport', 50, lineY)
+               .text('1', 250, lineY)
+               .text(`${marchandise.cout_transport.toFixed(2)} €`, 350, lineY)
+               .text(`${marchandise.cout_transport.toFixed(2)} €`, 450, lineY);
+            lineY += 20;
+        }
+        
+        const coutStockage = parseFloat(marchandise.cout_stockage) || 0;
+        if (coutStockage > 0) {
+            const jours = marchandise.stockage_jours ? ` (${marchandise.stockage_jours} j après franchise)` : '';
+            doc.text(`Stockage${jours}`, 50, lineY, { width: 190 })
+               .text('1', 250, lineY)
+               .text(`${coutStockage.toFixed(2)} €`, 350, lineY)
+               .text(`${coutStockage.toFixed(2)} €`, 450, lineY);
         }
     }
     
@@ -340,6 +513,237 @@ class PDFService {
         });
     }
     
+    /**
+     * Ajouter le tableau des mouvements du relevé, sur plusieurs pages si besoin
+     * Retourne l'ordonnée sous la dernière ligne
+     */
+    addStatementTable(doc, statement, startY) {
+        const headers = ['Date', 'Référence', 'Libellé', 'Débit (€)', 'Crédit (€)', 'Solde (€)'];
+        const colWidths = [65, 95, 145, 70, 70, 70];
+        const bottom = doc.page.height - 80;
+        
+        const drawHeaders = (y) => {
+            let x = 50;
+            doc.fontSize(10);
+            headers.forEach((header, i) => {
+                doc.text(header, x, y, { width: colWidths[i] - 5 });
+                x += colWidths[i];
+            });
+            
+            doc.moveTo(50, y + 15)
+               .lineTo(565, y + 15)
+               .stroke();
+            
+            return y + 25;
+        };
+        
+        const drawRow = (data, y) => {
+            let x = 50;
+            doc.fontSize(9);
+            data.forEach((text, i) => {
+                doc.text(text, x, y, { width: colWidths[i] - 5, ellipsis: true, lineBreak: false });
+                x += colWidths[i];
+            });
+            
+            return y + 18;
+        };
+        
+        let y = drawHeaders(startY);
+        
+        y = drawRow([
+            new Date(statement.periode.debut).toLocaleDateString('fr-FR'),
+            '',
+            'Solde d\'ouverture',
+            '',
+            '',
+            statement.solde_ouverture.toFixed(2)
+        ], y);
+        
+        statement.lignes.forEach(ligne => {
+            if (y > bottom) {
+                this.addFooter(doc);
+                doc.addPage();
+                y = drawHeaders(50);
+            }
+            
+            const libelle = ligne.mode_paiement
+                ? `${ligne.libelle} ${this.formatPaymentMode(ligne.mode_paiement)}`
+                : ligne.libelle;
+            
+            y = drawRow([
+                new Date(ligne.date).toLocaleDateString('fr-FR'),
+                ligne.reference || '',
+                libelle || '',
+                ligne.debit ? ligne.debit.toFixed(2) : '',
+                ligne.credit ? ligne.credit.toFixed(2) : '',
+                ligne.solde.toFixed(2)
+            ], y);
+        });
+        
+        doc.moveTo(50, y)
+           .lineTo(565, y)
+           .stroke();
+        
+        return drawRow([
+            new Date(statement.periode.fin).toLocaleDateString('fr-FR'),
+            '',
+            'Solde de clôture',
+            statement.total_facture.toFixed(2),
+            statement.total_paye.toFixed(2),
+            statement.solde_cloture.toFixed(2)
+        ], y + 5);
+    }
+    
+    /**
+     * Ajouter la balance âgée du relevé
+     */
+    addAgingSection(doc, aging, startY) {
+        if (startY > doc.page.height - 140) {
+            this.addFooter(doc);
+            doc.addPage();
+            startY = 50;
+        }
+        
+        const buckets = [
+            ['0-30 jours', aging['0_30']],
+            ['31-60 jours', aging['31_60']],
+            ['61-90 jours', aging['61_90']],
+            ['+90 jours', aging.plus_90]
+        ];
+        
+        doc.fontSize(12)
+           .text('Balance âgée des sommes dues:', 50, startY);
+        
+        let x = 50;
+        buckets.forEach(([label, amount]) => {
+            doc.fontSize(9)
+               .text(label, x, startY + 22, { width: 110 })
+               .fontSize(11)
+               .text(this.formatAmount(amount), x, startY + 36, { width: 110 });
+            x += 120;
+        });
+        
+        if (aging.avoir > 0) {
+            doc.fontSize(10)
+               .text(`Avoir disponible: ${this.formatAmount(aging.avoir)}`, 50, startY + 60);
+        }
+    }
+    
+    /**
+     * Ajouter le tableau des articles du bon de dépôt, sur plusieurs pages si besoin,
+     * chaque article suivi des vignettes de ses photos
+     * Retourne l'ordonnée sous le dernier article
+     */
+    addDepositTable(doc, marchandises, startY) {
+        const headers = ['Code-barres', 'Désignation', 'Colis', 'Poids (kg)', 'Valeur (€)', 'État'];
+        const colWidths = [105, 160, 40, 60, 70, 65];
+        const bottom = doc.page.height - 80;
+        const thumbnail = 60;
+        
+        const drawHeaders = (y) => {
+            let x = 50;
+            doc.fontSize(10);
+            headers.forEach((header, i) => {
+                doc.text(header, x, y);
+                x += colWidths[i];
+            });
+            
+            doc.moveTo(50, y + 15)
+               .lineTo(550, y + 15)
+               .stroke();
+            
+            return y + 25;
+        };
+        
+        let y = drawHeaders(startY);
+        
+        marchandises.forEach(item => {
+            // Photos lisibles par PDFKit (JPEG et PNG)
+            const photos = (item.photo_paths || [])
+                .filter(photo => /\.(jpe?g|png)$/i.test(photo) && fs.existsSync(photo));
+            const height = 20 + (photos.length > 0 ? thumbnail + 10 : 0);
+            
+            if (y + height > bottom) {
+                doc.addPage();
+                y = drawHeaders(50);
+            }
+            
+            const data = [
+                item.code_barre,
+                item.designation,
+                String(item.nombre_colis || 1),
+                item.poids ? parseFloat(item.poids).toFixed(2) : '-',
+                item.valeur_declaree ? parseFloat(item.valeur_declaree).toFixed(2) : '-',
+                this.formatReceptionState(item.etat_reception)
+            ];
+            
+            let x = 50;
+            doc.fontSize(9);
+            data.forEach((text, i) => {
+                doc.text(text, x, y, { width: colWidths[i] - 5, height: 15, ellipsis: true });
+                x += colWidths[i];
+            });
+            y += 20;
+            
+            if (photos.length > 0) {
+                x = 50;
+                photos.slice(0, 7).forEach(photo => {
+                    try {
+                        doc.image(photo, x, y, { fit: [thumbnail, thumbnail] });
+                        x += thumbnail + 10;
+                    } catch (error) {
+                        logger.warn(`Photo illisible pour le bon de dépôt: ${photo}`, error.message);
+                    }
+                });
+                y += thumbnail + 10;
+            }
+            
+            doc.moveTo(50, y - 5)
+               .lineTo(550, y - 5)
+               .lineWidth(0.5)
+               .stroke()
+               .lineWidth(1);
+        });
+        
+        return y;
+    }
+    
+    /**
+     * Ajouter les signatures du bon de dépôt : déposant (signature capturée au comptoir
+     * ou zone à signer) et agent ayant réceptionné
+     */
+    addDepositSignatures(doc, reception, startY) {
+        const depositor = reception.signataire_nom || `${reception.client.nom} ${reception.client.prenom}`;
+        
+        doc.fontSize(10)
+           .text(`Le déposant: ${depositor}`, 50, startY)
+           .rect(50, startY + 20, 220, 80)
+           .stroke()
+           .text(`Pour la société: ${reception.createur_nom || ''}`, 330, startY)
+           .rect(330, startY + 20, 220, 80)
+           .stroke();
+        
+        if (reception.signature_path && fs.existsSync(reception.signature_path)) {
+            try {
+                doc.image(reception.signature_path, 55, startY + 25, { fit: [210, 70] });
+            } catch (error) {
+                logger.warn(`Signature illisible pour le bon de dépôt ${reception.numero}:`, error.message);
+            }
+        }
+        
+        if (reception.signe_le) {
+            doc.fontSize(8)
+               .text(`Signé le ${new Date(reception.signe_le).toLocaleString('fr-FR')}`, 50, startY + 105);
+        }
+    }
+    
+    /**
+     * Formater un montant en euros
+     */
+    formatAmount(amount) {
+        return `${(amount || 0).toFixed(2)} €`;
+    }
+    
     /**
      * Calculer le résumé du manifeste
      */
@@ -381,6 +785,33 @@ class PDFService {
         
         return modes[mode] || mode;
     }
+    
+    /**
+     * Formater le mode de réception
+     */
+    formatReceptionMode(mode) {
+        const modes = {
+            depot_client: 'Dépôt client',
+            poste: 'Poste',
+            coursier: 'Coursier'
+        };
+        
+        return modes[mode] || mode;
+    }
+    
+    /**
+     * Formater l'état à la réception
+     */
+    formatReceptionState(etat) {
+        const etats = {
+            bon_etat: 'Bon état',
+            endommage: 'Endommagé',
+            fragile: 'Fragile',
+            manquant: 'Manquant'
+        };
+        
+        return etats[etat] || etat || '-';
+    }
 }
 
 module.exports = new PDFService();
\ No newline at end of file
@@ -0,0 +1,460 @@
+/**
+ * Service des photos de marchandises
+ * Images réorientées selon l'EXIF et débarrassées de leurs métadonnées (GPS, appareil),
+ * miniatures générées à l'envoi, catégorie, légende et ordre de la galerie
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const { query, transaction } = require('../database/connection');
+const { logger } = require('../../shared/logger');
+const { LIMITES, TYPES } = require('../../shared/constants');
+
+const CATEGORIES = Object.values(TYPES.PHOTO);
+const THUMBNAIL_SIZE = 320;
+// Les GIF sont enregistrés en PNG (première image)
+const OUTPUT_FORMATS = {
+    'image/jpeg': { format: 'jpeg', extension: '.jpg', mime: 'image/jpeg' },
+    'image/png': { format: 'png', extension: '.png', mime: 'image/png' },
+    'image/webp': { format: 'webp', extension: '.webp', mime: 'image/webp' },
+    'image/gif': { format: 'png', extension: '.png', mime: 'image/png' }
+};
+
+class PhotoService {
+    constructor() {
+        this.photoDir = path.join(__dirname, '../../uploads/photos');
+        this.thumbnailDir = path.join(this.photoDir, 'miniatures');
+        // Fichiers reçus par multer, avant traitement : hors du dossier /uploads servi publiquement
+        this.incomingDir = path.join(os.tmpdir(), 'import-export-photos');
+        this.ensureStorageDirectories();
+    }
+
+    /**
+     * Créer les dossiers des photos, des miniatures et des envois s'ils n'existent pas
+     */
+    ensureStorageDirectories() {
+        [this.photoDir, this.thumbnailDir, this.incomingDir].forEach(directory => {
+            if (!fs.existsSync(directory)) {
+                fs.mkdirSync(directory, { recursive: true });
+            }
+        });
+    }
+
+    /**
+     * Galerie d'une marchandise, dans l'ordre d'affichage
+     *
+     * @param {number} marchandiseId
+     * @param {Object} filters - categorie, litige_id
+     */
+    async list(marchandiseId, filters = {}) {
+        const params = [marchandiseId];
+        let paramIndex = 2;
+        let whereClause = 'WHERE marchandise_id = $1';
+
+        if (filters.categorie) {
+            whereClause += ` AND categorie = $${paramIndex}`;
+            params.push(this.category(filters.categorie));
+            paramIndex++;
+        }
+
+        if (filters.litige_id) {
+            whereClause += ` AND litige_id = $${paramIndex}`;
+            params.push(parseInt(filters.litige_id, 10));
+            paramIndex++;
+        }
+
+        const result = await query(
+            `SELECT * FROM photos ${whereClause} ORDER BY position, id`,
+            params
+        );
+
+        return result.rows.map(photo => this.format(photo));
+    }
+
+    /**
+     * Ajouter des photos à une marchandise
+     *
+     * @param {number} marchandiseId
+     * @param {Object[]} files - fichiers reçus par multer
+     * @param {Object} options - categorie, legende (commune aux photos envoyées), litige_id
+     * @param {number} userId
+     */
+    async add(marchandiseId, files, options, userId) {
+        const prepared = await this.prepare(files);
+
+        try {
+            const photos = await transaction(async (client) => {
+                const exists = await client.query('SELECT id FROM marchandises WHERE id = $1 FOR UPDATE', [marchandiseId]);
+                if (exists.rows.length === 0) {
+                    throw this.error('Marchandise non trouvée', 404);
+                }
+
+                return this.insertPhotos(client, marchandiseId, prepared, options, userId);
+            });
+
+            return photos.map(photo => this.format(photo));
+
+        } catch (error) {
+            this.discard(prepared);
+            throw error;
+        }
+    }
+
+    /**
+     * Traiter les fichiers reçus avant leur enregistrement : quota de l'envoi, réorientation,
+     * suppression des métadonnées et miniature ; les fichiers reçus sont supprimés
+     *
+     * @returns {Object[]} photos prêtes à insérer (à supprimer par discard en cas d'échec)
+     */
+    async prepare(files = []) {
+        try {
+            this.checkQuota(files);
+
+            const prepared = [];
+
+            try {
+                for (const file of files) {
+                    prepared.push(await this.process(file));
+                }
+            } catch (error) {
+                this.discard(prepared);
+                throw error;
+            }
+
+            return prepared;
+
+        } finally {
+            this.removeIncoming(files);
+        }
+    }
+
+    /**
+     * Insérer des photos traitées à la suite de la galerie (dans la transaction de l'appelant)
+     * La première photo d'une marchandise devient sa photo principale
+     */
+    async insertPhotos(client, marchandiseId, prepared, options = {}, userId = null) {
+        if (prepared.length === 0) return [];
+
+        const categorie = this.category(options.categorie || TYPES.PHOTO.RECEPTION);
+
+        const current = await client.query(
+            'SELECT COALESCE(MAX(position), 0)::int as position, COUNT(*)::int as total FROM photos WHERE marchandise_id = $1',
+            [marchandiseId]
+        );
+        let position = current.rows[0].position;
+
+        const photos = [];
+        for (const [index, photo] of prepared.entries()) {
+            position++;
+
+            const result = await client.query(`
+                INSERT INTO photos (
+                    marchandise_id, filename, miniature, original_name, mime_type, size_bytes,
+                    width, height, is_primary, description, categorie, position, litige_id, created_by
+                ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+                RETURNING *
+            `, [
+                marchandiseId,
+                photo.filename,
+                photo.miniature,
+                photo.original_name,
+                photo.mime_type,
+                photo.size_bytes,
+                photo.width,
+                photo.height,
+                current.rows[0].total === 0 && index === 0,
+                options.legende || null,
+                categorie,
+                position,
+                options.litige_id || null,
+                userId
+            ]);
+
+            photos.push(result.rows[0]);
+        }
+
+        return photos;
+    }
+
+    /**
+     * Modifier la légende, la catégorie ou désigner la photo principale
+     *
+     * @param {Object} changes - legende, categorie, is_primary
+     */
+    async update(marchandiseId, photoId, changes) {
+        const photo = await this.find(marchandiseId, photoId);
+
+        const values = {
+            description: changes.legende !== undefined ? (changes.legende || null) : photo.description,
+            categorie: changes.categorie !== undefined ? this.category(changes.categorie) : photo.categorie,
+            // Le trigger retire l'ancienne photo principale
+            is_primary: changes.is_primary === true ? true : photo.is_primary
+        };
+
+        const result = await query(`
+            UPDATE photos SET description = $2, categorie = $3, is_primary = $4
+            WHERE id = $1
+            RETURNING *
+        `, [photo.id, values.description, values.categorie, values.is_primary]);
+
+        return {
+            avant: this.format(photo),
+            apres: this.format(result.rows[0])
+        };
+    }
+
+    /**
+     * Supprimer une photo et ses fichiers, puis renuméroter la galerie
+     * Une autre photo devient principale si la photo supprimée l'était
+     */
+    async remove(marchandiseId, photoId) {
+        const photo = await this.find(marchandiseId, photoId);
+
+        await transaction(async (client) => {
+            await client.query('DELETE FROM photos WHERE id = $1', [photo.id]);
+            await this.renumber(client, marchandiseId);
+
+            if (photo.is_primary) {
+                await client.query(`
+                    UPDATE photos SET is_primary = TRUE
+                    WHERE id = (SELECT id FROM photos WHERE marchandise_id = $1 ORDER BY position LIMIT 1)
+                `, [marchandiseId]);
+            }
+        });
+
+        this.removeFiles([photo]);
+
+        return this.format(photo);
+    }
+
+    /**
+     * Réordonner la galerie : tous les identifiants des photos, dans le nouvel ordre
+     */
+    async reorder(marchandiseId, photoIds) {
+        const ids = (Array.isArray(photoIds) ? photoIds : []).map(id => parseInt(id, 10));
+
+        return transaction(async (client) => {
+            const current = await client.query(
+                'SELECT id FROM photos WHERE marchandise_id = $1 FOR UPDATE',
+                [marchandiseId]
+            );
+            const existing = current.rows.map(row => row.id);
+
+            const complete = ids.length === existing.length
+                && new Set(ids).size === ids.length
+                && ids.every(id => existing.includes(id));
+
+            if (!complete) {
+                throw this.error('L\'ordre doit contenir chaque photo de la marchandise une seule fois', 400);
+            }
+
+            await client.query(`
+                UPDATE photos SET position = ordre.position
+                FROM unnest($1::int[]) WITH ORDINALITY AS ordre(id, position)
+                WHERE photos.id = ordre.id
+            `, [ids]);
+
+            const result = await client.query(
+                'SELECT * FROM photos WHERE marchandise_id = $1 ORDER BY position',
+                [marchandiseId]
+            );
+
+            return result.rows.map(photo => this.format(photo));
+        });
+    }
+
+    /**
+     * Fichiers des photos d'une marchandise, relevés avant sa suppression
+     * (les lignes partent avec elle) pour être effacés par removeFiles une fois celle-ci faite
+     */
+    async findFiles(marchandiseId) {
+        const result = await query('SELECT filename, miniature FROM photos WHERE marchandise_id = $1', [marchandiseId]);
+        return result.rows;
+    }
+
+    /**
+     * Photo d'une marchandise
+     */
+    async find(marchandiseId, photoId) {
+        const result = await query(
+            'SELECT * FROM photos WHERE id = $1 AND marchandise_id = $2',
+            [photoId, marchandiseId]
+        );
+
+        if (result.rows.length === 0) {
+            throw this.error('Photo non trouvée', 404);
+        }
+
+        return result.rows[0];
+    }
+
+    /**
+     * Chemin d'une photo sur le disque
+     */
+    filePath(photo) {
+        return path.join(this.photoDir, path.basename(photo.filename));
+    }
+
+    /**
+     * Réorienter l'image selon l'EXIF, l'enregistrer sans métadonnées et créer sa miniature
+     */
+    async process(file) {
+        const output = OUTPUT_FORMATS[file.mimetype];
+        if (!output) {
+            throw this.error(`Format non accepté pour ${file.originalname}`, 400);
+        }
+
+        const basename = `photo-${Date.now()}-${Math.round(Math.random() * 1E9)}`;
+        const filename = `${basename}${output.extension}`;
+        const miniature = `${basename}.jpg`;
+
+        try {
+            // rotate() sans angle applique l'orientation EXIF ; sharp n'écrit aucune métadonnée par défaut
+            const image = sharp(file.buffer || file.path, { failOn: 'error' }).rotate();
+
+            const info = await image.clone()
+                .toFormat(output.format)
+                .toFile(path.join(this.photoDir, filename));
+
+            await image.clone()
+                .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+                .flatten({ background: '#ffffff' })
+                .jpeg({ quality: 80 })
+                .toFile(path.join(this.thumbnailDir, miniature));
+
+            return {
+                filename,
+                miniature,
+                original_name: file.originalname,
+                mime_type: output.mime,
+                size_bytes: info.size,
+                width: info.width,
+                height: info.height
+            };
+
+        } catch (error) {
+            this.removeFiles([{ filename, miniature }]);
+            logger.warn(`Image illisible (${file.originalname}):`, error.message);
+            throw this.error(`Image illisible : ${file.originalname}`, 400);
+        }
+    }
+
+    /**
+     * Quota d'un envoi : nombre de fichiers et taille totale (LIMITES.UPLOAD)
+     */
+    checkQuota(files) {
+        if (files.length > LIMITES.UPLOAD.MAX_FILES) {
+            throw this.error(`${LIMITES.UPLOAD.MAX_FILES} photos au maximum par envoi`, 400);
+        }
+
+        const invalid = files.find(file => !LIMITES.UPLOAD.ALLOWED_IMAGE_TYPES.includes(file.mimetype));
+        if (invalid) {
+            throw this.error(`Format non accepté pour ${invalid.originalname}`, 400);
+        }
+
+        const total = files.reduce((sum, file) => sum + file.size, 0);
+        if (total > LIMITES.UPLOAD.MAX_UPLOAD_SIZE) {
+            throw this.error(
+                `Envoi trop volumineux : ${this.megabytes(total)} Mo pour ${this.megabytes(LIMITES.UPLOAD.MAX_UPLOAD_SIZE)} Mo autorisés`,
+                413
+            );
+        }
+    }
+
+    /**
+     * Renuméroter la galerie après une suppression
+     */
+    async renumber(client, marchandiseId) {
+        await client.query(`
+            UPDATE photos SET position = ordered.rang
+            FROM (
+                SELECT id, ROW_NUMBER() OVER (ORDER BY position, id) as rang
+                FROM photos WHERE marchandise_id = $1
+            ) ordered
+            WHERE photos.id = ordered.id AND photos.position <> ordered.rang
+        `, [marchandiseId]);
+    }
+
+    /**
+     * Photo exposée par l'API, avec l'URL de l'image et de sa miniature
+     * (l'image elle-même pour les photos reprises sans miniature)
+     */
+    format(photo) {
+        const url = `/uploads/photos/${photo.filename}`;
+
+        return {
+            ...photo,
+            legende: photo.description,
+            url,
+            miniature_url: photo.miniature ? `/uploads/photos/miniatures/${photo.miniature}` : url
+        };
+    }
+
+    /**
+     * Catégorie valide (reception, dommage, chargement)
+     */
+    category(value) {
+        if (!CATEGORIES.includes(value)) {
+            throw this.error(`Catégorie de photo invalide (${CATEGORIES.join(', ')})`, 400);
+        }
+
+        return value;
+    }
+
+    /**
+     * Supprimer des photos traitées qui n'ont pas été enregistrées
+     */
+    discard(prepared = []) {
+        this.removeFiles(prepared);
+    }
+
+    /**
+     * Supprimer les fichiers d'images et de miniatures sans faire échouer l'opération
+     */
+    removeFiles(photos = []) {
+        photos.forEach(photo => {
+            const files = [this.filePath(photo)];
+            if (photo.miniature) files.push(path.join(this.thumbnailDir, path.basename(photo.miniature)));
+
+            files.forEach(filepath => this.unlink(filepath));
+        });
+    }
+
+    /**
+     * Supprimer les fichiers reçus par multer sur le disque
+     */
+    removeIncoming(files = []) {
+        files.filter(file => file.path).forEach(file => this.unlink(file.path));
+    }
+
+    /**
+     * Supprimer un fichier sans faire échouer l'opération
+     */
+    unlink(filepath) {
+        fs.unlink(filepath, (error) => {
+            if (error && error.code !== 'ENOENT') {
+                logger.warn(`Suppression du fichier ${filepath} impossible:`, error.message);
+            }
+        });
+    }
+
+    /**
+     * Taille en Mo pour les messages d'erreur
+     */
+    megabytes(bytes) {
+        return (bytes / 1024 / 1024).toFixed(1);
+    }
+
+    /**
+     * Erreur métier portant son statut HTTP
+     */
+    error(message, statusCode) {
+        const error = new Error(message);
+        error.statusCode = statusCode;
+        return error;
+    }
+}
+
+module.exports = new PhotoService();
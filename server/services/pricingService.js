@@ -0,0 +1,340 @@
+/**
+ * Service de tarification des marchandises
+ * Calcule les coûts de transport, manutention, assurance et stockage
+ * à partir de la version en vigueur de la grille tarifaire, du poids taxable
+ * et de la remise du client
+ */
+
+const { query } = require('../database/connection');
+const { logger } = require('../../shared/logger');
+const appConfig = require('../config/app');
+const tariffService = require('./tariffService');
+
+const SHIPMENT_TYPES = ['avec_dedouanement', 'sans_dedouanement'];
+
+// Champs du formulaire servant au calcul mais absents de la table marchandises
+const QUOTE_FIELDS = ['tarification_auto', 'assurance', 'type_envoi', 'destination_pays', 'destination_port'];
+
+class PricingService {
+    /**
+     * Paramètres de tarification : table parametres_systeme, sinon configuration de l'application
+     */
+    async getSettings() {
+        const settings = {
+            volumetricFactor: appConfig.business.pricing.volumetricFactor,
+            insuranceRate: appConfig.business.pricing.insuranceRate
+        };
+
+        try {
+            const result = await query(
+                'SELECT cle, valeur FROM parametres_systeme WHERE cle = ANY($1)',
+                [['TARIF_FACTEUR_VOLUMETRIQUE', 'TARIF_TAUX_ASSURANCE']]
+            );
+
+            for (const row of result.rows) {
+                const value = parseFloat(row.valeur);
+                if (row.cle === 'TARIF_FACTEUR_VOLUMETRIQUE' && value > 0) {
+                    settings.volumetricFactor = value;
+                }
+                if (row.cle === 'TARIF_TAUX_ASSURANCE' && value >= 0) {
+                    settings.insuranceRate = value;
+                }
+            }
+        } catch (error) {
+            logger.warn('Lecture des paramètres de tarification impossible, configuration par défaut utilisée:', error.message);
+        }
+
+        return settings;
+    }
+
+    /**
+     * Destinations couvertes par la version en vigueur et valeurs par défaut, pour le formulaire
+     */
+    async getOptions() {
+        const current = await tariffService.getCurrent();
+        const result = await query(`
+            SELECT DISTINCT destination_pays, destination_port
+            FROM grilles_tarifaires
+            WHERE tarif_id = $1 AND actif = true AND destination_pays IS NOT NULL
+            ORDER BY destination_pays, destination_port NULLS FIRST
+        `, [current ? current.id : null]);
+        const settings = await this.getSettings();
+
+        return {
+            tarif: current ? { id: current.id, nom: current.nom, date_debut: current.date_debut } : null,
+            destinations: result.rows,
+            types_envoi: SHIPMENT_TYPES,
+            facteur_volumetrique: settings.volumetricFactor,
+            taux_assurance: settings.insuranceRate
+        };
+    }
+
+    /**
+     * Ligne applicable d'une version : tous ses critères renseignés correspondent,
+     * la plus spécifique (port > pays > type > catégorie de véhicule > type d'envoi)
+     * puis la plus prioritaire l'emporte
+     */
+    async findRate(tarifId, { destination_pays, destination_port, type_marchandise, categorie_vehicule, type_envoi }) {
+        const result = await query(`
+            SELECT *
+            FROM grilles_tarifaires
+            WHERE tarif_id = $1
+              AND actif = true
+              AND (destination_pays IS NULL OR LOWER(destination_pays) = LOWER($2))
+              AND (destination_port IS NULL OR LOWER(destination_port) = LOWER($3))
+              AND (type_marchandise IS NULL OR type_marchandise = $4)
+              AND (categorie_vehicule IS NULL OR categorie_vehicule = $5)
+              AND (type_envoi IS NULL OR type_envoi = $6)
+            ORDER BY (CASE WHEN destination_port IS NOT NULL THEN 16 ELSE 0 END
+                    + CASE WHEN destination_pays IS NOT NULL THEN 8 ELSE 0 END
+                    + CASE WHEN type_marchandise IS NOT NULL THEN 4 ELSE 0 END
+                    + CASE WHEN categorie_vehicule IS NOT NULL THEN 2 ELSE 0 END
+                    + CASE WHEN type_envoi IS NOT NULL THEN 1 ELSE 0 END) DESC,
+                     priorite DESC, id
+            LIMIT 1
+        `, [tarifId, destination_pays || '', destination_port || '', type_marchandise || '', categorie_vehicule || '', type_envoi || '']);
+
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Surcharges d'une version applicables à la destination et au type de marchandise
+     */
+    async findSurcharges(tarifId, { destination_pays, type_marchandise }) {
+        const result = await query(`
+            SELECT *
+            FROM tarifs_surcharges
+            WHERE tarif_id = $1
+              AND valeur > 0
+              AND (destination_pays IS NULL OR LOWER(destination_pays) = LOWER($2))
+              AND (type_marchandise IS NULL OR type_marchandise = $3)
+            ORDER BY code
+        `, [tarifId, destination_pays || '', type_marchandise || '']);
+
+        return result.rows;
+    }
+
+    /**
+     * Calculer les coûts d'une marchandise
+     * La destination et le type d'envoi du conteneur affecté priment sur ceux saisis
+     *
+     * @param {Object} input - client_id, conteneur_id, type_marchandise, categorie_vehicule, nombre_colis,
+     *   poids, longueur, largeur, hauteur (cm), volume (m³), valeur_declaree, assurance,
+     *   destination_pays, destination_port, type_envoi, tarif_id (version imposée, sinon celle en vigueur)
+     * @returns {Object} cout_transport, cout_manutention, cout_assurance, cout_stockage, cout_total, tarification
+     */
+    async quote(input) {
+        if (!input.type_marchandise) {
+            throw this.error('Le type de marchandise est obligatoire pour la tarification', 400);
+        }
+
+        const destination = await this.resolveDestination(input);
+
+        if (destination.type_envoi && !SHIPMENT_TYPES.includes(destination.type_envoi)) {
+            throw this.error(`Type d'envoi inconnu : ${destination.type_envoi}`, 400);
+        }
+
+        const tarif = input.tarif_id
+            ? await tariffService.getVersion(input.tarif_id)
+            : await tariffService.getCurrent();
+
+        if (!tarif) {
+            throw this.error('Aucune version de la grille tarifaire n\'est en vigueur', 422);
+        }
+
+        const criteria = {
+            ...destination,
+            type_marchandise: input.type_marchandise,
+            categorie_vehicule: input.type_marchandise === 'vehicule' ? input.categorie_vehicule : null
+        };
+        const rate = await this.findRate(tarif.id, criteria);
+
+        if (!rate) {
+            throw this.error(`Aucune ligne de la grille "${tarif.nom}" ne correspond à cette marchandise`, 422);
+        }
+
+        const settings = await this.getSettings();
+        const discountRate = await this.getClientDiscount(input.client_id);
+
+        const packages = Math.max(parseInt(input.nombre_colis, 10) || 1, 1);
+        const weight = this.toNumber(input.poids);
+        const volume = this.toNumber(input.volume) || this.volumeFromDimensions(input);
+        const volumetricWeight = this.round(volume * settings.volumetricFactor);
+        const chargeableWeight = Math.max(weight, volumetricWeight);
+
+        const lines = [];
+        const addLine = (poste, libelle, montant) => {
+            const amount = this.round(montant);
+            if (amount !== 0) lines.push({ poste, libelle, montant: amount });
+            return amount;
+        };
+
+        // Transport : poids taxable, volume et forfait par colis, relevés au minimum de perception
+        const freight = chargeableWeight * parseFloat(rate.prix_kg)
+            + volume * parseFloat(rate.prix_m3)
+            + packages * parseFloat(rate.prix_forfait);
+        const minimum = parseFloat(rate.minimum_perception);
+        let transport = addLine('transport', `Fret ${chargeableWeight} kg x ${rate.prix_kg} €`, chargeableWeight * parseFloat(rate.prix_kg));
+        transport += addLine('transport', `Fret ${volume} m³ x ${rate.prix_m3} €`, volume * parseFloat(rate.prix_m3));
+        transport += addLine('transport', `Forfait ${packages} colis x ${rate.prix_forfait} €`, packages * parseFloat(rate.prix_forfait));
+        if (freight < minimum) {
+            transport += addLine('transport', `Complément minimum de perception (${minimum} €)`, minimum - freight);
+        }
+        if (destination.type_envoi === 'avec_dedouanement') {
+            transport += addLine('transport', 'Frais de dédouanement', parseFloat(rate.frais_dedouanement));
+        }
+
+        let handling = addLine('manutention', `Manutention ${packages} colis x ${rate.frais_manutention} €`, packages * parseFloat(rate.frais_manutention));
+
+        // Remise client sur le transport et la manutention
+        const discount = {
+            taux: discountRate,
+            transport: this.round(transport * discountRate / 100),
+            manutention: this.round(handling * discountRate / 100)
+        };
+        if (discountRate > 0) {
+            transport += addLine('remise', `Remise client ${discountRate} % sur le transport`, -discount.transport);
+            handling += addLine('remise', `Remise client ${discountRate} % sur la manutention`, -discount.manutention);
+        }
+
+        // Surcharges de la version, hors remise : pourcentage du transport remisé ou forfait par envoi
+        const base = transport;
+        for (const surcharge of await this.findSurcharges(tarif.id, criteria)) {
+            const amount = surcharge.mode === 'pourcentage'
+                ? base * parseFloat(surcharge.valeur) / 100
+                : parseFloat(surcharge.valeur);
+            const label = surcharge.mode === 'pourcentage' ? `${surcharge.libelle} (${surcharge.valeur} %)` : surcharge.libelle;
+
+            transport += addLine('surcharge', label, amount);
+        }
+
+        // Assurance facultative sur la valeur déclarée
+        const declaredValue = this.toNumber(input.valeur_declaree);
+        const insuranceRate = rate.taux_assurance !== null ? parseFloat(rate.taux_assurance) : settings.insuranceRate;
+        const insured = Boolean(input.assurance) && declaredValue > 0;
+        const insurance = insured
+            ? addLine('assurance', `Assurance ${insuranceRate} % de ${declaredValue} €`, declaredValue * insuranceRate / 100)
+            : 0;
+
+        const storage = addLine('stockage', 'Forfait stockage', parseFloat(rate.frais_stockage));
+
+        const costs = {
+            cout_transport: this.round(transport),
+            cout_manutention: this.round(handling),
+            cout_assurance: this.round(insurance),
+            cout_stockage: this.round(storage)
+        };
+
+        return {
+            ...costs,
+            cout_total: this.round(Object.values(costs).reduce((sum, value) => sum + value, 0)),
+            tarification: {
+                tarif: { id: tarif.id, nom: tarif.nom, date_debut: tarif.date_debut },
+                grille: { id: rate.id, nom: rate.nom },
+                destination_pays: destination.destination_pays || null,
+                destination_port: destination.destination_port || null,
+                type_envoi: destination.type_envoi || null,
+                categorie_vehicule: criteria.categorie_vehicule || null,
+                conteneur_id: destination.conteneur_id || null,
+                nombre_colis: packages,
+                poids_reel: weight,
+                volume,
+                facteur_volumetrique: settings.volumetricFactor,
+                poids_volumetrique: volumetricWeight,
+                poids_taxable: chargeableWeight,
+                assurance: insured ? { taux: insuranceRate, valeur_declaree: declaredValue } : null,
+                remise: discountRate > 0 ? discount : null,
+                lignes: lines,
+                calcule_le: new Date().toISOString()
+            }
+        };
+    }
+
+    /**
+     * Appliquer la tarification aux données d'une marchandise avant enregistrement
+     * En mode automatique les coûts saisis sont remplacés par le calcul et la version
+     * utilisée est conservée (tarifId : version d'origine d'une marchandise déjà tarifée) ;
+     * sinon le détail est effacé puisqu'il ne correspond plus aux coûts saisis
+     */
+    async applyTo(data, tarifId = null) {
+        const marchandise = { ...data };
+        QUOTE_FIELDS.forEach(field => delete marchandise[field]);
+
+        if (!data.tarification_auto) {
+            return { ...marchandise, tarification: null, tarif_id: null };
+        }
+
+        const { cout_total, ...priced } = await this.quote({ ...data, tarif_id: tarifId });
+
+        return { ...marchandise, ...priced, tarif_id: priced.tarification.tarif.id };
+    }
+
+    /**
+     * Destination et type d'envoi : ceux du conteneur affecté, sinon ceux saisis
+     */
+    async resolveDestination(input) {
+        if (input.conteneur_id) {
+            const result = await query(
+                'SELECT id, destination_pays, destination_port, type_envoi FROM conteneurs WHERE id = $1',
+                [input.conteneur_id]
+            );
+
+            if (result.rows.length === 0) {
+                throw this.error('Conteneur non trouvé', 404);
+            }
+
+            const conteneur = result.rows[0];
+            return {
+                conteneur_id: conteneur.id,
+                destination_pays: conteneur.destination_pays,
+                destination_port: conteneur.destination_port,
+                type_envoi: conteneur.type_envoi
+            };
+        }
+
+        return {
+            destination_pays: input.destination_pays || null,
+            destination_port: input.destination_port || null,
+            type_envoi: input.type_envoi || null
+        };
+    }
+
+    /**
+     * Remise tarifaire du client en pourcentage (0 si inconnu)
+     */
+    async getClientDiscount(clientId) {
+        if (!clientId) return 0;
+
+        const result = await query('SELECT remise_tarif FROM clients WHERE id = $1', [clientId]);
+
+        return result.rows.length > 0 ? parseFloat(result.rows[0].remise_tarif) || 0 : 0;
+    }
+
+    /**
+     * Volume en m³ à partir des dimensions en cm
+     */
+    volumeFromDimensions({ longueur, largeur, hauteur }) {
+        const volume = this.toNumber(longueur) * this.toNumber(largeur) * this.toNumber(hauteur) / 1000000;
+        return Math.round(volume * 1000) / 1000;
+    }
+
+    toNumber(value) {
+        const number = parseFloat(value);
+        return Number.isFinite(number) && number > 0 ? number : 0;
+    }
+
+    round(value) {
+        return Math.round(value * 100) / 100;
+    }
+
+    /**
+     * Erreur métier portant son statut HTTP
+     */
+    error(message, statusCode) {
+        const error = new Error(message);
+        error.statusCode = statusCode;
+        return error;
+    }
+}
+
+module.exports = new PricingService();
@@ -0,0 +1,219 @@
+/**
+ * Service du langage de requête structuré
+ * Compile les requêtes analysées par shared/queryLanguage.js en SQL paramétré
+ * pour les listes marchandises, conteneurs, clients et paiements
+ */
+
+const { parseQuery, FIELD_TYPES } = require('../../shared/queryLanguage');
+
+// Correspondance champ -> colonnes SQL, selon les alias utilisés par chaque route de liste
+// Plusieurs colonnes : le terme correspond si l'une d'elles correspond
+// exists : sous-requête de jointure pour les champs portés par une autre table
+const SQL_FIELDS = {
+    marchandises: {
+        text: ['m.code_barre', 'm.designation', 'm.description_detaillee'],
+        fields: {
+            statut: ['m.statut'],
+            type: ['m.type_marchandise'],
+            etat: ['m.etat'],
+            code: ['m.code_barre'],
+            designation: ['m.designation'],
+            suivi: ['m.numero_suivi_postal'],
+            client: ['c.nom', 'c.prenom', 'c.code_client'],
+            conteneur: ['cnt.numero_conteneur'],
+            destination: ['cnt.destination_pays', 'cnt.destination_ville', 'cnt.destination_port'],
+            poids: ['m.poids'],
+            volume: ['m.volume'],
+            valeur: ['m.valeur_declaree'],
+            colis: ['m.nombre_colis'],
+            cout: ['m.cout_total'],
+            recu: ['m.date_reception'],
+            expedie: ['m.date_expedition'],
+            livre: ['m.date_livraison']
+        }
+    },
+
+    conteneurs: {
+        text: ['c.numero_conteneur', 'c.numero_dossier'],
+        fields: {
+            statut: ['c.statut'],
+            numero: ['c.numero_conteneur'],
+            dossier: ['c.numero_dossier'],
+            plomb: ['c.numero_plomb'],
+            destination: ['c.destination_pays', 'c.destination_ville', 'c.destination_port'],
+            client: {
+                exists: `FROM marchandises mq JOIN clients cq ON cq.id = mq.client_id
+                         WHERE mq.conteneur_id = c.id`,
+                columns: ['cq.nom', 'cq.prenom', 'cq.code_client']
+            },
+            depart: ['c.date_depart_prevue'],
+            arrivee: ['c.date_arrivee_prevue'],
+            cree: ['c.created_at']
+        }
+    },
+
+    clients: {
+        text: ['c.nom', 'c.prenom', 'c.telephone_principal', 'c.email'],
+        fields: {
+            nom: ['c.nom'],
+            prenom: ['c.prenom'],
+            code: ['c.code_client'],
+            tel: ['c.telephone_principal', 'c.telephone_secondaire'],
+            email: ['c.email'],
+            ville: ['c.ville'],
+            pays: ['c.pays'],
+            statut: ['c.statut'],
+            type: ['c.type_client'],
+            envois: ['c.nombre_envois'],
+            balance: ['c.balance_courante'],
+            tag: {
+                exists: `FROM clients_tags ctq JOIN tags tq ON tq.id = ctq.tag_id
+                         WHERE ctq.client_id = c.id`,
+                columns: ['tq.nom']
+            },
+            cree: ['c.created_at']
+        }
+    },
+
+    paiements: {
+        text: ['p.numero_recu', 'p.reference_transaction'],
+        fields: {
+            statut: ['p.statut'],
+            mode: ['p.mode_paiement'],
+            type: ['p.type_paiement'],
+            recu: ['p.numero_recu'],
+            reference: ['p.reference_transaction', 'p.reference_paiement'],
+            client: ['c.nom', 'c.prenom', 'c.code_client'],
+            conteneur: ['cnt.numero_conteneur'],
+            montant: ['p.montant_paye'],
+            date: ['p.date_paiement'],
+            echeance: ['p.date_echeance']
+        }
+    }
+};
+
+const COMPARISON_OPERATORS = ['>', '>=', '<', '<='];
+
+class QueryLanguageService {
+    /**
+     * Compiler une requête structurée en clause SQL
+     * Retourne { clause, params, nextIndex, errors } : clause commence par " AND"
+     * (vide si aucune condition) et utilise les paramètres à partir de paramIndex
+     */
+    compile(entity, input, paramIndex = 1) {
+        const mapping = SQL_FIELDS[entity];
+        const parsed = parseQuery(input, entity);
+
+        if (!mapping || parsed.errors.length > 0) {
+            return { clause: '', params: [], nextIndex: paramIndex, errors: parsed.errors };
+        }
+
+        const params = [];
+        const addParam = (value) => {
+            params.push(value);
+            return `$${paramIndex + params.length - 1}`;
+        };
+
+        const conditions = parsed.conditions.map(condition => {
+            const target = mapping.fields[condition.field];
+            const columns = Array.isArray(target) ? target : target.columns;
+
+            let sql = this.compileCondition(condition, columns, addParam);
+
+            if (target.exists) {
+                sql = `EXISTS (SELECT 1 ${target.exists} AND ${sql})`;
+            }
+
+            // La négation inclut les lignes dont la colonne est vide
+            return condition.negate ? `NOT COALESCE(${sql}, false)` : sql;
+        });
+
+        // Texte libre : chaque mot doit apparaître dans l'une des colonnes de recherche
+        for (const text of parsed.text) {
+            const placeholder = addParam(text);
+            conditions.push(`(${mapping.text.map(column =>
+                `normaliser_recherche(${column}) LIKE '%' || normaliser_recherche(${placeholder}) || '%'`
+            ).join(' OR ')})`);
+        }
+
+        return {
+            clause: conditions.length > 0 ? ` AND ${conditions.map(sql => `(${sql})`).join(' AND ')}` : '',
+            params,
+            nextIndex: paramIndex + params.length,
+            errors: []
+        };
+    }
+
+    /**
+     * Condition SQL d'un terme sur une ou plusieurs colonnes
+     */
+    compileCondition(condition, columns, addParam) {
+        const anyColumn = (build) => `(${columns.map(build).join(' OR ')})`;
+
+        switch (condition.type) {
+            case FIELD_TYPES.TEXT: {
+                // Comparaison insensible à la casse, aux accents et à la ponctuation
+                const matches = condition.values.map(value => {
+                    const placeholder = addParam(value);
+                    return condition.operator === '='
+                        ? anyColumn(column => `normaliser_recherche(${column}) = normaliser_recherche(${placeholder})`)
+                        : anyColumn(column => `normaliser_recherche(${column}) LIKE '%' || normaliser_recherche(${placeholder}) || '%'`);
+                });
+                const sql = `(${matches.join(' OR ')})`;
+                return condition.operator === '!=' ? `NOT COALESCE(${sql}, false)` : sql;
+            }
+
+            case FIELD_TYPES.ENUM: {
+                const placeholder = addParam(condition.values);
+                return condition.operator === '!='
+                    ? anyColumn(column => `NOT (${column} = ANY(${placeholder}))`)
+                    : anyColumn(column => `${column} = ANY(${placeholder})`);
+            }
+
+            case FIELD_TYPES.NUMBER: {
+                if (condition.operator === 'range') {
+                    const min = addParam(condition.range.min);
+                    const max = addParam(condition.range.max);
+                    return anyColumn(column => `${column} BETWEEN ${min} AND ${max}`);
+                }
+
+                if (COMPARISON_OPERATORS.includes(condition.operator)) {
+                    const placeholder = addParam(condition.values[0]);
+                    return anyColumn(column => `${column} ${condition.operator} ${placeholder}`);
+                }
+
+                const placeholder = addParam(condition.values);
+                return condition.operator === '!='
+                    ? anyColumn(column => `NOT (${column} = ANY(${placeholder}::numeric[]))`)
+                    : anyColumn(column => `${column} = ANY(${placeholder}::numeric[])`);
+            }
+
+            case FIELD_TYPES.DATE: {
+                // Période [start, end[ : "recu>2026-09" signifie après septembre
+                const { start, end } = condition.period;
+                const comparisons = {
+                    '>': ['>=', end],
+                    '>=': ['>=', start],
+                    '<': ['<', start],
+                    '<=': ['<', end]
+                };
+
+                if (comparisons[condition.operator]) {
+                    const [operator, bound] = comparisons[condition.operator];
+                    const placeholder = addParam(bound);
+                    return anyColumn(column => `${column} ${operator} ${placeholder}::date`);
+                }
+
+                const from = addParam(start);
+                const to = addParam(end);
+                const sql = anyColumn(column => `(${column} >= ${from}::date AND ${column} < ${to}::date)`);
+                return condition.operator === '!=' ? `NOT COALESCE(${sql}, false)` : sql;
+            }
+
+            default:
+                throw new Error(`Type de champ non géré: ${condition.type}`);
+        }
+    }
+}
+
+module.exports = new QueryLanguageService();
@@ -0,0 +1,414 @@
+/**
+ * Service des sessions de réception
+ * Plusieurs marchandises déposées par un client au comptoir, enregistrées en une transaction,
+ * avec leurs photos et un bon de dépôt signé
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { query, transaction } = require('../database/connection');
+const { logger } = require('../../shared/logger');
+const { TYPES } = require('../../shared/constants');
+const appConfig = require('../config/app');
+const auditService = require('./auditService');
+const barcodeService = require('./barcodeService');
+const pricingService = require('./pricingService');
+const parcelService = require('./parcelService');
+const pdfService = require('./pdfService');
+const photoService = require('./photoService');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_LIMIT = 100;
+
+class ReceptionService {
+    constructor() {
+        this.signatureDir = path.resolve(__dirname, '../..', appConfig.storage.signatures.directory);
+        this.receiptDir = path.resolve(__dirname, '../..', appConfig.storage.depositReceipts.directory);
+        this.ensureStorageDirectory();
+    }
+
+    /**
+     * Créer les dossiers des signatures et des bons de dépôt s'ils n'existent pas
+     */
+    ensureStorageDirectory() {
+        for (const directory of [this.signatureDir, this.receiptDir]) {
+            if (!fs.existsSync(directory)) {
+                fs.mkdirSync(directory, { recursive: true });
+            }
+        }
+    }
+
+    /**
+     * Réceptions, de la plus récente à la plus ancienne
+     * Filtres : client_id, date_debut, date_fin (AAAA-MM-JJ, inclus), page, limit
+     */
+    async list(filters = {}) {
+        const params = [];
+        let paramIndex = 1;
+        let whereClause = 'WHERE 1=1';
+
+        if (filters.client_id) {
+            whereClause += ` AND r.client_id = $${paramIndex}`;
+            params.push(parseInt(filters.client_id, 10));
+            paramIndex++;
+        }
+
+        if (filters.date_debut) {
+            whereClause += ` AND r.created_at >= $${paramIndex}::date`;
+            params.push(this.date(filters.date_debut, 'date_debut'));
+            paramIndex++;
+        }
+
+        if (filters.date_fin) {
+            whereClause += ` AND r.created_at < $${paramIndex}::date + 1`;
+            params.push(this.date(filters.date_fin, 'date_fin'));
+            paramIndex++;
+        }
+
+        const limit = Math.min(Math.max(parseInt(filters.limit, 10) || 25, 1), MAX_LIMIT);
+        const page = Math.max(parseInt(filters.page, 10) || 1, 1);
+
+        const result = await query(`
+            SELECT r.*, c.nom as client_nom, c.prenom as client_prenom, c.code_client,
+                   CONCAT(u.prenom, ' ', u.nom) as createur_nom
+            FROM receptions r
+            JOIN clients c ON c.id = r.client_id
+            LEFT JOIN utilisateurs u ON u.id = r.created_by
+            ${whereClause}
+            ORDER BY r.created_at DESC, r.id DESC
+            LIMIT ${limit} OFFSET ${(page - 1) * limit}
+        `, params);
+
+        const count = await query(`SELECT COUNT(*)::int as total FROM receptions r ${whereClause}`, params);
+
+        return {
+            data: result.rows,
+            pagination: {
+                page,
+                limit,
+                total: count.rows[0].total,
+                pages: Math.ceil(count.rows[0].total / limit)
+            }
+        };
+    }
+
+    /**
+     * Réception avec son client et ses marchandises
+     */
+    async get(receptionId) {
+        const result = await query(`
+            SELECT r.*, CONCAT(u.prenom, ' ', u.nom) as createur_nom
+            FROM receptions r
+            LEFT JOIN utilisateurs u ON u.id = r.created_by
+            WHERE r.id = $1
+        `, [receptionId]);
+
+        if (result.rows.length === 0) {
+            throw this.error('Réception non trouvée', 404);
+        }
+
+        const reception = result.rows[0];
+
+        const client = await query('SELECT * FROM clients WHERE id = $1', [reception.client_id]);
+        const marchandises = await query(
+            'SELECT * FROM marchandises WHERE reception_id = $1 ORDER BY id',
+            [receptionId]
+        );
+
+        for (const marchandise of marchandises.rows) {
+            marchandise.photos = await photoService.list(marchandise.id);
+        }
+
+        return {
+            ...reception,
+            client: client.rows[0],
+            marchandises: marchandises.rows
+        };
+    }
+
+    /**
+     * Enregistrer une réception : toutes les marchandises ou aucune
+     * Chaque article reçoit un code-barres et ses colis ; le bon de dépôt est généré ensuite
+     *
+     * @param {Object} data - client_id, mode_reception, provenance, signataire_nom, observations, articles
+     * @param {Object[]} files - photos (champ photos_<index de l'article>, quota LIMITES.UPLOAD par article)
+     *                          et signature, reçues par multer
+     * @param {Object} user - id
+     * @returns {Object} réception avec ses marchandises et le bon de dépôt
+     */
+    async create(data, files = [], user) {
+        let created;
+
+        try {
+            created = await this.insert(data, files, user);
+        } catch (error) {
+            // Ne pas conserver de photos ni de signature orphelines
+            this.removeFiles(files);
+            throw error;
+        }
+
+        await auditService.log({
+            utilisateur_id: user.id,
+            action: 'CREATE',
+            entite: 'receptions',
+            entite_id: created.id,
+            nouvelles_valeurs: { ...created, marchandises: created.marchandises.map(m => m.id) }
+        });
+
+        for (const marchandise of created.marchandises) {
+            await auditService.log({
+                utilisateur_id: user.id,
+                action: 'CREATE',
+                entite: 'marchandises',
+                entite_id: marchandise.id,
+                nouvelles_valeurs: marchandise
+            });
+        }
+
+        // La réception est enregistrée même si le bon de dépôt échoue : il sera regénéré au téléchargement
+        try {
+            await this.generateDepositReceipt(created.id);
+        } catch (error) {
+            logger.error(`Erreur génération bon de dépôt ${created.numero}:`, error);
+        }
+
+        return this.get(created.id);
+    }
+
+    /**
+     * Insérer la réception, ses marchandises, leurs colis et leurs photos dans une transaction
+     */
+    async insert(data, files, user) {
+        const signature = files.find(file => file.fieldname === 'signature') || null;
+        const photosByArticle = this.groupPhotos(files.filter(file => file !== signature), data.articles.length);
+        const prepared = [];
+
+        try {
+            // Photos réorientées, sans métadonnées, avec miniature
+            for (const photos of photosByArticle) {
+                prepared.push(await photoService.prepare(photos));
+            }
+
+            // Coûts calculés par la grille tarifaire ou saisis, comme pour une marchandise seule
+            const articles = [];
+            for (const article of data.articles) {
+                articles.push(await pricingService.applyTo({ ...article, client_id: data.client_id }));
+            }
+
+            return await this.insertReception(data, articles, prepared, signature, user);
+
+        } catch (error) {
+            prepared.forEach(photos => photoService.discard(photos));
+            throw error;
+        }
+    }
+
+    /**
+     * Transaction de la réception : toutes les marchandises ou aucune
+     */
+    async insertReception(data, articles, prepared, signature, user) {
+        return transaction(async (client) => {
+            const exists = await client.query('SELECT id FROM clients WHERE id = $1', [data.client_id]);
+            if (exists.rows.length === 0) {
+                throw this.error('Client non trouvé', 404);
+            }
+
+            const numero = await barcodeService.generateDepositNumber(client);
+
+            const inserted = await client.query(`
+                INSERT INTO receptions (
+                    numero, client_id, mode_reception, provenance, observations,
+                    signataire_nom, signature_fichier, signe_le, nombre_articles, nombre_colis,
+                    valeur_declaree_totale, created_by
+                ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+                RETURNING *
+            `, [
+                numero,
+                data.client_id,
+                data.mode_reception,
+                data.provenance,
+                data.observations || null,
+                data.signataire_nom || null,
+                signature ? signature.filename : null,
+                signature ? new Date() : null,
+                articles.length,
+                articles.reduce((sum, article) => sum + parcelService.count(article), 0),
+                articles.reduce((sum, article) => sum + (article.valeur_declaree || 0), 0),
+                user.id
+            ]);
+            const reception = inserted.rows[0];
+
+            const marchandises = [];
+            const codes = new Set();
+
+            for (const [index, article] of articles.entries()) {
+                // Codes générés dans la transaction : invisibles pour le contrôle d'unicité du service
+                let code_barre = await barcodeService.generateBarcode('marchandise');
+                while (codes.has(code_barre)) {
+                    code_barre = await barcodeService.generateBarcode('marchandise');
+                }
+                codes.add(code_barre);
+
+                const marchandise = await this.insertMarchandise(client, {
+                    ...article,
+                    code_barre,
+                    client_id: data.client_id,
+                    reception_id: reception.id,
+                    mode_reception: data.mode_reception,
+                    provenance: data.provenance,
+                    statut: 'receptionne',
+                    created_by: user.id
+                });
+
+                const lot = await parcelService.createParcels(marchandise, client);
+                marchandise.colis_avancement = lot.avancement;
+                marchandise.photos = await photoService.insertPhotos(
+                    client, marchandise.id, prepared[index], { categorie: TYPES.PHOTO.RECEPTION }, user.id
+                );
+                marchandises.push(marchandise);
+            }
+
+            return { ...reception, marchandises };
+        });
+    }
+
+    /**
+     * Bon de dépôt d'une réception, généré s'il n'existe pas encore
+     */
+    async getDepositReceipt(receptionId) {
+        const reception = await this.get(receptionId);
+
+        if (reception.bon_depot_fichier) {
+            const filepath = this.receiptPath(reception);
+
+            if (fs.existsSync(filepath)) {
+                return { filename: reception.bon_depot_fichier, filepath };
+            }
+
+            // Bon généré dans le dossier public des PDF : retiré, puis régénéré dans storage/
+            const publicPath = this.publicReceiptPath(reception);
+            if (fs.existsSync(publicPath)) {
+                fs.unlinkSync(publicPath);
+            }
+        }
+
+        return this.generateDepositReceipt(receptionId);
+    }
+
+    /**
+     * Générer le bon de dépôt et l'associer à la réception
+     */
+    async generateDepositReceipt(receptionId) {
+        const reception = await this.get(receptionId);
+
+        const pdf = await pdfService.generateDepositReceipt({
+            ...reception,
+            signature_path: this.signaturePath(reception),
+            marchandises: reception.marchandises.map(marchandise => ({
+                ...marchandise,
+                photo_paths: marchandise.photos.map(photo => photoService.filePath(photo))
+            }))
+        }, this.receiptDir);
+
+        await query('UPDATE receptions SET bon_depot_fichier = $2 WHERE id = $1', [receptionId, pdf.filename]);
+
+        return pdf;
+    }
+
+    /**
+     * Insérer une marchandise de la réception
+     */
+    async insertMarchandise(client, values) {
+        const columns = Object.keys(values).filter(column => values[column] !== undefined);
+
+        const result = await client.query(`
+            INSERT INTO marchandises (${columns.join(', ')})
+            VALUES (${columns.map((column, index) => `$${index + 1}`).join(', ')})
+            RETURNING *
+        `, columns.map(column => values[column]));
+
+        return result.rows[0];
+    }
+
+    /**
+     * Photos reçues pour chaque article (champ photos_<index>)
+     */
+    groupPhotos(files, count) {
+        const groups = Array.from({ length: count }, () => []);
+
+        files.forEach(file => {
+            const match = /^photos_(\d+)$/.exec(file.fieldname);
+            const index = match ? parseInt(match[1], 10) : -1;
+
+            if (!groups[index]) {
+                throw this.error(`Photo ${file.originalname} sans article correspondant`, 400);
+            }
+
+            groups[index].push(file);
+        });
+
+        return groups;
+    }
+
+    /**
+     * Chemin de la signature sur le disque
+     */
+    signaturePath(reception) {
+        return reception.signature_fichier
+            ? path.join(this.signatureDir, path.basename(reception.signature_fichier))
+            : null;
+    }
+
+    /**
+     * Chemin du bon de dépôt sur le disque
+     */
+    receiptPath(reception) {
+        return reception.bon_depot_fichier
+            ? path.join(this.receiptDir, path.basename(reception.bon_depot_fichier))
+            : null;
+    }
+
+    /**
+     * Ancien emplacement du bon de dépôt, dans le dossier public des PDF
+     */
+    publicReceiptPath(reception) {
+        return reception.bon_depot_fichier
+            ? path.join(pdfService.outputDir, path.basename(reception.bon_depot_fichier))
+            : null;
+    }
+
+    /**
+     * Supprimer les fichiers reçus sans faire échouer l'opération
+     */
+    removeFiles(files = []) {
+        files.forEach(file => {
+            fs.unlink(file.path, (error) => {
+                if (error && error.code !== 'ENOENT') {
+                    logger.warn(`Suppression du fichier ${file.filename} impossible:`, error.message);
+                }
+            });
+        });
+    }
+
+    /**
+     * Vérifier une date AAAA-MM-JJ
+     */
+    date(value, field) {
+        if (!DATE_PATTERN.test(value)) {
+            throw this.error(`${field} invalide (AAAA-MM-JJ)`, 400);
+        }
+
+        return value;
+    }
+
+    /**
+     * Erreur métier portant son statut HTTP
+     */
+    error(message, statusCode) {
+        const error = new Error(message);
+        error.statusCode = statusCode;
+        return error;
+    }
+}
+
+module.exports = new ReceptionService();
@@ -5,6 +5,7 @@
 
 const { db, query } = require('../database/connection');
 const { logger } = require('../../shared/logger');
+const clientSegmentService = require('./clientSegmentService');
 const ExcelJS = require('exceljs');
 const path = require('path');
 const fs = require('fs').promises;
@@ -259,6 +260,92 @@ class ReportService {
         }
     }
     
+    /**
+     * Générer un rapport par segment ou par étiquette de clients
+     * Envois, chiffre d'affaires et encaissements de la période ; solde dû actuel
+     * Un client peut appartenir à plusieurs segments ou étiquettes
+     *
+     * @param {string} dimension - 'segment' ou 'etiquette'
+     */
+    async generateSegmentReport(startDate, endDate, dimension = 'segment') {
+        try {
+            // Agrégats par client calculés séparément : une jointure directe multiplierait les montants
+            const aggregates = `
+                SELECT
+                    COUNT(c.id) as nombre_clients,
+                    COALESCE(SUM(m.nombre_envois), 0) as nombre_envois,
+                    COALESCE(SUM(m.chiffre_affaires), 0) as chiffre_affaires,
+                    COALESCE(SUM(p.encaisse), 0) as encaisse,
+                    COALESCE(SUM(c.balance_courante), 0) as solde_du
+                FROM clients c
+                LEFT JOIN (
+                    SELECT client_id, COUNT(*) as nombre_envois, SUM(cout_total) as chiffre_affaires
+                    FROM marchandises
+                    WHERE COALESCE(date_reception, created_at) BETWEEN $1 AND $2
+                    GROUP BY client_id
+                ) m ON m.client_id = c.id
+                LEFT JOIN (
+                    SELECT client_id, SUM(
+                        CASE type_paiement
+                            WHEN 'remboursement' THEN -montant_paye
+                            WHEN 'avoir' THEN 0
+                            WHEN 'indemnisation' THEN 0
+                            ELSE montant_paye
+                        END
+                    ) as encaisse
+                    FROM paiements
+                    WHERE statut = 'valide' AND date_paiement BETWEEN $1 AND $2
+                    GROUP BY client_id
+                ) p ON p.client_id = c.id
+            `;
+            
+            let rows;
+            
+            if (dimension === 'etiquette') {
+                const result = await query(`
+                    SELECT t.nom as libelle, stats.*
+                    FROM tags t
+                    CROSS JOIN LATERAL (
+                        ${aggregates}
+                        JOIN clients_tags ct ON ct.client_id = c.id AND ct.tag_id = t.id
+                        WHERE c.supprime_le IS NULL AND c.archive_le IS NULL
+                    ) stats
+                    ORDER BY t.nom
+                `, [startDate, endDate]);
+                rows = result.rows;
+            } else {
+                const segments = await query('SELECT * FROM segments_clients ORDER BY nom');
+                rows = [];
+                
+                for (const segment of segments.rows) {
+                    const compiled = clientSegmentService.compile(segment, 3);
+                    const result = await query(
+                        `${aggregates} WHERE true${compiled.clause}`,
+                        [startDate, endDate, ...compiled.params]
+                    );
+                    rows.push({ libelle: segment.nom, ...result.rows[0] });
+                }
+            }
+            
+            return {
+                periode: { startDate, endDate },
+                dimension,
+                rows: rows.map(row => ({
+                    libelle: row.libelle,
+                    nombre_clients: parseInt(row.nombre_clients),
+                    nombre_envois: parseInt(row.nombre_envois),
+                    chiffre_affaires: parseFloat(row.chiffre_affaires),
+                    encaisse: parseFloat(row.encaisse),
+                    solde_du: parseFloat(row.solde_du)
+                }))
+            };
+            
+        } catch (error) {
+            logger.error('Erreur génération rapport segments:', error);
+            throw error;
+        }
+    }
+    
     /**
      * Exporter un rapport en Excel
      */
@@ -284,6 +371,9 @@ class ReportService {
                 case 'container':
                     this.addContainerSheets(workbook, reportData);
                     break;
+                case 'segments':
+                    this.addSegmentSheets(workbook, reportData);
+                    break;
                 default:
                     this.addGenericSheet(workbook, reportData);
             }
@@ -390,6 +480,29 @@ class ReportService {
         unpaidSheet.addRows(data.unpaid);
     }
     
+    /**
+     * Ajouter la feuille du rapport par segment ou étiquette
+     */
+    addSegmentSheets(workbook, data) {
+        const sheet = workbook.addWorksheet(data.dimension === 'etiquette' ? 'Par étiquette' : 'Par segment');
+        sheet.columns = [
+            { header: data.dimension === 'etiquette' ? 'Étiquette' : 'Segment', key: 'libelle', width: 30 },
+            { header: 'Clients', key: 'nombre_clients', width: 12 },
+            { header: 'Envois', key: 'nombre_envois', width: 12 },
+            { header: 'Chiffre d\'affaires', key: 'chiffre_affaires', width: 20 },
+            { header: 'Encaissé', key: 'encaisse', width: 20 },
+            { header: 'Solde dû', key: 'solde_du', width: 20 }
+        ];
+        sheet.addRows(data.rows);
+        
+        sheet.getRow(1).font = { bold: true, color: { argb: 'FFFFFFFF' } };
+        sheet.getRow(1).fill = {
+            type: 'pattern',
+            pattern: 'solid',
+            fgColor: { argb: 'FF1E88E5' }
+        };
+    }
+    
     /**
      * Ajouter une feuille générique
      */
@@ -0,0 +1,304 @@
+/**
+ * Service des événements de scan
+ * Un événement par colis scanné : qui, quand, où, avec quel appareil et quelle action.
+ * Recherche des scans, colis scannés à une étape mais jamais à une autre,
+ * délais entre deux étapes
+ */
+
+const { query } = require('../database/connection');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_LIMIT = 500;
+
+class ScanEventService {
+    /**
+     * Enregistrer les événements d'un scan (dans la transaction du scan)
+     *
+     * @param {Object} client - client de transaction
+     * @param {Object[]} parcels - colis avant le scan (statut_avant)
+     * @param {Object[]} scanned - colis après le scan (statut_apres)
+     * @param {Object} scan - action, lieu, appareil
+     * @param {Object} user - id, nom
+     */
+    async record(client, parcels, scanned, scan, user) {
+        for (const parcel of scanned) {
+            const before = parcels.find(row => row.id === parcel.id);
+
+            await client.query(`
+                INSERT INTO evenements_scan (marchandise_id, colis_id, code_scanne, action, lieu, appareil,
+                    statut_avant, statut_apres, utilisateur_id, utilisateur_nom)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+            `, [
+                parcel.marchandise_id,
+                parcel.id,
+                parcel.code_barre,
+                scan.action || null,
+                scan.lieu || null,
+                scan.appareil || null,
+                before ? before.statut : null,
+                parcel.statut,
+                user.id,
+                user.nom
+            ]);
+        }
+    }
+
+    /**
+     * Rechercher des scans, du plus récent au plus ancien
+     * Filtres : utilisateur_id, utilisateur (nom), action, lieu, appareil, marchandise_id, colis_id,
+     *           code (lot ou colis), date_debut, date_fin (AAAA-MM-JJ, inclus), page, limit
+     */
+    async list(filters = {}) {
+        const { whereClause, params } = this.buildFilters(filters);
+        const limit = Math.min(Math.max(parseInt(filters.limit, 10) || 50, 1), MAX_LIMIT);
+        const page = Math.max(parseInt(filters.page, 10) || 1, 1);
+
+        const result = await query(`
+            SELECT e.*,
+                   m.code_barre as code_lot, m.designation, m.nombre_colis,
+                   mc.numero as colis_numero,
+                   c.nom as client_nom, c.prenom as client_prenom
+            FROM evenements_scan e
+            JOIN marchandises m ON m.id = e.marchandise_id
+            JOIN clients c ON c.id = m.client_id
+            LEFT JOIN marchandises_colis mc ON mc.id = e.colis_id
+            ${whereClause}
+            ORDER BY e.scanne_le DESC, e.id DESC
+            LIMIT ${limit} OFFSET ${(page - 1) * limit}
+        `, params);
+
+        const count = await query(`
+            SELECT COUNT(*)::int as total
+            FROM evenements_scan e
+            JOIN marchandises m ON m.id = e.marchandise_id
+            ${whereClause}
+        `, params);
+
+        return {
+            data: result.rows,
+            pagination: {
+                page,
+                limit,
+                total: count.rows[0].total,
+                pages: Math.ceil(count.rows[0].total / limit)
+            }
+        };
+    }
+
+    /**
+     * Colis scannés pour une action (ex. reception, éventuellement en un lieu) mais jamais pour une autre
+     * (ex. chargement) : colis restés à l'entrepôt
+     *
+     * @param {Object} filters - scanne, manquant, lieu, date_debut, date_fin (du premier scan), client_id, conteneur_id
+     */
+    async findMissing(filters = {}) {
+        const scanned = filters.scanne || 'reception';
+        const missing = filters.manquant || 'chargement';
+
+        if (scanned === missing) {
+            throw this.error('Les deux actions doivent être différentes', 400);
+        }
+
+        const params = [scanned, missing];
+        let paramIndex = 3;
+        let scanFilter = '';
+        let whereClause = '';
+
+        if (filters.lieu) {
+            scanFilter += ` AND e.lieu ILIKE $${paramIndex}`;
+            params.push(`%${filters.lieu}%`);
+            paramIndex++;
+        }
+
+        if (filters.date_debut) {
+            scanFilter += ` AND e.scanne_le >= $${paramIndex}::date`;
+            params.push(this.date(filters.date_debut, 'date_debut'));
+            paramIndex++;
+        }
+
+        if (filters.date_fin) {
+            scanFilter += ` AND e.scanne_le < $${paramIndex}::date + 1`;
+            params.push(this.date(filters.date_fin, 'date_fin'));
+            paramIndex++;
+        }
+
+        if (filters.client_id) {
+            whereClause += ` AND m.client_id = $${paramIndex}`;
+            params.push(parseInt(filters.client_id, 10));
+            paramIndex++;
+        }
+
+        if (filters.conteneur_id) {
+            whereClause += ` AND m.conteneur_id = $${paramIndex}`;
+            params.push(parseInt(filters.conteneur_id, 10));
+            paramIndex++;
+        }
+
+        const result = await query(`
+            SELECT mc.id as colis_id, mc.code_barre, mc.numero, mc.statut,
+                   m.id as marchandise_id, m.code_barre as code_lot, m.designation, m.nombre_colis, m.conteneur_id,
+                   c.nom as client_nom, c.prenom as client_prenom,
+                   first_scan.scanne_le, first_scan.lieu, first_scan.utilisateur_nom,
+                   ROUND(EXTRACT(EPOCH FROM (CURRENT_TIMESTAMP - first_scan.scanne_le)) / 3600, 1) as heures_depuis
+            FROM (
+                SELECT DISTINCT ON (e.colis_id) e.colis_id, e.scanne_le, e.lieu, e.utilisateur_nom
+                FROM evenements_scan e
+                WHERE e.action = $1 AND e.colis_id IS NOT NULL${scanFilter}
+                ORDER BY e.colis_id, e.scanne_le
+            ) first_scan
+            JOIN marchandises_colis mc ON mc.id = first_scan.colis_id
+            JOIN marchandises m ON m.id = mc.marchandise_id
+            JOIN clients c ON c.id = m.client_id
+            WHERE NOT EXISTS (
+                SELECT 1 FROM evenements_scan later
+                WHERE later.colis_id = mc.id AND later.action = $2
+            )${whereClause}
+            ORDER BY first_scan.scanne_le
+            LIMIT ${MAX_LIMIT}
+        `, params);
+
+        return {
+            scanne: scanned,
+            manquant: missing,
+            total: result.rows.length,
+            colis: result.rows
+        };
+    }
+
+    /**
+     * Délai entre le premier scan d'une action et le premier scan d'une autre, par colis
+     * (ex. reception -> chargement), avec moyenne, médiane, minimum et maximum en heures
+     *
+     * @param {Object} filters - de, a, date_debut, date_fin (du scan d'arrivée), lieu, client_id, conteneur_id
+     */
+    async durations(filters = {}) {
+        const from = filters.de || 'reception';
+        const to = filters.a || 'chargement';
+
+        if (from === to) {
+            throw this.error('Les deux actions doivent être différentes', 400);
+        }
+
+        const params = [from, to];
+        let paramIndex = 3;
+        let whereClause = '';
+
+        if (filters.date_debut) {
+            whereClause += ` AND fin.scanne_le >= $${paramIndex}::date`;
+            params.push(this.date(filters.date_debut, 'date_debut'));
+            paramIndex++;
+        }
+
+        if (filters.date_fin) {
+            whereClause += ` AND fin.scanne_le < $${paramIndex}::date + 1`;
+            params.push(this.date(filters.date_fin, 'date_fin'));
+            paramIndex++;
+        }
+
+        if (filters.lieu) {
+            whereClause += ` AND debut.lieu ILIKE $${paramIndex}`;
+            params.push(`%${filters.lieu}%`);
+            paramIndex++;
+        }
+
+        if (filters.client_id) {
+            whereClause += ` AND m.client_id = $${paramIndex}`;
+            params.push(parseInt(filters.client_id, 10));
+            paramIndex++;
+        }
+
+        if (filters.conteneur_id) {
+            whereClause += ` AND m.conteneur_id = $${paramIndex}`;
+            params.push(parseInt(filters.conteneur_id, 10));
+            paramIndex++;
+        }
+
+        const firstScans = (index) => `(
+            SELECT DISTINCT ON (colis_id) colis_id, scanne_le, lieu
+            FROM evenements_scan
+            WHERE action = $${index} AND colis_id IS NOT NULL
+            ORDER BY colis_id, scanne_le
+        )`;
+
+        const result = await query(`
+            WITH delais AS (
+                SELECT mc.id as colis_id, mc.code_barre, m.id as marchandise_id, m.designation,
+                       debut.scanne_le as debut, fin.scanne_le as fin,
+                       EXTRACT(EPOCH FROM (fin.scanne_le - debut.scanne_le)) / 3600 as heures
+                FROM ${firstScans(1)} debut
+                JOIN ${firstScans(2)} fin ON fin.colis_id = debut.colis_id AND fin.scanne_le >= debut.scanne_le
+                JOIN marchandises_colis mc ON mc.id = debut.colis_id
+                JOIN marchandises m ON m.id = mc.marchandise_id
+                WHERE TRUE${whereClause}
+            )
+            SELECT COUNT(*)::int as nombre_colis,
+                   ROUND(AVG(heures)::numeric, 1) as moyenne_heures,
+                   ROUND((PERCENTILE_CONT(0.5) WITHIN GROUP (ORDER BY heures))::numeric, 1) as mediane_heures,
+                   ROUND(MIN(heures)::numeric, 1) as min_heures,
+                   ROUND(MAX(heures)::numeric, 1) as max_heures,
+                   COALESCE(
+                       (SELECT json_agg(slow ORDER BY slow.heures DESC)
+                        FROM (SELECT colis_id, code_barre, marchandise_id, designation, debut, fin,
+                                     ROUND(heures::numeric, 1) as heures
+                              FROM delais ORDER BY heures DESC LIMIT 20) slow),
+                       '[]'::json
+                   ) as plus_longs
+            FROM delais
+        `, params);
+
+        return { de: from, a: to, ...result.rows[0] };
+    }
+
+    /**
+     * Clause WHERE de la recherche de scans
+     */
+    buildFilters(filters) {
+        const conditions = [];
+        const params = [];
+        let paramIndex = 1;
+
+        const add = (condition, value) => {
+            conditions.push(condition.split('?').join(`$${paramIndex}`));
+            params.push(value);
+            paramIndex++;
+        };
+
+        if (filters.utilisateur_id) add('e.utilisateur_id = ?', parseInt(filters.utilisateur_id, 10));
+        if (filters.utilisateur) add('e.utilisateur_nom ILIKE ?', `%${filters.utilisateur}%`);
+        if (filters.action) add('e.action = ?', filters.action);
+        if (filters.lieu) add('e.lieu ILIKE ?', `%${filters.lieu}%`);
+        if (filters.appareil) add('e.appareil ILIKE ?', `%${filters.appareil}%`);
+        if (filters.marchandise_id) add('e.marchandise_id = ?', parseInt(filters.marchandise_id, 10));
+        if (filters.colis_id) add('e.colis_id = ?', parseInt(filters.colis_id, 10));
+        if (filters.code) add('(e.code_scanne = ? OR m.code_barre = ?)', filters.code);
+        if (filters.date_debut) add('e.scanne_le >= ?::date', this.date(filters.date_debut, 'date_debut'));
+        if (filters.date_fin) add('e.scanne_le < ?::date + 1', this.date(filters.date_fin, 'date_fin'));
+
+        return {
+            whereClause: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+            params
+        };
+    }
+
+    /**
+     * Vérifier une date AAAA-MM-JJ
+     */
+    date(value, field) {
+        if (!DATE_PATTERN.test(value)) {
+            throw this.error(`${field} invalide (AAAA-MM-JJ)`, 400);
+        }
+
+        return value;
+    }
+
+    /**
+     * Erreur métier portant son statut HTTP
+     */
+    error(message, statusCode) {
+        const error = new Error(message);
+        error.statusCode = statusCode;
+        return error;
+    }
+}
+
+module.exports = new ScanEventService();
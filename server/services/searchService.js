@@ -0,0 +1,193 @@
+/**
+ * Service de recherche globale
+ * Recherche multi-entités (clients, marchandises, conteneurs, paiements)
+ * filtrée selon les permissions du rôle de l'utilisateur
+ */
+
+const { query } = require('../database/connection');
+const { logger } = require('../../shared/logger');
+const { hasPermission } = require('../config/roles');
+const clientService = require('./clientService');
+
+// Nombre de résultats par type par défaut et maximum
+const DEFAULT_LIMIT = 5;
+const MAX_LIMIT = 50;
+
+class SearchService {
+    constructor() {
+        // Types recherchables et permission de consultation requise
+        this.types = {
+            clients: { permission: 'client.view', search: (term, limit) => this.searchClients(term, limit) },
+            marchandises: { permission: 'marchandise.view', search: (term, limit) => this.searchMarchandises(term, limit) },
+            conteneurs: { permission: 'conteneur.view', search: (term, limit) => this.searchConteneurs(term, limit) },
+            paiements: { permission: 'paiement.view', search: (term, limit) => this.searchPaiements(term, limit) }
+        };
+    }
+
+    /**
+     * Types accessibles à un rôle
+     */
+    getAllowedTypes(role) {
+        return Object.keys(this.types).filter(type => hasPermission(role, this.types[type].permission));
+    }
+
+    /**
+     * Vérifier qu'un rôle peut rechercher dans un type donné
+     */
+    canSearch(role, type) {
+        return Boolean(this.types[type]) && hasPermission(role, this.types[type].permission);
+    }
+
+    /**
+     * Recherche globale : résultats regroupés par type
+     * Les types non autorisés pour le rôle sont absents de la réponse
+     */
+    async search(text, { role, types = null, limit = DEFAULT_LIMIT } = {}) {
+        const term = String(text || '').trim();
+        const max = this.normalizeLimit(limit);
+        const allowed = this.getAllowedTypes(role)
+            .filter(type => !types || types.includes(type));
+
+        const results = {};
+        for (const type of allowed) {
+            results[type] = [];
+        }
+
+        if (term.length < 2) {
+            return { query: term, total: 0, ...results };
+        }
+
+        // Un type en échec ne doit pas priver l'utilisateur des autres résultats
+        const settled = await Promise.allSettled(
+            allowed.map(type => this.types[type].search(term, max))
+        );
+
+        settled.forEach((outcome, index) => {
+            const type = allowed[index];
+            if (outcome.status === 'fulfilled') {
+                results[type] = outcome.value;
+            } else {
+                logger.error(`Erreur recherche ${type}:`, outcome.reason);
+            }
+        });
+
+        const total = allowed.reduce((sum, type) => sum + results[type].length, 0);
+
+        return { query: term, total, ...results };
+    }
+
+    /**
+     * Recherche dans un seul type
+     */
+    async searchType(type, text, limit = DEFAULT_LIMIT) {
+        const term = String(text || '').trim();
+        if (term.length < 2) return [];
+
+        return this.types[type].search(term, this.normalizeLimit(limit));
+    }
+
+    /**
+     * Recherche exacte par code-barres (scanner)
+     */
+    async findByBarcode(code) {
+        const barcode = String(code || '').trim();
+        if (!barcode) return null;
+
+        const result = await query(`
+            SELECT
+                m.id, m.code_barre, m.designation, m.statut, m.client_id, m.conteneur_id,
+                cl.nom as client_nom, cl.prenom as client_prenom, cl.code_client,
+                c.numero_conteneur
+            FROM marchandises m
+            LEFT JOIN clients cl ON m.client_id = cl.id
+            LEFT JOIN conteneurs c ON m.conteneur_id = c.id
+            WHERE UPPER(m.code_barre) = UPPER($1)
+            LIMIT 1
+        `, [barcode]);
+
+        return result.rows[0] || null;
+    }
+
+    // =============================================
+    // RECHERCHES PAR TYPE
+    // =============================================
+
+    async searchClients(term, limit) {
+        return clientService.quickSearch(term, { limit });
+    }
+
+    async searchMarchandises(term, limit) {
+        const result = await query(`
+            SELECT
+                m.id, m.code_barre, m.designation, m.statut, m.numero_suivi_postal,
+                m.client_id, m.conteneur_id,
+                cl.nom as client_nom, cl.prenom as client_prenom,
+                c.numero_conteneur
+            FROM marchandises m
+            LEFT JOIN clients cl ON m.client_id = cl.id
+            LEFT JOIN conteneurs c ON m.conteneur_id = c.id
+            WHERE UPPER(m.code_barre) LIKE '%' || UPPER($3) || '%'
+               OR UPPER(m.numero_suivi_postal) LIKE '%' || UPPER($3) || '%'
+               OR normaliser_recherche(m.designation) LIKE '%' || normaliser_recherche($1) || '%'
+            ORDER BY
+                (UPPER(m.code_barre) = UPPER($1) OR UPPER(m.numero_suivi_postal) = UPPER($1)) DESC,
+                m.date_reception DESC
+            LIMIT $2
+        `, [term, limit, this.escapeLike(term)]);
+
+        return result.rows;
+    }
+
+    async searchConteneurs(term, limit) {
+        const result = await query(`
+            SELECT
+                id, numero_conteneur, numero_dossier, numero_plomb,
+                destination_ville, destination_pays, statut, date_depart_prevue
+            FROM conteneurs
+            WHERE UPPER(numero_conteneur) LIKE '%' || UPPER($3) || '%'
+               OR UPPER(numero_dossier) LIKE '%' || UPPER($3) || '%'
+               OR UPPER(numero_plomb) LIKE '%' || UPPER($3) || '%'
+            ORDER BY
+                (UPPER(numero_conteneur) = UPPER($1) OR UPPER(numero_dossier) = UPPER($1)) DESC,
+                created_at DESC
+            LIMIT $2
+        `, [term, limit, this.escapeLike(term)]);
+
+        return result.rows;
+    }
+
+    async searchPaiements(term, limit) {
+        const result = await query(`
+            SELECT
+                p.id, p.numero_recu, p.reference_transaction, p.reference_paiement,
+                p.montant_paye, p.devise, p.statut, p.date_paiement, p.client_id,
+                cl.nom as client_nom, cl.prenom as client_prenom
+            FROM paiements p
+            LEFT JOIN clients cl ON p.client_id = cl.id
+            WHERE UPPER(p.numero_recu) LIKE '%' || UPPER($3) || '%'
+               OR UPPER(p.reference_transaction) LIKE '%' || UPPER($3) || '%'
+               OR UPPER(p.reference_paiement) LIKE '%' || UPPER($3) || '%'
+            ORDER BY (UPPER(p.numero_recu) = UPPER($1)) DESC, p.date_paiement DESC
+            LIMIT $2
+        `, [term, limit, this.escapeLike(term)]);
+
+        return result.rows;
+    }
+
+    // =============================================
+    // UTILITAIRES
+    // =============================================
+
+    normalizeLimit(limit) {
+        return Math.min(Math.max(parseInt(limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+    }
+
+    /**
+     * Neutraliser les jokers LIKE saisis par l'utilisateur
+     */
+    escapeLike(term) {
+        return term.replace(/[\\%_]/g, '\\$&');
+    }
+}
+
+module.exports = new SearchService();
@@ -0,0 +1,209 @@
+/**
+ * Service des relevés de compte client
+ * Mouvements d'une période avec solde progressif, soldes d'ouverture et de clôture
+ * et balance âgée des montants restant dus
+ */
+
+const { query } = require('../database/connection');
+
+// Tranches de la balance âgée, en jours depuis la date de facturation
+const AGING_BUCKETS = [
+    { key: '0_30', label: '0-30 jours', max: 30 },
+    { key: '31_60', label: '31-60 jours', max: 60 },
+    { key: '61_90', label: '61-90 jours', max: 90 },
+    { key: 'plus_90', label: '+90 jours', max: Infinity }
+];
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+class StatementService {
+    constructor() {
+        this.agingBuckets = AGING_BUCKETS;
+    }
+
+    /**
+     * Construire le relevé d'un client
+     * Période par défaut : les 12 derniers mois jusqu'à aujourd'hui
+     *
+     * @param {number} clientId
+     * @param {Object} options
+     * @param {string} [options.dateDebut] - Début de période inclus (YYYY-MM-DD)
+     * @param {string} [options.dateFin] - Fin de période incluse (YYYY-MM-DD)
+     */
+    async build(clientId, { dateDebut = null, dateFin = null } = {}) {
+        const { start, end } = this.resolvePeriod(dateDebut, dateFin);
+
+        const clientResult = await query(`
+            SELECT id, code_client, nom, prenom, email, telephone_principal,
+                   adresse_principale, ville, code_postal, pays, credit_limite
+            FROM clients
+            WHERE id = $1
+        `, [clientId]);
+
+        const client = clientResult.rows[0];
+        if (!client) {
+            const error = new Error('Client non trouvé');
+            error.statusCode = 404;
+            throw error;
+        }
+
+        // Tous les mouvements jusqu'à la fin de période : ceux d'avant alimentent le solde
+        // d'ouverture, tous servent à la balance âgée. Les frais de stockage facturés chaque nuit
+        // (et leurs exonérations) sont datés du jour de leur facturation, hors facture initiale
+        const movementsResult = await query(`
+            SELECT 'facture' as type, m.id, COALESCE(m.date_reception, m.created_at) as date,
+                   m.code_barre as reference, m.designation as libelle,
+                   NULL as mode_paiement,
+                   COALESCE(m.cout_total, 0) - COALESCE(m.stockage_cumule, 0) as debit, 0 as credit
+            FROM marchandises m
+            WHERE m.client_id = $1 AND COALESCE(m.date_reception, m.created_at) < $2
+            UNION ALL
+            SELECT 'stockage' as type, s.id, s.created_at as date,
+                   m.code_barre as reference,
+                   CASE s.type_mouvement
+                       WHEN 'facturation' THEN 'Frais de stockage (' || s.jours || ' j)'
+                       ELSE 'Exonération stockage'
+                   END as libelle,
+                   NULL as mode_paiement,
+                   GREATEST(s.montant, 0) as debit, GREATEST(-s.montant, 0) as credit
+            FROM marchandises_stockage s
+            JOIN marchandises m ON m.id = s.marchandise_id
+            WHERE m.client_id = $1 AND s.created_at < $2
+            UNION ALL
+            SELECT 'paiement' as type, p.id, p.date_paiement as date,
+                   p.numero_recu as reference,
+                   CASE p.type_paiement
+                       WHEN 'remboursement' THEN 'Remboursement'
+                       WHEN 'avoir' THEN 'Avoir'
+                       WHEN 'indemnisation' THEN 'Indemnisation (' || p.montant_paye || ')'
+                       ELSE 'Paiement'
+                   END as libelle,
+                   p.mode_paiement,
+                   -- Une indemnisation de litige est versée sans modifier le solde du client
+                   CASE WHEN p.type_paiement = 'remboursement' THEN p.montant_paye ELSE 0 END as debit,
+                   CASE WHEN p.type_paiement IN ('remboursement', 'indemnisation') THEN 0 ELSE p.montant_paye END as credit
+            FROM paiements p
+            WHERE p.client_id = $1 AND p.statut = 'valide' AND p.date_paiement < $2
+            ORDER BY date, type, id
+        `, [clientId, end]);
+
+        const movements = movementsResult.rows.map(row => ({
+            ...row,
+            date: new Date(row.date),
+            debit: parseFloat(row.debit),
+            credit: parseFloat(row.credit)
+        }));
+
+        let openingBalance = 0;
+        let balance = 0;
+        const lignes = [];
+
+        for (const movement of movements) {
+            balance = round(balance + movement.debit - movement.credit);
+
+            if (movement.date < start) {
+                openingBalance = balance;
+            } else {
+                lignes.push({ ...movement, solde: balance });
+            }
+        }
+
+        const totals = lignes.reduce((sum, ligne) => ({
+            debit: round(sum.debit + ligne.debit),
+            credit: round(sum.credit + ligne.credit)
+        }), { debit: 0, credit: 0 });
+
+        // La fin de période est exclusive en interne : la veille est la date d'arrêté
+        const asOf = new Date(end.getTime() - 1);
+
+        return {
+            client,
+            periode: { debut: start, fin: asOf },
+            solde_ouverture: openingBalance,
+            total_facture: totals.debit,
+            total_paye: totals.credit,
+            solde_cloture: balance,
+            lignes,
+            balance_agee: this.computeAging(movements, asOf),
+            genere_le: new Date()
+        };
+    }
+
+    /**
+     * Balance âgée : les paiements soldent les factures les plus anciennes en premier,
+     * le reste dû de chaque facture est classé selon son ancienneté à la date d'arrêté
+     */
+    computeAging(movements, asOf) {
+        const invoices = movements
+            .filter(movement => movement.debit > 0)
+            .map(movement => ({ date: movement.date, restant: movement.debit }));
+
+        let available = movements.reduce((sum, movement) => sum + movement.credit, 0);
+
+        for (const invoice of invoices) {
+            if (available <= 0) break;
+
+            const paid = Math.min(invoice.restant, available);
+            invoice.restant = round(invoice.restant - paid);
+            available = round(available - paid);
+        }
+
+        const buckets = Object.fromEntries(AGING_BUCKETS.map(bucket => [bucket.key, 0]));
+
+        for (const invoice of invoices) {
+            if (invoice.restant <= 0) continue;
+
+            const age = Math.floor((asOf - invoice.date) / DAY);
+            const bucket = AGING_BUCKETS.find(b => age <= b.max);
+            buckets[bucket.key] = round(buckets[bucket.key] + invoice.restant);
+        }
+
+        return {
+            ...buckets,
+            avoir: round(available)
+        };
+    }
+
+    /**
+     * Convertir la période demandée en bornes [start, end[
+     */
+    resolvePeriod(dateDebut, dateFin) {
+        const parse = (value, name) => {
+            const date = new Date(`${value}T00:00:00`);
+            if (!/^\d{4}-\d{2}-\d{2}$/.test(String(value)) || isNaN(date)) {
+                const error = new Error(`Date invalide pour ${name}: ${value} (format attendu AAAA-MM-JJ)`);
+                error.statusCode = 400;
+                throw error;
+            }
+            return date;
+        };
+
+        const today = new Date();
+        today.setHours(0, 0, 0, 0);
+
+        const lastDay = dateFin ? parse(dateFin, 'date_fin') : today;
+        const end = new Date(lastDay.getTime());
+        end.setDate(end.getDate() + 1);
+
+        let start;
+        if (dateDebut) {
+            start = parse(dateDebut, 'date_debut');
+        } else {
+            start = new Date(lastDay.getTime());
+            start.setFullYear(start.getFullYear() - 1);
+            start.setDate(start.getDate() + 1);
+        }
+
+        if (start >= end) {
+            const error = new Error('La date de début doit précéder la date de fin');
+            error.statusCode = 400;
+            throw error;
+        }
+
+        return { start, end };
+    }
+}
+
+module.exports = new StatementService();
@@ -0,0 +1,269 @@
+/**
+ * Service des frais de stockage
+ * Facturation de nuit des marchandises encore à l'entrepôt au-delà de la franchise,
+ * au m³ ou au colis ; chaque facturation et chaque exonération est historisée
+ * et cumulée dans cout_stockage (donc dans cout_total)
+ */
+
+const { query, transaction } = require('../database/connection');
+const { logger } = require('../../shared/logger');
+const appConfig = require('../config/app');
+const clientService = require('./clientService');
+
+// Marchandises encore à l'entrepôt, pas encore chargées
+const STATUTS_EN_STOCK = ['en_attente', 'receptionne', 'affecte'];
+const MODES = ['m3', 'colis'];
+
+class StorageFeeService {
+    /**
+     * Paramètres du stockage : table parametres_systeme, à défaut configuration
+     */
+    async getSettings() {
+        const settings = {
+            freeDays: appConfig.business.storage.freeDays,
+            dailyRate: appConfig.business.storage.dailyRate,
+            mode: appConfig.business.storage.mode
+        };
+
+        try {
+            const result = await query(
+                'SELECT cle, valeur FROM parametres_systeme WHERE cle = ANY($1)',
+                [['STOCKAGE_JOURS_GRATUITS', 'STOCKAGE_TARIF_JOUR', 'STOCKAGE_MODE']]
+            );
+
+            for (const row of result.rows) {
+                if (row.cle === 'STOCKAGE_JOURS_GRATUITS' && parseInt(row.valeur, 10) >= 0) {
+                    settings.freeDays = parseInt(row.valeur, 10);
+                }
+                if (row.cle === 'STOCKAGE_TARIF_JOUR' && parseFloat(row.valeur) >= 0) {
+                    settings.dailyRate = parseFloat(row.valeur);
+                }
+                if (row.cle === 'STOCKAGE_MODE' && MODES.includes(row.valeur)) {
+                    settings.mode = row.valeur;
+                }
+            }
+        } catch (error) {
+            logger.warn('Lecture des paramètres de stockage impossible, configuration par défaut utilisée:', error.message);
+        }
+
+        return settings;
+    }
+
+    /**
+     * Facturer, pour chaque marchandise en stock, les jours écoulés jusqu'à la veille
+     * depuis la fin de la franchise ou la dernière facturation
+     *
+     * @param {Object} [io] - Socket.io, pour diffuser les compteurs clients recalculés
+     * @returns {Object} paramètres et marchandises facturées (code_barre, jours, montant)
+     */
+    async accrueAll(io = null) {
+        const settings = await this.getSettings();
+
+        if (!(settings.dailyRate > 0)) {
+            return { parametres: settings, facturees: [] };
+        }
+
+        const result = await query(`
+            SELECT id
+            FROM marchandises
+            WHERE statut = ANY($1) AND NOT COALESCE(stockage_exonere, FALSE)
+              AND GREATEST(COALESCE(date_reception, created_at)::date + $2::int, stockage_facture_jusquau + 1) < CURRENT_DATE
+            ORDER BY id
+        `, [STATUTS_EN_STOCK, settings.freeDays]);
+
+        const facturees = [];
+
+        for (const row of result.rows) {
+            try {
+                const mouvement = await this.accrue(row.id, settings);
+                if (mouvement) {
+                    facturees.push(mouvement);
+                }
+            } catch (error) {
+                logger.error(`Facturation du stockage impossible pour la marchandise ${row.id}:`, error);
+            }
+        }
+
+        await clientService.refreshCounters(facturees.map(mouvement => mouvement.client_id), io);
+
+        const total = this.round(facturees.reduce((sum, mouvement) => sum + mouvement.montant, 0));
+        logger.info(`Frais de stockage: ${facturees.length} marchandise(s) facturée(s), ${total.toFixed(2)} ${appConfig.business.currency.symbol}`);
+
+        return { parametres: settings, facturees };
+    }
+
+    /**
+     * Facturer une marchandise ; la période est recalculée sous verrou pour qu'un même jour
+     * ne soit jamais facturé deux fois
+     *
+     * @returns {Object|null} mouvement enregistré, null si rien à facturer
+     */
+    async accrue(marchandiseId, settings) {
+        return transaction(async (client) => {
+            const result = await client.query(`
+                SELECT id, code_barre, client_id, nombre_colis,
+                       COALESCE(volume, longueur * largeur * hauteur / 1000000, 0) as volume,
+                       periode.du::text as du, (CURRENT_DATE - 1)::text as au, CURRENT_DATE - periode.du as jours
+                FROM marchandises,
+                     LATERAL (SELECT GREATEST(COALESCE(date_reception, created_at)::date + $3::int,
+                                              stockage_facture_jusquau + 1) as du) periode
+                WHERE id = $1 AND statut = ANY($2) AND NOT COALESCE(stockage_exonere, FALSE)
+                FOR UPDATE OF marchandises
+            `, [marchandiseId, STATUTS_EN_STOCK, settings.freeDays]);
+
+            const marchandise = result.rows[0];
+            const jours = marchandise ? parseInt(marchandise.jours, 10) : 0;
+
+            if (jours <= 0) {
+                return null;
+            }
+
+            const base = settings.mode === 'colis'
+                ? Math.max(parseInt(marchandise.nombre_colis, 10) || 1, 1)
+                : Math.round(parseFloat(marchandise.volume) * 1000) / 1000;
+            const montant = this.round(base * settings.dailyRate * jours);
+
+            // Marchandise sans volume : la période est marquée facturée pour ne pas la reporter
+            if (montant > 0) {
+                await client.query(`
+                    INSERT INTO marchandises_stockage
+                        (marchandise_id, type_mouvement, du, au, jours, mode, base, tarif_jour, montant)
+                    VALUES ($1, 'facturation', $2, $3, $4, $5, $6, $7, $8)
+                `, [marchandise.id, marchandise.du, marchandise.au, jours, settings.mode, base, settings.dailyRate, montant]);
+            }
+
+            await client.query(`
+                UPDATE marchandises
+                SET cout_stockage = COALESCE(cout_stockage, 0) + $2,
+                    stockage_cumule = COALESCE(stockage_cumule, 0) + $2,
+                    stockage_facture_jusquau = $3
+                WHERE id = $1
+            `, [marchandise.id, montant, marchandise.au]);
+
+            return montant > 0
+                ? { id: marchandise.id, code_barre: marchandise.code_barre, client_id: marchandise.client_id, jours, montant }
+                : null;
+        });
+    }
+
+    /**
+     * Exonérer une marchandise : remise de tout ou partie des frais déjà facturés
+     * et, si l'exonération est définitive, arrêt de la facturation
+     *
+     * @param {Object} data - montant (défaut : tout le cumul), motif, definitive (validés par la route)
+     * @returns {Object} mouvement d'exonération et marchandise mise à jour
+     */
+    async waive(marchandiseId, data, user) {
+        return transaction(async (client) => {
+            const result = await client.query(
+                'SELECT id, code_barre, client_id, stockage_cumule, stockage_exonere FROM marchandises WHERE id = $1 FOR UPDATE',
+                [marchandiseId]
+            );
+
+            const marchandise = result.rows[0];
+            if (!marchandise) {
+                throw this.error('Marchandise non trouvée', 404);
+            }
+
+            const cumul = parseFloat(marchandise.stockage_cumule) || 0;
+            const montant = data.montant !== undefined ? this.round(data.montant) : cumul;
+
+            if (montant > cumul) {
+                throw this.error(`L'exonération ne peut dépasser les frais facturés (${cumul.toFixed(2)})`, 400);
+            }
+            if (montant === 0 && !data.definitive) {
+                throw this.error('Aucun frais de stockage à exonérer', 400);
+            }
+
+            const inserted = await client.query(`
+                INSERT INTO marchandises_stockage (marchandise_id, type_mouvement, montant, motif, created_by)
+                VALUES ($1, 'exoneration', $2, $3, $4)
+                RETURNING *
+            `, [marchandise.id, -montant, data.motif, user.id]);
+
+            const updated = await client.query(`
+                UPDATE marchandises
+                SET cout_stockage = GREATEST(COALESCE(cout_stockage, 0) - $2, 0),
+                    stockage_cumule = COALESCE(stockage_cumule, 0) - $2,
+                    stockage_exonere = COALESCE(stockage_exonere, FALSE) OR $3
+                WHERE id = $1
+                RETURNING id, code_barre, client_id, cout_stockage, stockage_cumule, stockage_exonere
+            `, [marchandise.id, montant, Boolean(data.definitive)]);
+
+            return {
+                mouvement: inserted.rows[0],
+                avant: marchandise,
+                apres: updated.rows[0]
+            };
+        });
+    }
+
+    /**
+     * Historique des facturations et exonérations d'une marchandise, avec les cumuls
+     */
+    async history(marchandiseId) {
+        const result = await query(`
+            SELECT id, code_barre, cout_stockage, stockage_cumule, stockage_facture_jusquau, stockage_exonere
+            FROM marchandises
+            WHERE id = $1
+        `, [marchandiseId]);
+
+        const marchandise = result.rows[0];
+        if (!marchandise) {
+            throw this.error('Marchandise non trouvée', 404);
+        }
+
+        const mouvements = await query(`
+            SELECT s.*, u.nom as createur_nom, u.prenom as createur_prenom
+            FROM marchandises_stockage s
+            LEFT JOIN utilisateurs u ON u.id = s.created_by
+            WHERE s.marchandise_id = $1
+            ORDER BY s.created_at, s.id
+        `, [marchandiseId]);
+
+        return {
+            cout_stockage: parseFloat(marchandise.cout_stockage) || 0,
+            cumul: parseFloat(marchandise.stockage_cumule) || 0,
+            facture_jusquau: marchandise.stockage_facture_jusquau,
+            exonere: marchandise.stockage_exonere,
+            mouvements: mouvements.rows.map(row => ({
+                ...row,
+                base: row.base !== null ? parseFloat(row.base) : null,
+                tarif_jour: row.tarif_jour !== null ? parseFloat(row.tarif_jour) : null,
+                montant: parseFloat(row.montant)
+            }))
+        };
+    }
+
+    /**
+     * Planifier la facturation (toutes les nuits par défaut)
+     */
+    scheduleAccrual() {
+        const schedule = require('node-schedule');
+
+        schedule.scheduleJob(appConfig.business.storage.schedule, async () => {
+            try {
+                await this.accrueAll();
+            } catch (error) {
+                logger.error('Échec de la facturation des frais de stockage:', error);
+            }
+        });
+
+        logger.info(`Facturation des frais de stockage programmée (${appConfig.business.storage.schedule})`);
+    }
+
+    round(value) {
+        return Math.round(value * 100) / 100;
+    }
+
+    /**
+     * Erreur métier portant son statut HTTP
+     */
+    error(message, statusCode) {
+        const error = new Error(message);
+        error.statusCode = statusCode;
+        return error;
+    }
+}
+
+module.exports = new StorageFeeService();
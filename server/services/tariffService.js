@@ -0,0 +1,658 @@
+/**
+ * Service des versions de la grille tarifaire
+ * Brouillons modifiables, publication programmée à une date d'effet,
+ * dates de validité et comparaison de deux versions
+ */
+
+const { query, transaction } = require('../database/connection');
+const { logger } = require('../../shared/logger');
+const auditService = require('./auditService');
+
+const MERCHANDISE_TYPES = ['colis', 'vehicule', 'palette', 'autre'];
+const SHIPMENT_TYPES = ['avec_dedouanement', 'sans_dedouanement'];
+const VEHICLE_CATEGORIES = ['moto', 'citadine', 'berline', 'suv', 'utilitaire', 'camion'];
+const SURCHARGE_MODES = ['pourcentage', 'forfait'];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Critères d'une ligne : un critère vide vaut pour toutes les valeurs
+const LINE_CRITERIA = {
+    destination_pays: { type: 'texte' },
+    destination_port: { type: 'texte' },
+    type_marchandise: { values: MERCHANDISE_TYPES },
+    type_envoi: { values: SHIPMENT_TYPES },
+    categorie_vehicule: { values: VEHICLE_CATEGORIES }
+};
+
+// Montants d'une ligne, en euros
+const LINE_AMOUNTS = [
+    'prix_kg', 'prix_m3', 'prix_forfait', 'minimum_perception',
+    'frais_manutention', 'frais_dedouanement', 'frais_stockage'
+];
+
+class TariffService {
+    /**
+     * Versions de la grille avec leur état calculé et leur nombre de lignes
+     * etat : brouillon, planifie, en_vigueur ou expire
+     */
+    async list() {
+        const current = await this.getCurrent();
+
+        const result = await query(`
+            SELECT t.*,
+                   (SELECT COUNT(*) FROM grilles_tarifaires g WHERE g.tarif_id = t.id)::int as nombre_lignes,
+                   (SELECT COUNT(*) FROM tarifs_surcharges s WHERE s.tarif_id = t.id)::int as nombre_surcharges,
+                   (SELECT COUNT(*) FROM marchandises m WHERE m.tarif_id = t.id)::int as nombre_marchandises
+            FROM tarifs t
+            ORDER BY t.statut = 'brouillon' DESC, t.date_debut DESC NULLS LAST, t.id DESC
+        `);
+
+        return result.rows.map(tarif => this.withState(tarif, current));
+    }
+
+    /**
+     * Version en vigueur à une date (aujourd'hui par défaut)
+     */
+    async getCurrent(date = null) {
+        const result = await query(`
+            SELECT *
+            FROM tarifs
+            WHERE statut = 'publie' AND date_debut <= COALESCE($1::date, CURRENT_DATE)
+            ORDER BY date_debut DESC
+            LIMIT 1
+        `, [date]);
+
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Version seule, sans ses lignes
+     */
+    async getVersion(tarifId) {
+        const result = await query('SELECT * FROM tarifs WHERE id = $1', [tarifId]);
+
+        if (result.rows.length === 0) {
+            throw this.error('Version de tarif non trouvée', 404);
+        }
+
+        return result.rows[0];
+    }
+
+    /**
+     * Version avec ses lignes et ses surcharges
+     */
+    async getById(tarifId) {
+        const tarif = await this.getVersion(tarifId);
+        const current = await this.getCurrent();
+
+        const lignes = await query(`
+            SELECT * FROM grilles_tarifaires
+            WHERE tarif_id = $1
+            ORDER BY destination_pays NULLS FIRST, destination_port NULLS FIRST,
+                     type_marchandise NULLS FIRST, categorie_vehicule NULLS FIRST, type_envoi NULLS FIRST, id
+        `, [tarifId]);
+
+        const surcharges = await query(
+            'SELECT * FROM tarifs_surcharges WHERE tarif_id = $1 ORDER BY code',
+            [tarifId]
+        );
+
+        return {
+            ...this.withState(tarif, current),
+            lignes: lignes.rows,
+            surcharges: surcharges.rows
+        };
+    }
+
+    /**
+     * Créer un brouillon, copie par défaut de la version en vigueur
+     * copie_de : id de la version à copier, null pour une grille vide
+     */
+    async createDraft(data, userId) {
+        const nom = String(data.nom || '').trim();
+        if (!nom) {
+            throw this.error('Le nom de la version est obligatoire', 400);
+        }
+
+        let sourceId = data.copie_de;
+        if (sourceId === undefined) {
+            const current = await this.getCurrent();
+            sourceId = current ? current.id : null;
+        } else if (sourceId !== null) {
+            sourceId = (await this.getVersion(parseInt(sourceId, 10))).id;
+        }
+
+        const tarif = await transaction(async (client) => {
+            const result = await client.query(`
+                INSERT INTO tarifs (nom, description, created_by)
+                VALUES ($1, $2, $3)
+                RETURNING *
+            `, [nom, data.description || null, userId]);
+
+            const draft = result.rows[0];
+
+            if (sourceId) {
+                await client.query(`
+                    INSERT INTO grilles_tarifaires (tarif_id, nom, destination_pays, destination_port, type_marchandise,
+                        type_envoi, categorie_vehicule, prix_kg, prix_m3, prix_forfait, minimum_perception,
+                        frais_manutention, frais_dedouanement, frais_stockage, taux_assurance, priorite, actif, created_by)
+                    SELECT $1, nom, destination_pays, destination_port, type_marchandise,
+                        type_envoi, categorie_vehicule, prix_kg, prix_m3, prix_forfait, minimum_perception,
+                        frais_manutention, frais_dedouanement, frais_stockage, taux_assurance, priorite, actif, $3
+                    FROM grilles_tarifaires
+                    WHERE tarif_id = $2
+                `, [draft.id, sourceId, userId]);
+
+                await client.query(`
+                    INSERT INTO tarifs_surcharges (tarif_id, code, libelle, mode, valeur, destination_pays, type_marchandise)
+                    SELECT $1, code, libelle, mode, valeur, destination_pays, type_marchandise
+                    FROM tarifs_surcharges
+                    WHERE tarif_id = $2
+                `, [draft.id, sourceId]);
+            }
+
+            return draft;
+        });
+
+        await auditService.log({
+            utilisateur_id: userId,
+            action: 'CREATE',
+            entite: 'tarifs',
+            entite_id: tarif.id,
+            nouvelles_valeurs: { nom, copie_de: sourceId }
+        });
+
+        return this.getById(tarif.id);
+    }
+
+    /**
+     * Renommer ou décrire un brouillon
+     */
+    async updateDraft(tarifId, data, userId) {
+        const existing = await this.getDraft(tarifId);
+        const nom = data.nom !== undefined ? String(data.nom).trim() : existing.nom;
+
+        if (!nom) {
+            throw this.error('Le nom de la version est obligatoire', 400);
+        }
+
+        const result = await query(`
+            UPDATE tarifs SET nom = $1, description = $2
+            WHERE id = $3
+            RETURNING *
+        `, [nom, data.description !== undefined ? data.description || null : existing.description, tarifId]);
+
+        await auditService.log({
+            utilisateur_id: userId,
+            action: 'UPDATE',
+            entite: 'tarifs',
+            entite_id: tarifId,
+            anciennes_valeurs: { nom: existing.nom, description: existing.description },
+            nouvelles_valeurs: { nom: result.rows[0].nom, description: result.rows[0].description }
+        });
+
+        return result.rows[0];
+    }
+
+    /**
+     * Supprimer un brouillon et ses lignes
+     */
+    async deleteDraft(tarifId, userId) {
+        const existing = await this.getDraft(tarifId);
+
+        await query('DELETE FROM tarifs WHERE id = $1', [tarifId]);
+
+        await auditService.log({
+            utilisateur_id: userId,
+            action: 'DELETE',
+            entite: 'tarifs',
+            entite_id: tarifId,
+            anciennes_valeurs: { nom: existing.nom }
+        });
+    }
+
+    // =============================================
+    // LIGNES ET SURCHARGES D'UN BROUILLON
+    // =============================================
+
+    async addLine(tarifId, data, userId) {
+        await this.getDraft(tarifId);
+        const line = this.validateLine(data);
+        const fields = Object.keys(line);
+
+        const result = await query(`
+            INSERT INTO grilles_tarifaires (tarif_id, ${fields.join(', ')}, created_by)
+            VALUES ($1, ${fields.map((_, index) => `$${index + 2}`).join(', ')}, $${fields.length + 2})
+            RETURNING *
+        `, [tarifId, ...fields.map(field => line[field]), userId]);
+
+        return result.rows[0];
+    }
+
+    async updateLine(tarifId, lineId, data) {
+        await this.getDraft(tarifId);
+        const existing = await this.findChild('grilles_tarifaires', tarifId, lineId, 'Ligne de tarif non trouvée');
+        const line = this.validateLine({ ...existing, ...data });
+        const fields = Object.keys(line);
+
+        const result = await query(`
+            UPDATE grilles_tarifaires
+            SET ${fields.map((field, index) => `${field} = $${index + 1}`).join(', ')}
+            WHERE id = $${fields.length + 1}
+            RETURNING *
+        `, [...fields.map(field => line[field]), lineId]);
+
+        return result.rows[0];
+    }
+
+    async deleteLine(tarifId, lineId) {
+        await this.getDraft(tarifId);
+        await this.findChild('grilles_tarifaires', tarifId, lineId, 'Ligne de tarif non trouvée');
+
+        await query('DELETE FROM grilles_tarifaires WHERE id = $1', [lineId]);
+    }
+
+    async addSurcharge(tarifId, data) {
+        await this.getDraft(tarifId);
+        const surcharge = this.validateSurcharge(data);
+
+        try {
+            const result = await query(`
+                INSERT INTO tarifs_surcharges (tarif_id, code, libelle, mode, valeur, destination_pays, type_marchandise)
+                VALUES ($1, $2, $3, $4, $5, $6, $7)
+                RETURNING *
+            `, [tarifId, surcharge.code, surcharge.libelle, surcharge.mode, surcharge.valeur,
+                surcharge.destination_pays, surcharge.type_marchandise]);
+
+            return result.rows[0];
+        } catch (error) {
+            if (error.code === '23505') {
+                throw this.error(`La surcharge ${surcharge.code} existe déjà dans cette version`, 409);
+            }
+            throw error;
+        }
+    }
+
+    async updateSurcharge(tarifId, surchargeId, data) {
+        await this.getDraft(tarifId);
+        const existing = await this.findChild('tarifs_surcharges', tarifId, surchargeId, 'Surcharge non trouvée');
+        const surcharge = this.validateSurcharge({ ...existing, ...data });
+
+        try {
+            const result = await query(`
+                UPDATE tarifs_surcharges
+                SET code = $1, libelle = $2, mode = $3, valeur = $4, destination_pays = $5, type_marchandise = $6
+                WHERE id = $7
+                RETURNING *
+            `, [surcharge.code, surcharge.libelle, surcharge.mode, surcharge.valeur,
+                surcharge.destination_pays, surcharge.type_marchandise, surchargeId]);
+
+            return result.rows[0];
+        } catch (error) {
+            if (error.code === '23505') {
+                throw this.error(`La surcharge ${surcharge.code} existe déjà dans cette version`, 409);
+            }
+            throw error;
+        }
+    }
+
+    async deleteSurcharge(tarifId, surchargeId) {
+        await this.getDraft(tarifId);
+        await this.findChild('tarifs_surcharges', tarifId, surchargeId, 'Surcharge non trouvée');
+
+        await query('DELETE FROM tarifs_surcharges WHERE id = $1', [surchargeId]);
+    }
+
+    // =============================================
+    // PUBLICATION
+    // =============================================
+
+    /**
+     * Publier un brouillon à une date d'effet (aujourd'hui ou plus tard)
+     * Les marchandises déjà tarifées gardent leur version
+     */
+    async schedule(tarifId, dateDebut, userId) {
+        const draft = await this.getDraft(tarifId);
+
+        if (!DATE_PATTERN.test(String(dateDebut || ''))) {
+            throw this.error('La date d\'effet est obligatoire (AAAA-MM-JJ)', 400);
+        }
+
+        const lines = await query('SELECT COUNT(*) as count FROM grilles_tarifaires WHERE tarif_id = $1 AND actif = true', [tarifId]);
+        if (parseInt(lines.rows[0].count, 10) === 0) {
+            throw this.error('Une version sans ligne de tarif active ne peut pas être publiée', 400);
+        }
+
+        const tarif = await transaction(async (client) => {
+            const past = await client.query('SELECT $1::date < CURRENT_DATE as passe', [dateDebut]);
+            if (past.rows[0].passe) {
+                throw this.error('La date d\'effet ne peut pas être dans le passé', 400);
+            }
+
+            const conflict = await client.query(
+                'SELECT id, nom FROM tarifs WHERE statut = \'publie\' AND date_debut = $1',
+                [dateDebut]
+            );
+            if (conflict.rows.length > 0) {
+                throw this.error(`La version "${conflict.rows[0].nom}" entre déjà en vigueur à cette date`, 409);
+            }
+
+            const result = await client.query(`
+                UPDATE tarifs
+                SET statut = 'publie', date_debut = $1, publie_par = $2, publie_le = CURRENT_TIMESTAMP
+                WHERE id = $3
+                RETURNING *
+            `, [dateDebut, userId, tarifId]);
+
+            await this.refreshValidity(client);
+
+            return result.rows[0];
+        });
+
+        await auditService.log({
+            utilisateur_id: userId,
+            action: 'TARIF_SCHEDULED',
+            entite: 'tarifs',
+            entite_id: tarifId,
+            anciennes_valeurs: { statut: draft.statut },
+            nouvelles_valeurs: { statut: tarif.statut, date_debut: dateDebut }
+        });
+
+        logger.info(`Version de tarif #${tarifId} (${tarif.nom}) programmée au ${dateDebut} par utilisateur #${userId}`);
+
+        return this.getById(tarifId);
+    }
+
+    /**
+     * Annuler la programmation d'une version pas encore en vigueur : elle redevient un brouillon
+     */
+    async unschedule(tarifId, userId) {
+        const tarif = await this.getVersion(tarifId);
+
+        if (tarif.statut !== 'publie') {
+            throw this.error('Cette version n\'est pas programmée', 400);
+        }
+
+        await transaction(async (client) => {
+            const result = await client.query(`
+                UPDATE tarifs
+                SET statut = 'brouillon', date_debut = NULL, date_fin = NULL, publie_par = NULL, publie_le = NULL
+                WHERE id = $1 AND date_debut > CURRENT_DATE
+                RETURNING id
+            `, [tarifId]);
+
+            if (result.rows.length === 0) {
+                throw this.error('Une version déjà entrée en vigueur ne peut plus être retirée', 409);
+            }
+
+            await this.refreshValidity(client);
+        });
+
+        await auditService.log({
+            utilisateur_id: userId,
+            action: 'TARIF_UNSCHEDULED',
+            entite: 'tarifs',
+            entite_id: tarifId,
+            anciennes_valeurs: { statut: tarif.statut, date_debut: tarif.date_debut },
+            nouvelles_valeurs: { statut: 'brouillon' }
+        });
+
+        return this.getById(tarifId);
+    }
+
+    /**
+     * Date de fin de chaque version publiée : veille de l'entrée en vigueur de la suivante
+     */
+    async refreshValidity(client) {
+        await client.query(`
+            UPDATE tarifs t
+            SET date_fin = v.date_fin
+            FROM (
+                SELECT id, LEAD(date_debut) OVER (ORDER BY date_debut) - 1 as date_fin
+                FROM tarifs
+                WHERE statut = 'publie'
+            ) v
+            WHERE t.id = v.id AND t.date_fin IS DISTINCT FROM v.date_fin
+        `);
+    }
+
+    // =============================================
+    // COMPARAISON
+    // =============================================
+
+    /**
+     * Comparer une version à une autre (par défaut la version en vigueur)
+     * Les lignes sont rapprochées par leurs critères, les surcharges par leur code
+     */
+    async compare(tarifId, referenceId = null) {
+        if (!referenceId) {
+            const current = await this.getCurrent();
+            if (!current) {
+                throw this.error('Aucune version en vigueur à comparer', 404);
+            }
+            referenceId = current.id;
+        }
+
+        if (referenceId === tarifId) {
+            throw this.error('Choisissez une autre version à comparer', 400);
+        }
+
+        const tarif = await this.getById(tarifId);
+        const reference = await this.getById(referenceId);
+
+        const lineKey = line => Object.keys(LINE_CRITERIA)
+            .map(field => (line[field] || '*').toString().toLowerCase())
+            .join('|');
+
+        const lignes = this.diff(reference.lignes, tarif.lignes, lineKey, [...LINE_AMOUNTS, 'taux_assurance', 'priorite', 'actif'])
+            .map(entry => ({
+                ...entry,
+                criteres: Object.keys(LINE_CRITERIA).reduce((criteria, field) => {
+                    criteria[field] = (entry.apres || entry.avant)[field] || null;
+                    return criteria;
+                }, {})
+            }));
+
+        const surcharges = this.diff(reference.surcharges, tarif.surcharges, s => s.code.toUpperCase(),
+            ['libelle', 'mode', 'valeur', 'destination_pays', 'type_marchandise']);
+
+        const summarize = entries => entries.reduce((summary, entry) => {
+            summary[entry.statut] = (summary[entry.statut] || 0) + 1;
+            return summary;
+        }, { ajoutee: 0, supprimee: 0, modifiee: 0, identique: 0 });
+
+        return {
+            tarif: this.summary(tarif),
+            reference: this.summary(reference),
+            lignes,
+            surcharges,
+            resume: {
+                lignes: summarize(lignes),
+                surcharges: summarize(surcharges)
+            }
+        };
+    }
+
+    /**
+     * Rapprocher deux listes et décrire les écarts champ par champ
+     */
+    diff(before, after, keyOf, fields) {
+        const previous = new Map(before.map(item => [keyOf(item), item]));
+        const entries = [];
+
+        for (const item of after) {
+            const key = keyOf(item);
+            const old = previous.get(key);
+            previous.delete(key);
+
+            if (!old) {
+                entries.push({ statut: 'ajoutee', avant: null, apres: item, ecarts: {} });
+                continue;
+            }
+
+            const ecarts = {};
+            for (const field of fields) {
+                if (String(old[field] ?? '') === String(item[field] ?? '')) continue;
+
+                const from = parseFloat(old[field]);
+                const to = parseFloat(item[field]);
+                ecarts[field] = {
+                    avant: old[field],
+                    apres: item[field],
+                    variation_pct: Number.isFinite(from) && Number.isFinite(to) && from !== 0
+                        ? Math.round((to - from) / from * 1000) / 10
+                        : null
+                };
+            }
+
+            entries.push({
+                statut: Object.keys(ecarts).length > 0 ? 'modifiee' : 'identique',
+                avant: old,
+                apres: item,
+                ecarts
+            });
+        }
+
+        previous.forEach(old => entries.push({ statut: 'supprimee', avant: old, apres: null, ecarts: {} }));
+
+        return entries;
+    }
+
+    summary(tarif) {
+        return {
+            id: tarif.id,
+            nom: tarif.nom,
+            etat: tarif.etat,
+            date_debut: tarif.date_debut,
+            date_fin: tarif.date_fin
+        };
+    }
+
+    // =============================================
+    // OUTILS
+    // =============================================
+
+    /**
+     * État d'une version par rapport à la version en vigueur
+     */
+    withState(tarif, current) {
+        let etat = 'brouillon';
+
+        if (tarif.statut === 'publie') {
+            if (current && current.id === tarif.id) etat = 'en_vigueur';
+            else if (!current || new Date(tarif.date_debut) > new Date(current.date_debut)) etat = 'planifie';
+            else etat = 'expire';
+        }
+
+        return { ...tarif, etat };
+    }
+
+    /**
+     * Version modifiable : seuls les brouillons le sont
+     */
+    async getDraft(tarifId) {
+        const tarif = await this.getVersion(tarifId);
+
+        if (tarif.statut !== 'brouillon') {
+            throw this.error('Seul un brouillon peut être modifié ; annulez d\'abord sa programmation', 409);
+        }
+
+        return tarif;
+    }
+
+    async findChild(table, tarifId, childId, notFoundMessage) {
+        const result = await query(`SELECT * FROM ${table} WHERE id = $1 AND tarif_id = $2`, [childId, tarifId]);
+
+        if (result.rows.length === 0) {
+            throw this.error(notFoundMessage, 404);
+        }
+
+        return result.rows[0];
+    }
+
+    /**
+     * Normaliser une ligne de tarif : critères vides à NULL, montants positifs
+     */
+    validateLine(data) {
+        const nom = String(data.nom || '').trim();
+        if (!nom) {
+            throw this.error('Le nom de la ligne est obligatoire', 400);
+        }
+
+        const line = { nom };
+
+        for (const [field, criterion] of Object.entries(LINE_CRITERIA)) {
+            const value = data[field] === undefined || data[field] === null ? '' : String(data[field]).trim();
+
+            if (value && criterion.values && !criterion.values.includes(value)) {
+                throw this.error(`Valeur invalide pour ${field} : ${value}`, 400);
+            }
+            line[field] = value || null;
+        }
+
+        if (line.categorie_vehicule && line.type_marchandise !== 'vehicule') {
+            throw this.error('La catégorie de véhicule ne s\'applique qu\'aux lignes de type véhicule', 400);
+        }
+
+        for (const field of LINE_AMOUNTS) {
+            const value = data[field] === undefined || data[field] === null || data[field] === '' ? 0 : parseFloat(data[field]);
+
+            if (!Number.isFinite(value) || value < 0) {
+                throw this.error(`Montant invalide pour ${field}`, 400);
+            }
+            line[field] = value;
+        }
+
+        if (data.taux_assurance === undefined || data.taux_assurance === null || data.taux_assurance === '') {
+            line.taux_assurance = null;
+        } else {
+            line.taux_assurance = parseFloat(data.taux_assurance);
+            if (!Number.isFinite(line.taux_assurance) || line.taux_assurance < 0 || line.taux_assurance > 100) {
+                throw this.error('Le taux d\'assurance doit être compris entre 0 et 100', 400);
+            }
+        }
+
+        line.priorite = parseInt(data.priorite, 10) || 0;
+        line.actif = data.actif !== false;
+
+        return line;
+    }
+
+    validateSurcharge(data) {
+        const code = String(data.code || '').trim().toUpperCase();
+        const libelle = String(data.libelle || '').trim();
+        const valeur = parseFloat(data.valeur);
+
+        if (!code || !libelle) {
+            throw this.error('Le code et le libellé de la surcharge sont obligatoires', 400);
+        }
+        if (!SURCHARGE_MODES.includes(data.mode)) {
+            throw this.error(`Mode de surcharge invalide (${SURCHARGE_MODES.join(', ')})`, 400);
+        }
+        if (!Number.isFinite(valeur) || valeur < 0) {
+            throw this.error('La valeur de la surcharge doit être positive', 400);
+        }
+        if (data.type_marchandise && !MERCHANDISE_TYPES.includes(data.type_marchandise)) {
+            throw this.error(`Type de marchandise invalide : ${data.type_marchandise}`, 400);
+        }
+
+        return {
+            code,
+            libelle,
+            mode: data.mode,
+            valeur,
+            destination_pays: String(data.destination_pays || '').trim() || null,
+            type_marchandise: data.type_marchandise || null
+        };
+    }
+
+    /**
+     * Erreur métier portant son statut HTTP
+     */
+    error(message, statusCode) {
+        const error = new Error(message);
+        error.statusCode = statusCode;
+        return error;
+    }
+}
+
+module.exports = new TariffService();
@@ -0,0 +1,271 @@
+/**
+ * Service des vues sauvegardées
+ * Filtres, tri, colonnes et densité des listes, personnels ou partagés avec un rôle
+ */
+
+const { query, transaction } = require('../database/connection');
+const { isValidRole } = require('../config/roles');
+
+// Écrans dont les listes peuvent être enregistrées
+const VIEW_MODULES = ['clients', 'marchandises', 'conteneurs', 'finances'];
+
+const DENSITIES = ['normale', 'compacte'];
+
+const MAX_NAME_LENGTH = 100;
+
+// Colonnes exposées au client, avec l'indicateur de vue par défaut de l'utilisateur
+const VIEW_COLUMNS = `
+    v.id, v.module, v.nom, v.role_partage, v.filtres, v.tri, v.colonnes,
+    v.densite, v.taille_page, v.utilisateur_id, v.created_at, v.updated_at,
+    u.nom as proprietaire_nom, u.prenom as proprietaire_prenom,
+    (v.utilisateur_id = $1) as est_proprietaire,
+    (d.vue_id IS NOT NULL) as par_defaut
+`;
+
+class ViewService {
+    constructor() {
+        this.modules = VIEW_MODULES;
+    }
+
+    /**
+     * Vues accessibles à l'utilisateur pour un écran : les siennes et celles partagées avec son rôle
+     */
+    async list(user, module) {
+        this.assertModule(module);
+
+        const result = await query(`
+            SELECT ${VIEW_COLUMNS}
+            FROM vues_sauvegardees v
+            JOIN utilisateurs u ON u.id = v.utilisateur_id
+            LEFT JOIN vues_par_defaut d
+                ON d.vue_id = v.id AND d.utilisateur_id = $1 AND d.module = v.module
+            WHERE v.module = $2
+              AND (v.utilisateur_id = $1 OR v.role_partage = $3)
+            ORDER BY (v.utilisateur_id = $1) DESC, v.nom
+        `, [user.id, module, user.role]);
+
+        return result.rows;
+    }
+
+    /**
+     * Vue par défaut de l'utilisateur pour un écran (null si aucune)
+     */
+    async getDefault(user, module) {
+        this.assertModule(module);
+
+        const result = await query(`
+            SELECT ${VIEW_COLUMNS}
+            FROM vues_par_defaut d
+            JOIN vues_sauvegardees v ON v.id = d.vue_id
+            JOIN utilisateurs u ON u.id = v.utilisateur_id
+            WHERE d.utilisateur_id = $1 AND d.module = $2
+              AND (v.utilisateur_id = $1 OR v.role_partage = $3)
+        `, [user.id, module, user.role]);
+
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Créer une vue pour l'utilisateur courant
+     */
+    async create(user, data) {
+        this.assertModule(data.module);
+        const view = this.normalize(data);
+
+        const created = await transaction(async (client) => {
+            const result = await client.query(`
+                INSERT INTO vues_sauvegardees (
+                    utilisateur_id, module, nom, role_partage,
+                    filtres, tri, colonnes, densite, taille_page
+                ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+                RETURNING id
+            `, [
+                user.id, data.module, view.nom, view.role_partage,
+                view.filtres, view.tri, view.colonnes, view.densite, view.taille_page
+            ]).catch(error => { throw this.translateError(error); });
+
+            const id = result.rows[0].id;
+
+            if (data.par_defaut) {
+                await this.saveDefault(user.id, data.module, id, client);
+            }
+
+            return id;
+        });
+
+        return this.getById(created, user);
+    }
+
+    /**
+     * Modifier une vue (propriétaire ou administrateur)
+     */
+    async update(id, user, data) {
+        const existing = await this.getById(id, user);
+        this.assertCanEdit(existing, user);
+
+        const view = this.normalize({ ...existing, ...data });
+
+        await query(`
+            UPDATE vues_sauvegardees
+            SET nom = $1, role_partage = $2, filtres = $3, tri = $4,
+                colonnes = $5, densite = $6, taille_page = $7
+            WHERE id = $8
+        `, [
+            view.nom, view.role_partage, view.filtres, view.tri,
+            view.colonnes, view.densite, view.taille_page, id
+        ]).catch(error => { throw this.translateError(error); });
+
+        return this.getById(id, user);
+    }
+
+    /**
+     * Supprimer une vue (propriétaire ou administrateur)
+     * Les choix de vue par défaut qui la référencent sont supprimés en cascade
+     */
+    async remove(id, user) {
+        const existing = await this.getById(id, user);
+        this.assertCanEdit(existing, user);
+
+        await query('DELETE FROM vues_sauvegardees WHERE id = $1', [id]);
+
+        return existing;
+    }
+
+    /**
+     * Marquer une vue comme vue par défaut de l'écran pour l'utilisateur
+     */
+    async setDefault(id, user) {
+        const view = await this.getById(id, user);
+
+        await this.saveDefault(user.id, view.module, view.id);
+
+        return { ...view, par_defaut: true };
+    }
+
+    /**
+     * Retirer la vue par défaut d'un écran : la liste revient à son affichage standard
+     */
+    async clearDefault(user, module) {
+        this.assertModule(module);
+
+        await query(
+            'DELETE FROM vues_par_defaut WHERE utilisateur_id = $1 AND module = $2',
+            [user.id, module]
+        );
+    }
+
+    // =============================================
+    // UTILITAIRES
+    // =============================================
+
+    /**
+     * Récupérer une vue accessible à l'utilisateur (404 sinon)
+     * Les administrateurs accèdent à toutes les vues
+     */
+    async getById(id, user) {
+        const result = await query(`
+            SELECT ${VIEW_COLUMNS}
+            FROM vues_sauvegardees v
+            JOIN utilisateurs u ON u.id = v.utilisateur_id
+            LEFT JOIN vues_par_defaut d
+                ON d.vue_id = v.id AND d.utilisateur_id = $1 AND d.module = v.module
+            WHERE v.id = $2
+              AND (v.utilisateur_id = $1 OR v.role_partage = $3 OR $3 = 'admin')
+        `, [user.id, id, user.role]);
+
+        if (result.rows.length === 0) {
+            const error = new Error('Vue non trouvée');
+            error.statusCode = 404;
+            throw error;
+        }
+
+        return result.rows[0];
+    }
+
+    /**
+     * Enregistrer la vue par défaut (remplace le choix précédent pour cet écran)
+     */
+    async saveDefault(userId, module, viewId, client = null) {
+        const runQuery = client ? client.query.bind(client) : query;
+
+        await runQuery(`
+            INSERT INTO vues_par_defaut (utilisateur_id, module, vue_id)
+            VALUES ($1, $2, $3)
+            ON CONFLICT (utilisateur_id, module) DO UPDATE SET vue_id = EXCLUDED.vue_id
+        `, [userId, module, viewId]);
+    }
+
+    assertModule(module) {
+        if (!VIEW_MODULES.includes(module)) {
+            const error = new Error(`Écran inconnu: ${module}. Écrans disponibles : ${VIEW_MODULES.join(', ')}`);
+            error.statusCode = 400;
+            throw error;
+        }
+    }
+
+    assertCanEdit(view, user) {
+        if (view.utilisateur_id !== user.id && user.role !== 'admin') {
+            const error = new Error('Seul le propriétaire de la vue peut la modifier');
+            error.statusCode = 403;
+            throw error;
+        }
+    }
+
+    /**
+     * Valider et normaliser le contenu d'une vue
+     */
+    normalize(data) {
+        const fail = (message) => {
+            const error = new Error(message);
+            error.statusCode = 400;
+            throw error;
+        };
+
+        const nom = String(data.nom || '').trim();
+        if (!nom) fail('Le nom de la vue est requis');
+        if (nom.length > MAX_NAME_LENGTH) fail(`Le nom de la vue ne peut dépasser ${MAX_NAME_LENGTH} caractères`);
+
+        const rolePartage = data.role_partage || null;
+        if (rolePartage && !isValidRole(rolePartage)) fail(`Rôle de partage invalide: ${rolePartage}`);
+
+        const filtres = data.filtres || {};
+        if (typeof filtres !== 'object' || Array.isArray(filtres)) fail('Les filtres doivent être un objet');
+
+        const tri = data.tri || null;
+        if (tri && (typeof tri.champ !== 'string' || !['asc', 'desc'].includes(tri.direction))) {
+            fail('Le tri doit préciser un champ et une direction (asc ou desc)');
+        }
+
+        const colonnes = data.colonnes || null;
+        if (colonnes && (!Array.isArray(colonnes) || colonnes.some(col => typeof col !== 'string'))) {
+            fail('Les colonnes doivent être une liste de noms de champs');
+        }
+
+        const densite = data.densite || 'normale';
+        if (!DENSITIES.includes(densite)) fail(`Densité invalide: ${densite}`);
+
+        const taillePage = data.taille_page ? parseInt(data.taille_page, 10) : null;
+        if (taillePage !== null && !(taillePage > 0 && taillePage <= 500)) fail('Taille de page invalide');
+
+        return {
+            nom,
+            role_partage: rolePartage,
+            filtres: JSON.stringify(filtres),
+            tri: tri ? JSON.stringify({ champ: tri.champ, direction: tri.direction }) : null,
+            colonnes: colonnes ? JSON.stringify(colonnes) : null,
+            densite,
+            taille_page: taillePage
+        };
+    }
+
+    translateError(error) {
+        if (error.code === '23505') {
+            const conflict = new Error('Une vue porte déjà ce nom sur cet écran');
+            conflict.statusCode = 409;
+            return conflict;
+        }
+        return error;
+    }
+}
+
+module.exports = new ViewService();
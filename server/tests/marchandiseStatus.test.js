@@ -0,0 +1,44 @@
+/**
+ * Tests du cycle de vie des statuts de marchandise
+ */
+
+const MarchandiseStatus = require('../../shared/marchandiseStatus');
+
+const { checkTransition, PERMISSIONS } = MarchandiseStatus;
+
+describe('checkTransition', () => {
+    const suivi = [PERMISSIONS.SUIVI];
+
+    test('une marchandise créée peut être affectée à un conteneur', () => {
+        // POST /api/marchandises : statut par défaut de la table, puis assign-marchandises
+        for (const initial of MarchandiseStatus.STATUTS_INITIAUX) {
+            expect(checkTransition(initial, 'affecte', suivi).allowed).toBe(true);
+        }
+    });
+
+    test('la réception précède l\'attente de conteneur', () => {
+        expect(checkTransition('receptionne', 'en_attente', suivi).allowed).toBe(true);
+        expect(checkTransition('en_attente', 'receptionne', suivi)).toEqual({
+            allowed: false,
+            permission: PERMISSIONS.CORRECTION,
+            reason: 'permission'
+        });
+    });
+
+    test('un retour en arrière demande la permission de correction', () => {
+        expect(checkTransition('affecte', 'en_attente', suivi).reason).toBe('permission');
+        expect(checkTransition('affecte', 'en_attente', [PERMISSIONS.CORRECTION]).allowed).toBe(true);
+    });
+
+    test('une transition hors du cycle est interdite même avec toutes les permissions', () => {
+        expect(checkTransition('en_attente', 'livre', ['*'])).toEqual({
+            allowed: false,
+            permission: null,
+            reason: 'transition'
+        });
+    });
+
+    test('un nouveau scan au même statut est toujours accepté', () => {
+        expect(checkTransition('en_attente', 'en_attente').allowed).toBe(true);
+    });
+});
@@ -56,6 +56,25 @@ const STATUS = {
         ANNULE: 'annule'
     },
     
+    // Statuts des litiges (dommages, pertes, réclamations)
+    LITIGE: {
+        OUVERT: 'ouvert',
+        EN_INSTRUCTION: 'en_instruction',
+        INDEMNISATION_PROPOSEE: 'indemnisation_proposee',
+        RESOLU: 'resolu',
+        REJETE: 'rejete',
+        CLOS: 'clos'
+    },
+    
+    // Statuts KYC (vérification d'identité des clients)
+    KYC: {
+        NON_VERIFIE: 'non_verifie',
+        EN_ATTENTE: 'en_attente',
+        VERIFIE: 'verifie',
+        EXPIRE: 'expire',
+        REJETE: 'rejete'
+    },
+    
     // Statuts utilisateurs
     UTILISATEUR: {
         ACTIF: 'actif',
@@ -113,6 +132,44 @@ const TYPES = {
         AUTRE: 'autre'
     },
     
+    // Types de pièces d'identité
+    PIECE_IDENTITE: {
+        PASSEPORT: 'passeport',
+        CARTE_IDENTITE: 'carte_identite',
+        TITRE_SEJOUR: 'titre_sejour',
+        PERMIS_CONDUIRE: 'permis_conduire',
+        AUTRE: 'autre'
+    },
+    
+    // Catégories de photos de marchandises
+    PHOTO: {
+        RECEPTION: 'reception',
+        DOMMAGE: 'dommage',
+        CHARGEMENT: 'chargement'
+    },
+    
+    // Types de litiges
+    LITIGE: {
+        DOMMAGE: 'dommage',
+        PERTE: 'perte',
+        RECLAMATION: 'reclamation'
+    },
+    
+    // Responsables d'un litige
+    RESPONSABLE_LITIGE: {
+        ENTREPOT: 'entrepot',
+        TRANSPORTEUR: 'transporteur',
+        AGENT_DESTINATION: 'agent_destination'
+    },
+    
+    // Résolution d'un litige : remboursement (sortie de caisse enregistrée comme indemnisation, sans effet
+    // sur le solde), avoir (crédit client) ou sans indemnisation
+    RESOLUTION_LITIGE: {
+        REMBOURSEMENT: 'remboursement',
+        AVOIR: 'avoir',
+        AUCUNE: 'aucune'
+    },
+    
     // Types de paiements
     PAIEMENT: {
         ESPECES: 'especes',
@@ -188,6 +245,7 @@ const LIMITES = {
     UPLOAD: {
         MAX_FILE_SIZE: 10 * 1024 * 1024, // 10 MB
         MAX_FILES: 10,
+        MAX_UPLOAD_SIZE: 30 * 1024 * 1024, // 30 MB pour l'ensemble des fichiers d'un envoi
         ALLOWED_IMAGE_TYPES: ['image/jpeg', 'image/png', 'image/gif', 'image/webp'],
         ALLOWED_DOCUMENT_TYPES: ['application/pdf', 'application/msword', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document']
     },
@@ -0,0 +1,173 @@
+/**
+ * Cycle de vie des statuts de marchandise partagé entre client et serveur
+ * Import Export Manager
+ *
+ * Transitions autorisées entre statuts et permission requise pour chacune :
+ * - marchandise.statut      suivi normal (réception, affectation, chargement, départ, arrivée, livraison)
+ * - marchandise.incident    déclaration d'un problème, d'une perte ou d'un dommage
+ * - marchandise.correction  retour en arrière et résolution d'un incident
+ *
+ * Le passage d'un statut à lui-même est toujours accepté (nouveau scan).
+ */
+
+// =============================================
+// STATUTS
+// =============================================
+
+// Avancement normal, du moins avancé au plus avancé
+// (en_attente : à l'entrepôt, en attente d'un conteneur)
+const STATUTS_PROGRESSION = ['receptionne', 'en_attente', 'affecte', 'en_conteneur', 'en_transit', 'arrive', 'livre'];
+const STATUTS_ANOMALIE = ['probleme', 'perdu', 'endommage'];
+const STATUTS = [...STATUTS_PROGRESSION, ...STATUTS_ANOMALIE];
+
+const STATUT_LABELS = {
+    en_attente: 'En attente',
+    receptionne: 'Réceptionné',
+    affecte: 'Affecté',
+    en_conteneur: 'En conteneur',
+    en_transit: 'En transit',
+    arrive: 'Arrivé',
+    livre: 'Livré',
+    probleme: 'Problème',
+    perdu: 'Perdu',
+    endommage: 'Endommagé'
+};
+
+// Statuts possibles à la création d'une marchandise
+const STATUTS_INITIAUX = ['receptionne', 'en_attente'];
+
+// Statut atteint par chaque action de scan
+const SCAN_ACTIONS = {
+    reception: 'receptionne',
+    affectation: 'affecte',
+    chargement: 'en_conteneur',
+    livraison: 'livre'
+};
+
+// =============================================
+// TRANSITIONS
+// =============================================
+
+const PERMISSIONS = {
+    SUIVI: 'marchandise.statut',
+    INCIDENT: 'marchandise.incident',
+    CORRECTION: 'marchandise.correction'
+};
+
+const { SUIVI, INCIDENT, CORRECTION } = PERMISSIONS;
+
+// Déclarer un incident est possible tant que la marchandise n'est pas livrée
+const INCIDENTS = { probleme: INCIDENT, perdu: INCIDENT, endommage: INCIDENT };
+
+// Résoudre un incident : retour à n'importe quelle étape de l'avancement
+const RESOLUTIONS = STATUTS_PROGRESSION.reduce((resolutions, statut) => {
+    resolutions[statut] = CORRECTION;
+    return resolutions;
+}, {});
+
+// statut actuel -> { statut suivant: permission requise }
+const TRANSITIONS = {
+    // Affectation directe d'une marchandise tout juste réceptionnée
+    receptionne: { en_attente: SUIVI, affecte: SUIVI, ...INCIDENTS },
+    en_attente: { affecte: SUIVI, receptionne: CORRECTION, ...INCIDENTS },
+    // Départ du conteneur sans scan de chargement : le conteneur clôturé part avec ses marchandises
+    affecte: { en_conteneur: SUIVI, en_transit: SUIVI, en_attente: CORRECTION, receptionne: CORRECTION, ...INCIDENTS },
+    en_conteneur: { en_transit: SUIVI, affecte: CORRECTION, ...INCIDENTS },
+    en_transit: { arrive: SUIVI, en_conteneur: CORRECTION, ...INCIDENTS },
+    arrive: { livre: SUIVI, en_transit: CORRECTION, ...INCIDENTS },
+    // Réclamation après livraison
+    livre: { arrive: CORRECTION, probleme: INCIDENT, endommage: INCIDENT },
+    probleme: { ...RESOLUTIONS, perdu: INCIDENT, endommage: INCIDENT },
+    // Une marchandise endommagée est livrée avec réserves
+    endommage: { ...RESOLUTIONS, livre: SUIVI, probleme: INCIDENT, perdu: INCIDENT },
+    // Marchandise retrouvée
+    perdu: { ...RESOLUTIONS, probleme: CORRECTION }
+};
+
+/**
+ * Permission requise pour passer d'un statut à un autre
+ * null : transition interdite
+ */
+function getTransitionPermission(from, to) {
+    if (!TRANSITIONS[from] || !STATUTS.includes(to)) return null;
+    return TRANSITIONS[from][to] || null;
+}
+
+/**
+ * Vérifier une transition pour un jeu de permissions (['*'] : toutes)
+ *
+ * @returns {Object} allowed, permission requise et raison du refus ('transition' ou 'permission')
+ */
+function checkTransition(from, to, permissions = []) {
+    if (from === to) {
+        return { allowed: true, permission: null, reason: null };
+    }
+
+    const permission = getTransitionPermission(from, to);
+
+    if (!permission) {
+        return { allowed: false, permission: null, reason: 'transition' };
+    }
+
+    if (!permissions.includes('*') && !permissions.includes(permission)) {
+        return { allowed: false, permission, reason: 'permission' };
+    }
+
+    return { allowed: true, permission, reason: null };
+}
+
+/**
+ * Statuts accessibles depuis un statut avec ces permissions
+ */
+function nextStatuses(from, permissions = []) {
+    return Object.keys(TRANSITIONS[from] || {})
+        .filter(to => checkTransition(from, to, permissions).allowed);
+}
+
+/**
+ * Message d'erreur d'une transition refusée
+ */
+function describeRefusal(from, to, check, reference = null) {
+    const subject = reference ? ` pour ${reference}` : '';
+    const transition = `${STATUT_LABELS[from] || from} → ${STATUT_LABELS[to] || to}`;
+
+    return check.reason === 'permission'
+        ? `Permission ${check.permission} requise${subject} : ${transition}`
+        : `Transition interdite${subject} : ${transition}`;
+}
+
+// Export pour Node.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        STATUTS,
+        STATUTS_PROGRESSION,
+        STATUTS_ANOMALIE,
+        STATUTS_INITIAUX,
+        STATUT_LABELS,
+        SCAN_ACTIONS,
+        PERMISSIONS,
+        TRANSITIONS,
+        getTransitionPermission,
+        checkTransition,
+        nextStatuses,
+        describeRefusal
+    };
+}
+
+// Export pour ES6
+if (typeof window !== 'undefined') {
+    window.MarchandiseStatus = {
+        STATUTS,
+        STATUTS_PROGRESSION,
+        STATUTS_ANOMALIE,
+        STATUTS_INITIAUX,
+        STATUT_LABELS,
+        SCAN_ACTIONS,
+        PERMISSIONS,
+        TRANSITIONS,
+        getTransitionPermission,
+        checkTransition,
+        nextStatuses,
+        describeRefusal
+    };
+}
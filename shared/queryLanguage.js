@@ -0,0 +1,385 @@
+/**
+ * Langage de requête structuré partagé entre client et serveur
+ * Import Export Manager
+ *
+ * Exemple : statut:en_transit destination:Congo client:DUPONT poids>50 recu:2026-09
+ *
+ * - champ:valeur      contient (texte), égal (liste, nombre), période (date)
+ * - champ=valeur      égalité stricte
+ * - champ!=valeur     différent de
+ * - champ>valeur, >=, <, <=   comparaison (nombres et dates)
+ * - champ:a,b         plusieurs valeurs possibles
+ * - champ:10..50      intervalle (nombres et dates)
+ * - -champ:valeur     négation
+ * - "texte libre"     recherche plein texte, guillemets pour les espaces
+ */
+
+// =============================================
+// DÉFINITION DES CHAMPS
+// =============================================
+
+const FIELD_TYPES = {
+    TEXT: 'text',
+    ENUM: 'enum',
+    NUMBER: 'number',
+    DATE: 'date'
+};
+
+// Valeurs acceptées par les contraintes CHECK du schéma
+const STATUTS_MARCHANDISE = ['receptionne', 'en_attente', 'affecte', 'en_conteneur', 'en_transit', 'arrive', 'livre', 'probleme', 'perdu', 'endommage'];
+const STATUTS_CONTENEUR = ['ouvert', 'en_preparation', 'en_cours_chargement', 'pret_expedition', 'en_transit', 'arrive', 'cloture', 'livre'];
+const STATUTS_CLIENT = ['actif', 'inactif', 'suspendu'];
+const STATUTS_PAIEMENT = ['en_attente', 'valide', 'annule', 'rembourse', 'rejete'];
+const MODES_PAIEMENT = ['especes', 'virement', 'cheque', 'carte', 'mobile_money'];
+const TYPES_PAIEMENT = ['especes', 'virement', 'cheque', 'mobile_money', 'carte', 'acompte', 'solde', 'total', 'remboursement', 'avoir', 'indemnisation'];
+
+const QUERY_FIELDS = {
+    marchandises: {
+        statut: { type: FIELD_TYPES.ENUM, label: 'Statut', values: STATUTS_MARCHANDISE },
+        type: { type: FIELD_TYPES.ENUM, label: 'Type', values: ['colis', 'vehicule', 'palette', 'autre'] },
+        etat: { type: FIELD_TYPES.ENUM, label: 'État', values: ['bon_etat', 'endommage', 'fragile', 'perissable'] },
+        code: { type: FIELD_TYPES.TEXT, label: 'Code-barres' },
+        designation: { type: FIELD_TYPES.TEXT, label: 'Désignation' },
+        suivi: { type: FIELD_TYPES.TEXT, label: 'N° de suivi postal' },
+        client: { type: FIELD_TYPES.TEXT, label: 'Client (nom, prénom ou code)' },
+        conteneur: { type: FIELD_TYPES.TEXT, label: 'N° de conteneur' },
+        destination: { type: FIELD_TYPES.TEXT, label: 'Destination (pays, ville ou port)' },
+        poids: { type: FIELD_TYPES.NUMBER, label: 'Poids (kg)' },
+        volume: { type: FIELD_TYPES.NUMBER, label: 'Volume (m³)' },
+        valeur: { type: FIELD_TYPES.NUMBER, label: 'Valeur déclarée' },
+        colis: { type: FIELD_TYPES.NUMBER, label: 'Nombre de colis' },
+        cout: { type: FIELD_TYPES.NUMBER, label: 'Coût total' },
+        recu: { type: FIELD_TYPES.DATE, label: 'Date de réception' },
+        expedie: { type: FIELD_TYPES.DATE, label: 'Date d\'expédition' },
+        livre: { type: FIELD_TYPES.DATE, label: 'Date de livraison' }
+    },
+
+    conteneurs: {
+        statut: { type: FIELD_TYPES.ENUM, label: 'Statut', values: STATUTS_CONTENEUR },
+        numero: { type: FIELD_TYPES.TEXT, label: 'N° de conteneur' },
+        dossier: { type: FIELD_TYPES.TEXT, label: 'N° de dossier' },
+        plomb: { type: FIELD_TYPES.TEXT, label: 'N° de plomb' },
+        destination: { type: FIELD_TYPES.TEXT, label: 'Destination (pays, ville ou port)' },
+        client: { type: FIELD_TYPES.TEXT, label: 'Client d\'une marchandise chargée' },
+        depart: { type: FIELD_TYPES.DATE, label: 'Départ prévu' },
+        arrivee: { type: FIELD_TYPES.DATE, label: 'Arrivée prévue' },
+        cree: { type: FIELD_TYPES.DATE, label: 'Date de création' }
+    },
+
+    clients: {
+        nom: { type: FIELD_TYPES.TEXT, label: 'Nom' },
+        prenom: { type: FIELD_TYPES.TEXT, label: 'Prénom' },
+        code: { type: FIELD_TYPES.TEXT, label: 'Code client' },
+        tel: { type: FIELD_TYPES.TEXT, label: 'Téléphone' },
+        email: { type: FIELD_TYPES.TEXT, label: 'Email' },
+        ville: { type: FIELD_TYPES.TEXT, label: 'Ville' },
+        pays: { type: FIELD_TYPES.TEXT, label: 'Pays' },
+        statut: { type: FIELD_TYPES.ENUM, label: 'Statut', values: STATUTS_CLIENT },
+        type: { type: FIELD_TYPES.ENUM, label: 'Type de client', values: ['particulier', 'entreprise'] },
+        envois: { type: FIELD_TYPES.NUMBER, label: 'Nombre d\'envois' },
+        balance: { type: FIELD_TYPES.NUMBER, label: 'Solde courant' },
+        tag: { type: FIELD_TYPES.TEXT, label: 'Étiquette' },
+        cree: { type: FIELD_TYPES.DATE, label: 'Date de création' }
+    },
+
+    paiements: {
+        statut: { type: FIELD_TYPES.ENUM, label: 'Statut', values: STATUTS_PAIEMENT },
+        mode: { type: FIELD_TYPES.ENUM, label: 'Mode de paiement', values: MODES_PAIEMENT },
+        type: { type: FIELD_TYPES.ENUM, label: 'Type de paiement', values: TYPES_PAIEMENT },
+        recu: { type: FIELD_TYPES.TEXT, label: 'N° de reçu' },
+        reference: { type: FIELD_TYPES.TEXT, label: 'Référence' },
+        client: { type: FIELD_TYPES.TEXT, label: 'Client (nom, prénom ou code)' },
+        conteneur: { type: FIELD_TYPES.TEXT, label: 'N° de conteneur' },
+        montant: { type: FIELD_TYPES.NUMBER, label: 'Montant payé' },
+        date: { type: FIELD_TYPES.DATE, label: 'Date de paiement' },
+        echeance: { type: FIELD_TYPES.DATE, label: 'Date d\'échéance' }
+    }
+};
+
+// Opérateurs autorisés par type de champ
+const OPERATORS_BY_TYPE = {
+    [FIELD_TYPES.TEXT]: [':', '=', '!='],
+    [FIELD_TYPES.ENUM]: [':', '=', '!='],
+    [FIELD_TYPES.NUMBER]: [':', '=', '!=', '>', '>=', '<', '<='],
+    [FIELD_TYPES.DATE]: [':', '=', '!=', '>', '>=', '<', '<=']
+};
+
+// Préfixe "-" optionnel, nom de champ, opérateur, valeur
+const TERM_PATTERN = /^(-?)([A-Za-zÀ-ÿ_]+)(>=|<=|!=|:|=|>|<)(.*)$/;
+
+// =============================================
+// ANALYSE
+// =============================================
+
+/**
+ * Découper la saisie en termes (les guillemets protègent les espaces)
+ */
+function tokenize(input) {
+    const tokens = [];
+    const errors = [];
+    let i = 0;
+
+    while (i < input.length) {
+        if (/\s/.test(input[i])) {
+            i++;
+            continue;
+        }
+
+        const start = i;
+        while (i < input.length && !/\s/.test(input[i])) {
+            if (input[i] === '"') {
+                const end = input.indexOf('"', i + 1);
+                if (end === -1) {
+                    errors.push(`Guillemet non fermé dans « ${input.slice(start)} »`);
+                    i = input.length;
+                    break;
+                }
+                i = end + 1;
+            } else {
+                i++;
+            }
+        }
+
+        tokens.push(input.slice(start, i));
+    }
+
+    return { tokens, errors };
+}
+
+/**
+ * Nom de champ sans accents ni majuscules ("Reçu" -> "recu")
+ */
+function normalizeFieldName(name) {
+    return name
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase();
+}
+
+function unquote(value) {
+    return value.replace(/"/g, '');
+}
+
+/**
+ * Vérifier si une saisie utilise la syntaxe structurée (au moins un champ:valeur)
+ */
+function isStructuredQuery(input, entity) {
+    const fields = QUERY_FIELDS[entity];
+    if (!input || !fields) return false;
+
+    return tokenize(String(input)).tokens.some(token => TERM_PATTERN.test(token));
+}
+
+/**
+ * Analyser une requête structurée pour une entité
+ * Retourne { conditions, text, errors } : les conditions sont typées et validées,
+ * le texte libre est laissé à la recherche plein texte de la liste
+ */
+function parseQuery(input, entity) {
+    const fields = QUERY_FIELDS[entity];
+    const result = { conditions: [], text: [], errors: [] };
+
+    if (!fields) {
+        result.errors.push(`Recherche structurée non disponible pour « ${entity} »`);
+        return result;
+    }
+
+    const { tokens, errors } = tokenize(String(input || ''));
+    result.errors.push(...errors);
+
+    for (const token of tokens) {
+        const match = token.match(TERM_PATTERN);
+
+        // Pas de champ reconnaissable : texte libre
+        if (!match) {
+            const text = unquote(token).trim();
+            if (text) result.text.push(text);
+            continue;
+        }
+
+        const [, negation, rawField, operator, rawValue] = match;
+        const field = normalizeFieldName(rawField);
+        // Propriétés propres seulement : « constructor:1 » est un champ inconnu, pas Object
+        const definition = Object.prototype.hasOwnProperty.call(fields, field) ? fields[field] : null;
+
+        if (!definition) {
+            result.errors.push(
+                `Champ inconnu « ${rawField} ». Champs disponibles : ${Object.keys(fields).join(', ')}`
+            );
+            continue;
+        }
+
+        if (!OPERATORS_BY_TYPE[definition.type].includes(operator)) {
+            result.errors.push(`L'opérateur « ${operator} » ne s'applique pas au champ ${field} (${definition.label})`);
+            continue;
+        }
+
+        const value = unquote(rawValue).trim();
+        if (!value) {
+            result.errors.push(`Valeur manquante pour le champ ${field}`);
+            continue;
+        }
+
+        const condition = buildCondition(field, definition, operator, value);
+        if (condition.error) {
+            result.errors.push(condition.error);
+            continue;
+        }
+
+        condition.negate = negation === '-';
+        result.conditions.push(condition);
+    }
+
+    return result;
+}
+
+/**
+ * Valider la valeur d'un terme selon le type du champ
+ */
+function buildCondition(field, definition, operator, value) {
+    const base = { field, type: definition.type, operator };
+
+    switch (definition.type) {
+        case FIELD_TYPES.TEXT:
+            return { ...base, values: splitValues(value) };
+
+        case FIELD_TYPES.ENUM: {
+            const values = splitValues(value).map(v => v.toLowerCase());
+            const invalid = values.filter(v => !definition.values.includes(v));
+            if (invalid.length > 0) {
+                return {
+                    error: `Valeur invalide pour ${field} : « ${invalid.join(', ')} ». Valeurs possibles : ${definition.values.join(', ')}`
+                };
+            }
+            return { ...base, values };
+        }
+
+        case FIELD_TYPES.NUMBER: {
+            if (value.includes('..')) {
+                if (operator !== ':' && operator !== '=') {
+                    return { error: `Un intervalle s'écrit ${field}:min..max` };
+                }
+                const [min, max] = value.split('..').map(parseNumber);
+                if (min === null || max === null) {
+                    return { error: `Intervalle numérique invalide pour ${field} : « ${value} » (ex. ${field}:10..50)` };
+                }
+                return { ...base, operator: 'range', range: { min, max } };
+            }
+
+            const values = splitValues(value).map(parseNumber);
+            if (values.some(v => v === null)) {
+                return { error: `Nombre attendu pour ${field} : « ${value} »` };
+            }
+            if (values.length > 1 && !['=', ':', '!='].includes(operator)) {
+                return { error: `L'opérateur « ${operator} » n'accepte qu'une seule valeur pour ${field}` };
+            }
+            return { ...base, values };
+        }
+
+        case FIELD_TYPES.DATE: {
+            const [first, last = first] = value.split('..');
+            const from = parsePeriod(first);
+            const to = parsePeriod(last);
+
+            if (!from || !to) {
+                return {
+                    error: `Date invalide pour ${field} : « ${value} ». Formats acceptés : AAAA, AAAA-MM, AAAA-MM-JJ ou début..fin`
+                };
+            }
+            if (value.includes('..') && operator !== ':' && operator !== '=') {
+                return { error: `Un intervalle de dates s'écrit ${field}:début..fin` };
+            }
+
+            return { ...base, period: { start: from.start, end: to.end } };
+        }
+
+        default:
+            return { error: `Type de champ non géré pour ${field}` };
+    }
+}
+
+function splitValues(value) {
+    return value.split(',').map(v => v.trim()).filter(Boolean);
+}
+
+function parseNumber(value) {
+    const normalized = String(value).trim().replace(',', '.');
+    if (!/^-?\d+(\.\d+)?$/.test(normalized)) return null;
+    return parseFloat(normalized);
+}
+
+/**
+ * Convertir AAAA, AAAA-MM ou AAAA-MM-JJ en période [start, end[ (dates ISO)
+ */
+function parsePeriod(value) {
+    const match = String(value).trim().match(/^(\d{4})(?:-(\d{1,2})(?:-(\d{1,2}))?)?$/);
+    if (!match) return null;
+
+    const year = parseInt(match[1]);
+    const month = match[2] ? parseInt(match[2]) : null;
+    const day = match[3] ? parseInt(match[3]) : null;
+
+    if (month !== null && (month < 1 || month > 12)) return null;
+
+    let start;
+    let end;
+
+    if (day !== null) {
+        start = new Date(Date.UTC(year, month - 1, day));
+        // Refuser les dates inexistantes (ex. 2026-02-30)
+        if (start.getUTCMonth() !== month - 1) return null;
+        end = new Date(Date.UTC(year, month - 1, day + 1));
+    } else if (month !== null) {
+        start = new Date(Date.UTC(year, month - 1, 1));
+        end = new Date(Date.UTC(year, month, 1));
+    } else {
+        start = new Date(Date.UTC(year, 0, 1));
+        end = new Date(Date.UTC(year + 1, 0, 1));
+    }
+
+    return {
+        start: start.toISOString().slice(0, 10),
+        end: end.toISOString().slice(0, 10)
+    };
+}
+
+/**
+ * Aide à la saisie : champs disponibles pour une entité
+ */
+function describeFields(entity) {
+    const fields = QUERY_FIELDS[entity] || {};
+
+    return Object.entries(fields).map(([name, definition]) => ({
+        name,
+        label: definition.label,
+        type: definition.type,
+        operators: OPERATORS_BY_TYPE[definition.type],
+        values: definition.values || null
+    }));
+}
+
+// =============================================
+// EXPORT
+// =============================================
+
+// Export pour Node.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        FIELD_TYPES,
+        QUERY_FIELDS,
+        parseQuery,
+        isStructuredQuery,
+        describeFields
+    };
+}
+
+// Export pour ES6
+if (typeof window !== 'undefined') {
+    window.QueryLanguage = {
+        FIELD_TYPES,
+        QUERY_FIELDS,
+        parseQuery,
+        isStructuredQuery,
+        describeFields
+    };
+}
@@ -101,6 +101,10 @@
  * @property {string} [lieu_stockage]
  * @property {string} [notes]
  * @property {Photo[]} [photos]
+ * @property {number} [cout_stockage] - Forfait de la grille et frais de stockage facturés
+ * @property {number} [stockage_cumule] - Frais de stockage facturés, net des exonérations
+ * @property {ISODate} [stockage_facture_jusquau] - Dernier jour de stockage facturé
+ * @property {boolean} [stockage_exonere] - Facturation du stockage arrêtée par un responsable
  * @property {ISODate} created_at
  * @property {ISODate} updated_at
  * @property {number} created_by
@@ -196,8 +200,40 @@
  * @property {number} [size_bytes]
  * @property {number} [width]
  * @property {number} [height]
+ * @property {string} [miniature] - miniature JPEG générée par le serveur
+ * @property {'reception'|'dommage'|'chargement'} categorie
+ * @property {number} position - ordre dans la galerie
  * @property {boolean} is_primary
- * @property {string} [description]
+ * @property {string} [description] - légende
+ * @property {string} [legende] - légende (réponses de l'API)
+ * @property {string} [url]
+ * @property {string} [miniature_url]
+ * @property {number} [litige_id] - litige auquel la photo est jointe
+ * @property {ISODate} created_at
+ * @property {ISODate} [updated_at]
+ * @property {number} created_by
+ */
+
+/**
+ * @typedef {Object} Litige
+ * @property {number} id
+ * @property {string} numero
+ * @property {number} marchandise_id
+ * @property {number} client_id
+ * @property {number} [conteneur_id] - conteneur de la marchandise à l'ouverture
+ * @property {'dommage'|'perte'|'reclamation'} type_litige
+ * @property {string} description
+ * @property {'entrepot'|'transporteur'|'agent_destination'} [responsable]
+ * @property {number} [montant_reclame]
+ * @property {number} [indemnisation_proposee]
+ * @property {'ouvert'|'en_instruction'|'indemnisation_proposee'|'resolu'|'rejete'|'clos'} statut
+ * @property {string} [resolution]
+ * @property {'remboursement'|'avoir'|'aucune'} [mode_resolution]
+ * @property {number} [montant_indemnise]
+ * @property {number} [paiement_id] - indemnisation ou avoir enregistré à la résolution
+ * @property {ISODate} [resolu_le]
+ * @property {number} [resolu_par]
+ * @property {ISODate} [clos_le]
  * @property {ISODate} created_at
  * @property {number} created_by
  */